@@ -7,6 +7,7 @@ const requestLogger = require('./middleware/request-logger.middleware');
 const errorMiddleware = require('./middleware/error.middleware');
 const routes = require('./routes');
 const shopifyController = require('./controllers/shopify.controller');
+const magentoController = require('./controllers/magento.controller');
 const asyncHandler = require('./utils/async-handler');
 
 const app = express();
@@ -17,8 +18,9 @@ app.use(cors());
 
 app.use(compression());
 
-// HMAC verification requires the exact bytes Shopify sent.
+// HMAC verification requires the exact bytes Shopify and Magento sent.
 app.post('/api/v1/shopify/webhooks/app-uninstalled', express.raw({ type: 'application/json', limit: '1mb' }), asyncHandler(shopifyController.uninstalled));
+app.post('/api/v1/magento/webhooks', express.raw({ type: 'application/json', limit: '1mb' }), asyncHandler(magentoController.webhook));
 
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -56,5 +56,147 @@ module.exports = {
       PREPARATION: 'preparation',
       CREATION: 'creation'
     }
+  },
+
+  JOBS: {
+    TYPES: {
+      MIGRATION_BATCH: 'migration:batch',
+      SYNC_PRICES: 'sync:prices',
+      SYNC_PRODUCT_FIELDS: 'sync:product-fields',
+      DRIFT_REPORT: 'report:drift',
+      SHOPIFY_MIGRATION: 'migration:shopify',
+      SYNC_INVENTORY: 'sync:inventory',
+      PRODUCT_DELETE: 'product:delete'
+    },
+
+    // Permission needed to create, and so to retry, each job type
+    TYPE_PERMISSIONS: {
+      'migration:batch': 'migrate:batch',
+      'sync:prices': 'sync:prices',
+      'sync:product-fields': 'sync:product-fields',
+      'report:drift': 'product:read',
+      'migration:shopify': 'migrate:shopify',
+      'sync:inventory': 'sync:inventory',
+      'product:delete': 'product:delete'
+    },
+
+    STATUS: {
+      QUEUED: 'queued',
+      RUNNING: 'running',
+      COMPLETED: 'completed',
+      PARTIAL: 'partial',
+      FAILED: 'failed'
+    },
+
+    ITEM_STATUS: {
+      PENDING: 'pending',
+      RUNNING: 'running',
+      SUCCEEDED: 'succeeded',
+      FAILED: 'failed'
+    }
+  },
+
+  MIGRATION_RUNS: {
+    STATUS: {
+      RUNNING: 'running',
+      COMPLETED: 'completed',
+      FAILED: 'failed',
+      ROLLED_BACK: 'rolled_back',
+      ROLLBACK_FAILED: 'rollback_failed'
+    },
+
+    ENTITY_STATUS: {
+      CREATED: 'created',
+      ROLLED_BACK: 'rolled_back',
+      ROLLBACK_FAILED: 'rollback_failed',
+      // Left in place because it is still in use (attribute options shared by other products)
+      SKIPPED: 'skipped'
+    },
+
+    ENTITY_TYPES: {
+      PRODUCT: 'product',
+      ATTRIBUTE_OPTION: 'attribute_option',
+      MEDIA: 'media',
+      VARIANT: 'variant',
+      FILE: 'file'
+    }
+  },
+
+  PRICE_SYNC_SCHEDULES: {
+    SKU_SOURCES: {
+      SKUS: 'skus',
+      MIGRATED: 'migrated'
+    },
+
+    TRIGGERS: {
+      SCHEDULE: 'schedule',
+      MANUAL: 'manual'
+    },
+
+    RUN_STATUS: {
+      RUNNING: 'running',
+      COMPLETED: 'completed',
+      PARTIAL: 'partial',
+      FAILED: 'failed'
+    }
+  },
+
+  DELTA_SYNC: {
+    WATERMARK_KEY: 'source:products',
+
+    RUN_STATUS: {
+      SCANNING: 'scanning',
+      QUEUED: 'queued',
+      COMPLETED: 'completed',
+      PARTIAL: 'partial',
+      FAILED: 'failed'
+    }
+  },
+
+  RECONCILIATION: {
+    RUN_STATUS: {
+      RUNNING: 'running',
+      COMPLETED: 'completed',
+      FAILED: 'failed'
+    },
+
+    PLATFORMS: {
+      MAGENTO: 'magento',
+      SHOPIFY: 'shopify'
+    },
+
+    ISSUES: {
+      MISSING: 'missing',
+      MISSING_VARIANTS: 'missing_variants',
+      ORPHAN: 'orphan'
+    },
+
+    ACTIONS: {
+      MIGRATION: 'migration',
+      VARIANT_SYNC: 'variant-sync'
+    }
+  },
+
+  MAGENTO_STORES: {
+    STATUS: {
+      ACTIVE: 'active',
+      DISABLED: 'disabled'
+    }
+  },
+
+  PRODUCT_ARCHIVES: {
+    STATUS: {
+      ARCHIVED: 'archived',
+      RESTORED: 'restored'
+    }
+  },
+
+  MAGENTO_WEBHOOKS: {
+    EVENTS: {
+      PRODUCT_SAVED: 'product.saved',
+      PRICE_CHANGED: 'product.price_changed',
+      STOCK_CHANGED: 'product.stock_changed',
+      PRODUCT_DELETED: 'product.deleted'
+    }
   }
 };
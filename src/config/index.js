@@ -64,6 +64,79 @@ function parseMagentoStores() {
   return stores;
 }
 
+/**
+ * Parse WooCommerce target store configurations from environment variables.
+ * Supports prefix-based naming: WOOCOMMERCE_STORE_<NAME>_URL, WOOCOMMERCE_STORE_<NAME>_CONSUMER_KEY
+ * and WOOCOMMERCE_STORE_<NAME>_CONSUMER_SECRET (a REST API key with read/write access)
+ *
+ * Example:
+ *   WOOCOMMERCE_STORE_PARTNERA_URL=https://partner-a.example.com
+ *   WOOCOMMERCE_STORE_PARTNERA_CONSUMER_KEY=ck_xxxxxxxxxxxxx
+ *   WOOCOMMERCE_STORE_PARTNERA_CONSUMER_SECRET=cs_xxxxxxxxxxxxx
+ *
+ * Results in: { partnera: { url: '...', consumerKey: '...', consumerSecret: '...' } }
+ */
+function parseWooCommerceStores() {
+  const stores = {};
+  const storePattern = /^WOOCOMMERCE_STORE_([A-Z0-9_]+)_URL$/;
+
+  for (const [key, value] of Object.entries(process.env)) {
+    const match = key.match(storePattern);
+    if (match) {
+      const storeName = match[1].toLowerCase();
+      const consumerKey = process.env[`WOOCOMMERCE_STORE_${match[1]}_CONSUMER_KEY`];
+      const consumerSecret = process.env[`WOOCOMMERCE_STORE_${match[1]}_CONSUMER_SECRET`];
+
+      if (consumerKey && consumerSecret) {
+        stores[storeName] = {
+          url: value,
+          consumerKey,
+          consumerSecret
+        };
+      }
+    }
+  }
+
+  return stores;
+}
+
+/**
+ * Parse additional source Magento catalogs from environment variables.
+ * Supports prefix-based naming: SOURCE_STORE_<NAME>_URL, SOURCE_STORE_<NAME>_TOKEN and the
+ * optional SOURCE_STORE_<NAME>_ADMIN_URL and SOURCE_STORE_<NAME>_CATEGORY_MAPPING (path to a
+ * category mapping file used instead of category-mapping.json). The SOURCE_MAGENTO_* catalog
+ * is always available as the source named "default".
+ *
+ * Example:
+ *   SOURCE_STORE_SUPPLIERB_URL=https://supplier-b.example.com
+ *   SOURCE_STORE_SUPPLIERB_TOKEN=admin_token_here
+ *
+ * Results in: { supplierb: { baseUrl: '...', token: '...', adminUrl: null, categoryMappingPath: null } }
+ */
+function parseSourceStores() {
+  const sources = {};
+  const sourcePattern = /^SOURCE_STORE_([A-Z0-9_]+)_URL$/;
+
+  for (const [key, value] of Object.entries(process.env)) {
+    const match = key.match(sourcePattern);
+    if (match) {
+      const sourceName = match[1].toLowerCase();
+      const tokenKey = `SOURCE_STORE_${match[1]}_TOKEN`;
+
+      if (process.env[tokenKey] && sourceName !== 'default') {
+        sources[sourceName] = {
+          baseUrl: value,
+          token: process.env[tokenKey],
+          adminUrl: process.env[`SOURCE_STORE_${match[1]}_ADMIN_URL`] || null,
+          categoryMappingPath: process.env[`SOURCE_STORE_${match[1]}_CATEGORY_MAPPING`] || null
+        };
+      }
+    }
+  }
+
+  return sources;
+}
+
 const config = {
   server: {
     port: parseInt(process.env.PORT, 10) || 3000,
@@ -73,11 +146,19 @@ const config = {
   source: {
     baseUrl: process.env.SOURCE_MAGENTO_BASE_URL,
     token: process.env.SOURCE_MAGENTO_TOKEN,
-    adminUrl: process.env.SOURCE_MAGENTO_ADMIN_URL
+    adminUrl: process.env.SOURCE_MAGENTO_ADMIN_URL,
+    webhookSecret: process.env.SOURCE_MAGENTO_WEBHOOK_SECRET
   },
 
+  sources: parseSourceStores(),
+
   magentoStores: parseMagentoStores(),
 
+  magentoStoreRegistry: {
+    // How often each process checks magento_stores for changes made by other processes
+    refreshIntervalMs: parseInt(process.env.MAGENTO_STORE_REFRESH_INTERVAL_MS, 10) || 10000
+  },
+
   api: {
     timeout: parseInt(process.env.API_TIMEOUT, 10) || 30000,
     maxRetries: parseInt(process.env.MAX_RETRIES, 10) || 3,
@@ -92,13 +173,21 @@ const config = {
   migration: {
     includeImages: process.env.DEFAULT_INCLUDE_IMAGES === 'true',
     createMissingAttributes: process.env.DEFAULT_CREATE_MISSING_ATTRIBUTES === 'true',
-    overwriteExisting: process.env.DEFAULT_OVERWRITE_EXISTING === 'true'
+    overwriteExisting: process.env.DEFAULT_OVERWRITE_EXISTING === 'true',
+    rollbackOnFailure: process.env.ROLLBACK_ON_FAILURE !== 'false'
   },
 
   errorHandling: {
     continueOnError: process.env.CONTINUE_ON_ERROR === 'true'
   },
 
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 1,
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000,
+    // A running item whose worker has not sent a heartbeat for this long is re-queued
+    leaseTimeoutMs: parseInt(process.env.JOB_LEASE_TIMEOUT_MS, 10) || 2 * 60 * 1000
+  },
+
   notifications: {
     googleChat: {
       enabled: process.env.GOOGLE_CHAT_ENABLED === 'true',
@@ -117,17 +206,31 @@ const config = {
     apiVersion: process.env.SHOPIFY_API_VERSION || '2026-07',
     defaultStore: process.env.SHOPIFY_DEFAULT_STORE || null,
     stores: parseShopifyStores(),
+    inventoryLocations: parseInventoryLocationMapping(),
+    sourceLocations: parseSourceLocationMapping(),
+    bulkOperations: {
+      // Catalog-wide reads use a bulk query when the store has more variants than this
+      readThreshold: parseInt(process.env.SHOPIFY_BULK_READ_THRESHOLD, 10) || 2500,
+      // Scheduled price sync runs and sync:prices jobs write Shopify prices in bulk above this many SKUs
+      priceSyncThreshold: parseInt(process.env.SHOPIFY_BULK_PRICE_SYNC_THRESHOLD, 10) || 100,
+      pollInterval: parseInt(process.env.SHOPIFY_BULK_POLL_INTERVAL, 10) || 2000,
+      timeout: parseInt(process.env.SHOPIFY_BULK_TIMEOUT, 10) || 30 * 60 * 1000
+    },
     oauth: {
       enabled: process.env.SHOPIFY_OAUTH_ENABLED === 'true',
       clientId: process.env.SHOPIFY_CLIENT_ID,
       clientSecret: process.env.SHOPIFY_CLIENT_SECRET,
       publicBaseUrl: (process.env.SHOPIFY_PUBLIC_BASE_URL || '').replace(/\/$/, ''),
-      scopes: ['write_products', 'write_files', 'write_publications'],
+      scopes: ['write_products', 'write_files', 'write_publications', 'read_locations', 'write_inventory'],
       keyring: (() => { try { return JSON.parse(process.env.SHOPIFY_ENCRYPTION_KEYRING || '{}'); } catch (_) { throw new Error('SHOPIFY_ENCRYPTION_KEYRING must be valid JSON'); } })(),
       activeKeyId: process.env.SHOPIFY_ENCRYPTION_ACTIVE_KEY_ID
     }
   },
 
+  woocommerce: {
+    stores: parseWooCommerceStores()
+  },
+
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
     model: process.env.OPENAI_MODEL || 'gpt-4o'
@@ -148,7 +251,9 @@ const config = {
   priceSync: {
     // Map store codes to customer group IDs for tier pricing
     // Parsed from PRICE_SYNC_STORE_GROUP_MAP=ejuicesco:2,wholesale:3 (comma-separated store:groupId pairs)
-    storeGroupMapping: parseStoreGroupMapping()
+    storeGroupMapping: parseStoreGroupMapping(),
+    schedulerEnabled: process.env.PRICE_SYNC_SCHEDULER_ENABLED !== 'false',
+    schedulerPollIntervalMs: parseInt(process.env.PRICE_SYNC_SCHEDULER_POLL_INTERVAL_MS, 10) || 60000
   }
 };
 
@@ -181,6 +286,69 @@ function parseStoreGroupMapping() {
   return mapping;
 }
 
+/**
+ * Parse the Shopify location each store's inventory is synced to.
+ * Format: SHOPIFY_INVENTORY_LOCATION_MAP=store1:locationId1,store2:locationId2
+ * Example: SHOPIFY_INVENTORY_LOCATION_MAP=wholesale:71234567890,vapordna:gid://shopify/Location/81234567890
+ *
+ * @returns {Object} Mapping of Shopify store names to location GIDs
+ */
+function parseInventoryLocationMapping() {
+  const mapping = {};
+  const envValue = process.env.SHOPIFY_INVENTORY_LOCATION_MAP;
+
+  if (!envValue) {
+    return mapping;
+  }
+
+  const pairs = envValue.split(',').map(s => s.trim()).filter(Boolean);
+
+  for (const pair of pairs) {
+    // Split on the first colon only; location GIDs contain colons
+    const separator = pair.indexOf(':');
+    const storeName = pair.slice(0, separator).trim();
+    const locationId = pair.slice(separator + 1).trim();
+
+    if (separator > 0 && locationId) {
+      mapping[storeName.toLowerCase()] = /^\d+$/.test(locationId) ? `gid://shopify/Location/${locationId}` : locationId;
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Parse the Shopify location each source Magento MSI source stocks, per store.
+ * Format: SHOPIFY_SOURCE_LOCATION_MAP=store1/sourceCode1:locationId1,store1/sourceCode2:locationId2
+ * Example: SHOPIFY_SOURCE_LOCATION_MAP=wholesale/east_wh:71234567890,wholesale/west_wh:gid://shopify/Location/81234567890
+ *
+ * @returns {Object} Mapping of Shopify store names to { sourceCode: location GID }
+ */
+function parseSourceLocationMapping() {
+  const mapping = {};
+  const envValue = process.env.SHOPIFY_SOURCE_LOCATION_MAP;
+
+  if (!envValue) {
+    return mapping;
+  }
+
+  const pairs = envValue.split(',').map(s => s.trim()).filter(Boolean);
+
+  for (const pair of pairs) {
+    // Split on the first colon only; location GIDs contain colons
+    const separator = pair.indexOf(':');
+    const [storeName, sourceCode] = pair.slice(0, separator).split('/').map(s => s.trim());
+    const locationId = pair.slice(separator + 1).trim();
+
+    if (separator > 0 && storeName && sourceCode && locationId) {
+      const store = mapping[storeName.toLowerCase()] || (mapping[storeName.toLowerCase()] = {});
+      store[sourceCode] = /^\d+$/.test(locationId) ? `gid://shopify/Location/${locationId}` : locationId;
+    }
+  }
+
+  return mapping;
+}
+
 const validateConfig = () => {
   const required = {
     'SOURCE_MAGENTO_BASE_URL': config.source.baseUrl,
@@ -0,0 +1,104 @@
+const logger = require('../config/logger');
+const deltaSyncRepo = require('../database/repositories/delta-sync.repository');
+const jobRepo = require('../database/repositories/job.repository');
+const deltaSyncService = require('../services/sync/delta-sync.service');
+const auditService = require('../services/audit/audit.service');
+const { DELTA_SYNC } = require('../config/constants');
+
+const RECENT_RUNS = 10;
+
+// The per-SKU fingerprints are internal; expose only how many SKUs each run queued
+const summarizeRun = ({ changes, ...run }) => {
+  const entries = Object.values(changes || {});
+  return {
+    ...run,
+    priceSkus: entries.filter(change => change.price).length,
+    contentSkus: entries.filter(change => change.content).length
+  };
+};
+
+const startDeltaSync = async (req, res, next) => {
+  try {
+    const { since, options = {} } = req.body;
+
+    const active = await deltaSyncRepo.findActiveRun();
+    if (active) {
+      return res.status(409).json({ success: false, error: `Delta sync ${active.id} is still ${active.status}` });
+    }
+
+    const run = await deltaSyncService.run({ since, options, apiKeyId: req.apiKey?.id });
+
+    logger.info('Delta sync started', { runId: run.id, since: run.since });
+
+    await auditService.logAction({
+      apiKeyId: req.apiKey?.id,
+      action: 'sync:delta_started',
+      resourceType: 'delta_sync_run',
+      resourceId: run.id,
+      metadata: { since: run.since, explicitSince: Boolean(since), options },
+      status: 'success'
+    });
+
+    res.status(202).json({ success: true, data: summarizeRun(run) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getDeltaSyncStatus = async (req, res, next) => {
+  try {
+    const [watermark, runs] = await Promise.all([
+      deltaSyncRepo.getWatermark(DELTA_SYNC.WATERMARK_KEY),
+      deltaSyncRepo.listRuns(RECENT_RUNS)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        watermark,
+        recentRuns: runs.map(summarizeRun)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getDeltaSyncRun = async (req, res, next) => {
+  try {
+    const run = await deltaSyncRepo.findRunById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Delta sync run not found' });
+    }
+
+    const [priceJob, contentJob] = await Promise.all([
+      run.price_job_id ? jobRepo.findById(run.price_job_id) : null,
+      run.content_job_id ? jobRepo.findById(run.content_job_id) : null
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...summarizeRun(run),
+        skus: Object.entries(run.changes || {}).map(([sku, change]) => ({
+          sku,
+          price: Boolean(change.price),
+          content: Boolean(change.content)
+        })),
+        jobs: {
+          prices: priceJob ? { id: priceJob.id, status: priceJob.status, total_items: priceJob.total_items } : null,
+          content: contentJob ? { id: contentJob.id, status: contentJob.status, total_items: contentJob.total_items } : null
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  startDeltaSync,
+  getDeltaSyncStatus,
+  getDeltaSyncRun
+};
@@ -0,0 +1,174 @@
+const logger = require('../config/logger');
+const jobRepo = require('../database/repositories/job.repository');
+const jobWorker = require('../services/jobs/job-worker.service');
+const jobEvents = require('../services/jobs/job-events.service');
+const auditService = require('../services/audit/audit.service');
+const { hasPermissions } = require('../middleware/permission.middleware');
+const { AuthorizationError } = require('../utils/error-handler');
+const { JOBS } = require('../config/constants');
+
+const SSE_HEARTBEAT_MS = 15000;
+const FINISHED_JOB_STATUSES = [JOBS.STATUS.COMPLETED, JOBS.STATUS.PARTIAL, JOBS.STATUS.FAILED];
+
+const getJob = async (req, res, next) => {
+  try {
+    const job = await jobRepo.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    const [items, counts] = await Promise.all([
+      jobRepo.findItems(job.id),
+      jobRepo.countItemsByStatus(job.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...job,
+        counts,
+        items: items.map(item => ({
+          sku: item.sku,
+          position: item.position,
+          status: item.status,
+          attempts: item.attempts,
+          error: item.error,
+          result: item.result,
+          started_at: item.started_at,
+          completed_at: item.completed_at
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const retryJob = async (req, res, next) => {
+  try {
+    const job = await jobRepo.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    // A retry runs the job again, so it needs the permission that created it; unknown types are admin-only
+    const required = JOBS.TYPE_PERMISSIONS[job.type] || '*';
+    if (!hasPermissions(req.apiKey, [required])) {
+      return next(new AuthorizationError(`Required permissions: ${required}`));
+    }
+
+    const retriedItems = await jobRepo.retryFailedItems(job.id);
+    const counts = await jobRepo.countItemsByStatus(job.id);
+
+    if (counts.pending === 0) {
+      return res.status(409).json({ success: false, error: 'Job has no failed or pending items to retry' });
+    }
+
+    jobWorker.wake();
+
+    logger.info('Job retry requested', { jobId: job.id, retriedItems, pending: counts.pending });
+
+    await auditService.logAction({
+      apiKeyId: req.apiKey?.id,
+      action: 'job:retried',
+      resourceType: 'job',
+      resourceId: job.id,
+      metadata: { retriedItems, pending: counts.pending },
+      status: 'success'
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      retriedItems,
+      pendingItems: counts.pending,
+      statusUrl: `/api/v1/jobs/${job.id}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stream job progress as Server-Sent Events.
+ * Sends a snapshot of the current item statuses first, then live events
+ * (item:started, phase, child, item:completed, job:completed) until the job finishes.
+ */
+const streamJobEvents = async (req, res, next) => {
+  let unsubscribe = null;
+
+  try {
+    const job = await jobRepo.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    // Subscribe before reading the snapshot so no event is lost in between;
+    // events are buffered until the snapshot has been sent.
+    let buffered = [];
+    let listener = (event) => buffered.push(event);
+    unsubscribe = jobEvents.subscribe(job.id, (event) => listener(event));
+
+    const [current, items, counts] = await Promise.all([
+      jobRepo.findById(job.id),
+      jobRepo.findItems(job.id),
+      jobRepo.countItemsByStatus(job.id)
+    ]);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps the compression middleware from buffering the stream
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let heartbeat = null;
+    let closed = false;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    const send = (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      if (event.type === 'job:completed') close();
+    };
+
+    req.on('close', close);
+
+    send({
+      id: 0,
+      type: 'snapshot',
+      jobId: job.id,
+      status: current.status,
+      counts,
+      items: items.map(item => ({ sku: item.sku, status: item.status, attempts: item.attempts, error: item.error }))
+    });
+
+    if (FINISHED_JOB_STATUSES.includes(current.status)) {
+      return close();
+    }
+
+    listener = send;
+    buffered.forEach(send);
+    buffered = [];
+
+    if (!closed) {
+      heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+    }
+  } catch (error) {
+    if (unsubscribe) unsubscribe();
+    next(error);
+  }
+};
+
+module.exports = { getJob, retryJob, streamJobEvents };
@@ -0,0 +1,37 @@
+const registry = require('../services/magento/magento-store-registry.service');
+const auditService = require('../services/audit/audit.service');
+
+const audit = (req, action, store, metadata = {}) => auditService.logAction({
+  apiKeyId: req.apiKey?.id,
+  action,
+  resourceType: 'magento_store',
+  resourceId: store.name,
+  metadata: { baseUrl: store.baseUrl, ...metadata },
+  status: 'success'
+});
+
+exports.list = async (_req, res) => res.json({ success: true, data: await registry.list() });
+
+exports.create = async (req, res) => {
+  const store = await registry.create(req.body);
+  await audit(req, 'magento_store:added', store);
+  res.status(201).json({ success: true, data: store });
+};
+
+exports.verify = async (req, res) => {
+  const result = await registry.verify(req.params.name);
+  await audit(req, 'magento_store:verified', result.store, { connected: result.connection.connected });
+  res.status(result.connection.connected ? 200 : 502).json({ success: result.connection.connected, data: result });
+};
+
+exports.disable = async (req, res) => {
+  const store = await registry.disable(req.params.name);
+  await audit(req, 'magento_store:disabled', store);
+  res.json({ success: true, data: store });
+};
+
+exports.rotate = async (req, res) => {
+  const store = await registry.rotate(req.params.name, req.body);
+  await audit(req, 'magento_store:credentials_rotated', store);
+  res.json({ success: true, data: store });
+};
@@ -0,0 +1,23 @@
+const auditService = require('../services/audit/audit.service');
+const jobWorker = require('../services/jobs/job-worker.service');
+const webhookService = require('../services/sync/magento-webhook.service');
+
+exports.webhook = async (req, res) => {
+  if (!webhookService.isEnabled()) return res.sendStatus(404);
+  if (!webhookService.verifySignature(req.body, req.get('X-Magento-Hmac-Sha256'))) return res.status(401).send('Unauthorized');
+
+  const payload = webhookService.parsePayload(req.body);
+  const result = await webhookService.receive(payload);
+  if (result.duplicate) return res.sendStatus(200);
+
+  jobWorker.wake();
+  await auditService.logAction({
+    action: 'magento:webhook_received',
+    resourceType: 'product',
+    resourceId: payload.sku,
+    metadata: { eventId: payload.id, event: payload.event, parentSku: payload.parentSku, jobId: result.job.id },
+    status: 'success'
+  });
+
+  res.status(202).json({ success: true, jobId: result.job.id });
+};
@@ -0,0 +1,84 @@
+const logger = require('../config/logger');
+const migrationRunRepo = require('../database/repositories/migration-run.repository');
+const rollbackService = require('../services/migration/rollback.service');
+const auditService = require('../services/audit/audit.service');
+const { MIGRATION_RUNS } = require('../config/constants');
+
+const getMigrationRun = async (req, res, next) => {
+  try {
+    const run = await migrationRunRepo.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Migration run not found' });
+    }
+
+    const entities = await migrationRunRepo.findEntities(run.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...run,
+        entities: entities.map(entity => ({
+          store_name: entity.store_name,
+          entity_type: entity.entity_type,
+          entity_key: entity.entity_key,
+          data: entity.data,
+          status: entity.status,
+          error: entity.error,
+          created_at: entity.created_at,
+          rolled_back_at: entity.rolled_back_at
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const rollbackMigrationRun = async (req, res, next) => {
+  const startTime = Date.now();
+
+  try {
+    const run = await migrationRunRepo.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Migration run not found' });
+    }
+
+    if (run.status === MIGRATION_RUNS.STATUS.RUNNING) {
+      return res.status(409).json({ success: false, error: 'Migration is still running' });
+    }
+
+    const result = await rollbackService.rollbackMigration(run);
+
+    logger.info('Migration rollback requested', {
+      runId: run.id,
+      sku: run.sku,
+      rolledBack: result.rolledBack,
+      skipped: result.skipped,
+      failed: result.failed
+    });
+
+    await auditService.logAction({
+      apiKeyId: req.apiKey?.id,
+      action: 'migration:rolled_back',
+      resourceType: 'migration_run',
+      resourceId: run.id,
+      metadata: { sku: run.sku, rolledBack: result.rolledBack, skipped: result.skipped, failed: result.failed },
+      status: result.failed > 0 ? 'partial' : 'success',
+      durationMs: Date.now() - startTime
+    });
+
+    res.status(result.failed > 0 ? 207 : 200).json({
+      success: result.failed === 0,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMigrationRun,
+  rollbackMigrationRun
+};
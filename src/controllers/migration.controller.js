@@ -1,11 +1,16 @@
 const logger = require('../config/logger');
 const OrchestratorService = require('../services/migration/orchestrator.service');
 const ShopifyOrchestratorService = require('../services/migration/shopify-orchestrator.service');
+const WooCommerceOrchestratorService = require('../services/migration/woocommerce-orchestrator.service');
 const { ValidationError } = require('../utils/error-handler');
 const auditService = require('../services/audit/audit.service');
+const jobRepo = require('../database/repositories/job.repository');
+const jobWorker = require('../services/jobs/job-worker.service');
+const { JOBS } = require('../config/constants');
 
 const orchestrator = new OrchestratorService();
 const shopifyOrchestrator = new ShopifyOrchestratorService();
+const woocommerceOrchestrator = new WooCommerceOrchestratorService();
 
 const migrateProduct = async (req, res, next) => {
   try {
@@ -22,7 +27,7 @@ const migrateProduct = async (req, res, next) => {
 
     await auditService.logAction({
       apiKeyId: req.apiKey?.id,
-      action: 'product:migrated',
+      action: options.dryRun ? 'product:migration_planned' : 'product:migrated',
       resourceType: 'product',
       resourceId: sku,
       metadata: { targetStores: options.targetMagentoStores, success: result.success },
@@ -51,59 +56,33 @@ const migrateProductsBatch = async (req, res, next) => {
 
     logger.info('Batch migration request received', { skuCount: skus.length, options });
 
-    const batchStartTime = Date.now();
-    const results = [];
-
-    for (const sku of skus) {
-      try {
-        logger.info('Processing SKU in batch', { sku });
-        const result = await orchestrator.migrateProduct(sku, options);
-        results.push(result);
-      } catch (error) {
-        logger.error('Failed to migrate SKU in batch', { sku, error: error.message });
-        results.push({
-          sku,
-          success: false,
-          errors: [{ message: error.message }]
-        });
-      }
-    }
+    const job = await jobRepo.create({
+      type: JOBS.TYPES.MIGRATION_BATCH,
+      options,
+      apiKeyId: req.apiKey?.id,
+      skus
+    });
 
-    const totalDuration = Date.now() - batchStartTime;
-    const successCount = results.filter(r => r.success).length;
-    const failureCount = results.filter(r => !r.success).length;
+    jobWorker.wake();
 
-    const totalErrors = results.reduce((sum, r) => sum + (r.errors?.length || 0), 0);
-    const totalWarnings = results.reduce((sum, r) => sum + (r.warnings?.length || 0), 0);
-
-    logger.info('Batch migration completed', {
-      total: skus.length,
-      success: successCount,
-      failed: failureCount,
-      duration: `${totalDuration}ms`
-    });
+    logger.info('Batch migration queued', { jobId: job.id, total: skus.length });
 
     await auditService.logAction({
       apiKeyId: req.apiKey?.id,
-      action: 'product:batch_migrated',
-      resourceType: 'product',
-      resourceId: skus.join(','),
-      metadata: { total: skus.length, successCount, failureCount },
-      status: successCount === skus.length ? 'success' : 'partial',
+      action: 'product:batch_queued',
+      resourceType: 'job',
+      resourceId: job.id,
+      metadata: { total: skus.length, skus },
+      status: 'success',
       durationMs: Date.now() - startTime
     });
 
-    res.status(200).json({
-      success: successCount === skus.length,
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
       totalProducts: skus.length,
-      successCount,
-      failureCount,
-      results,
-      summary: {
-        totalDuration,
-        totalErrors,
-        totalWarnings
-      }
+      statusUrl: `/api/v1/jobs/${job.id}`
     });
   } catch (error) {
     next(error);
@@ -125,7 +104,7 @@ const migrateProductToShopify = async (req, res, next) => {
 
     await auditService.logAction({
       apiKeyId: req.apiKey?.id,
-      action: 'product:migrated_shopify',
+      action: options.dryRun ? 'product:migration_planned_shopify' : 'product:migrated_shopify',
       resourceType: 'product',
       resourceId: sku,
       metadata: { shopifyStore: options.shopifyStore, success: result.success },
@@ -141,8 +120,36 @@ const migrateProductToShopify = async (req, res, next) => {
   }
 };
 
+const migrateProductToWooCommerce = async (req, res, next) => {
+  try {
+    const startTime = Date.now();
+    const { sku, options = {} } = req.body;
+
+    logger.info('WooCommerce migration request received', { sku, options });
+
+    const result = await woocommerceOrchestrator.migrateProduct(sku, options);
+
+    await auditService.logAction({
+      apiKeyId: req.apiKey?.id,
+      action: 'product:migrated_woocommerce',
+      resourceType: 'product',
+      resourceId: sku,
+      metadata: { woocommerceStore: options.woocommerceStore, success: result.success },
+      status: result.success ? 'success' : 'partial',
+      durationMs: Date.now() - startTime
+    });
+
+    const statusCode = result.success ? 200 : 207;
+
+    res.status(statusCode).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   migrateProduct,
   migrateProductsBatch,
-  migrateProductToShopify
+  migrateProductToShopify,
+  migrateProductToWooCommerce
 };
@@ -0,0 +1,205 @@
+const logger = require('../config/logger');
+const scheduleRepo = require('../database/repositories/price-sync-schedule.repository');
+const priceSyncScheduler = require('../services/sync/price-sync-scheduler.service');
+const auditService = require('../services/audit/audit.service');
+const { nextRun } = require('../utils/cron');
+const { PRICE_SYNC_SCHEDULES } = require('../config/constants');
+
+const RECENT_RUNS = 10;
+
+const skuListMissing = (skuSource, skus) =>
+  skuSource === PRICE_SYNC_SCHEDULES.SKU_SOURCES.SKUS && (!Array.isArray(skus) || skus.length === 0);
+
+const listSchedules = async (req, res, next) => {
+  try {
+    const schedules = await scheduleRepo.list();
+    res.json({ success: true, data: schedules });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getSchedule = async (req, res, next) => {
+  try {
+    const schedule = await scheduleRepo.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Price sync schedule not found' });
+    }
+
+    const recentRuns = await scheduleRepo.listRuns(schedule.id, RECENT_RUNS);
+    res.json({ success: true, data: { ...schedule, recentRuns } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createSchedule = async (req, res, next) => {
+  try {
+    const {
+      name,
+      cron,
+      skuSource = PRICE_SYNC_SCHEDULES.SKU_SOURCES.SKUS,
+      skus = [],
+      options = {},
+      enabled = true
+    } = req.body;
+
+    if (skuListMissing(skuSource, skus)) {
+      return res.status(400).json({ success: false, error: `skus is required when skuSource is '${skuSource}'` });
+    }
+
+    if (await scheduleRepo.findByName(name)) {
+      return res.status(409).json({ success: false, error: `Price sync schedule '${name}' already exists` });
+    }
+
+    const schedule = await scheduleRepo.create({
+      name,
+      cron,
+      skuSource,
+      skus: skuSource === PRICE_SYNC_SCHEDULES.SKU_SOURCES.SKUS ? skus : [],
+      options,
+      enabled,
+      nextRunAt: enabled ? nextRun(cron) : null,
+      apiKeyId: req.apiKey?.id
+    });
+
+    logger.info('Price sync schedule created', { scheduleId: schedule.id, name, cron, skuSource });
+
+    await auditService.logAction({
+      apiKeyId: req.apiKey?.id,
+      action: 'price_sync_schedule:created',
+      resourceType: 'price_sync_schedule',
+      resourceId: schedule.id,
+      metadata: { name, cron, skuSource, skuCount: skus.length },
+      status: 'success'
+    });
+
+    res.status(201).json({ success: true, data: schedule });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateSchedule = async (req, res, next) => {
+  try {
+    const schedule = await scheduleRepo.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Price sync schedule not found' });
+    }
+
+    const fields = {};
+    for (const key of ['name', 'cron', 'skuSource', 'skus', 'options', 'enabled']) {
+      if (req.body[key] !== undefined) fields[key] = req.body[key];
+    }
+
+    const skuSource = fields.skuSource ?? schedule.sku_source;
+    if (skuListMissing(skuSource, fields.skus ?? schedule.skus)) {
+      return res.status(400).json({ success: false, error: `skus is required when skuSource is '${skuSource}'` });
+    }
+
+    if (fields.name && fields.name !== schedule.name && await scheduleRepo.findByName(fields.name)) {
+      return res.status(409).json({ success: false, error: `Price sync schedule '${fields.name}' already exists` });
+    }
+
+    if (fields.cron !== undefined || fields.enabled !== undefined) {
+      const enabled = fields.enabled ?? schedule.enabled;
+      fields.nextRunAt = enabled ? nextRun(fields.cron ?? schedule.cron) : null;
+    }
+
+    const updated = await scheduleRepo.update(schedule.id, fields);
+
+    await auditService.logAction({
+      apiKeyId: req.apiKey?.id,
+      action: 'price_sync_schedule:updated',
+      resourceType: 'price_sync_schedule',
+      resourceId: schedule.id,
+      metadata: { name: updated.name, fields: Object.keys(fields) },
+      status: 'success'
+    });
+
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteSchedule = async (req, res, next) => {
+  try {
+    const schedule = await scheduleRepo.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Price sync schedule not found' });
+    }
+
+    await scheduleRepo.delete(schedule.id);
+
+    await auditService.logAction({
+      apiKeyId: req.apiKey?.id,
+      action: 'price_sync_schedule:deleted',
+      resourceType: 'price_sync_schedule',
+      resourceId: schedule.id,
+      metadata: { name: schedule.name },
+      status: 'success'
+    });
+
+    res.json({ success: true, data: { id: schedule.id, deleted: true } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const runSchedule = async (req, res, next) => {
+  try {
+    const schedule = await scheduleRepo.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Price sync schedule not found' });
+    }
+
+    if (await priceSyncScheduler.isRunning(schedule.id)) {
+      return res.status(409).json({ success: false, error: 'Price sync schedule is already running' });
+    }
+
+    const run = await priceSyncScheduler.runNow(schedule);
+
+    await auditService.logAction({
+      apiKeyId: req.apiKey?.id,
+      action: 'price_sync_schedule:run_triggered',
+      resourceType: 'price_sync_schedule',
+      resourceId: schedule.id,
+      metadata: { name: schedule.name, runId: run.id },
+      status: 'success'
+    });
+
+    res.status(202).json({ success: true, data: run });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const listScheduleRuns = async (req, res, next) => {
+  try {
+    const schedule = await scheduleRepo.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Price sync schedule not found' });
+    }
+
+    const runs = await scheduleRepo.listRuns(schedule.id, parseInt(req.query.limit, 10) || 20);
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runSchedule,
+  listScheduleRuns
+};
@@ -1,12 +1,16 @@
 const logger = require('../config/logger');
 const DescriptionService = require('../services/description.service');
-const SourceService = require('../services/magento/source.service');
+const sourceRegistry = require('../services/magento/source-registry.service');
+const CatalogDriftService = require('../services/sync/catalog-drift.service');
 const deletionService = require('../services/deletion/product-deletion.service');
+const jobRepo = require('../database/repositories/job.repository');
+const jobWorker = require('../services/jobs/job-worker.service');
 const auditService = require('../services/audit/audit.service');
-const config = require('../config');
 const { ValidationError } = require('../utils/error-handler');
+const { JOBS } = require('../config/constants');
 
 let descriptionService = null;
+let catalogDriftService = null;
 
 const getDescriptionService = () => {
   if (!descriptionService) {
@@ -15,6 +19,13 @@ const getDescriptionService = () => {
   return descriptionService;
 };
 
+const getCatalogDriftService = () => {
+  if (!catalogDriftService) {
+    catalogDriftService = new CatalogDriftService();
+  }
+  return catalogDriftService;
+};
+
 const generateDescription = async (req, res, next) => {
   try {
     const { sku } = req.body;
@@ -37,9 +48,19 @@ const generateDescription = async (req, res, next) => {
 };
 
 const deleteProduct = async (req, res, next) => {
+  if (req.query.dryRun === true) {
+    return planProductDeletion(req, res, next);
+  }
+
+  if (req.query.mode === 'archive') {
+    return archiveProduct(req, res, next);
+  }
+
   try {
     const { sku } = req.params;
-    const { platform, storeName } = req.query;
+    const { platform, storeName, confirmationToken } = req.query;
+
+    await deletionService.confirmDeletion(confirmationToken, { sku, platform, storeName, apiKeyId: req.apiKey?.id });
 
     const startTime = Date.now();
     const result = await deletionService.deleteProduct({ sku, platform, storeName });
@@ -50,7 +71,14 @@ const deleteProduct = async (req, res, next) => {
       action: 'product:delete',
       resourceType: 'product',
       resourceId: sku,
-      metadata: { platform, storeName, deletedSkus: result.deletedSkus, success: result.success },
+      metadata: {
+        platform,
+        storeName,
+        deletedSkus: result.stores
+          ? Object.fromEntries(Object.entries(result.stores).map(([store, storeResult]) => [store, storeResult.deletedSkus]))
+          : result.deletedSkus,
+        success: result.success
+      },
       status: result.success ? 'success' : 'partial_failure',
       durationMs
     });
@@ -77,17 +105,84 @@ const deleteProduct = async (req, res, next) => {
   }
 };
 
+const planProductDeletion = async (req, res, next) => {
+  try {
+    const { sku } = req.params;
+    const { platform, storeName } = req.query;
+
+    const result = await deletionService.planDeletion({ sku, platform, storeName, apiKeyId: req.apiKey?.id });
+
+    await auditService.logAction({
+      apiKeyId: req.apiKey?.id,
+      action: 'product:delete_planned',
+      resourceType: 'product',
+      resourceId: sku,
+      metadata: { platform, storeName, expiresAt: result.expiresAt },
+      status: 'success'
+    });
+
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const archiveProduct = async (req, res, next) => {
+  try {
+    const { sku } = req.params;
+    const { platform, storeName } = req.query;
+
+    const startTime = Date.now();
+    const result = await deletionService.archiveProduct({ sku, platform, storeName, apiKeyId: req.apiKey?.id });
+
+    await auditService.logAction({
+      apiKeyId: req.apiKey?.id,
+      action: 'product:archive',
+      resourceType: 'product',
+      resourceId: sku,
+      metadata: { platform, storeName, archiveId: result.archiveId, archivedSkus: result.archivedSkus, success: result.success },
+      status: result.success ? 'success' : 'partial_failure',
+      durationMs: Date.now() - startTime
+    });
+
+    res.status(result.success ? 200 : 500).json({ success: result.success, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const restoreProduct = async (req, res, next) => {
+  try {
+    const { sku } = req.params;
+    const { platform, storeName } = req.query;
+
+    const startTime = Date.now();
+    const result = await deletionService.restoreProduct({ sku, platform, storeName });
+
+    await auditService.logAction({
+      apiKeyId: req.apiKey?.id,
+      action: 'product:restore',
+      resourceType: 'product',
+      resourceId: sku,
+      metadata: { platform, storeName, archiveId: result.archiveId, restoredSkus: result.restoredSkus, success: result.success },
+      status: result.success ? 'success' : 'partial_failure',
+      durationMs: Date.now() - startTime
+    });
+
+    res.status(result.success ? 200 : 500).json({ success: result.success, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
 const findParentProduct = async (req, res, next) => {
   try {
     const { sku } = req.params;
+    const { source } = req.query;
 
-    logger.info('Find parent product request received', { sku });
+    logger.info('Find parent product request received', { sku, source });
 
-    const sourceService = new SourceService(
-      config.source.baseUrl,
-      config.source.token,
-      { ...config.api, adminUrl: config.source.adminUrl }
-    );
+    const sourceService = sourceRegistry.createMagentoSourceService(source);
 
     const result = await sourceService.findParentProduct(sku);
 
@@ -100,8 +195,61 @@ const findParentProduct = async (req, res, next) => {
   }
 };
 
+const getProductDrift = async (req, res, next) => {
+  try {
+    const { sku } = req.params;
+
+    logger.info('Drift check request received', { sku });
+
+    const result = await getCatalogDriftService().detectDrift(sku);
+
+    res.status(result.success ? 200 : 207).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const queueDriftReport = async (req, res, next) => {
+  try {
+    const { skus, options = {} } = req.body;
+
+    const job = await jobRepo.create({
+      type: JOBS.TYPES.DRIFT_REPORT,
+      options,
+      apiKeyId: req.apiKey?.id,
+      skus
+    });
+
+    jobWorker.wake();
+
+    logger.info('Drift report queued', { jobId: job.id, total: skus.length });
+
+    await auditService.logAction({
+      apiKeyId: req.apiKey?.id,
+      action: 'product:drift_report_queued',
+      resourceType: 'job',
+      resourceId: job.id,
+      metadata: { total: skus.length, options },
+      status: 'success'
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      totalProducts: skus.length,
+      statusUrl: `/api/v1/jobs/${job.id}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   generateDescription,
   deleteProduct,
-  findParentProduct
+  restoreProduct,
+  findParentProduct,
+  getProductDrift,
+  queueDriftReport
 };
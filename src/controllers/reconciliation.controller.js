@@ -0,0 +1,144 @@
+const logger = require('../config/logger');
+const reconciliationRepo = require('../database/repositories/reconciliation.repository');
+const jobRepo = require('../database/repositories/job.repository');
+const reconciliationService = require('../services/sync/reconciliation.service');
+const jobWorker = require('../services/jobs/job-worker.service');
+const auditService = require('../services/audit/audit.service');
+const { JOBS } = require('../config/constants');
+
+const RECENT_RUNS = 10;
+const FINISHED_JOB_STATUSES = [JOBS.STATUS.COMPLETED, JOBS.STATUS.PARTIAL, JOBS.STATUS.FAILED];
+
+const formatItem = (item) => {
+  const action = reconciliationService.actionFor(item);
+  return {
+    id: item.id,
+    platform: item.platform,
+    store: item.store_name,
+    sku: item.sku,
+    issue: item.issue,
+    productType: item.product_type,
+    missingVariants: item.missing_variants,
+    targetRef: item.target_ref,
+    jobId: item.job_id,
+    actions: action ? [{ action, url: `/api/v1/reconciliation/items/${item.id}/enqueue` }] : []
+  };
+};
+
+const startReconciliation = async (req, res, next) => {
+  try {
+    const { options = {} } = req.body;
+
+    const active = await reconciliationRepo.findActiveRun();
+    if (active) {
+      return res.status(409).json({ success: false, error: `Reconciliation ${active.id} is still running` });
+    }
+
+    const run = await reconciliationService.run({ options, apiKeyId: req.apiKey?.id });
+
+    logger.info('Reconciliation started', { runId: run.id });
+
+    await auditService.logAction({
+      apiKeyId: req.apiKey?.id,
+      action: 'reconciliation:started',
+      resourceType: 'reconciliation_run',
+      resourceId: run.id,
+      metadata: { options },
+      status: 'success'
+    });
+
+    res.status(202).json({
+      success: true,
+      data: run,
+      statusUrl: `/api/v1/reconciliation/runs/${run.id}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const listReconciliationRuns = async (req, res, next) => {
+  try {
+    const runs = await reconciliationRepo.listRuns(RECENT_RUNS);
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getReconciliationRun = async (req, res, next) => {
+  try {
+    const run = await reconciliationRepo.findRunById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Reconciliation run not found' });
+    }
+
+    const { platform, store, issue, limit, offset } = req.query;
+    const items = await reconciliationRepo.findItems(run.id, {
+      platform,
+      storeName: store,
+      issue,
+      limit: limit ? Math.min(parseInt(limit, 10), 1000) : 100,
+      offset: offset ? parseInt(offset, 10) : 0
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...run,
+        items: items.data.map(formatItem),
+        total: items.total,
+        limit: items.limit,
+        offset: items.offset
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const enqueueReconciliationAction = async (req, res, next) => {
+  try {
+    const { action } = req.body;
+    const item = await reconciliationRepo.findItemById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({ success: false, error: 'Reconciliation item not found' });
+    }
+
+    const previousJob = item.job_id ? await jobRepo.findById(item.job_id) : null;
+    if (previousJob && !FINISHED_JOB_STATUSES.includes(previousJob.status)) {
+      return res.status(409).json({ success: false, error: `Job ${previousJob.id} for this item is still ${previousJob.status}` });
+    }
+
+    const job = await reconciliationService.enqueueAction(item, action, req.apiKey?.id);
+
+    jobWorker.wake();
+
+    await auditService.logAction({
+      apiKeyId: req.apiKey?.id,
+      action: 'reconciliation:action_queued',
+      resourceType: 'job',
+      resourceId: job.id,
+      metadata: { itemId: item.id, runId: item.run_id, platform: item.platform, store: item.store_name, sku: item.sku, action },
+      status: 'success'
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/v1/jobs/${job.id}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  startReconciliation,
+  listReconciliationRuns,
+  getReconciliationRun,
+  enqueueReconciliationAction
+};
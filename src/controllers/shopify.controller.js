@@ -2,6 +2,7 @@ const crypto = require('crypto');
 const config = require('../config');
 const storeRepo = require('../database/repositories/shopify-store.repository');
 const registry = require('../services/shopify/shopify-store-registry.service');
+const LocationMappingService = require('../services/shopify/location-mapping.service');
 const { service: oauth, canonicalShop, safeEqual } = require('../services/shopify/shopify-oauth.service');
 
 const cookieValue = req => (req.headers.cookie || '').split(';').map(v => v.trim().split('=')).find(([key]) => key === 'shopify_oauth_state')?.[1];
@@ -9,6 +10,11 @@ const page = (ok, message) => `<!doctype html><html><head><meta charset="utf-8">
 
 exports.connect = async (req, res) => res.status(201).json(await oauth.createConnect({ ...req.body, apiKeyId: req.apiKey?.id }));
 exports.list = async (_req, res) => res.json({ stores: await registry.list() });
+exports.locations = async (req, res) => {
+  const { alias } = await registry.resolve(req.params.alias);
+  const locations = await (await registry.getTargetService(alias)).getLocations();
+  res.json({ alias, locations, inventoryLocations: LocationMappingService.getMapping(alias) });
+};
 exports.start = async (req, res) => {
   const result = await oauth.start(req.query.ticket);
   res.cookie('shopify_oauth_state', result.state, { httpOnly: true, secure: true, sameSite: 'lax', maxAge: 10 * 60 * 1000, path: '/api/v1/shopify/oauth/callback' });
@@ -2,10 +2,12 @@ const logger = require('../config/logger');
 const PriceSyncService = require('../services/sync/price-sync.service');
 const { ValidationError } = require('../utils/error-handler');
 const ProductUpdateService = require('../services/sync/product-update.service');
+const InventorySyncService = require('../services/sync/inventory-sync.service');
 const auditService = require('../services/audit/audit.service');
 
 const priceSyncService = new PriceSyncService();
 const productUpdateService = new ProductUpdateService();
+const inventorySyncService = new InventorySyncService();
 
 const syncPrices = async (req, res, next) => {
   try {
@@ -25,7 +27,7 @@ const syncPrices = async (req, res, next) => {
       action: 'product:prices_synced',
       resourceType: 'product',
       resourceId: sku,
-      metadata: { targetMagentoStores: options.targetMagentoStores, targetShopifyStores: options.targetShopifyStores, success: result.success },
+      metadata: { targetMagentoStores: options.targetMagentoStores, targetShopifyStores: options.targetShopifyStores, targetWooCommerceStores: options.targetWooCommerceStores, success: result.success },
       status: result.success ? 'success' : 'partial',
       durationMs: Date.now() - startTime
     });
@@ -69,7 +71,39 @@ const updateProductFields = async (req, res, next) => {
   }
 };
 
+const syncInventory = async (req, res, next) => {
+  try {
+    const startTime = Date.now();
+    const { sku, options = {} } = req.body;
+
+    if (!sku) {
+      throw new ValidationError('SKU is required', [{ field: 'sku', message: 'SKU cannot be empty' }]);
+    }
+
+    logger.info('Inventory sync request received', { sku, options });
+
+    const result = await inventorySyncService.syncInventory(sku, options);
+
+    await auditService.logAction({
+      apiKeyId: req.apiKey?.id,
+      action: 'product:inventory_synced',
+      resourceType: 'product',
+      resourceId: sku,
+      metadata: { targetMagentoStores: options.targetMagentoStores, targetShopifyStores: options.targetShopifyStores, success: result.success },
+      status: result.success ? 'success' : 'partial',
+      durationMs: Date.now() - startTime
+    });
+
+    const statusCode = result.success ? 200 : 207;
+
+    res.status(statusCode).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   syncPrices,
-  updateProductFields
+  updateProductFields,
+  syncInventory
 };
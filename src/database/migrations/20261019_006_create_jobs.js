@@ -0,0 +1,40 @@
+exports.up = async function (knex) {
+  await knex.schema.createTable('jobs', (table) => {
+    table.uuid('id').primary().defaultTo(knex.fn.uuid());
+    table.string('type', 50).notNullable();
+    table.string('status', 20).notNullable().defaultTo('queued');
+    table.jsonb('options').defaultTo('{}');
+    table.uuid('api_key_id').nullable()
+      .references('id').inTable('api_keys').onDelete('SET NULL');
+    table.integer('total_items').notNullable().defaultTo(0);
+    table.timestamp('started_at');
+    table.timestamp('completed_at');
+    table.timestamps(true, true);
+
+    table.index('status');
+    table.index('created_at');
+  });
+
+  await knex.schema.createTable('job_items', (table) => {
+    table.uuid('id').primary().defaultTo(knex.fn.uuid());
+    table.uuid('job_id').notNullable()
+      .references('id').inTable('jobs').onDelete('CASCADE');
+    table.string('sku', 255).notNullable();
+    table.integer('position').notNullable();
+    table.string('status', 20).notNullable().defaultTo('pending');
+    table.jsonb('result');
+    table.text('error');
+    table.integer('attempts').notNullable().defaultTo(0);
+    table.timestamp('started_at');
+    table.timestamp('completed_at');
+    table.timestamps(true, true);
+
+    table.index(['job_id', 'position']);
+    table.index(['status', 'created_at']);
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('job_items');
+  await knex.schema.dropTableIfExists('jobs');
+};
@@ -0,0 +1,11 @@
+exports.up = function (knex) {
+  return knex.schema.alterTable('job_items', (table) => {
+    table.jsonb('phase_results');
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.alterTable('job_items', (table) => {
+    table.dropColumn('phase_results');
+  });
+};
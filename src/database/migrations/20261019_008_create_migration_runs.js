@@ -0,0 +1,38 @@
+exports.up = async function (knex) {
+  await knex.schema.createTable('migration_runs', (table) => {
+    table.uuid('id').primary().defaultTo(knex.fn.uuid());
+    table.string('sku', 255).notNullable();
+    table.string('target_platform', 20).notNullable();
+    table.jsonb('target_stores').defaultTo('[]');
+    table.string('status', 20).notNullable().defaultTo('running');
+    table.text('error');
+    table.timestamp('completed_at');
+    table.timestamp('rolled_back_at');
+    table.timestamps(true, true);
+
+    table.index('sku');
+    table.index('created_at');
+  });
+
+  await knex.schema.createTable('migration_run_entities', (table) => {
+    // Serial ID gives the creation order used for reverse-order rollback
+    table.bigIncrements('id').primary();
+    table.uuid('run_id').notNullable()
+      .references('id').inTable('migration_runs').onDelete('CASCADE');
+    table.string('store_name', 100).notNullable();
+    table.string('entity_type', 30).notNullable();
+    table.string('entity_key', 255).notNullable();
+    table.jsonb('data').defaultTo('{}');
+    table.string('status', 20).notNullable().defaultTo('created');
+    table.text('error');
+    table.timestamp('rolled_back_at');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['run_id', 'id']);
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('migration_run_entities');
+  await knex.schema.dropTableIfExists('migration_runs');
+};
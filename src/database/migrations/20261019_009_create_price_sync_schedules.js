@@ -0,0 +1,41 @@
+exports.up = async function (knex) {
+  await knex.schema.createTable('price_sync_schedules', (table) => {
+    table.uuid('id').primary().defaultTo(knex.fn.uuid());
+    table.string('name', 100).notNullable().unique();
+    table.string('cron', 100).notNullable();
+    table.string('sku_source', 20).notNullable().defaultTo('skus');
+    table.jsonb('skus').defaultTo('[]');
+    table.jsonb('options').defaultTo('{}');
+    table.boolean('enabled').notNullable().defaultTo(true);
+    table.timestamp('next_run_at');
+    table.timestamp('last_run_at');
+    table.uuid('api_key_id').nullable()
+      .references('id').inTable('api_keys').onDelete('SET NULL');
+    table.timestamps(true, true);
+
+    table.index(['enabled', 'next_run_at']);
+  });
+
+  await knex.schema.createTable('price_sync_runs', (table) => {
+    table.uuid('id').primary().defaultTo(knex.fn.uuid());
+    table.uuid('schedule_id').notNullable()
+      .references('id').inTable('price_sync_schedules').onDelete('CASCADE');
+    table.string('trigger', 20).notNullable();
+    table.string('status', 20).notNullable().defaultTo('running');
+    table.integer('total_skus').notNullable().defaultTo(0);
+    table.integer('succeeded').notNullable().defaultTo(0);
+    table.integer('failed').notNullable().defaultTo(0);
+    table.jsonb('failures').defaultTo('[]');
+    table.text('error');
+    table.timestamp('started_at').defaultTo(knex.fn.now());
+    table.timestamp('completed_at');
+
+    table.index(['schedule_id', 'started_at']);
+    table.index('status');
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('price_sync_runs');
+  await knex.schema.dropTableIfExists('price_sync_schedules');
+};
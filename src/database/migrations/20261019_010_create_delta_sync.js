@@ -0,0 +1,43 @@
+exports.up = async function (knex) {
+  await knex.schema.createTable('sync_watermarks', (table) => {
+    table.string('key', 100).primary();
+    // Source Magento updated_at ("YYYY-MM-DD HH:MM:SS", UTC), stored as Magento returns it
+    table.string('value', 30).notNullable();
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.createTable('delta_sync_runs', (table) => {
+    table.uuid('id').primary().defaultTo(knex.fn.uuid());
+    table.string('status', 20).notNullable().defaultTo('scanning');
+    table.string('since', 30).notNullable();
+    table.string('until', 30);
+    table.jsonb('options').defaultTo('{}');
+    table.jsonb('changes').defaultTo('{}');
+    table.integer('scanned').notNullable().defaultTo(0);
+    table.uuid('price_job_id').nullable()
+      .references('id').inTable('jobs').onDelete('SET NULL');
+    table.uuid('content_job_id').nullable()
+      .references('id').inTable('jobs').onDelete('SET NULL');
+    table.text('error');
+    table.uuid('api_key_id').nullable()
+      .references('id').inTable('api_keys').onDelete('SET NULL');
+    table.timestamps(true, true);
+    table.timestamp('completed_at');
+
+    table.index('status');
+    table.index('created_at');
+  });
+
+  await knex.schema.createTable('delta_sync_fingerprints', (table) => {
+    table.string('sku', 255).primary();
+    table.string('price_hash', 64);
+    table.string('content_hash', 64);
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('delta_sync_fingerprints');
+  await knex.schema.dropTableIfExists('delta_sync_runs');
+  await knex.schema.dropTableIfExists('sync_watermarks');
+};
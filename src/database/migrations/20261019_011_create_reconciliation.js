@@ -0,0 +1,42 @@
+exports.up = async function (knex) {
+  await knex.schema.createTable('reconciliation_runs', (table) => {
+    table.uuid('id').primary().defaultTo(knex.fn.uuid());
+    table.string('status', 20).notNullable().defaultTo('running');
+    table.jsonb('options').defaultTo('{}');
+    // Issue counts per target store, keyed "<platform>:<store>"
+    table.jsonb('summary').defaultTo('{}');
+    table.integer('scanned').notNullable().defaultTo(0);
+    table.text('error');
+    table.uuid('api_key_id').nullable()
+      .references('id').inTable('api_keys').onDelete('SET NULL');
+    table.timestamps(true, true);
+    table.timestamp('completed_at');
+
+    table.index('status');
+    table.index('created_at');
+  });
+
+  await knex.schema.createTable('reconciliation_items', (table) => {
+    table.uuid('id').primary().defaultTo(knex.fn.uuid());
+    table.uuid('run_id').notNullable()
+      .references('id').inTable('reconciliation_runs').onDelete('CASCADE');
+    table.string('platform', 20).notNullable();
+    table.string('store_name', 100).notNullable();
+    table.string('sku', 255).notNullable();
+    table.string('issue', 30).notNullable();
+    table.string('product_type', 30);
+    table.jsonb('missing_variants').defaultTo('[]');
+    // Shopify product GID of an orphaned variant
+    table.string('target_ref', 255);
+    table.uuid('job_id').nullable()
+      .references('id').inTable('jobs').onDelete('SET NULL');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['run_id', 'platform', 'store_name', 'issue']);
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('reconciliation_items');
+  await knex.schema.dropTableIfExists('reconciliation_runs');
+};
@@ -0,0 +1,16 @@
+exports.up = async function (knex) {
+  await knex.schema.createTable('magento_webhook_events', (table) => {
+    table.string('event_id', 255).primary();
+    table.string('event', 50).notNullable();
+    table.string('sku', 255).notNullable();
+    table.uuid('job_id').nullable()
+      .references('id').inTable('jobs').onDelete('SET NULL');
+    table.timestamp('received_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index('sku');
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('magento_webhook_events');
+};
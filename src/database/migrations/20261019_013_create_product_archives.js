@@ -0,0 +1,21 @@
+exports.up = async function (knex) {
+  await knex.schema.createTable('product_archives', (table) => {
+    table.uuid('id').primary().defaultTo(knex.fn.uuid());
+    table.string('sku', 255).notNullable();
+    table.string('platform', 30).notNullable();
+    table.string('store_name', 100).notNullable();
+    table.string('status', 20).notNullable().defaultTo('archived');
+    // What archiving changed, per SKU, so a restore can put it back exactly
+    table.jsonb('prior_state').notNullable().defaultTo('[]');
+    table.uuid('api_key_id').nullable()
+      .references('id').inTable('api_keys').onDelete('SET NULL');
+    table.timestamp('archived_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('restored_at');
+
+    table.index(['sku', 'platform', 'store_name', 'status']);
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('product_archives');
+};
@@ -0,0 +1,20 @@
+exports.up = async function (knex) {
+  await knex.schema.createTable('deletion_confirmations', (table) => {
+    table.uuid('id').primary().defaultTo(knex.fn.uuid());
+    table.string('token_hash', 64).notNullable().unique();
+    table.string('sku', 255).notNullable();
+    table.string('platform', 30).notNullable();
+    table.string('store_name', 100);
+    table.uuid('api_key_id').nullable()
+      .references('id').inTable('api_keys').onDelete('SET NULL');
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('used_at');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index('expires_at');
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('deletion_confirmations');
+};
@@ -0,0 +1,16 @@
+exports.up = async function (knex) {
+  await knex.schema.createTable('magento_stores', (table) => {
+    table.uuid('id').primary().defaultTo(knex.fn.uuid());
+    table.string('name', 64).notNullable().unique();
+    table.string('base_url', 500).notNullable();
+    table.jsonb('token_envelope').notNullable();
+    table.string('status', 20).notNullable().defaultTo('active');
+    table.timestamp('verified_at');
+    table.text('last_error');
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTableIfExists('magento_stores');
+};
@@ -0,0 +1,15 @@
+exports.up = function (knex) {
+  return knex.schema.alterTable('job_items', (table) => {
+    table.string('worker_id');
+    table.timestamp('heartbeat_at');
+    table.index(['status', 'heartbeat_at']);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.alterTable('job_items', (table) => {
+    table.dropIndex(['status', 'heartbeat_at']);
+    table.dropColumn('heartbeat_at');
+    table.dropColumn('worker_id');
+  });
+};
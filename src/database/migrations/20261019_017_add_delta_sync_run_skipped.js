@@ -0,0 +1,12 @@
+exports.up = function (knex) {
+  return knex.schema.alterTable('delta_sync_runs', (table) => {
+    // SKUs the scan could not read from the source, with the error
+    table.jsonb('skipped').defaultTo('[]');
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.alterTable('delta_sync_runs', (table) => {
+    table.dropColumn('skipped');
+  });
+};
@@ -0,0 +1,20 @@
+const TABLES = ['reconciliation_runs', 'delta_sync_runs'];
+
+exports.up = async function (knex) {
+  for (const name of TABLES) {
+    await knex.schema.alterTable(name, (table) => {
+      // Process scanning the run; its heartbeats show the scan is still alive
+      table.string('worker_id');
+      table.timestamp('heartbeat_at');
+    });
+  }
+};
+
+exports.down = async function (knex) {
+  for (const name of TABLES) {
+    await knex.schema.alterTable(name, (table) => {
+      table.dropColumn('heartbeat_at');
+      table.dropColumn('worker_id');
+    });
+  }
+};
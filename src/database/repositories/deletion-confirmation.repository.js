@@ -0,0 +1,38 @@
+const db = require('../connection');
+
+const TABLE = 'deletion_confirmations';
+
+module.exports = {
+  async create({ tokenHash, sku, platform, storeName, apiKeyId, expiresAt }) {
+    const [row] = await db(TABLE)
+      .insert({
+        token_hash: tokenHash,
+        sku,
+        platform,
+        store_name: storeName || null,
+        api_key_id: apiKeyId || null,
+        expires_at: expiresAt
+      })
+      .returning('*');
+    return row;
+  },
+
+  /**
+   * Mark a confirmation used if it is unused, unexpired and was issued for this deletion to
+   * the same API key.
+   * @param {string} tokenHash
+   * @param {Object} deletion - { sku, platform, storeName, apiKeyId }
+   * @returns {Promise<Object|null>} The used row, or null when the token cannot confirm it
+   */
+  async consume(tokenHash, { sku, platform, storeName, apiKeyId }) {
+    return db.transaction(async (trx) => {
+      const row = await trx(TABLE).where({ token_hash: tokenHash }).forUpdate().first();
+      if (!row || row.used_at || new Date(row.expires_at) <= new Date()) return null;
+      if (row.sku !== sku || row.platform !== platform || row.store_name !== (storeName || null)) return null;
+      if (row.api_key_id !== (apiKeyId || null)) return null;
+
+      const [updated] = await trx(TABLE).where({ id: row.id }).update({ used_at: trx.fn.now() }).returning('*');
+      return updated;
+    });
+  }
+};
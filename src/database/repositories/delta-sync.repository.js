@@ -0,0 +1,133 @@
+const db = require('../connection');
+const { DELTA_SYNC } = require('../../config/constants');
+
+const WATERMARKS_TABLE = 'sync_watermarks';
+const RUNS_TABLE = 'delta_sync_runs';
+const FINGERPRINTS_TABLE = 'delta_sync_fingerprints';
+
+const ACTIVE_RUN_STATUSES = [DELTA_SYNC.RUN_STATUS.SCANNING, DELTA_SYNC.RUN_STATUS.QUEUED];
+
+module.exports = {
+  async getWatermark(key) {
+    const row = await db(WATERMARKS_TABLE).where({ key }).first();
+    return row ? row.value : null;
+  },
+
+  /**
+   * Move a watermark forward. Values are Magento "YYYY-MM-DD HH:MM:SS" strings, which sort
+   * chronologically, so a run finishing late never moves the watermark backwards.
+   * @returns {Promise<string>} The stored watermark
+   */
+  async advanceWatermark(key, value) {
+    await db(WATERMARKS_TABLE)
+      .insert({ key, value })
+      .onConflict('key')
+      .merge({ value, updated_at: db.fn.now() })
+      .where(`${WATERMARKS_TABLE}.value`, '<', value);
+    return this.getWatermark(key);
+  },
+
+  /**
+   * @param {Object} params
+   * @param {string} [params.workerId] - Process running the scan; its heartbeats keep the run alive
+   */
+  async createRun({ since, options, apiKeyId, workerId }) {
+    const [row] = await db(RUNS_TABLE)
+      .insert({
+        since,
+        options: JSON.stringify(options || {}),
+        status: DELTA_SYNC.RUN_STATUS.SCANNING,
+        api_key_id: apiKeyId || null,
+        worker_id: workerId || null,
+        heartbeat_at: db.fn.now()
+      })
+      .returning('*');
+    return row;
+  },
+
+  async findRunById(id) {
+    return db(RUNS_TABLE).where({ id }).first();
+  },
+
+  async findActiveRun() {
+    return db(RUNS_TABLE)
+      .whereIn('status', ACTIVE_RUN_STATUSES)
+      .orderBy('created_at', 'desc')
+      .first();
+  },
+
+  async findRunByJobId(jobId) {
+    return db(RUNS_TABLE)
+      .where({ price_job_id: jobId })
+      .orWhere({ content_job_id: jobId })
+      .first();
+  },
+
+  async listRuns(limit = 20) {
+    return db(RUNS_TABLE)
+      .orderBy('created_at', 'desc')
+      .limit(limit);
+  },
+
+  async updateRun(id, fields) {
+    const update = { ...fields, updated_at: db.fn.now() };
+    if (fields.changes !== undefined) {
+      update.changes = JSON.stringify(fields.changes);
+    }
+    if (fields.skipped !== undefined) {
+      update.skipped = JSON.stringify(fields.skipped);
+    }
+
+    const [row] = await db(RUNS_TABLE)
+      .where({ id })
+      .update(update)
+      .returning('*');
+    return row;
+  },
+
+  /**
+   * Extend the lease of a run the worker is still scanning.
+   * @returns {Promise<number>} 0 when the run is no longer scanning
+   */
+  async heartbeatRun(id, workerId) {
+    return db(RUNS_TABLE)
+      .where({ id, worker_id: workerId, status: DELTA_SYNC.RUN_STATUS.SCANNING })
+      .update({ heartbeat_at: db.fn.now() });
+  },
+
+  /**
+   * Runs whose process stopped scanning can never queue their jobs. Only scans without a
+   * heartbeat for longer than the lease are closed, so scans of other live processes go on.
+   * @param {number} leaseTimeoutMs
+   * @returns {Promise<number>} Number of runs closed
+   */
+  async failInterruptedScans(leaseTimeoutMs) {
+    return db(RUNS_TABLE)
+      .where({ status: DELTA_SYNC.RUN_STATUS.SCANNING })
+      .whereRaw("COALESCE(heartbeat_at, updated_at) < now() - (? * interval '1 millisecond')", [leaseTimeoutMs])
+      .update({
+        status: DELTA_SYNC.RUN_STATUS.FAILED,
+        error: 'Interrupted: the server running it stopped',
+        completed_at: db.fn.now(),
+        updated_at: db.fn.now()
+      });
+  },
+
+  async findFingerprints(skus) {
+    if (skus.length === 0) return [];
+    return db(FINGERPRINTS_TABLE).whereIn('sku', skus);
+  },
+
+  /**
+   * Store the price or content hash last synced for a SKU.
+   * @param {string} sku
+   * @param {'price_hash'|'content_hash'} column
+   * @param {string} hash
+   */
+  async saveFingerprint(sku, column, hash) {
+    await db(FINGERPRINTS_TABLE)
+      .insert({ sku, [column]: hash })
+      .onConflict('sku')
+      .merge({ [column]: hash, updated_at: db.fn.now() });
+  }
+};
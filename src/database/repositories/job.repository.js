@@ -0,0 +1,226 @@
+const db = require('../connection');
+const { JOBS } = require('../../config/constants');
+
+const TABLE = 'jobs';
+const ITEMS_TABLE = 'job_items';
+
+const FINISHED_JOB_STATUSES = [JOBS.STATUS.COMPLETED, JOBS.STATUS.PARTIAL, JOBS.STATUS.FAILED];
+
+module.exports = {
+  /**
+   * @param {Object} params
+   * @param {Object} [conn=db] - Run inside a caller's transaction (as a savepoint)
+   */
+  async create({ type, options, apiKeyId, skus }, conn = db) {
+    return conn.transaction(async (trx) => {
+      const [job] = await trx(TABLE)
+        .insert({
+          type,
+          status: JOBS.STATUS.QUEUED,
+          options: JSON.stringify(options || {}),
+          api_key_id: apiKeyId || null,
+          total_items: skus.length
+        })
+        .returning('*');
+
+      const items = await trx(ITEMS_TABLE)
+        .insert(skus.map((sku, position) => ({
+          job_id: job.id,
+          sku,
+          position,
+          status: JOBS.ITEM_STATUS.PENDING
+        })))
+        .returning('*');
+
+      return { ...job, items };
+    });
+  },
+
+  async findById(id) {
+    return db(TABLE).where({ id }).first();
+  },
+
+  async findItems(jobId) {
+    return db(ITEMS_TABLE)
+      .where({ job_id: jobId })
+      .orderBy('position', 'asc');
+  },
+
+  async countItemsByStatus(jobId) {
+    const rows = await db(ITEMS_TABLE)
+      .where({ job_id: jobId })
+      .select('status')
+      .count('id as count')
+      .groupBy('status');
+
+    return rows.reduce((counts, row) => {
+      counts[row.status] = parseInt(row.count, 10);
+      return counts;
+    }, { pending: 0, running: 0, succeeded: 0, failed: 0 });
+  },
+
+  /**
+   * Atomically claim the oldest pending item across all jobs.
+   * SKIP LOCKED lets several workers poll the same table without double-claiming.
+   * @param {string} [workerId] - Claiming worker; its heartbeats keep the item's lease
+   * @returns {Promise<{item: Object, job: Object}|null>}
+   */
+  async claimNextItem(workerId = null) {
+    return db.transaction(async (trx) => {
+      const pending = await trx(ITEMS_TABLE)
+        .where({ status: JOBS.ITEM_STATUS.PENDING })
+        .orderBy([{ column: 'created_at' }, { column: 'position' }])
+        .forUpdate()
+        .skipLocked()
+        .first();
+
+      if (!pending) {
+        return null;
+      }
+
+      const [item] = await trx(ITEMS_TABLE)
+        .where({ id: pending.id })
+        .update({
+          status: JOBS.ITEM_STATUS.RUNNING,
+          attempts: trx.raw('attempts + 1'),
+          worker_id: workerId,
+          heartbeat_at: trx.fn.now(),
+          started_at: trx.fn.now(),
+          updated_at: trx.fn.now()
+        })
+        .returning('*');
+
+      await trx(TABLE)
+        .where({ id: item.job_id, status: JOBS.STATUS.QUEUED })
+        .update({ status: JOBS.STATUS.RUNNING, started_at: trx.fn.now(), updated_at: trx.fn.now() });
+
+      const job = await trx(TABLE).where({ id: item.job_id }).first();
+
+      return { item, job };
+    });
+  },
+
+  /**
+   * Record an item's outcome, provided the worker still holds its lease.
+   * @param {string} id
+   * @param {string|null} workerId - Worker that claimed the item
+   * @param {Object} outcome
+   * @returns {Promise<Object|null>} The updated item, or null when the lease was lost
+   *   (the item was re-queued or claimed by another worker)
+   */
+  async completeItem(id, workerId, { status, result, error, phaseResults }) {
+    const update = {
+      status,
+      result: result ? JSON.stringify(result) : null,
+      error: error || null,
+      completed_at: db.fn.now(),
+      updated_at: db.fn.now()
+    };
+
+    // Keep phase results from earlier attempts when this attempt produced none
+    if (phaseResults) {
+      update.phase_results = JSON.stringify(phaseResults);
+    }
+
+    const [row] = await db(ITEMS_TABLE)
+      .where({ id, worker_id: workerId, status: JOBS.ITEM_STATUS.RUNNING })
+      .update(update)
+      .returning('*');
+    return row || null;
+  },
+
+  /**
+   * Save the resume state of a running item, so it survives a restart before the item finishes.
+   * @returns {Promise<number>} 0 when the worker no longer holds the item's lease
+   */
+  async saveCheckpoint(id, workerId, phaseResults) {
+    return db(ITEMS_TABLE)
+      .where({ id, worker_id: workerId, status: JOBS.ITEM_STATUS.RUNNING })
+      .update({ phase_results: JSON.stringify(phaseResults), updated_at: db.fn.now() });
+  },
+
+  /**
+   * Extend the lease on every item a worker is running.
+   * @returns {Promise<number>} Number of items still held by the worker
+   */
+  async heartbeat(workerId) {
+    return db(ITEMS_TABLE)
+      .where({ status: JOBS.ITEM_STATUS.RUNNING, worker_id: workerId })
+      .update({ heartbeat_at: db.fn.now() });
+  },
+
+  /**
+   * Return items whose worker stopped mid-job to the queue. Only items without a heartbeat
+   * for longer than the lease are touched, so items live workers are running stay theirs.
+   * @param {number} leaseTimeoutMs
+   * @returns {Promise<number>} Number of items re-queued
+   */
+  async requeueInterruptedItems(leaseTimeoutMs) {
+    return db(ITEMS_TABLE)
+      .where({ status: JOBS.ITEM_STATUS.RUNNING })
+      .whereRaw(
+        "COALESCE(heartbeat_at, started_at, updated_at) < now() - (? * interval '1 millisecond')",
+        [leaseTimeoutMs]
+      )
+      .update({ status: JOBS.ITEM_STATUS.PENDING, worker_id: null, updated_at: db.fn.now() });
+  },
+
+  /**
+   * Re-queue failed items of a job and reopen the job if it had finished.
+   * Pending (never started) items are already queued and are left as-is.
+   * @returns {Promise<number>} Number of items re-queued
+   */
+  async retryFailedItems(jobId) {
+    return db.transaction(async (trx) => {
+      const retried = await trx(ITEMS_TABLE)
+        .where({ job_id: jobId, status: JOBS.ITEM_STATUS.FAILED })
+        .update({
+          status: JOBS.ITEM_STATUS.PENDING,
+          error: null,
+          started_at: null,
+          completed_at: null,
+          updated_at: trx.fn.now()
+        });
+
+      const [{ count }] = await trx(ITEMS_TABLE)
+        .where({ job_id: jobId, status: JOBS.ITEM_STATUS.PENDING })
+        .count('id as count');
+
+      if (parseInt(count, 10) > 0) {
+        await trx(TABLE)
+          .where({ id: jobId })
+          .whereIn('status', FINISHED_JOB_STATUSES)
+          .update({ status: JOBS.STATUS.QUEUED, completed_at: null, updated_at: trx.fn.now() });
+      }
+
+      return retried;
+    });
+  },
+
+  /**
+   * Mark the job finished once no item is pending or running.
+   * Returns the updated job only for the caller that actually finalized it,
+   * so completion side effects run once even with concurrent workers.
+   * @returns {Promise<Object|null>}
+   */
+  async finalizeIfDone(jobId) {
+    const counts = await this.countItemsByStatus(jobId);
+
+    if (counts.pending > 0 || counts.running > 0) {
+      return null;
+    }
+
+    let status = JOBS.STATUS.COMPLETED;
+    if (counts.failed > 0) {
+      status = counts.succeeded > 0 ? JOBS.STATUS.PARTIAL : JOBS.STATUS.FAILED;
+    }
+
+    const [row] = await db(TABLE)
+      .where({ id: jobId })
+      .whereNotIn('status', FINISHED_JOB_STATUSES)
+      .update({ status, completed_at: db.fn.now(), updated_at: db.fn.now() })
+      .returning('*');
+
+    return row ? { ...row, counts } : null;
+  }
+};
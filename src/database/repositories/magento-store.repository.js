@@ -0,0 +1,54 @@
+const db = require('../connection');
+
+const TABLE = 'magento_stores';
+
+module.exports = {
+  async list() {
+    return db(TABLE).orderBy('name');
+  },
+
+  /**
+   * Row count and newest updated_at. Both change whenever a store is added or updated.
+   * @returns {Promise<string>}
+   */
+  async getVersion() {
+    const row = await db(TABLE).count('id as count').max('updated_at as updatedAt').first();
+    return `${row.count}:${row.updatedAt ? new Date(row.updatedAt).toISOString() : ''}`;
+  },
+
+  async findByName(name) {
+    return db(TABLE).where({ name }).first();
+  },
+
+  /**
+   * Insert a store and write its token envelope, which is bound to the new row's ID.
+   * @param {Object} params
+   * @param {Function} params.encryptToken - (storeId) => envelope
+   */
+  async create({ name, baseUrl, encryptToken }) {
+    return db.transaction(async (trx) => {
+      const [row] = await trx(TABLE)
+        .insert({ name, base_url: baseUrl, token_envelope: JSON.stringify({}) })
+        .returning('*');
+
+      const [updated] = await trx(TABLE)
+        .where({ id: row.id })
+        .update({ token_envelope: JSON.stringify(encryptToken(row.id)) })
+        .returning('*');
+      return updated;
+    });
+  },
+
+  async update(id, fields) {
+    const update = { ...fields, updated_at: db.fn.now() };
+    if (fields.token_envelope !== undefined) {
+      update.token_envelope = JSON.stringify(fields.token_envelope);
+    }
+
+    const [row] = await db(TABLE)
+      .where({ id })
+      .update(update)
+      .returning('*');
+    return row;
+  }
+};
@@ -0,0 +1,36 @@
+const db = require('../connection');
+const jobRepo = require('./job.repository');
+
+const TABLE = 'magento_webhook_events';
+
+module.exports = {
+  /**
+   * Record a webhook delivery and queue its job in one transaction. Magento retries a
+   * delivery until it gets a 2xx, so an event ID that was already recorded is ignored.
+   * @param {Object} params
+   * @param {string} params.eventId
+   * @param {string} params.event
+   * @param {string} params.sku
+   * @param {Object} params.job - jobRepo.create params
+   * @returns {Promise<{duplicate: boolean, job?: Object}>}
+   */
+  async recordEvent({ eventId, event, sku, job }) {
+    return db.transaction(async (trx) => {
+      const inserted = await trx(TABLE)
+        .insert({ event_id: eventId, event, sku })
+        .onConflict('event_id')
+        .ignore()
+        .returning('event_id');
+      if (!inserted.length) return { duplicate: true };
+
+      const created = await jobRepo.create(job, trx);
+      await trx(TABLE).where({ event_id: eventId }).update({ job_id: created.id });
+
+      return { duplicate: false, job: created };
+    });
+  },
+
+  async findByEventId(eventId) {
+    return db(TABLE).where({ event_id: eventId }).first();
+  }
+};
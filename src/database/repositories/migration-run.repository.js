@@ -0,0 +1,113 @@
+const db = require('../connection');
+const { MIGRATION_RUNS } = require('../../config/constants');
+
+const TABLE = 'migration_runs';
+const ENTITIES_TABLE = 'migration_run_entities';
+
+module.exports = {
+  async create({ sku, targetPlatform, targetStores }) {
+    const [row] = await db(TABLE)
+      .insert({
+        sku,
+        target_platform: targetPlatform,
+        target_stores: JSON.stringify(targetStores || []),
+        status: MIGRATION_RUNS.STATUS.RUNNING
+      })
+      .returning('*');
+    return row;
+  },
+
+  async findById(id) {
+    return db(TABLE).where({ id }).first();
+  },
+
+  /**
+   * Platform and stores of every completed migration, oldest first.
+   * @returns {Promise<Array<{sku: string, target_platform: string, target_stores: string[]}>>}
+   */
+  async findCompletedTargets() {
+    return db(TABLE)
+      .where({ status: MIGRATION_RUNS.STATUS.COMPLETED })
+      .select('sku', 'target_platform', 'target_stores')
+      .orderBy('created_at', 'asc');
+  },
+
+  /**
+   * Close a running migration. Runs already rolled back are left as they are.
+   */
+  async finish(id, { status, error }) {
+    const [row] = await db(TABLE)
+      .where({ id, status: MIGRATION_RUNS.STATUS.RUNNING })
+      .update({
+        status,
+        error: error || null,
+        completed_at: db.fn.now(),
+        updated_at: db.fn.now()
+      })
+      .returning('*');
+    return row || null;
+  },
+
+  async updateStatus(id, status, fields = {}) {
+    const [row] = await db(TABLE)
+      .where({ id })
+      .update({ ...fields, status, updated_at: db.fn.now() })
+      .returning('*');
+    return row;
+  },
+
+  async addEntity(runId, { storeName, entityType, entityKey, data }) {
+    const [row] = await db(ENTITIES_TABLE)
+      .insert({
+        run_id: runId,
+        store_name: storeName,
+        entity_type: entityType,
+        entity_key: String(entityKey),
+        data: JSON.stringify(data || {})
+      })
+      .returning('*');
+    return row;
+  },
+
+  async findEntities(runId) {
+    return db(ENTITIES_TABLE)
+      .where({ run_id: runId })
+      .orderBy('id', 'asc');
+  },
+
+  /**
+   * Entities still present on the target (never rolled back, skipped as still in use, or
+   * whose rollback failed), newest first so they are removed in reverse creation order.
+   * @param {string} runId
+   * @param {string} [storeName] - Limit to one store
+   */
+  async findEntitiesToRollback(runId, storeName = null) {
+    const query = db(ENTITIES_TABLE)
+      .where({ run_id: runId })
+      .whereIn('status', [
+        MIGRATION_RUNS.ENTITY_STATUS.CREATED,
+        MIGRATION_RUNS.ENTITY_STATUS.SKIPPED,
+        MIGRATION_RUNS.ENTITY_STATUS.ROLLBACK_FAILED
+      ])
+      .orderBy('id', 'desc');
+
+    if (storeName) {
+      query.andWhere({ store_name: storeName });
+    }
+
+    return query;
+  },
+
+  async markEntity(id, { status, error }) {
+    const update = { status, error: error || null };
+    if (status === MIGRATION_RUNS.ENTITY_STATUS.ROLLED_BACK) {
+      update.rolled_back_at = db.fn.now();
+    }
+
+    const [row] = await db(ENTITIES_TABLE)
+      .where({ id })
+      .update(update)
+      .returning('*');
+    return row;
+  }
+};
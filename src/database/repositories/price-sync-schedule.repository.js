@@ -0,0 +1,131 @@
+const db = require('../connection');
+const { PRICE_SYNC_SCHEDULES } = require('../../config/constants');
+
+const TABLE = 'price_sync_schedules';
+const RUNS_TABLE = 'price_sync_runs';
+
+const toRow = (fields) => {
+  const row = {};
+  if (fields.name !== undefined) row.name = fields.name;
+  if (fields.cron !== undefined) row.cron = fields.cron;
+  if (fields.skuSource !== undefined) row.sku_source = fields.skuSource;
+  if (fields.skus !== undefined) row.skus = JSON.stringify(fields.skus || []);
+  if (fields.options !== undefined) row.options = JSON.stringify(fields.options || {});
+  if (fields.enabled !== undefined) row.enabled = fields.enabled;
+  if (fields.nextRunAt !== undefined) row.next_run_at = fields.nextRunAt;
+  return row;
+};
+
+module.exports = {
+  async create({ apiKeyId, ...fields }) {
+    const [row] = await db(TABLE)
+      .insert({ ...toRow(fields), api_key_id: apiKeyId || null })
+      .returning('*');
+    return row;
+  },
+
+  async findById(id) {
+    return db(TABLE).where({ id }).first();
+  },
+
+  async findByName(name) {
+    return db(TABLE).where({ name }).first();
+  },
+
+  async list() {
+    return db(TABLE).orderBy('name');
+  },
+
+  async update(id, fields) {
+    const [row] = await db(TABLE)
+      .where({ id })
+      .update({ ...toRow(fields), updated_at: db.fn.now() })
+      .returning('*');
+    return row || null;
+  },
+
+  async delete(id) {
+    return db(TABLE).where({ id }).del();
+  },
+
+  async findDue(now = new Date()) {
+    return db(TABLE)
+      .where({ enabled: true })
+      .where('next_run_at', '<=', now)
+      .orderBy('next_run_at', 'asc');
+  },
+
+  /**
+   * Move a due schedule to its next run time. Only succeeds if next_run_at is still the
+   * value that was read, so two processes polling the same table never both run it.
+   * @returns {Promise<Object|null>} Updated schedule, or null if another process claimed it
+   */
+  async claimDue(id, dueAt, nextRunAt) {
+    const [row] = await db(TABLE)
+      .where({ id, enabled: true, next_run_at: dueAt })
+      .update({ next_run_at: nextRunAt, last_run_at: db.fn.now(), updated_at: db.fn.now() })
+      .returning('*');
+    return row || null;
+  },
+
+  async touchLastRun(id) {
+    return db(TABLE).where({ id }).update({ last_run_at: db.fn.now(), updated_at: db.fn.now() });
+  },
+
+  async createRun(scheduleId, trigger) {
+    const [row] = await db(RUNS_TABLE)
+      .insert({
+        schedule_id: scheduleId,
+        trigger,
+        status: PRICE_SYNC_SCHEDULES.RUN_STATUS.RUNNING
+      })
+      .returning('*');
+    return row;
+  },
+
+  async updateRun(id, { totalSkus }) {
+    return db(RUNS_TABLE).where({ id }).update({ total_skus: totalSkus });
+  },
+
+  async finishRun(id, { status, succeeded, failed, failures, error }) {
+    const [row] = await db(RUNS_TABLE)
+      .where({ id })
+      .update({
+        status,
+        succeeded: succeeded || 0,
+        failed: failed || 0,
+        failures: JSON.stringify(failures || []),
+        error: error || null,
+        completed_at: db.fn.now()
+      })
+      .returning('*');
+    return row;
+  },
+
+  async findRunningRun(scheduleId) {
+    return db(RUNS_TABLE)
+      .where({ schedule_id: scheduleId, status: PRICE_SYNC_SCHEDULES.RUN_STATUS.RUNNING })
+      .first();
+  },
+
+  async listRuns(scheduleId, limit = 20) {
+    return db(RUNS_TABLE)
+      .where({ schedule_id: scheduleId })
+      .orderBy('started_at', 'desc')
+      .limit(limit);
+  },
+
+  /**
+   * Runs cannot survive a restart; mark the ones left running by a previous process as failed.
+   * @returns {Promise<number>} Number of runs closed
+   */
+  async failInterruptedRuns() {
+    return db(RUNS_TABLE)
+      .where({ status: PRICE_SYNC_SCHEDULES.RUN_STATUS.RUNNING })
+      .update({
+        status: PRICE_SYNC_SCHEDULES.RUN_STATUS.FAILED,
+        error: 'Interrupted by a server restart',
+        completed_at: db.fn.now()
+      });
+  }
+};
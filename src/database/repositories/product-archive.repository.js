@@ -0,0 +1,38 @@
+const db = require('../connection');
+const { PRODUCT_ARCHIVES } = require('../../config/constants');
+
+const TABLE = 'product_archives';
+
+module.exports = {
+  async create({ sku, platform, storeName, priorState, apiKeyId }) {
+    const [row] = await db(TABLE)
+      .insert({
+        sku,
+        platform,
+        store_name: storeName,
+        status: PRODUCT_ARCHIVES.STATUS.ARCHIVED,
+        prior_state: JSON.stringify(priorState),
+        api_key_id: apiKeyId || null
+      })
+      .returning('*');
+    return row;
+  },
+
+  /**
+   * The archive a restore would undo, if the product is currently archived in the store.
+   */
+  async findActive(sku, platform, storeName) {
+    return db(TABLE)
+      .where({ sku, platform, store_name: storeName, status: PRODUCT_ARCHIVES.STATUS.ARCHIVED })
+      .orderBy('archived_at', 'desc')
+      .first();
+  },
+
+  async markRestored(id) {
+    const [row] = await db(TABLE)
+      .where({ id })
+      .update({ status: PRODUCT_ARCHIVES.STATUS.RESTORED, restored_at: db.fn.now() })
+      .returning('*');
+    return row;
+  }
+};
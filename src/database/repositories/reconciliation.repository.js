@@ -0,0 +1,139 @@
+const db = require('../connection');
+const { RECONCILIATION } = require('../../config/constants');
+
+const RUNS_TABLE = 'reconciliation_runs';
+const ITEMS_TABLE = 'reconciliation_items';
+
+const INSERT_CHUNK_SIZE = 500;
+
+module.exports = {
+  /**
+   * @param {Object} params
+   * @param {string} [params.workerId] - Process running the scan; its heartbeats keep the run alive
+   */
+  async createRun({ options, apiKeyId, workerId }) {
+    const [row] = await db(RUNS_TABLE)
+      .insert({
+        options: JSON.stringify(options || {}),
+        status: RECONCILIATION.RUN_STATUS.RUNNING,
+        api_key_id: apiKeyId || null,
+        worker_id: workerId || null,
+        heartbeat_at: db.fn.now()
+      })
+      .returning('*');
+    return row;
+  },
+
+  async findRunById(id) {
+    return db(RUNS_TABLE).where({ id }).first();
+  },
+
+  async findActiveRun() {
+    return db(RUNS_TABLE)
+      .where({ status: RECONCILIATION.RUN_STATUS.RUNNING })
+      .orderBy('created_at', 'desc')
+      .first();
+  },
+
+  async listRuns(limit = 20) {
+    return db(RUNS_TABLE)
+      .orderBy('created_at', 'desc')
+      .limit(limit);
+  },
+
+  async updateRun(id, fields) {
+    const update = { ...fields, updated_at: db.fn.now() };
+    if (fields.summary !== undefined) {
+      update.summary = JSON.stringify(fields.summary);
+    }
+
+    const [row] = await db(RUNS_TABLE)
+      .where({ id })
+      .update(update)
+      .returning('*');
+    return row;
+  },
+
+  /**
+   * Extend the lease of a run the worker is still scanning.
+   * @returns {Promise<number>} 0 when the run is no longer running
+   */
+  async heartbeatRun(id, workerId) {
+    return db(RUNS_TABLE)
+      .where({ id, worker_id: workerId, status: RECONCILIATION.RUN_STATUS.RUNNING })
+      .update({ heartbeat_at: db.fn.now() });
+  },
+
+  /**
+   * Runs whose process stopped can never finish. Only runs without a heartbeat for longer
+   * than the lease are closed, so runs other live processes are scanning stay open.
+   * @param {number} leaseTimeoutMs
+   * @returns {Promise<number>} Number of runs closed
+   */
+  async failInterruptedRuns(leaseTimeoutMs) {
+    return db(RUNS_TABLE)
+      .where({ status: RECONCILIATION.RUN_STATUS.RUNNING })
+      .whereRaw("COALESCE(heartbeat_at, updated_at) < now() - (? * interval '1 millisecond')", [leaseTimeoutMs])
+      .update({
+        status: RECONCILIATION.RUN_STATUS.FAILED,
+        error: 'Interrupted: the server running it stopped',
+        completed_at: db.fn.now(),
+        updated_at: db.fn.now()
+      });
+  },
+
+  /**
+   * Store the issues found for one target store.
+   * @param {string} runId
+   * @param {Array<Object>} items - { platform, storeName, sku, issue, productType, missingVariants, targetRef }
+   */
+  async addItems(runId, items) {
+    if (items.length === 0) return;
+
+    const rows = items.map(item => ({
+      run_id: runId,
+      platform: item.platform,
+      store_name: item.storeName,
+      sku: item.sku,
+      issue: item.issue,
+      product_type: item.productType || null,
+      missing_variants: JSON.stringify(item.missingVariants || []),
+      target_ref: item.targetRef || null
+    }));
+
+    await db.batchInsert(ITEMS_TABLE, rows, INSERT_CHUNK_SIZE);
+  },
+
+  async findItems(runId, { platform, storeName, issue, limit = 100, offset = 0 } = {}) {
+    const query = db(ITEMS_TABLE).where({ run_id: runId });
+    if (platform) query.where({ platform });
+    if (storeName) query.where({ store_name: storeName });
+    if (issue) query.where({ issue });
+
+    const [{ count }] = await query.clone().count('id as count');
+
+    const data = await query
+      .orderBy([{ column: 'platform' }, { column: 'store_name' }, { column: 'sku' }])
+      .limit(limit)
+      .offset(offset);
+
+    return {
+      data,
+      total: parseInt(count, 10),
+      limit,
+      offset
+    };
+  },
+
+  async findItemById(id) {
+    return db(ITEMS_TABLE).where({ id }).first();
+  },
+
+  async setItemJob(id, jobId) {
+    const [row] = await db(ITEMS_TABLE)
+      .where({ id })
+      .update({ job_id: jobId })
+      .returning('*');
+    return row;
+  }
+};
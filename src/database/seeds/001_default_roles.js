@@ -10,10 +10,10 @@ exports.seed = async function (knex) {
       description: 'Day-to-day operations — migrations, sync, prompt management',
       permissions: JSON.stringify([
         'migrate:product', 'migrate:batch', 'migrate:shopify',
-        'sync:prices', 'sync:product-fields',
+        'sync:prices', 'sync:product-fields', 'sync:inventory', 'reconciliation:run',
         'product:delete',
         'ai:prompts:read', 'ai:prompts:write',
-        'audit:read'
+        'audit:read', 'jobs:read', 'migrations:read'
       ])
     },
     {
@@ -21,10 +21,10 @@ exports.seed = async function (knex) {
       description: 'Operations without delete — migrations, sync, prompt management',
       permissions: JSON.stringify([
         'migrate:product', 'migrate:batch', 'migrate:shopify',
-        'sync:prices', 'sync:product-fields',
+        'sync:prices', 'sync:product-fields', 'sync:inventory', 'reconciliation:run',
         'product:read',
         'ai:prompts:read', 'ai:prompts:write',
-        'audit:read'
+        'audit:read', 'jobs:read', 'migrations:read'
       ])
     },
     {
@@ -32,7 +32,7 @@ exports.seed = async function (knex) {
       description: 'Read-only — health, product lookup, view prompts and audit',
       permissions: JSON.stringify([
         'health:read', 'product:read',
-        'ai:prompts:read', 'audit:read'
+        'ai:prompts:read', 'audit:read', 'jobs:read', 'migrations:read'
       ])
     }
   ];
@@ -9,7 +9,8 @@ const {
   ImageProcessingError,
   DescriptionGenerationError,
   AuthenticationError,
-  AuthorizationError
+  AuthorizationError,
+  ClientError
 } = require('../utils/error-handler');
 
 const errorMiddleware = (err, req, res, next) => {
@@ -78,6 +79,14 @@ const errorMiddleware = (err, req, res, next) => {
     });
   }
 
+  if (err instanceof ClientError) {
+    return res.status(err.statusCode).json({
+      success: false,
+      error: err.name,
+      message: err.message
+    });
+  }
+
   return res.status(500).json({
     success: false,
     error: 'Internal Server Error',
@@ -1,22 +1,28 @@
 const { AuthorizationError } = require('../utils/error-handler');
 
-function permit(...requiredPermissions) {
-  return (req, res, next) => {
-    if (!req.apiKey) {
-      return next();
-    }
+/**
+ * Whether an API key holds every required permission. Requests without a key
+ * (auth disabled) are always allowed.
+ */
+function hasPermissions(apiKey, requiredPermissions) {
+  if (!apiKey) {
+    return true;
+  }
 
-    const userPermissions = req.apiKey.permissions || [];
+  const userPermissions = apiKey.permissions || [];
 
-    if (userPermissions.includes('*')) {
-      return next();
-    }
+  if (userPermissions.includes('*')) {
+    return true;
+  }
 
-    const hasPermission = requiredPermissions.every(
-      perm => userPermissions.includes(perm)
-    );
+  return requiredPermissions.every(
+    perm => userPermissions.includes(perm)
+  );
+}
 
-    if (!hasPermission) {
+function permit(...requiredPermissions) {
+  return (req, res, next) => {
+    if (!hasPermissions(req.apiKey, requiredPermissions)) {
       return next(new AuthorizationError(
         `Required permissions: ${requiredPermissions.join(', ')}`
       ));
@@ -27,3 +33,4 @@ function permit(...requiredPermissions) {
 }
 
 module.exports = permit;
+module.exports.hasPermissions = hasPermissions;
@@ -1,5 +1,6 @@
 const { validationResult } = require('express-validator');
 const { ValidationError } = require('../utils/error-handler');
+const sourceRegistry = require('../services/magento/source-registry.service');
 
 const validateRequest = (req, res, next) => {
   const errors = validationResult(req);
@@ -17,4 +18,16 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
-module.exports = { validateRequest };
+/**
+ * Optional source catalog name, e.g. validateSource(body('options.source')).
+ * @param {ValidationChain} field
+ * @param {Object} [options]
+ * @param {boolean} [options.magentoOnly=false] - Reject "shopify:<alias>" sources, for
+ *   operations only a Magento catalog supports
+ */
+const validateSource = (field, { magentoOnly = false } = {}) => field
+  .optional()
+  .custom(name => (magentoOnly ? sourceRegistry.names().includes(name) : sourceRegistry.has(name)))
+  .withMessage(`source must be one of: ${magentoOnly ? sourceRegistry.names().join(', ') : sourceRegistry.sourceList()}`);
+
+module.exports = { validateRequest, validateSource };
@@ -7,6 +7,10 @@ const keyRoutes = require('./key.routes');
 const promptRoutes = require('./prompt.routes');
 const auditRoutes = require('./audit.routes');
 const shopifyRoutes = require('./shopify.routes');
+const jobRoutes = require('./job.routes');
+const migrationRunRoutes = require('./migration-run.routes');
+const reconciliationRoutes = require('./reconciliation.routes');
+const magentoRoutes = require('./magento.routes');
 
 const router = express.Router();
 
@@ -18,5 +22,9 @@ router.use('/keys', keyRoutes);
 router.use('/prompts', promptRoutes);
 router.use('/audit', auditRoutes);
 router.use('/shopify', shopifyRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/migrations', migrationRunRoutes);
+router.use('/reconciliation', reconciliationRoutes);
+router.use('/magento', magentoRoutes);
 
 module.exports = router;
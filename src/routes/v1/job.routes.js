@@ -0,0 +1,43 @@
+const express = require('express');
+const { param } = require('express-validator');
+const { validateRequest } = require('../../middleware/validation.middleware');
+const asyncHandler = require('../../utils/async-handler');
+const auth = require('../../middleware/auth.middleware');
+const permit = require('../../middleware/permission.middleware');
+const { getJob, retryJob, streamJobEvents } = require('../../controllers/job.controller');
+
+const router = express.Router();
+
+router.use(auth());
+
+router.get(
+  '/:id',
+  permit('jobs:read'),
+  [
+    param('id').isUUID().withMessage('Job ID must be a valid UUID'),
+    validateRequest
+  ],
+  asyncHandler(getJob)
+);
+
+router.get(
+  '/:id/events',
+  permit('jobs:read'),
+  [
+    param('id').isUUID().withMessage('Job ID must be a valid UUID'),
+    validateRequest
+  ],
+  asyncHandler(streamJobEvents)
+);
+
+// The permission depends on the job type and is checked in retryJob
+router.post(
+  '/:id/retry',
+  [
+    param('id').isUUID().withMessage('Job ID must be a valid UUID'),
+    validateRequest
+  ],
+  asyncHandler(retryJob)
+);
+
+module.exports = router;
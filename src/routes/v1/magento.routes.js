@@ -0,0 +1,44 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { validateRequest } = require('../../middleware/validation.middleware');
+const asyncHandler = require('../../utils/async-handler');
+const auth = require('../../middleware/auth.middleware');
+const permit = require('../../middleware/permission.middleware');
+const controller = require('../../controllers/magento-store.controller');
+
+const router = express.Router();
+
+// Store credentials are admin-only, like API keys and Shopify onboarding
+router.use('/stores', auth(), permit('*'));
+
+const nameParam = param('name').notEmpty().withMessage('Store name is required').trim().toLowerCase();
+
+router.get('/stores', asyncHandler(controller.list));
+
+router.post(
+  '/stores',
+  [
+    body('name').isString().notEmpty().withMessage('name is required').trim(),
+    body('baseUrl').isString().notEmpty().withMessage('baseUrl is required').trim(),
+    body('token').isString().notEmpty().withMessage('token is required'),
+    validateRequest
+  ],
+  asyncHandler(controller.create)
+);
+
+router.post('/stores/:name/verify', [nameParam, validateRequest], asyncHandler(controller.verify));
+
+router.post('/stores/:name/disable', [nameParam, validateRequest], asyncHandler(controller.disable));
+
+router.post(
+  '/stores/:name/rotate',
+  [
+    nameParam,
+    body('token').isString().notEmpty().withMessage('token is required'),
+    body('baseUrl').optional().isString().trim(),
+    validateRequest
+  ],
+  asyncHandler(controller.rotate)
+);
+
+module.exports = router;
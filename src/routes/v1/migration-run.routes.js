@@ -0,0 +1,33 @@
+const express = require('express');
+const { param } = require('express-validator');
+const { validateRequest } = require('../../middleware/validation.middleware');
+const asyncHandler = require('../../utils/async-handler');
+const auth = require('../../middleware/auth.middleware');
+const permit = require('../../middleware/permission.middleware');
+const { getMigrationRun, rollbackMigrationRun } = require('../../controllers/migration-run.controller');
+
+const router = express.Router();
+
+router.use(auth());
+
+router.get(
+  '/:id',
+  permit('migrations:read'),
+  [
+    param('id').isUUID().withMessage('Migration ID must be a valid UUID'),
+    validateRequest
+  ],
+  asyncHandler(getMigrationRun)
+);
+
+router.post(
+  '/:id/rollback',
+  permit('product:delete'),
+  [
+    param('id').isUUID().withMessage('Migration ID must be a valid UUID'),
+    validateRequest
+  ],
+  asyncHandler(rollbackMigrationRun)
+);
+
+module.exports = router;
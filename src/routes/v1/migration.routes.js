@@ -1,13 +1,15 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { validateRequest } = require('../../middleware/validation.middleware');
+const { validateRequest, validateSource } = require('../../middleware/validation.middleware');
 const asyncHandler = require('../../utils/async-handler');
 const auth = require('../../middleware/auth.middleware');
 const permit = require('../../middleware/permission.middleware');
+const config = require('../../config');
 const {
   migrateProduct,
   migrateProductsBatch,
-  migrateProductToShopify
+  migrateProductToShopify,
+  migrateProductToWooCommerce
 } = require('../../controllers/migration.controller');
 
 const router = express.Router();
@@ -27,6 +29,14 @@ router.post(
       .isString()
       .notEmpty()
       .withMessage('Each target store code must be a non-empty string'),
+    body('options.dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be a boolean'),
+    body('options.rollbackOnFailure')
+      .optional()
+      .isBoolean()
+      .withMessage('rollbackOnFailure must be a boolean'),
     body('options.storePrompts')
       .optional()
       .isObject()
@@ -51,6 +61,7 @@ router.post(
         }
         return true;
       }),
+    validateSource(body('options.source')),
     validateRequest
   ],
   asyncHandler(migrateProduct)
@@ -96,6 +107,7 @@ router.post(
         }
         return true;
       }),
+    validateSource(body('options.source')),
     validateRequest
   ],
   asyncHandler(migrateProductsBatch)
@@ -115,9 +127,45 @@ router.post(
       .optional()
       .isString()
       .withMessage('shopifyStore must be a string'),
+    body('options.dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be a boolean'),
+    body('options.rollbackOnFailure')
+      .optional()
+      .isBoolean()
+      .withMessage('rollbackOnFailure must be a boolean'),
+    body('options.createMissingCollections')
+      .optional()
+      .isBoolean()
+      .withMessage('createMissingCollections must be a boolean'),
+    validateSource(body('options.source')),
     validateRequest
   ],
   asyncHandler(migrateProductToShopify)
 );
 
+router.post(
+  '/product/woocommerce',
+  auth(), permit('migrate:product'),
+  [
+    body('sku').notEmpty().withMessage('SKU is required').trim(),
+    body('options').isObject().withMessage('Options must be an object'),
+    body('options.woocommerceStore')
+      .custom(name => Object.keys(config.woocommerce.stores).includes(name))
+      .withMessage(`woocommerceStore must be one of: ${Object.keys(config.woocommerce.stores).join(', ') || 'none configured'}`),
+    body('options.includeImages')
+      .optional()
+      .isBoolean()
+      .withMessage('includeImages must be a boolean'),
+    body('options.productStatus')
+      .optional()
+      .isIn(['draft', 'pending', 'private', 'publish'])
+      .withMessage('productStatus must be one of: draft, pending, private, publish'),
+    validateSource(body('options.source')),
+    validateRequest
+  ],
+  asyncHandler(migrateProductToWooCommerce)
+);
+
 module.exports = router;
@@ -1,10 +1,10 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
-const { validateRequest } = require('../../middleware/validation.middleware');
+const { validateRequest, validateSource } = require('../../middleware/validation.middleware');
 const asyncHandler = require('../../utils/async-handler');
 const auth = require('../../middleware/auth.middleware');
 const permit = require('../../middleware/permission.middleware');
-const { generateDescription, deleteProduct, findParentProduct } = require('../../controllers/product.controller');
+const { generateDescription, deleteProduct, restoreProduct, findParentProduct, getProductDrift, queueDriftReport } = require('../../controllers/product.controller');
 
 const router = express.Router();
 
@@ -18,26 +18,92 @@ router.post(
   asyncHandler(generateDescription)
 );
 
+router.post(
+  '/drift',
+  auth(), permit('product:read'),
+  [
+    body('skus').isArray({ min: 1 }).withMessage('SKUs must be a non-empty array'),
+    body('skus.*').notEmpty().withMessage('Each SKU must be a non-empty string').trim(),
+    body('options').optional().isObject().withMessage('Options must be an object'),
+    body('options.targetMagentoStores')
+      .optional()
+      .isArray()
+      .withMessage('targetMagentoStores must be an array'),
+    body('options.targetMagentoStores.*')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('Each Magento target store code must be a non-empty string'),
+    body('options.targetShopifyStores')
+      .optional()
+      .isArray()
+      .withMessage('targetShopifyStores must be an array'),
+    body('options.targetShopifyStores.*')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('Each Shopify target store name must be a non-empty string'),
+    body('options.includeMagento')
+      .optional()
+      .isBoolean()
+      .withMessage('includeMagento must be a boolean'),
+    body('options.includeShopify')
+      .optional()
+      .isBoolean()
+      .withMessage('includeShopify must be a boolean'),
+    validateRequest
+  ],
+  asyncHandler(queueDriftReport)
+);
+
 router.delete(
   '/:sku',
   auth(), permit('product:delete'),
   [
     param('sku').notEmpty().withMessage('SKU is required').trim(),
-    query('platform').isIn(['source-magento', 'target-magento', 'target-shopify']).withMessage('platform must be one of: source-magento, target-magento, target-shopify'),
+    query('platform').isIn(['source-magento', 'target-magento', 'target-shopify', 'target-woocommerce', 'all-targets']).withMessage('platform must be one of: source-magento, target-magento, target-shopify, target-woocommerce, all-targets'),
     query('storeName').optional().trim(),
+    query('mode').optional().isIn(['delete', 'archive']).withMessage('mode must be one of: delete, archive'),
+    query('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean()
+      .custom((dryRun, { req }) => !(dryRun && req.query.mode === 'archive'))
+      .withMessage('dryRun is only supported for deletes, not mode=archive'),
+    query('confirmationToken').optional().isString().trim(),
     validateRequest
   ],
   asyncHandler(deleteProduct)
 );
 
+router.post(
+  '/:sku/restore',
+  auth(), permit('product:delete'),
+  [
+    param('sku').notEmpty().withMessage('SKU is required').trim(),
+    query('platform').isIn(['target-magento', 'target-shopify']).withMessage('platform must be one of: target-magento, target-shopify'),
+    query('storeName').notEmpty().withMessage('storeName is required').trim(),
+    validateRequest
+  ],
+  asyncHandler(restoreProduct)
+);
+
 router.get(
   '/:sku/parent',
   auth(), permit('product:read'),
   [
     param('sku').notEmpty().withMessage('SKU is required').trim(),
+    validateSource(query('source'), { magentoOnly: true }),
     validateRequest
   ],
   asyncHandler(findParentProduct)
 );
 
+router.get(
+  '/:sku/drift',
+  auth(), permit('product:read'),
+  [
+    param('sku').notEmpty().withMessage('SKU is required').trim(),
+    validateRequest
+  ],
+  asyncHandler(getProductDrift)
+);
+
 module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { validateRequest } = require('../../middleware/validation.middleware');
+const asyncHandler = require('../../utils/async-handler');
+const auth = require('../../middleware/auth.middleware');
+const permit = require('../../middleware/permission.middleware');
+const {
+  startReconciliation,
+  listReconciliationRuns,
+  getReconciliationRun,
+  enqueueReconciliationAction
+} = require('../../controllers/reconciliation.controller');
+const { RECONCILIATION } = require('../../config/constants');
+
+const router = express.Router();
+
+router.use(auth());
+
+router.post(
+  '/runs',
+  permit('reconciliation:run'),
+  [
+    body('options').optional().isObject().withMessage('Options must be an object'),
+    body('options.targetMagentoStores')
+      .optional()
+      .isArray()
+      .withMessage('targetMagentoStores must be an array'),
+    body('options.targetMagentoStores.*')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('Each Magento target store code must be a non-empty string'),
+    body('options.targetShopifyStores')
+      .optional()
+      .isArray()
+      .withMessage('targetShopifyStores must be an array'),
+    body('options.targetShopifyStores.*')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('Each Shopify target store name must be a non-empty string'),
+    body('options.includeMagento')
+      .optional()
+      .isBoolean()
+      .withMessage('includeMagento must be a boolean'),
+    body('options.includeShopify')
+      .optional()
+      .isBoolean()
+      .withMessage('includeShopify must be a boolean'),
+    validateRequest
+  ],
+  asyncHandler(startReconciliation)
+);
+
+router.get('/runs', permit('migrations:read'), asyncHandler(listReconciliationRuns));
+
+router.get(
+  '/runs/:id',
+  permit('migrations:read'),
+  [
+    param('id').isUUID().withMessage('Reconciliation run ID must be a valid UUID'),
+    query('platform').optional().isIn(Object.values(RECONCILIATION.PLATFORMS)).withMessage('platform must be magento or shopify'),
+    query('store').optional().isString().trim(),
+    query('issue').optional().isIn(Object.values(RECONCILIATION.ISSUES))
+      .withMessage(`issue must be one of: ${Object.values(RECONCILIATION.ISSUES).join(', ')}`),
+    query('limit').optional().isInt({ min: 1 }).withMessage('limit must be a positive integer'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('offset must be a non-negative integer'),
+    validateRequest
+  ],
+  asyncHandler(getReconciliationRun)
+);
+
+router.post(
+  '/items/:id/enqueue',
+  permit('migrate:batch', 'migrate:shopify'),
+  [
+    param('id').isUUID().withMessage('Reconciliation item ID must be a valid UUID'),
+    body('action').isIn(Object.values(RECONCILIATION.ACTIONS))
+      .withMessage(`action must be one of: ${Object.values(RECONCILIATION.ACTIONS).join(', ')}`),
+    validateRequest
+  ],
+  asyncHandler(enqueueReconciliationAction)
+);
+
+module.exports = router;
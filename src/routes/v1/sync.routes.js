@@ -1,10 +1,22 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { validateRequest } = require('../../middleware/validation.middleware');
+const { body, param, query } = require('express-validator');
+const { validateRequest, validateSource } = require('../../middleware/validation.middleware');
 const asyncHandler = require('../../utils/async-handler');
 const auth = require('../../middleware/auth.middleware');
 const permit = require('../../middleware/permission.middleware');
-const { syncPrices, updateProductFields } = require('../../controllers/sync.controller');
+const { syncPrices, updateProductFields, syncInventory } = require('../../controllers/sync.controller');
+const {
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runSchedule,
+  listScheduleRuns
+} = require('../../controllers/price-sync-schedule.controller');
+const { startDeltaSync, getDeltaSyncStatus, getDeltaSyncRun } = require('../../controllers/delta-sync.controller');
+const { nextRun } = require('../../utils/cron');
+const { PRICE_SYNC_SCHEDULES } = require('../../config/constants');
 
 const router = express.Router();
 
@@ -40,11 +52,67 @@ router.post(
       .optional()
       .isBoolean()
       .withMessage('includeShopify must be a boolean'),
+    body('options.targetWooCommerceStores')
+      .optional()
+      .isArray()
+      .withMessage('targetWooCommerceStores must be an array'),
+    body('options.targetWooCommerceStores.*')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('Each WooCommerce target store name must be a non-empty string'),
+    body('options.includeWooCommerce')
+      .optional()
+      .isBoolean()
+      .withMessage('includeWooCommerce must be a boolean'),
+    validateSource(body('options.source'), { magentoOnly: true }),
     validateRequest
   ],
   asyncHandler(syncPrices)
 );
 
+router.post(
+  '/inventory',
+  auth(), permit('sync:inventory'),
+  [
+    body('sku').notEmpty().withMessage('SKU is required').trim(),
+    body('options').optional().isObject().withMessage('Options must be an object'),
+    body('options.targetMagentoStores')
+      .optional()
+      .isArray()
+      .withMessage('targetMagentoStores must be an array'),
+    body('options.targetMagentoStores.*')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('Each Magento target store code must be a non-empty string'),
+    body('options.targetShopifyStores')
+      .optional()
+      .isArray()
+      .withMessage('targetShopifyStores must be an array'),
+    body('options.targetShopifyStores.*')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('Each Shopify target store name must be a non-empty string'),
+    body('options.includeMagento')
+      .optional()
+      .isBoolean()
+      .withMessage('includeMagento must be a boolean'),
+    body('options.includeShopify')
+      .optional()
+      .isBoolean()
+      .withMessage('includeShopify must be a boolean'),
+    body('options.shopifyLocationId')
+      .optional()
+      .matches(/^(\d+|gid:\/\/shopify\/Location\/\d+)$/)
+      .withMessage('shopifyLocationId must be a numeric location ID or Location GID'),
+    validateSource(body('options.source'), { magentoOnly: true }),
+    validateRequest
+  ],
+  asyncHandler(syncInventory)
+);
+
 router.post(
   '/product-fields',
   auth(), permit('sync:product-fields'),
@@ -77,9 +145,166 @@ router.post(
       .optional()
       .isBoolean()
       .withMessage('includeShopify must be a boolean'),
+    body('options.createMissingCollections')
+      .optional()
+      .isBoolean()
+      .withMessage('createMissingCollections must be a boolean'),
+    validateSource(body('options.source'), { magentoOnly: true }),
     validateRequest
   ],
   asyncHandler(updateProductFields)
 );
 
+const scheduleIdValidator = param('id').isUUID().withMessage('Schedule ID must be a valid UUID');
+
+// Shared by create and update; on update every field is optional
+const scheduleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().trim().notEmpty().withMessage('name is required'),
+    field('cron')
+      .isString()
+      .withMessage('cron is required')
+      .bail()
+      .custom(value => {
+        nextRun(value);
+        return true;
+      }),
+    body('skuSource')
+      .optional()
+      .isIn(Object.values(PRICE_SYNC_SCHEDULES.SKU_SOURCES))
+      .withMessage(`skuSource must be one of: ${Object.values(PRICE_SYNC_SCHEDULES.SKU_SOURCES).join(', ')}`),
+    body('skus').optional().isArray().withMessage('skus must be an array'),
+    body('skus.*').isString().trim().notEmpty().withMessage('Each SKU must be a non-empty string'),
+    body('options').optional().isObject().withMessage('Options must be an object'),
+    body('options.targetMagentoStores')
+      .optional()
+      .isArray()
+      .withMessage('targetMagentoStores must be an array'),
+    body('options.targetMagentoStores.*')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('Each Magento target store code must be a non-empty string'),
+    body('options.targetShopifyStores')
+      .optional()
+      .isArray()
+      .withMessage('targetShopifyStores must be an array'),
+    body('options.targetShopifyStores.*')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('Each Shopify target store name must be a non-empty string'),
+    body('options.includeMagento')
+      .optional()
+      .isBoolean()
+      .withMessage('includeMagento must be a boolean'),
+    body('options.includeShopify')
+      .optional()
+      .isBoolean()
+      .withMessage('includeShopify must be a boolean'),
+    body('enabled').optional().isBoolean().withMessage('enabled must be a boolean'),
+    validateRequest
+  ];
+};
+
+router.get('/schedules', auth(), permit('sync:prices'), asyncHandler(listSchedules));
+
+router.post(
+  '/schedules',
+  auth(), permit('sync:prices'),
+  scheduleValidators(false),
+  asyncHandler(createSchedule)
+);
+
+router.get(
+  '/schedules/:id',
+  auth(), permit('sync:prices'),
+  [scheduleIdValidator, validateRequest],
+  asyncHandler(getSchedule)
+);
+
+router.patch(
+  '/schedules/:id',
+  auth(), permit('sync:prices'),
+  [scheduleIdValidator, ...scheduleValidators(true)],
+  asyncHandler(updateSchedule)
+);
+
+router.delete(
+  '/schedules/:id',
+  auth(), permit('sync:prices'),
+  [scheduleIdValidator, validateRequest],
+  asyncHandler(deleteSchedule)
+);
+
+router.post(
+  '/schedules/:id/run',
+  auth(), permit('sync:prices'),
+  [scheduleIdValidator, validateRequest],
+  asyncHandler(runSchedule)
+);
+
+router.get(
+  '/schedules/:id/runs',
+  auth(), permit('sync:prices'),
+  [
+    scheduleIdValidator,
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+    validateRequest
+  ],
+  asyncHandler(listScheduleRuns)
+);
+
+// Delta sync queues both price and content sync jobs, so it needs both permissions
+router.post(
+  '/delta',
+  auth(), permit('sync:prices', 'sync:product-fields'),
+  [
+    body('since').optional().isISO8601().withMessage('since must be an ISO 8601 date'),
+    body('options').optional().isObject().withMessage('Options must be an object'),
+    body('options.targetMagentoStores')
+      .optional()
+      .isArray()
+      .withMessage('targetMagentoStores must be an array'),
+    body('options.targetMagentoStores.*')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('Each Magento target store code must be a non-empty string'),
+    body('options.targetShopifyStores')
+      .optional()
+      .isArray()
+      .withMessage('targetShopifyStores must be an array'),
+    body('options.targetShopifyStores.*')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('Each Shopify target store name must be a non-empty string'),
+    body('options.includeMagento')
+      .optional()
+      .isBoolean()
+      .withMessage('includeMagento must be a boolean'),
+    body('options.includeShopify')
+      .optional()
+      .isBoolean()
+      .withMessage('includeShopify must be a boolean'),
+    validateRequest
+  ],
+  asyncHandler(startDeltaSync)
+);
+
+router.get('/delta', auth(), permit('sync:prices', 'sync:product-fields'), asyncHandler(getDeltaSyncStatus));
+
+router.get(
+  '/delta/runs/:id',
+  auth(), permit('sync:prices', 'sync:product-fields'),
+  [
+    param('id').isUUID().withMessage('Delta sync run ID must be a valid UUID'),
+    validateRequest
+  ],
+  asyncHandler(getDeltaSyncRun)
+);
+
 module.exports = router;
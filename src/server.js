@@ -3,6 +3,11 @@ const config = require('./config');
 const logger = require('./config/logger');
 const db = require('./database/connection');
 const shopifyRegistry = require('./services/shopify/shopify-store-registry.service');
+const magentoStoreRegistry = require('./services/magento/magento-store-registry.service');
+const jobWorker = require('./services/jobs/job-worker.service');
+const priceSyncScheduler = require('./services/sync/price-sync-scheduler.service');
+const deltaSyncService = require('./services/sync/delta-sync.service');
+const reconciliationService = require('./services/sync/reconciliation.service');
 
 const PORT = config.server.port;
 
@@ -15,6 +20,10 @@ const startServer = async () => {
     logger.info('Running database seeds...');
     await db.seed.run();
     logger.info('Database seeds complete');
+
+    const databaseStores = await magentoStoreRegistry.load();
+    magentoStoreRegistry.startRefresh(config.magentoStoreRegistry.refreshIntervalMs);
+    logger.info('Magento store registry loaded', { databaseStores });
   } catch (error) {
     logger.error('Database initialization failed', { error: error.message });
     process.exit(1);
@@ -25,7 +34,9 @@ const startServer = async () => {
       port: PORT,
       environment: config.server.env,
       sourceUrl: config.source.baseUrl,
-      magentoStores: Object.keys(config.magentoStores)
+      sources: Object.keys(config.sources),
+      magentoStores: magentoStoreRegistry.storeNames(),
+      woocommerceStores: Object.keys(config.woocommerce.stores)
     });
 
     logger.info(`API Documentation: http://localhost:${PORT}/api`);
@@ -38,8 +49,26 @@ const startServer = async () => {
   }, 24 * 60 * 60 * 1000);
   maintenanceTimer.unref();
 
+  // Close scans left by a stopped server, at start-up and whenever their lease runs out
+  const recoverInterruptedRuns = () => {
+    deltaSyncService.recoverInterruptedScans().catch(error => logger.error('Delta sync recovery failed', { error: error.message }));
+    reconciliationService.recoverInterruptedRuns().catch(error => logger.error('Reconciliation recovery failed', { error: error.message }));
+  };
+  recoverInterruptedRuns();
+  const recoveryTimer = setInterval(recoverInterruptedRuns, config.jobs.leaseTimeoutMs);
+  recoveryTimer.unref();
+  jobWorker.start().catch(error => logger.error('Job worker failed to start', { error: error.message }));
+
+  if (config.priceSync.schedulerEnabled) {
+    priceSyncScheduler.start().catch(error => logger.error('Price sync scheduler failed to start', { error: error.message }));
+  }
+
   const gracefulShutdown = (signal) => {
     clearInterval(maintenanceTimer);
+    clearInterval(recoveryTimer);
+    magentoStoreRegistry.stopRefresh();
+    jobWorker.stop();
+    priceSyncScheduler.stop();
     logger.info(`${signal} received, shutting down gracefully`);
 
     server.close(async () => {
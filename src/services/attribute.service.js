@@ -5,6 +5,7 @@ class AttributeService {
   constructor(sourceService) {
     this.sourceService = sourceService;
     this.limit = pLimit(5);
+    this.optionsCache = new Map();
   }
 
   async translateAttributeSet(attributeSetId) {
@@ -129,6 +130,36 @@ class AttributeService {
     return translations;
   }
 
+  /**
+   * Translate a custom attribute value to labels: a select value to its option label, a
+   * multiselect value ("12,15") to one label per option. Attributes without options (text,
+   * numbers) return the raw value. Options are fetched once per attribute code.
+   * @returns {Promise<Array>} Labels, or [value]; empty when the value is empty
+   */
+  async translateAttributeValue(attributeCode, value) {
+    if (value === null || value === undefined || value === '') return [];
+
+    if (!this.optionsCache.has(attributeCode)) {
+      this.optionsCache.set(attributeCode, this.fetchAttributeOptions(attributeCode));
+    }
+    const options = (await this.optionsCache.get(attributeCode)).filter(opt => opt.value !== '');
+    if (options.length === 0) return [value];
+
+    return String(value).split(',').map(id => {
+      const option = options.find(opt => opt.value === id.trim());
+      return option?.label || id.trim();
+    });
+  }
+
+  async fetchAttributeOptions(attributeCode) {
+    try {
+      return (await this.sourceService.getAttributeOptions(attributeCode)) || [];
+    } catch (error) {
+      logger.warn('Failed to fetch attribute options', { attributeCode, error: error.message });
+      return [];
+    }
+  }
+
   async translateBrandAttribute(product) {
     if (!product.custom_attributes) return null;
 
@@ -8,7 +8,10 @@ class CategoryMappingService {
     this.mappings = [];
     this.sourceToShopify = new Map();
     this.sourceToTargetMagento = new Map();
+    this.sourceToWooCommerce = new Map();
     this.sourceToShopifyByStore = new Map(); // Map<storeName, Map<sourceKey, shopifyType>>
+    this.sourceToShopifyCollections = new Map(); // Map<sourceKey, string[]>
+    this.sourceToShopifyCollectionsByStore = new Map(); // Map<storeName, Map<sourceKey, string[]>>
     this.loaded = false;
   }
 
@@ -41,6 +44,10 @@ class CategoryMappingService {
           this.sourceToTargetMagento.set(sourceKey, mapping.targetMagento);
         }
 
+        if (mapping.woocommerce) {
+          this.sourceToWooCommerce.set(sourceKey, mapping.woocommerce);
+        }
+
         // Build per-store Shopify mappings
         if (mapping.shopifyStores) {
           for (const [storeName, storeType] of Object.entries(mapping.shopifyStores)) {
@@ -51,6 +58,21 @@ class CategoryMappingService {
             this.sourceToShopifyByStore.get(storeKey).set(sourceKey, storeType);
           }
         }
+
+        if (mapping.shopifyCollections) {
+          this.sourceToShopifyCollections.set(sourceKey, mapping.shopifyCollections);
+        }
+
+        // Per-store collections replace the default list for that store
+        if (mapping.shopifyStoreCollections) {
+          for (const [storeName, collections] of Object.entries(mapping.shopifyStoreCollections)) {
+            const storeKey = storeName.toLowerCase();
+            if (!this.sourceToShopifyCollectionsByStore.has(storeKey)) {
+              this.sourceToShopifyCollectionsByStore.set(storeKey, new Map());
+            }
+            this.sourceToShopifyCollectionsByStore.get(storeKey).set(sourceKey, collections);
+          }
+        }
       }
 
       this.loaded = true;
@@ -59,6 +81,8 @@ class CategoryMappingService {
         mappingCount: this.mappings.length,
         shopifyMappings: this.sourceToShopify.size,
         magentoMappings: this.sourceToTargetMagento.size,
+        woocommerceMappings: this.sourceToWooCommerce.size,
+        collectionMappings: this.sourceToShopifyCollections.size,
         storeSpecificMappings: this.sourceToShopifyByStore.size
       });
     } catch (error) {
@@ -116,6 +140,36 @@ class CategoryMappingService {
     return null;
   }
 
+  /**
+   * Get the Shopify collections (handles or titles) the given source categories map to, from
+   * the `shopifyStoreCollections` entry for the store or else the `shopifyCollections` list.
+   * Unlike the product type, every matching category contributes. Unmapped categories add none.
+   * @param {string[]} sourceCategoryNames - Array of source category names
+   * @param {string|null} storeName - Optional store name for store-specific mappings
+   * @returns {string[]} - Collection handles or titles, without duplicates
+   */
+  getShopifyCollections(sourceCategoryNames, storeName = null) {
+    this.loadMappings();
+
+    const storeMap = storeName ? this.sourceToShopifyCollectionsByStore.get(storeName.toLowerCase()) : null;
+    const collections = [];
+    const seen = new Set();
+
+    for (const categoryName of sourceCategoryNames || []) {
+      const key = categoryName.toLowerCase();
+      const mapped = storeMap?.has(key) ? storeMap.get(key) : this.sourceToShopifyCollections.get(key);
+
+      for (const collection of mapped || []) {
+        if (!seen.has(collection.toLowerCase())) {
+          seen.add(collection.toLowerCase());
+          collections.push(collection);
+        }
+      }
+    }
+
+    return collections;
+  }
+
   /**
    * Get the target Magento category names for the given source category names.
    * Maps all matching source categories to their target equivalents.
@@ -161,6 +215,29 @@ class CategoryMappingService {
     return targetCategories;
   }
 
+  /**
+   * Get the WooCommerce category names for the given source category names, from the
+   * `woocommerce` field of each mapping. Unmapped categories pass through unchanged.
+   * @param {string[]} sourceCategoryNames - Array of source category names
+   * @returns {string[]} - Array of WooCommerce category names, without duplicates
+   */
+  getWooCommerceCategories(sourceCategoryNames) {
+    this.loadMappings();
+
+    const categories = [];
+    const seen = new Set();
+
+    for (const categoryName of sourceCategoryNames || []) {
+      const targetName = this.sourceToWooCommerce.get(categoryName.toLowerCase()) || categoryName;
+      if (!seen.has(targetName.toLowerCase())) {
+        seen.add(targetName.toLowerCase());
+        categories.push(targetName);
+      }
+    }
+
+    return categories;
+  }
+
   /**
    * Check if a source category has a mapping defined
    * @param {string} sourceCategoryName - The source category name
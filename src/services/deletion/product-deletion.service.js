@@ -1,9 +1,22 @@
+const crypto = require('crypto');
 const logger = require('../../config/logger');
 const config = require('../../config');
+const magentoStoreRegistry = require('../magento/magento-store-registry.service');
 const SourceService = require('../magento/source.service');
 const TargetService = require('../magento/target.service');
 const ShopifyTargetService = require('../shopify/shopify-target.service');
 const shopifyRegistry = require('../shopify/shopify-store-registry.service');
+const WooCommerceTargetService = require('../woocommerce/woocommerce-target.service');
+const productArchiveRepo = require('../../database/repositories/product-archive.repository');
+const deletionConfirmationRepo = require('../../database/repositories/deletion-confirmation.repository');
+const { MAGENTO_API } = require('../../config/constants');
+const { ClientError } = require('../../utils/error-handler');
+
+const ARCHIVE_PLATFORMS = ['target-magento', 'target-shopify'];
+const SHOPIFY_ARCHIVED_STATUS = 'ARCHIVED';
+const CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+
+const hash = value => crypto.createHash('sha256').update(value).digest('hex');
 
 class ProductDeletionService {
   /**
@@ -16,11 +29,10 @@ class ProductDeletionService {
       case 'target-magento':
         return TargetService.getInstanceForStore(storeName);
       case 'target-shopify': return shopifyRegistry.getTargetService(storeName);
+      case 'target-woocommerce':
+        return WooCommerceTargetService.getInstanceForStore(storeName);
       default:
-        throw Object.assign(
-          new Error(`Invalid platform: ${platform}`),
-          { statusCode: 400 }
-        );
+        throw new ClientError(`Invalid platform: ${platform}`, 400);
     }
   }
 
@@ -37,7 +49,7 @@ class ProductDeletionService {
       const product = await service.getProductById(productId);
       return product ? { ...product, _shopifyProductId: product.id } : null;
     }
-    // Magento (source or target)
+    // WooCommerce and Magento look products up by SKU; WooCommerce returns the parent only
     return await service.getProductBySku(sku);
   }
 
@@ -51,6 +63,9 @@ class ProductDeletionService {
       // Only treat as "children" if there are multiple variants
       return variants.length > 1 ? variants : [];
     }
+    if (platform === 'target-woocommerce') {
+      return product.type === 'variable' ? await service.getVariations(product.id) : [];
+    }
     // Magento configurable product
     if (product.type_id === 'configurable') {
       return await service.getConfigurableChildren(sku);
@@ -62,6 +77,12 @@ class ProductDeletionService {
    * Delete a single product/variant from the platform.
    */
   async _deleteSingle(service, identifier, platform) {
+    if (platform === 'target-woocommerce') {
+      // identifier is { productId } for a product, plus variationId for a variation
+      return identifier.variationId
+        ? await service.deleteVariation(identifier.productId, identifier.variationId)
+        : await service.deleteProduct(identifier.productId);
+    }
     if (platform === 'target-shopify') {
       // identifier is a Shopify product ID (gid://...)
       return await service.deleteProduct(identifier);
@@ -70,15 +91,33 @@ class ProductDeletionService {
     return await service.deleteProduct(identifier);
   }
 
+  _parentIdentifier(product, sku, platform) {
+    if (platform === 'target-shopify') return product._shopifyProductId;
+    if (platform === 'target-woocommerce') return { productId: product.id };
+    return sku;
+  }
+
+  _childIdentifier(child, platform) {
+    if (platform === 'target-shopify') return child.id;
+    if (platform === 'target-woocommerce') return { productId: child.parent_id, variationId: child.id };
+    return child.sku;
+  }
+
   /**
    * Delete a product by SKU from the specified platform.
    * @param {Object} params
    * @param {string} params.sku - Product SKU
-   * @param {string} params.platform - One of: source-magento, target-magento, target-shopify
+   * @param {string} params.platform - One of: source-magento, target-magento, target-shopify,
+   *   target-woocommerce, all-targets
    * @param {string} [params.storeName] - Required for target platforms
-   * @returns {Object} Result with success, sku, deletedSkus, failedSkus
+   * @returns {Object} Result with success, sku, deletedSkus, failedSkus. For all-targets, one
+   *   result per store in `stores` (see deleteFromTargets)
    */
   async deleteProduct({ sku, platform, storeName }) {
+    if (platform === 'all-targets') {
+      return this._deleteFromAllTargets(sku);
+    }
+
     logger.info('Starting product deletion', { sku, platform, storeName });
 
     const service = await this._getService(platform, storeName);
@@ -88,9 +127,7 @@ class ProductDeletionService {
     // 1. Fetch product to verify it exists
     const product = await this._fetchProduct(service, sku, platform);
     if (!product) {
-      const err = new Error(`Product not found: ${sku}`);
-      err.statusCode = 404;
-      throw err;
+      throw new ClientError(`Product not found: ${sku}`, 404);
     }
 
     // 2. Fetch children if configurable/multi-variant
@@ -98,8 +135,8 @@ class ProductDeletionService {
 
     // 3. Delete children first (stop on failure)
     for (const child of children) {
-      const childIdentifier = platform === 'target-shopify' ? child.id : child.sku;
-      const childSku = child.sku || childIdentifier;
+      const childIdentifier = this._childIdentifier(child, platform);
+      const childSku = child.sku || child.id;
       try {
         await this._deleteSingle(service, childIdentifier, platform);
         deletedSkus.push(childSku);
@@ -121,7 +158,7 @@ class ProductDeletionService {
 
     // 4. Delete the parent product
     try {
-      const parentIdentifier = platform === 'target-shopify' ? product._shopifyProductId : sku;
+      const parentIdentifier = this._parentIdentifier(product, sku, platform);
       await this._deleteSingle(service, parentIdentifier, platform);
       deletedSkus.push(sku);
       logger.info('Parent product deleted', { sku });
@@ -163,6 +200,337 @@ class ProductDeletionService {
       deletedSkus
     };
   }
+
+  /**
+   * Delete a product by SKU from every target store it exists in. Stores without the
+   * product are reported as not found rather than failed.
+   * @param {string} sku - Product SKU
+   * @param {Object} [options]
+   * @param {boolean} [options.includeMagento=true]
+   * @param {boolean} [options.includeShopify=true]
+   * @param {boolean} [options.includeWooCommerce=true]
+   * @returns {Object} Result with success, sku, stores (keyed "magento:<store>", "shopify:<store>"
+   *   or "woocommerce:<store>"), errors
+   */
+  async deleteFromTargets(sku, options = {}) {
+    const stores = {};
+    const errors = [];
+
+    for (const { platform, key, storeName } of await this._targetStores(options)) {
+      try {
+        stores[key] = await this.deleteProduct({ sku, platform, storeName });
+        if (!stores[key].success) {
+          errors.push({ store: key, message: stores[key].error });
+        }
+      } catch (error) {
+        if (error.statusCode === 404) {
+          stores[key] = { success: true, sku, platform, storeName, notFound: true, deletedSkus: [] };
+          continue;
+        }
+        logger.error('Target deletion failed', { sku, store: key, error: error.message });
+        stores[key] = { success: false, sku, platform, storeName, deletedSkus: [], error: error.message };
+        errors.push({ store: key, message: error.message });
+      }
+    }
+
+    logger.info('Target deletion complete', { sku, stores: Object.keys(stores).length, failed: errors.length });
+    return { success: errors.length === 0, sku, stores, errors };
+  }
+
+  /**
+   * Preview a deletion without changing anything: the parent and every child or variant
+   * deleteProduct would remove, with a single-use confirmation token. deleteProduct only
+   * runs for the same SKU, platform and store with that token, within five minutes.
+   * @param {Object} params
+   * @param {string} params.sku - Product SKU
+   * @param {string} params.platform - Any deleteProduct platform, including all-targets
+   * @param {string} [params.storeName] - Required for target platforms
+   * @param {string} [params.apiKeyId]
+   * @returns {Object} { sku, platform, storeName, parent, children } (or `stores` for
+   *   all-targets) with confirmationToken and expiresAt
+   */
+  async planDeletion({ sku, platform, storeName, apiKeyId }) {
+    logger.info('Planning product deletion', { sku, platform, storeName });
+
+    const plan = platform === 'all-targets'
+      ? await this._planAllTargets(sku)
+      : await this._planStore(sku, platform, storeName);
+
+    if (!plan) {
+      throw new ClientError(`Product not found: ${sku}`, 404);
+    }
+
+    const confirmationToken = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + CONFIRMATION_TTL_MS);
+    await deletionConfirmationRepo.create({ tokenHash: hash(confirmationToken), sku, platform, storeName, apiKeyId, expiresAt });
+
+    return { sku, platform, storeName, ...plan, confirmationToken, expiresAt };
+  }
+
+  /**
+   * Use up the token planDeletion issued for this deletion to the requesting API key.
+   * @throws {ClientError} 400 when the token is missing, expired, used or issued for another
+   *   deletion or API key
+   */
+  async confirmDeletion(confirmationToken, { sku, platform, storeName, apiKeyId }) {
+    if (!confirmationToken) {
+      throw new ClientError('confirmationToken is required. Request one with dryRun=true', 400);
+    }
+
+    const confirmation = await deletionConfirmationRepo.consume(hash(confirmationToken), { sku, platform, storeName, apiKeyId });
+    if (!confirmation) {
+      throw new ClientError('Confirmation token is invalid, expired, already used, or was issued for another deletion or API key', 400);
+    }
+    return confirmation;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { parent, children }, or null when the store has no such product
+   */
+  async _planStore(sku, platform, storeName) {
+    const service = await this._getService(platform, storeName);
+    const product = await this._fetchProduct(service, sku, platform);
+    if (!product) return null;
+
+    const children = await this._fetchChildren(service, product, sku, platform);
+
+    if (platform === 'target-shopify') {
+      return {
+        parent: { sku, id: product._shopifyProductId, title: product.title },
+        children: children.map(variant => ({ sku: variant.sku, id: variant.id, title: variant.title }))
+      };
+    }
+    if (platform === 'target-woocommerce') {
+      return {
+        parent: { sku, id: product.id, name: product.name, type: product.type },
+        children: children.map(variation => ({ sku: variation.sku, id: variation.id }))
+      };
+    }
+    return {
+      parent: { sku: product.sku, name: product.name, typeId: product.type_id },
+      children: children.map(child => ({ sku: child.sku, name: child.name }))
+    };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { stores }, or null when no target store has the product
+   */
+  async _planAllTargets(sku) {
+    const stores = {};
+
+    for (const { platform, key, storeName } of await this._targetStores()) {
+      try {
+        stores[key] = (await this._planStore(sku, platform, storeName)) || { notFound: true };
+      } catch (error) {
+        stores[key] = { error: error.message };
+      }
+    }
+
+    return Object.values(stores).every(store => store.notFound) ? null : { stores };
+  }
+
+  /**
+   * Take a product offline without deleting it: disabled and not visible on Magento (the
+   * parent and its children, globally and in every store view), ARCHIVED on Shopify. The
+   * values it replaces, per store view on Magento, are stored first, so restoreProduct can
+   * bring the product back exactly as it was even after a partial failure.
+   * @param {Object} params
+   * @param {string} params.sku - Product SKU
+   * @param {string} params.platform - target-magento or target-shopify
+   * @param {string} params.storeName
+   * @param {string} [params.apiKeyId]
+   * @returns {Object} Result with success, sku, archiveId, archivedSkus, failedSkus
+   */
+  async archiveProduct({ sku, platform, storeName, apiKeyId }) {
+    this._assertArchivePlatform(platform);
+    logger.info('Starting product archive', { sku, platform, storeName });
+
+    if (await productArchiveRepo.findActive(sku, platform, storeName)) {
+      throw new ClientError(`Product is already archived: ${sku}`, 409);
+    }
+
+    const service = await this._getService(platform, storeName);
+    const product = await this._fetchProduct(service, sku, platform);
+    if (!product) {
+      throw new ClientError(`Product not found: ${sku}`, 404);
+    }
+
+    const priorState = platform === 'target-shopify'
+      ? [{ sku, productId: product._shopifyProductId, status: product.status }]
+      : await this._captureMagentoState(service, [product, ...await this._fetchChildren(service, product, sku, platform)]
+        .map(item => item.sku));
+
+    const archive = await productArchiveRepo.create({ sku, platform, storeName, priorState, apiKeyId });
+    const archivedSkus = [];
+
+    for (const state of priorState) {
+      const archived = platform === 'target-shopify'
+        ? { ...state, status: SHOPIFY_ARCHIVED_STATUS }
+        : this._archivedMagentoState(state);
+      try {
+        await this._applyState(service, platform, archived);
+        archivedSkus.push(state.sku);
+      } catch (error) {
+        logger.error('Archive failed, stopping', { sku, itemSku: state.sku, error: error.message });
+        return {
+          success: false,
+          sku,
+          platform,
+          storeName,
+          archiveId: archive.id,
+          archivedSkus,
+          failedSkus: [state.sku],
+          error: `Archive failed for ${state.sku}: ${error.message}`
+        };
+      }
+    }
+
+    logger.info('Product archived', { sku, platform, storeName, archivedCount: archivedSkus.length });
+    return { success: true, sku, platform, storeName, archiveId: archive.id, archivedSkus };
+  }
+
+  /**
+   * Put back the values the product's active archive replaced. A failed restore leaves the
+   * archive active so it can be retried.
+   * @param {Object} params
+   * @param {string} params.sku - Product SKU
+   * @param {string} params.platform - target-magento or target-shopify
+   * @param {string} params.storeName
+   * @returns {Object} Result with success, sku, archiveId, restoredSkus, failedSkus
+   */
+  async restoreProduct({ sku, platform, storeName }) {
+    this._assertArchivePlatform(platform);
+
+    const archive = await productArchiveRepo.findActive(sku, platform, storeName);
+    if (!archive) {
+      throw new ClientError(`No archived product to restore: ${sku}`, 404);
+    }
+
+    logger.info('Starting product restore', { sku, platform, storeName, archiveId: archive.id });
+
+    const service = await this._getService(platform, storeName);
+    const restoredSkus = [];
+    const failedSkus = [];
+
+    for (const state of archive.prior_state) {
+      try {
+        await this._applyState(service, platform, state);
+        restoredSkus.push(state.sku);
+      } catch (error) {
+        logger.error('Restore failed', { sku, itemSku: state.sku, error: error.message });
+        failedSkus.push(state.sku);
+      }
+    }
+
+    if (failedSkus.length > 0) {
+      return {
+        success: false,
+        sku,
+        platform,
+        storeName,
+        archiveId: archive.id,
+        restoredSkus,
+        failedSkus,
+        error: `Restore failed for ${failedSkus.join(', ')}`
+      };
+    }
+
+    await productArchiveRepo.markRestored(archive.id);
+    logger.info('Product restored', { sku, platform, storeName, restoredCount: restoredSkus.length });
+    return { success: true, sku, platform, storeName, archiveId: archive.id, restoredSkus };
+  }
+
+  _assertArchivePlatform(platform) {
+    if (!ARCHIVE_PLATFORMS.includes(platform)) {
+      throw new ClientError(`Archive is only supported for: ${ARCHIVE_PLATFORMS.join(', ')}`, 400);
+    }
+  }
+
+  /**
+   * Status and visibility of each Magento SKU at global scope and as every store view sees them.
+   * @throws {Error} When a value cannot be read, before anything has been changed
+   */
+  async _captureMagentoState(service, skus) {
+    const storeCodes = Object.keys(await service.getStoreWebsiteMapping()).filter(code => code !== 'admin');
+    const scopes = new Map(['all', ...storeCodes].map(code => [code, service.createScopedInstance(code)]));
+    const read = async (storeCode, sku) => {
+      const product = await scopes.get(storeCode).getProductBySku(sku);
+      if (!product) throw new Error(`Could not read ${sku} in store view ${storeCode}`);
+      return { status: product.status, visibility: product.visibility };
+    };
+
+    const states = [];
+    for (const sku of skus) {
+      const storeViews = {};
+      for (const storeCode of storeCodes) {
+        storeViews[storeCode] = await read(storeCode, sku);
+      }
+      states.push({ sku, ...await read('all', sku), storeViews });
+    }
+    return states;
+  }
+
+  _archivedMagentoState(state) {
+    const archived = { status: MAGENTO_API.STATUS.DISABLED, visibility: MAGENTO_API.VISIBILITY.NOT_VISIBLE };
+    const storeViews = Object.fromEntries(Object.keys(state.storeViews).map(storeCode => [storeCode, archived]));
+    return { ...state, ...archived, storeViews };
+  }
+
+  /**
+   * Write a status (and Magento visibility) to one product or variant. Magento values are
+   * written at global scope; a store view that overrides them and still differs afterwards
+   * gets its own value written too.
+   */
+  async _applyState(service, platform, state) {
+    if (platform === 'target-shopify') {
+      return await service.updateProductStatus(state.productId, state.status);
+    }
+    await service.createScopedInstance('all')
+      .updateProduct(state.sku, { sku: state.sku, status: state.status, visibility: state.visibility });
+
+    for (const [storeCode, { status, visibility }] of Object.entries(state.storeViews)) {
+      const scoped = service.createScopedInstance(storeCode);
+      const current = await scoped.getProductBySku(state.sku);
+      if (!current || current.status !== status || current.visibility !== visibility) {
+        await scoped.updateProduct(state.sku, { sku: state.sku, status, visibility });
+      }
+    }
+  }
+
+  /**
+   * deleteFromTargets for an explicit request, where a SKU that no target store has is an error.
+   */
+  async _deleteFromAllTargets(sku) {
+    const result = await this.deleteFromTargets(sku);
+    if (Object.values(result.stores).every(store => store.notFound)) {
+      throw new ClientError(`Product not found in any target store: ${sku}`, 404);
+    }
+    return { ...result, platform: 'all-targets' };
+  }
+
+  /**
+   * Every target store, keyed "magento:<store>", "shopify:<store>" or "woocommerce:<store>".
+   */
+  async _targetStores(options = {}) {
+    const targets = [];
+    if (options.includeMagento !== false) {
+      targets.push(...magentoStoreRegistry.storeNames().map(storeName => ({ platform: 'target-magento', key: `magento:${storeName}`, storeName })));
+    }
+    if (options.includeShopify !== false) {
+      targets.push(...(await this._shopifyTargetStores()).map(storeName => ({ platform: 'target-shopify', key: `shopify:${storeName}`, storeName })));
+    }
+    if (options.includeWooCommerce !== false) {
+      targets.push(...Object.keys(config.woocommerce?.stores || {}).map(storeName => ({ platform: 'target-woocommerce', key: `woocommerce:${storeName}`, storeName })));
+    }
+    return targets;
+  }
+
+  /**
+   * Active Shopify stores, environment-configured and connected through OAuth.
+   */
+  async _shopifyTargetStores() {
+    return (await shopifyRegistry.list()).filter(store => store.status === 'active').map(store => store.alias);
+  }
 }
 
 module.exports = new ProductDeletionService();
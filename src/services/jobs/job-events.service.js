@@ -0,0 +1,35 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process pub/sub for job progress. The worker publishes and SSE
+ * connections subscribe per job ID; events are not persisted.
+ */
+class JobEventsService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.sequence = 0;
+  }
+
+  publish(jobId, type, data = {}) {
+    const event = {
+      id: ++this.sequence,
+      type,
+      jobId,
+      timestamp: new Date().toISOString(),
+      ...data
+    };
+    this.emit(jobId, event);
+    return event;
+  }
+
+  /**
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(jobId, listener) {
+    this.on(jobId, listener);
+    return () => this.off(jobId, listener);
+  }
+}
+
+module.exports = new JobEventsService();
@@ -0,0 +1,376 @@
+const crypto = require('crypto');
+const os = require('os');
+const logger = require('../../config/logger');
+const config = require('../../config');
+const jobRepo = require('../../database/repositories/job.repository');
+const auditService = require('../audit/audit.service');
+const jobEvents = require('./job-events.service');
+const OrchestratorService = require('../migration/orchestrator.service');
+const ShopifyOrchestratorService = require('../migration/shopify-orchestrator.service');
+const PriceSyncService = require('../sync/price-sync.service');
+const ProductUpdateService = require('../sync/product-update.service');
+const CatalogDriftService = require('../sync/catalog-drift.service');
+const InventorySyncService = require('../sync/inventory-sync.service');
+const deletionService = require('../deletion/product-deletion.service');
+const deltaSyncService = require('../sync/delta-sync.service');
+const { JOBS } = require('../../config/constants');
+
+/**
+ * Combine the resume state of earlier attempts with this attempt's, so instances that
+ * succeeded before are kept even when this attempt did not get to them.
+ */
+const mergeResumeState = (previous, current) => ({
+  ...(previous || {}),
+  ...current,
+  generatedContent: current.generatedContent || previous?.generatedContent || null,
+  completedInstances: {
+    ...(previous?.completedInstances || {}),
+    ...(current.completedInstances || {})
+  }
+});
+
+class JobWorkerService {
+  constructor() {
+    this.orchestrator = new OrchestratorService();
+    this.shopifyOrchestrator = new ShopifyOrchestratorService();
+    this.priceSyncService = new PriceSyncService();
+    this.productUpdateService = new ProductUpdateService();
+    this.catalogDriftService = new CatalogDriftService();
+    this.inventorySyncService = new InventorySyncService();
+    this.handlers = {
+      [JOBS.TYPES.MIGRATION_BATCH]: (sku, options, resumeState) =>
+        this.orchestrator.migrateProduct(sku, options, resumeState),
+      [JOBS.TYPES.SHOPIFY_MIGRATION]: (sku, options) =>
+        this.shopifyOrchestrator.migrateProduct(sku, options),
+      [JOBS.TYPES.SYNC_PRICES]: (sku, options) =>
+        this.priceSyncService.syncPrices(sku, options),
+      [JOBS.TYPES.SYNC_PRODUCT_FIELDS]: (sku, options) =>
+        this.productUpdateService.updateProductFields(sku, options),
+      [JOBS.TYPES.DRIFT_REPORT]: (sku, options) =>
+        this.catalogDriftService.detectDrift(sku, options),
+      [JOBS.TYPES.SYNC_INVENTORY]: (sku, options) =>
+        this.inventorySyncService.syncInventory(sku, options),
+      [JOBS.TYPES.PRODUCT_DELETE]: (sku, options) =>
+        deletionService.deleteFromTargets(sku, options)
+    };
+    // Identifies the items this process holds; heartbeats keep their leases alive
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.running = false;
+    this.active = 0;
+    this.timer = null;
+    this.heartbeatTimer = null;
+    this.polling = false;
+    // Per-job Shopify bulk batches of large sync:prices jobs, keyed by job id
+    this.shopifyBulkJobs = new Map();
+  }
+
+  /**
+   * Start polling the job_items table. Pending items left over from a previous
+   * process are picked up automatically because the queue lives in Postgres.
+   * Items whose worker stopped sending heartbeats (config.jobs.leaseTimeoutMs) are
+   * re-queued at start-up and on every heartbeat after that.
+   */
+  async start() {
+    if (this.running) return;
+
+    const requeued = await jobRepo.requeueInterruptedItems(config.jobs.leaseTimeoutMs);
+    this.running = true;
+    this.startHeartbeat();
+
+    logger.info('Job worker started', {
+      workerId: this.workerId,
+      concurrency: config.jobs.concurrency,
+      pollIntervalMs: config.jobs.pollIntervalMs,
+      requeuedItems: requeued
+    });
+    this.wake();
+  }
+
+  /**
+   * Stop claiming new items. Items already in progress keep running, and keep their
+   * leases, until they finish or the process exits.
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.active === 0) {
+      this.stopHeartbeat();
+    }
+  }
+
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch(error => logger.error('Job worker heartbeat failed', { error: error.message }));
+    }, Math.max(1000, Math.floor(config.jobs.leaseTimeoutMs / 4)));
+    this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Extend the leases of this worker's items and re-queue items abandoned by other workers.
+   */
+  async heartbeat() {
+    if (this.active > 0 || this.shopifyBulkJobs.size > 0) {
+      await jobRepo.heartbeat(this.workerId);
+    }
+    if (!this.running) return;
+
+    const requeued = await jobRepo.requeueInterruptedItems(config.jobs.leaseTimeoutMs);
+    if (requeued > 0) {
+      logger.warn('Re-queued job items abandoned by a stopped worker', { requeuedItems: requeued });
+      this.wake();
+    }
+  }
+
+  /**
+   * Trigger an immediate poll instead of waiting for the next interval.
+   */
+  wake() {
+    if (!this.running) return;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.poll().catch(error => logger.error('Job worker poll failed', { error: error.message }));
+  }
+
+  scheduleNextPoll() {
+    if (!this.running || this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.wake();
+    }, config.jobs.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.running && this.active < config.jobs.concurrency) {
+        const claim = await jobRepo.claimNextItem(this.workerId);
+        if (!claim) break;
+
+        this.active++;
+        this.processItem(claim.item, claim.job)
+          .catch(error => logger.error('Job item processing failed', {
+            jobId: claim.job.id,
+            sku: claim.item.sku,
+            error: error.message
+          }))
+          .finally(() => {
+            this.active--;
+            if (!this.running && this.active === 0) {
+              this.stopHeartbeat();
+            }
+            this.wake();
+          });
+      }
+    } finally {
+      this.polling = false;
+      this.scheduleNextPoll();
+    }
+  }
+
+  /**
+   * Run a single job item through the handler for its job type and persist the outcome.
+   * Items of a bulk price sync job are only completed once their Shopify updates are sent.
+   * Once a checkpoint finds the item's lease lost (re-queued after missed heartbeats), no
+   * further state is saved and the outcome is dropped; the worker now holding it finishes it.
+   * @param {Object} item - job_items row (already marked running)
+   * @param {Object} job - Parent jobs row
+   */
+  async processItem(item, job) {
+    const handler = this.handlers[job.type];
+    const bulkJob = await this.getShopifyBulkJob(job);
+    const lease = { lost: false };
+    let status;
+    let result = null;
+    let error = null;
+
+    logger.info('Processing job item', { jobId: job.id, sku: item.sku, attempt: item.attempts });
+    jobEvents.publish(job.id, 'item:started', { sku: item.sku, attempt: item.attempts });
+
+    const options = {
+      ...(job.options || {}),
+      onProgress: ({ type, ...data }) => jobEvents.publish(job.id, type, { sku: item.sku, ...data }),
+      onCheckpoint: async (resumeState) => {
+        if (lease.lost) return;
+        const saved = await jobRepo.saveCheckpoint(item.id, this.workerId, mergeResumeState(item.phase_results, resumeState));
+        if (saved === 0) {
+          lease.lost = true;
+          throw new Error(`Lost the lease on job item ${item.id}`);
+        }
+      },
+      ...(bulkJob && { shopifyBulkBatch: bulkJob.batch })
+    };
+
+    if (!handler) {
+      status = JOBS.ITEM_STATUS.FAILED;
+      error = `Unsupported job type: ${job.type}`;
+    } else {
+      if (bulkJob) bulkJob.inFlight++;
+      try {
+        result = await handler(item.sku, options, item.phase_results);
+        status = result.success ? JOBS.ITEM_STATUS.SUCCEEDED : JOBS.ITEM_STATUS.FAILED;
+        error = result.success ? null : (result.errors?.[0]?.message || 'Migration failed');
+      } catch (err) {
+        logger.error('Job item failed', { jobId: job.id, sku: item.sku, error: err.message });
+        status = JOBS.ITEM_STATUS.FAILED;
+        error = err.message;
+      } finally {
+        if (bulkJob) bulkJob.inFlight--;
+      }
+    }
+
+    if (lease.lost) {
+      logger.warn('Dropping the outcome of a job item whose lease was lost', { jobId: job.id, sku: item.sku, workerId: this.workerId });
+    } else if (bulkJob && result) {
+      bulkJob.items.push({ item, status, result, error });
+    } else {
+      await this.finishItem(item, job, { status, result, error });
+    }
+
+    if (bulkJob) {
+      await this.flushShopifyBulkJob(job, bulkJob);
+    }
+  }
+
+  /**
+   * Persist an item's outcome and finalize its job when it was the last one.
+   * Nothing is published when this worker no longer holds the item's lease.
+   */
+  async finishItem(item, job, { status, result, error }) {
+    // Without a resume state (e.g. the handler threw), checkpoints saved during the run are kept
+    const phaseResults = result?.resumeState ? mergeResumeState(item.phase_results, result.resumeState) : undefined;
+    const completed = await jobRepo.completeItem(item.id, this.workerId, { status, result, error, phaseResults });
+    if (!completed) {
+      logger.warn('Job item lease lost before completion; leaving it to its new worker', {
+        jobId: job.id,
+        sku: item.sku,
+        workerId: this.workerId
+      });
+      return;
+    }
+    jobEvents.publish(job.id, 'item:completed', { sku: item.sku, status, error });
+
+    const finished = await jobRepo.finalizeIfDone(job.id);
+    if (finished) {
+      await this.onJobFinished(finished);
+    }
+  }
+
+  /**
+   * This worker's Shopify bulk batch for a sync:prices job with more items left to sync than
+   * config.shopify.bulkOperations.priceSyncThreshold, or null for any other job. Items left
+   * are the pending ones plus the item just claimed, so a retry of a few failed items of a
+   * large job is synced one SKU at a time.
+   */
+  async getShopifyBulkJob(job) {
+    const threshold = config.shopify?.bulkOperations?.priceSyncThreshold;
+    if (job.type !== JOBS.TYPES.SYNC_PRICES || !threshold) return null;
+    if (this.shopifyBulkJobs.has(job.id)) return this.shopifyBulkJobs.get(job.id);
+
+    const counts = await jobRepo.countItemsByStatus(job.id);
+    if (counts.pending + 1 <= threshold) return null;
+
+    // Another item of the job may have started a batch while counting
+    if (!this.shopifyBulkJobs.has(job.id)) {
+      this.shopifyBulkJobs.set(job.id, {
+        batch: this.priceSyncService.createShopifyBulkBatch(),
+        inFlight: 0,
+        items: []
+      });
+    }
+    return this.shopifyBulkJobs.get(job.id);
+  }
+
+  /**
+   * Send a bulk job's queued Shopify updates once none of its items is left to claim or
+   * still being synced here, then complete the items it holds with the outcome. Items
+   * of a worker that stops before that keep their lease until it expires and are re-run.
+   */
+  async flushShopifyBulkJob(job, bulkJob) {
+    if (bulkJob.inFlight > 0) return;
+
+    const counts = await jobRepo.countItemsByStatus(job.id);
+    // Another item may have been claimed, or the batch flushed, while counting
+    if (counts.pending > 0 || bulkJob.inFlight > 0 || this.shopifyBulkJobs.get(job.id) !== bulkJob) {
+      return;
+    }
+    this.shopifyBulkJobs.delete(job.id);
+
+    const flushed = await this.priceSyncService.flushShopifyBulkBatch(bulkJob.batch);
+    logger.info('Bulk Shopify price update sent for job', {
+      jobId: job.id,
+      items: bulkJob.items.length,
+      failures: flushed.failures.length
+    });
+
+    for (const { item, status, result, error } of bulkJob.items) {
+      const failures = flushed.failures.filter(failure => failure.sku === item.sku);
+      if (failures.length === 0) {
+        await this.finishItem(item, job, { status, result, error });
+        continue;
+      }
+
+      for (const failure of failures) {
+        result.results.shopify[failure.store] = { success: false, error: failure.message };
+        result.errors.push({ store: failure.store, message: failure.message });
+      }
+      result.success = false;
+      await this.finishItem(item, job, {
+        status: JOBS.ITEM_STATUS.FAILED,
+        result,
+        error: error || failures[0].message
+      });
+    }
+  }
+
+  async onJobFinished(job) {
+    const durationMs = job.started_at ? new Date(job.completed_at) - new Date(job.started_at) : null;
+
+    logger.info('Job completed', {
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      succeeded: job.counts.succeeded,
+      failed: job.counts.failed
+    });
+
+    jobEvents.publish(job.id, 'job:completed', { status: job.status, counts: job.counts });
+
+    if (job.options?.deltaRunId) {
+      await deltaSyncService.onJobFinished(job);
+    }
+
+    if (job.type === JOBS.TYPES.MIGRATION_BATCH) {
+      await auditService.logAction({
+        apiKeyId: job.api_key_id,
+        action: 'product:batch_migrated',
+        resourceType: 'job',
+        resourceId: job.id,
+        metadata: {
+          total: job.total_items,
+          successCount: job.counts.succeeded,
+          failureCount: job.counts.failed
+        },
+        status: job.status === JOBS.STATUS.COMPLETED ? 'success' : 'partial',
+        durationMs
+      });
+    }
+  }
+}
+
+module.exports = new JobWorkerService();
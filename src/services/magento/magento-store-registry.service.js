@@ -0,0 +1,227 @@
+const logger = require('../../config/logger');
+const config = require('../../config');
+const MagentoClient = require('./magento.client');
+const TokenCryptoService = require('../shopify/token-crypto.service');
+const storeRepo = require('../../database/repositories/magento-store.repository');
+const { ValidationError, ClientError } = require('../../utils/error-handler');
+const { MAGENTO_STORES } = require('../../config/constants');
+
+const TOKEN_TYPE = 'access';
+
+const validName = value => /^[a-z0-9_]+$/.test(value);
+const validUrl = (value) => {
+  try {
+    return ['https:', 'http:'].includes(new URL(value).protocol);
+  } catch (_) {
+    return false;
+  }
+};
+
+// Store details safe to return from the API: everything except the token
+const toPublic = row => ({
+  name: row.name,
+  baseUrl: row.base_url,
+  source: 'database',
+  status: row.status,
+  verifiedAt: row.verified_at,
+  lastError: row.last_error,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Target Magento stores from the `magento_stores` table and from MAGENTO_STORE_<NAME>_* env
+ * vars. A database store shadows an env store of the same name. Active database stores are
+ * kept decrypted in memory so TargetService.getInstanceForStore can stay synchronous; the
+ * cache is filled at start-up and reloaded after every change made through this service.
+ * Changes made by other processes are picked up by startRefresh, which reloads the cache
+ * whenever the table's version changes.
+ */
+class MagentoStoreRegistry {
+  constructor() {
+    const keys = config.shopify?.oauth || {};
+    this.cryptoService = new TokenCryptoService(keys.keyring || {}, keys.activeKeyId || null, 'magento-token');
+    this.stores = new Map();
+    // Every store name in the table, active or not; these never fall back to env config
+    this.databaseNames = new Set();
+    this.version = null;
+    this.refreshTimer = null;
+  }
+
+  async load() {
+    const stores = new Map();
+    // Read before the rows, so a change made in between triggers another reload
+    const version = await storeRepo.getVersion();
+    const rows = await storeRepo.list();
+
+    for (const row of rows) {
+      if (row.status !== MAGENTO_STORES.STATUS.ACTIVE) continue;
+      try {
+        stores.set(row.name, { url: row.base_url, token: this.cryptoService.decrypt(row.token_envelope, row.id, TOKEN_TYPE) });
+      } catch (error) {
+        logger.error('Failed to decrypt Magento store credentials', { name: row.name, error: error.message });
+      }
+    }
+
+    this.stores = stores;
+    this.databaseNames = new Set(rows.map(row => row.name));
+    this.version = version;
+    return stores.size;
+  }
+
+  /**
+   * Reload the cache when another process added or changed a store since the last load.
+   * @returns {Promise<boolean>} true when the cache was reloaded
+   */
+  async refreshIfChanged() {
+    const version = await storeRepo.getVersion();
+    if (version === this.version) return false;
+
+    const databaseStores = await this.load();
+    logger.info('Magento store registry reloaded', { databaseStores });
+    return true;
+  }
+
+  /**
+   * Check for changes from other processes every intervalMs.
+   * @param {number} intervalMs
+   */
+  startRefresh(intervalMs) {
+    if (this.refreshTimer) return;
+    this.refreshTimer = setInterval(() => {
+      this.refreshIfChanged().catch(error => logger.error('Magento store registry refresh failed', { error: error.message }));
+    }, intervalMs);
+    this.refreshTimer.unref();
+  }
+
+  stopRefresh() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * A store in the database is only used while active; a disabled one does not fall back to
+   * an env store of the same name.
+   * @returns {{url: string, token: string}|null} Connection details of an active store
+   */
+  get(name) {
+    if (this.databaseNames.has(name)) {
+      return this.stores.get(name) || null;
+    }
+    return config.magentoStores[name] || null;
+  }
+
+  /**
+   * Names of every usable target store, env stores first.
+   * @returns {string[]}
+   */
+  storeNames() {
+    return [...new Set([...Object.keys(config.magentoStores), ...this.stores.keys()])]
+      .filter(name => this.get(name));
+  }
+
+  async list() {
+    const rows = await storeRepo.list();
+    const names = new Set(rows.map(row => row.name));
+
+    const database = rows.map(toPublic);
+    const environment = Object.entries(config.magentoStores)
+      .filter(([name]) => !names.has(name))
+      .map(([name, value]) => ({ name, baseUrl: value.url, source: 'environment', status: MAGENTO_STORES.STATUS.ACTIVE, verifiedAt: null, lastError: null, updatedAt: null }));
+
+    return [...database, ...environment].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @throws {ValidationError} On an invalid name or URL, or when encryption is not configured
+   * @throws {ClientError} 409 when a database store with the name exists
+   */
+  async create({ name, baseUrl, token }) {
+    name = String(name || '').toLowerCase();
+    const fields = [];
+    if (!validName(name)) fields.push({ field: 'name', message: 'name may only contain lowercase letters, digits and underscores' });
+    if (!validUrl(baseUrl)) fields.push({ field: 'baseUrl', message: 'baseUrl must be an http(s) URL' });
+    if (!token) fields.push({ field: 'token', message: 'token is required' });
+    if (fields.length > 0) throw new ValidationError('Invalid Magento store', fields);
+    this.assertEncryptionConfigured();
+
+    if (await storeRepo.findByName(name)) {
+      throw new ClientError(`Magento store '${name}' already exists`, 409);
+    }
+
+    const row = await storeRepo.create({ name, baseUrl, encryptToken: id => this.cryptoService.encrypt(token, id, TOKEN_TYPE) });
+    await this.load();
+
+    logger.info('Magento store added', { name, baseUrl });
+    return toPublic(row);
+  }
+
+  /**
+   * Check the stored credentials against the store and record the outcome.
+   * @returns {Promise<Object>} { connection: testConnection result, store }
+   */
+  async verify(name) {
+    const row = await this.findOrThrow(name);
+    const client = new MagentoClient(row.base_url, this.cryptoService.decrypt(row.token_envelope, row.id, TOKEN_TYPE), config.api);
+    const connection = await client.testConnection();
+
+    const updated = await storeRepo.update(row.id, connection.connected
+      ? { verified_at: new Date(), last_error: null }
+      : { last_error: connection.error });
+
+    return { connection, store: toPublic(updated) };
+  }
+
+  async disable(name) {
+    const row = await this.findOrThrow(name);
+    const updated = await storeRepo.update(row.id, { status: MAGENTO_STORES.STATUS.DISABLED });
+    await this.load();
+
+    logger.info('Magento store disabled', { name: row.name });
+    return toPublic(updated);
+  }
+
+  /**
+   * Replace the store's token (and optionally its URL). The store is active again afterwards
+   * and must be re-verified.
+   */
+  async rotate(name, { token, baseUrl }) {
+    const row = await this.findOrThrow(name);
+    const fields = [];
+    if (!token) fields.push({ field: 'token', message: 'token is required' });
+    if (baseUrl !== undefined && !validUrl(baseUrl)) fields.push({ field: 'baseUrl', message: 'baseUrl must be an http(s) URL' });
+    if (fields.length > 0) throw new ValidationError('Invalid Magento store credentials', fields);
+    this.assertEncryptionConfigured();
+
+    const updated = await storeRepo.update(row.id, {
+      token_envelope: this.cryptoService.encrypt(token, row.id, TOKEN_TYPE),
+      base_url: baseUrl || row.base_url,
+      status: MAGENTO_STORES.STATUS.ACTIVE,
+      verified_at: null,
+      last_error: null
+    });
+    await this.load();
+
+    logger.info('Magento store credentials rotated', { name: row.name });
+    return toPublic(updated);
+  }
+
+  async findOrThrow(name) {
+    const row = await storeRepo.findByName(String(name || '').toLowerCase());
+    if (!row) {
+      throw new ClientError(`Magento store '${name}' is not stored in the database`, 404);
+    }
+    return row;
+  }
+
+  assertEncryptionConfigured() {
+    if (!this.cryptoService.activeKeyId) {
+      throw new ValidationError('Token encryption is not configured', [
+        { field: 'token', message: 'SHOPIFY_ENCRYPTION_KEYRING and SHOPIFY_ENCRYPTION_ACTIVE_KEY_ID are required to store Magento tokens' }
+      ]);
+    }
+  }
+}
+
+module.exports = new MagentoStoreRegistry();
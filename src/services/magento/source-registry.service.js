@@ -0,0 +1,128 @@
+const config = require('../../config');
+const SourceService = require('./source.service');
+const CategoryMappingService = require('../category-mapping.service');
+const { ValidationError } = require('../../utils/error-handler');
+
+const DEFAULT_SOURCE = 'default';
+const SHOPIFY_PREFIX = 'shopify:';
+
+/**
+ * Source catalogs products are read from. The SOURCE_MAGENTO_* catalog is the "default"
+ * source; SOURCE_STORE_<NAME>_* env vars add named Magento ones, selected per request with
+ * options.source. Migrations can also read from a Shopify store with "shopify:<store alias>".
+ */
+class SourceRegistry {
+  /**
+   * @returns {string[]} Every configured Magento source name, "default" first
+   */
+  names() {
+    return [DEFAULT_SOURCE, ...Object.keys(config.sources || {})];
+  }
+
+  /**
+   * True for configured Magento sources and for any "shopify:<alias>"; the Shopify store
+   * itself is only resolved when the source is used.
+   */
+  has(name) {
+    return this.names().includes(name) || this.isShopify(name);
+  }
+
+  isShopify(name) {
+    return typeof name === 'string' && name.startsWith(SHOPIFY_PREFIX) && name.length > SHOPIFY_PREFIX.length;
+  }
+
+  /**
+   * @returns {string} Accepted source names for error messages
+   */
+  sourceList() {
+    return [...this.names(), `${SHOPIFY_PREFIX}<store alias>`].join(', ');
+  }
+
+  /**
+   * @param {string} [name='default']
+   * @returns {{name: string, platform: string, baseUrl: string, token: string, adminUrl: string|null,
+   *   categoryMappingPath: string|null}} Shopify sources carry `shopifyStore` instead of the
+   *   connection fields
+   * @throws {ValidationError} When no source with that name is configured
+   */
+  get(name = DEFAULT_SOURCE) {
+    if (this.isShopify(name)) {
+      return { name, platform: 'shopify', shopifyStore: name.slice(SHOPIFY_PREFIX.length), categoryMappingPath: null };
+    }
+
+    if (name === DEFAULT_SOURCE) {
+      return {
+        name,
+        platform: 'magento',
+        baseUrl: config.source.baseUrl,
+        token: config.source.token,
+        adminUrl: config.source.adminUrl || null,
+        categoryMappingPath: null
+      };
+    }
+
+    const source = config.sources?.[name];
+    if (!source) {
+      throw new ValidationError(`Unknown source: ${name}`, [
+        { field: 'options.source', message: `Must be one of: ${this.sourceList()}` }
+      ]);
+    }
+    return { name, platform: 'magento', ...source };
+  }
+
+  /**
+   * @returns {SourceService|ShopifySourceService}
+   */
+  createSourceService(name = DEFAULT_SOURCE) {
+    const source = this.get(name);
+    if (source.platform === 'shopify') {
+      // Required here so Magento-only callers don't load the Shopify OAuth stack
+      const ShopifySourceService = require('../shopify/shopify-source.service');
+      return new ShopifySourceService(source.shopifyStore);
+    }
+    return new SourceService(source.baseUrl, source.token, { ...config.api, adminUrl: source.adminUrl });
+  }
+
+  /**
+   * For operations only a Magento catalog supports (syncs, find-parent).
+   * @throws {ValidationError} For Shopify sources
+   */
+  createMagentoSourceService(name = DEFAULT_SOURCE) {
+    if (this.isShopify(name)) {
+      throw new ValidationError(`Source ${name} is a Shopify store; this operation needs a Magento source`, [
+        { field: 'options.source', message: `Must be one of: ${this.names().join(', ')}` }
+      ]);
+    }
+    return this.createSourceService(name);
+  }
+
+  /**
+   * Category mappings for a source: its SOURCE_STORE_<NAME>_CATEGORY_MAPPING file when set,
+   * category-mapping.json otherwise.
+   */
+  createCategoryMapping(name = DEFAULT_SOURCE) {
+    return new CategoryMappingService(this.get(name).categoryMappingPath);
+  }
+
+  /**
+   * Resolve the service instance that reads from `name`. Returns `owner` itself when it
+   * already uses that source, otherwise an instance built by `create(name)`, cached on the
+   * owner so repeated requests for the same source share it.
+   * @param {{sourceName: string}} owner
+   * @param {string} [name]
+   * @param {function(string): Object} create
+   */
+  forSource(owner, name, create) {
+    if (!name || name === owner.sourceName) return owner;
+
+    this.get(name);
+    owner.sourceScopes = owner.sourceScopes || new Map();
+    if (!owner.sourceScopes.has(name)) {
+      owner.sourceScopes.set(name, create(name));
+    }
+    return owner.sourceScopes.get(name);
+  }
+}
+
+module.exports = new SourceRegistry();
+module.exports.DEFAULT_SOURCE = DEFAULT_SOURCE;
@@ -44,6 +44,28 @@ class SourceService extends MagentoClient {
     return products;
   }
 
+  /**
+   * MSI source items (quantity and status per source) for the given SKUs.
+   * Returns an empty list when the source has no MSI endpoint.
+   * @param {string[]} skus
+   * @returns {Promise<Array<{sku: string, source_code: string, quantity: number, status: number}>>}
+   */
+  async getSourceItems(skus) {
+    if (!skus || skus.length === 0) return [];
+
+    logger.debug('Fetching source items from source', { count: skus.length });
+    try {
+      const params = this.buildSearchCriteria([
+        { field: 'sku', value: skus.join(','), conditionType: 'in' }
+      ]);
+      const result = await this.get('/rest/V1/inventory/source-items', params);
+      return result?.items || [];
+    } catch (error) {
+      logger.warn('Failed to fetch source items', { count: skus.length, error: error.message });
+      return [];
+    }
+  }
+
   async getProductById(id) {
     logger.debug('Fetching product by ID from source', { id });
     try {
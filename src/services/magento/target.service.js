@@ -1,7 +1,9 @@
 const MagentoClient = require('./magento.client');
 const logger = require('../../config/logger');
 const config = require('../../config');
+const magentoStoreRegistry = require('./magento-store-registry.service');
 const { buildProductPayload, sanitizeLogPayload } = require('../../utils/helpers');
+const { MIGRATION_RUNS } = require('../../config/constants');
 
 class TargetService extends MagentoClient {
   constructor(baseUrl, token, config = {}) {
@@ -16,13 +18,33 @@ class TargetService extends MagentoClient {
 
   createScopedInstance(storeCode) {
     const scopedConfig = { ...this._config, storeCode };
-    return new TargetService(this._baseUrl, this._token, scopedConfig);
+    return new TargetService(this._baseUrl, this._token, scopedConfig)
+      .withCompensationLog(this._compensationLog);
+  }
+
+  /**
+   * Record products, attribute options and media created through this instance so a
+   * failed migration can be rolled back.
+   * @param {Object|null} recorder - CompensationLog.forStore() recorder
+   * @returns {TargetService} this
+   */
+  withCompensationLog(recorder) {
+    this._compensationLog = recorder || null;
+    return this;
+  }
+
+  async _recordCreated(entityType, entityKey, data) {
+    if (!this._compensationLog) return;
+    await this._compensationLog.record(entityType, entityKey, data);
   }
 
   async createProduct(productData) {
     logger.info('Creating product in target', { sku: productData.sku });
     const payload = buildProductPayload(productData);
     logger.debug('Product payload being sent', { payload: sanitizeLogPayload(payload) });
+    // POST upserts, so only record products that did not exist before; rolling back must
+    // never delete a product this migration merely overwrote
+    const preExisting = this._compensationLog ? await this.getProductBySku(productData.sku) : null;
     // Use /rest/all/V1/products to ensure global-scope attributes (weight, etc.) are saved
     // Store-scoped endpoints don't save global attributes properly (Magento bug)
     const response = await this.client.post('/rest/all/V1/products', payload);
@@ -31,6 +53,12 @@ class TargetService extends MagentoClient {
       weight: response.data?.weight,
       responseKeys: Object.keys(response.data || {})
     });
+    if (!preExisting) {
+      await this._recordCreated(MIGRATION_RUNS.ENTITY_TYPES.PRODUCT, productData.sku, {
+        sku: productData.sku,
+        productId: response.data?.id
+      });
+    }
     return response.data;
   }
 
@@ -84,6 +112,24 @@ class TargetService extends MagentoClient {
     return response.data;
   }
 
+  async getStockItem(sku) {
+    logger.debug('Fetching stock item from target', { sku });
+    return await this.get(`/rest/V1/stockItems/${encodeURIComponent(sku)}`);
+  }
+
+  /**
+   * Set the default-source quantity and stock status of a product.
+   * @param {string} sku
+   * @param {number} itemId - item_id of the product's stock item
+   * @param {Object} stock - { qty, is_in_stock }
+   */
+  async updateStockItem(sku, itemId, stock) {
+    logger.info('Updating product stock in target', { sku, ...stock });
+    return await this.put(`/rest/V1/products/${encodeURIComponent(sku)}/stockItems/${itemId}`, {
+      stockItem: { qty: stock.qty, is_in_stock: stock.is_in_stock }
+    });
+  }
+
   async deleteProduct(sku) {
     logger.info('Deleting product from target', { sku });
     return await this.delete(`/rest/V1/products/${encodeURIComponent(sku)}`);
@@ -137,6 +183,13 @@ class TargetService extends MagentoClient {
         `/rest/V1/products/attributes/${attributeCode}/options`,
         payload
       );
+      // Magento returns the new option ID, prefixed with "id_" on some versions
+      const optionId = result ? String(result).replace(/^id_/, '') : null;
+      await this._recordCreated(MIGRATION_RUNS.ENTITY_TYPES.ATTRIBUTE_OPTION, `${attributeCode}:${label}`, {
+        attributeCode,
+        label,
+        optionId
+      });
       return result;
     } catch (error) {
       logger.error('Failed to create attribute option', {
@@ -148,6 +201,27 @@ class TargetService extends MagentoClient {
     }
   }
 
+  async deleteAttributeOption(attributeCode, optionId) {
+    logger.info('Deleting attribute option from target', { attributeCode, optionId });
+    return await this.delete(
+      `/rest/V1/products/attributes/${attributeCode}/options/${encodeURIComponent(optionId)}`
+    );
+  }
+
+  /**
+   * Number of products on the instance whose attribute is set to the option.
+   * @returns {Promise<number>}
+   */
+  async countProductsUsingAttributeOption(attributeCode, optionId) {
+    const params = {
+      ...this.buildSearchCriteria([{ field: attributeCode, value: String(optionId), conditionType: 'eq' }]),
+      'searchCriteria[pageSize]': 1,
+      fields: 'total_count'
+    };
+    const response = await this.get('/rest/all/V1/products', params);
+    return response.total_count || 0;
+  }
+
   async ensureAttributeOptionExists(attributeCode, label) {
     logger.debug('Ensuring attribute option exists', { attributeCode, label });
 
@@ -182,13 +256,20 @@ class TargetService extends MagentoClient {
     };
 
     try {
-      return await this.post(`/rest/V1/products/${encodeURIComponent(sku)}/media`, payload);
+      const entryId = await this.post(`/rest/V1/products/${encodeURIComponent(sku)}/media`, payload);
+      await this._recordCreated(MIGRATION_RUNS.ENTITY_TYPES.MEDIA, `${sku}:${entryId}`, { sku, entryId });
+      return entryId;
     } catch (error) {
       logger.error('Failed to upload image', { sku, error: error.message });
       throw error;
     }
   }
 
+  async deleteProductMedia(sku, entryId) {
+    logger.info('Deleting product media entry', { sku, entryId });
+    return await this.delete(`/rest/V1/products/${encodeURIComponent(sku)}/media/${entryId}`);
+  }
+
   /**
    * Delete all media entries for a product. Best-effort — individual failures are logged and skipped.
    * @param {string} sku - Product SKU
@@ -341,14 +422,15 @@ class TargetService extends MagentoClient {
   }
 
   /**
-   * Get a TargetService instance for a named Magento store.
+   * Get a TargetService instance for a named Magento store, from the database registry
+   * first and MAGENTO_STORE_<NAME>_* env vars second.
    * @param {string} storeName - The store name (e.g., 'ejuices', 'misthub')
    * @returns {TargetService}
    */
   static getInstanceForStore(storeName) {
-    const storeConfig = config.magentoStores[storeName];
+    const storeConfig = magentoStoreRegistry.get(storeName);
     if (!storeConfig) {
-      const available = Object.keys(config.magentoStores);
+      const available = magentoStoreRegistry.storeNames();
       throw new Error(
         `Magento store '${storeName}' not configured. ` +
         `Available stores: ${available.length ? available.join(', ') : 'none'}`
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+
+const OWNERS = ['product', 'variant'];
+
+/**
+ * Maps source custom attributes to Shopify metafields, configured in metafield-mapping.json:
+ *
+ *   {
+ *     "mappings": [
+ *       { "attribute": "nicotine_strength", "namespace": "specs", "key": "nicotine_strength",
+ *         "type": "single_line_text_field", "owner": "variant" }
+ *     ],
+ *     "stores": { "<storeName>": [ ...entries ] }
+ *   }
+ *
+ * `owner` is "product" (default) or "variant". A store's entries replace default entries
+ * with the same owner, namespace and key.
+ */
+class MetafieldMappingService {
+  constructor(mappingFilePath = null) {
+    this.mappingFilePath = mappingFilePath || path.join(process.cwd(), 'metafield-mapping.json');
+    this.defaultMappings = [];
+    this.storeMappings = new Map(); // Map<storeName, entry[]>
+    this.loaded = false;
+  }
+
+  loadMappings() {
+    if (this.loaded) {
+      return;
+    }
+
+    try {
+      if (!fs.existsSync(this.mappingFilePath)) {
+        logger.debug('Metafield mapping file not found', { path: this.mappingFilePath });
+        this.loaded = true;
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.mappingFilePath, 'utf-8'));
+
+      this.defaultMappings = this.normalizeEntries(data.mappings || []);
+      for (const [storeName, entries] of Object.entries(data.stores || {})) {
+        this.storeMappings.set(storeName.toLowerCase(), this.normalizeEntries(entries));
+      }
+
+      this.loaded = true;
+
+      logger.info('Metafield mappings loaded', {
+        defaultMappings: this.defaultMappings.length,
+        storeSpecificMappings: this.storeMappings.size
+      });
+    } catch (error) {
+      logger.error('Failed to load metafield mappings', {
+        path: this.mappingFilePath,
+        error: error.message
+      });
+      this.loaded = true;
+    }
+  }
+
+  normalizeEntries(entries) {
+    return entries
+      .map(entry => ({ ...entry, owner: entry.owner || 'product' }))
+      .filter(entry => {
+        const valid = entry.attribute && entry.namespace && entry.key && entry.type && OWNERS.includes(entry.owner);
+        if (!valid) {
+          logger.warn('Skipping invalid metafield mapping', { entry });
+        }
+        return valid;
+      });
+  }
+
+  /**
+   * Mapping entries that apply to a store and owner, store-specific entries first.
+   * @param {string|null} storeName
+   * @param {string} owner - "product" or "variant"
+   * @returns {Array<{attribute, namespace, key, type, owner}>}
+   */
+  getMappings(storeName, owner) {
+    this.loadMappings();
+
+    const storeEntries = (storeName && this.storeMappings.get(storeName.toLowerCase())) || [];
+    const overridden = new Set(storeEntries.map(entry => this.identity(entry)));
+
+    return [...storeEntries, ...this.defaultMappings.filter(entry => !overridden.has(this.identity(entry)))]
+      .filter(entry => entry.owner === owner);
+  }
+
+  /**
+   * Whether any store (or the defaults) maps attributes to metafields of the given owner.
+   */
+  hasMappings(owner) {
+    this.loadMappings();
+    return [this.defaultMappings, ...this.storeMappings.values()]
+      .some(entries => entries.some(entry => entry.owner === owner));
+  }
+
+  identity(entry) {
+    return `${entry.owner}:${entry.namespace}.${entry.key}`;
+  }
+
+  /**
+   * Build the metafields for a source product's custom attributes. Option IDs are translated
+   * to labels through AttributeService; attributes the product lacks, or whose value does not
+   * fit the metafield type, are left out.
+   * @param {Object} product - Source product with custom_attributes
+   * @param {AttributeService} attributeService
+   * @param {string|null} storeName
+   * @param {string} [owner='product']
+   * @returns {Promise<Array<{namespace, key, type, value}>>}
+   */
+  async buildMetafields(product, attributeService, storeName, owner = 'product') {
+    const metafields = [];
+
+    for (const entry of this.getMappings(storeName, owner)) {
+      const attr = (product.custom_attributes || []).find(a => a.attribute_code === entry.attribute);
+      if (!attr) continue;
+
+      const labels = await attributeService.translateAttributeValue(entry.attribute, attr.value);
+      const value = this.formatValue(entry.type, labels);
+
+      if (value === null) {
+        logger.debug('Skipping metafield without a usable value', {
+          sku: product.sku,
+          attribute: entry.attribute,
+          type: entry.type
+        });
+        continue;
+      }
+
+      metafields.push({ namespace: entry.namespace, key: entry.key, type: entry.type, value });
+    }
+
+    return metafields;
+  }
+
+  /**
+   * Serialize translated values for a metafield type: `list.*` types as a JSON array,
+   * other types from the joined (text) or first (number, boolean) value.
+   * @returns {string|null} null when there is nothing valid to set
+   */
+  formatValue(type, values) {
+    const present = values.filter(v => v !== null && v !== undefined && String(v).trim() !== '');
+    if (present.length === 0) return null;
+
+    if (type.startsWith('list.')) {
+      const itemType = type.slice('list.'.length);
+      const items = present.map(v => this.castValue(itemType, v)).filter(v => v !== null);
+      return items.length > 0 ? JSON.stringify(items) : null;
+    }
+
+    const scalar = this.castValue(type, this.isTextType(type) ? present.join(', ') : present[0]);
+    return scalar === null ? null : String(scalar);
+  }
+
+  castValue(type, value) {
+    const text = String(value).trim();
+
+    switch (type) {
+      case 'number_integer': {
+        const number = parseInt(text.replace(/,/g, ''), 10);
+        return Number.isNaN(number) ? null : number;
+      }
+      case 'number_decimal': {
+        const number = parseFloat(text.replace(/,/g, ''));
+        return Number.isNaN(number) ? null : number;
+      }
+      case 'boolean':
+        if (['1', 'true', 'yes'].includes(text.toLowerCase())) return true;
+        if (['0', 'false', 'no'].includes(text.toLowerCase())) return false;
+        return null;
+      default:
+        return text;
+    }
+  }
+
+  isTextType(type) {
+    return !['number_integer', 'number_decimal', 'boolean'].includes(type);
+  }
+}
+
+module.exports = MetafieldMappingService;
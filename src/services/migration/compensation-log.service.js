@@ -0,0 +1,65 @@
+const logger = require('../../config/logger');
+const migrationRunRepo = require('../../database/repositories/migration-run.repository');
+const { MIGRATION_RUNS } = require('../../config/constants');
+
+/**
+ * Persistent record of everything one migration created on its targets.
+ * RollbackService replays it in reverse to remove a failed migration's leftovers.
+ */
+class CompensationLog {
+  constructor(run) {
+    this.run = run;
+    this.runId = run.id;
+  }
+
+  /**
+   * Open a migration run.
+   * @param {Object} params
+   * @param {string} params.sku - Source SKU being migrated
+   * @param {string} params.targetPlatform - 'magento' or 'shopify'
+   * @param {string[]} params.targetStores - Stores the migration writes to
+   * @returns {Promise<CompensationLog>}
+   */
+  static async start({ sku, targetPlatform, targetStores }) {
+    const run = await migrationRunRepo.create({ sku, targetPlatform, targetStores });
+    logger.debug('Migration run started', { runId: run.id, sku, targetPlatform });
+    return new CompensationLog(run);
+  }
+
+  /**
+   * Recorder bound to one store, handed to the target service that performs the writes.
+   */
+  forStore(storeName) {
+    return {
+      record: (entityType, entityKey, data) => this.record(storeName, entityType, entityKey, data)
+    };
+  }
+
+  /**
+   * Record a created entity. Never throws: the entity already exists on the target,
+   * so a logging failure must not fail the migration step that created it.
+   */
+  async record(storeName, entityType, entityKey, data = {}) {
+    try {
+      await migrationRunRepo.addEntity(this.runId, { storeName, entityType, entityKey, data });
+      logger.debug('Recorded created entity', { runId: this.runId, storeName, entityType, entityKey });
+    } catch (error) {
+      logger.error('Failed to record created entity for rollback', {
+        runId: this.runId,
+        storeName,
+        entityType,
+        entityKey,
+        error: error.message
+      });
+    }
+  }
+
+  async finish(success, error = null) {
+    return migrationRunRepo.finish(this.runId, {
+      status: success ? MIGRATION_RUNS.STATUS.COMPLETED : MIGRATION_RUNS.STATUS.FAILED,
+      error
+    });
+  }
+}
+
+module.exports = CompensationLog;
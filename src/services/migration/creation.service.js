@@ -3,6 +3,7 @@ const ImageService = require('../image.service');
 const { CreationError } = require('../../utils/error-handler');
 const config = require('../../config');
 const constants = require('../../config/constants');
+const { reportProgress } = require('../../utils/progress');
 
 class CreationService {
   constructor(sourceService, targetService) {
@@ -265,12 +266,61 @@ class CreationService {
     }
   }
 
+  /**
+   * Build the payloads createProducts() or syncMissingVariants() would send, without writing.
+   * Children in existingChildSkus are skipped; when parentExists is true only the missing
+   * children are created and linked (variant sync), otherwise the full product is planned.
+   */
+  planProducts(extractedData, preparedData, existingChildSkus = [], options = {}, parentExists = false) {
+    const parentSku = extractedData.parent.sku;
+
+    const newChildren = extractedData.children.filter(c => !existingChildSkus.includes(c.sku));
+    const skippedChildren = extractedData.children.filter(c => existingChildSkus.includes(c.sku));
+
+    const childrenToCreate = newChildren.map(child => {
+      const linkData = extractedData.childLinks?.find(link =>
+        typeof link === 'object' && link.sku === child.sku
+      );
+
+      return {
+        sku: child.sku,
+        payload: this.buildSimpleProductData(child, preparedData, linkData, extractedData, options),
+        images: options.includeImages ? (extractedData.images?.children?.[child.sku] || []).length : 0
+      };
+    });
+
+    const plan = {
+      parent: {
+        sku: parentSku,
+        action: parentExists ? 'skip' : 'create',
+        payload: parentExists ? null : this.buildConfigurableParentData(extractedData, preparedData, options),
+        images: !parentExists && options.includeImages ? (extractedData.images?.parent || []).length : 0
+      },
+      children: {
+        create: childrenToCreate,
+        skip: skippedChildren.map(c => ({ sku: c.sku, reason: 'already_exists' }))
+      },
+      configurableOptions: parentExists ? [] : this.buildConfigurableOptions(extractedData, preparedData),
+      links: childrenToCreate.map(child => ({ parentSku, childSku: child.sku }))
+    };
+
+    logger.info('Creation plan built', {
+      parentSku,
+      parentAction: plan.parent.action,
+      childrenToCreate: plan.children.create.length,
+      childrenToSkip: plan.children.skip.length
+    });
+
+    return plan;
+  }
+
   async createSimpleProducts(extractedData, preparedData, options) {
     logger.info('Creating simple products', { count: extractedData.children.length });
 
     const createdProducts = [];
+    const total = extractedData.children.length;
 
-    for (const child of extractedData.children) {
+    for (const [index, child] of extractedData.children.entries()) {
       try {
         const linkData = extractedData.childLinks?.find(link =>
           typeof link === 'object' && link.sku === child.sku
@@ -290,11 +340,15 @@ class CreationService {
 
         let imagesUploaded = 0;
         if (options.includeImages && extractedData.images.children[child.sku]) {
+          reportProgress(options.onProgress, { type: 'phase', phase: 'image-upload', status: 'started', productSku: child.sku });
           const imageResults = await this.imageService.migrateProductImages(
             child.sku,
             extractedData.images.children[child.sku]
           );
           imagesUploaded = imageResults.success.length;
+          reportProgress(options.onProgress, {
+            type: 'phase', phase: 'image-upload', status: 'completed', productSku: child.sku, uploaded: imagesUploaded
+          });
         }
 
         createdProducts.push({
@@ -303,6 +357,10 @@ class CreationService {
           imagesUploaded
         });
 
+        reportProgress(options.onProgress, {
+          type: 'child', childSku: child.sku, status: 'created', index: index + 1, total, imagesUploaded
+        });
+
         logger.info('Simple product created successfully', { sku: child.sku });
       } catch (error) {
         logger.error('Failed to create simple product', {
@@ -316,6 +374,10 @@ class CreationService {
           error: error.message
         });
 
+        reportProgress(options.onProgress, {
+          type: 'child', childSku: child.sku, status: 'failed', index: index + 1, total, error: error.message
+        });
+
         if (!config.errorHandling.continueOnError) {
           throw error;
         }
@@ -439,71 +501,78 @@ class CreationService {
     return productData;
   }
 
-  async createConfigurableParent(extractedData, preparedData, options) {
+  buildConfigurableParentData(extractedData, preparedData, options = {}) {
     const parent = extractedData.parent;
-    logger.info('Creating configurable parent product', { sku: parent.sku });
-
-    try {
-      const customAttributes = [];
+    const customAttributes = [];
 
-      if (parent.custom_attributes) {
-        for (const attr of parent.custom_attributes) {
-          // Skip category_ids - categories are handled via extension_attributes.category_links
-          if (attr.attribute_code === 'category_ids') {
-            continue;
-          }
-          customAttributes.push({
-            attribute_code: attr.attribute_code,
-            value: attr.value
-          });
+    if (parent.custom_attributes) {
+      for (const attr of parent.custom_attributes) {
+        // Skip category_ids - categories are handled via extension_attributes.category_links
+        if (attr.attribute_code === 'category_ids') {
+          continue;
         }
+        customAttributes.push({
+          attribute_code: attr.attribute_code,
+          value: attr.value
+        });
       }
+    }
 
-      const productData = {
-        sku: parent.sku,
-        name: parent.name,
-        attribute_set_id: preparedData.attributeSet?.id || 4,
-        price: parent.price,
-        status: options.productEnabled !== false
-          ? constants.MAGENTO_API.STATUS.ENABLED
-          : constants.MAGENTO_API.STATUS.DISABLED,
-        visibility: constants.MAGENTO_API.VISIBILITY.CATALOG_SEARCH,
-        type_id: constants.MAGENTO_API.PRODUCT_TYPES.CONFIGURABLE,
-        weight: "0.1",
-        custom_attributes: customAttributes
-      };
+    const productData = {
+      sku: parent.sku,
+      name: parent.name,
+      attribute_set_id: preparedData.attributeSet?.id || 4,
+      price: parent.price,
+      status: options.productEnabled !== false
+        ? constants.MAGENTO_API.STATUS.ENABLED
+        : constants.MAGENTO_API.STATUS.DISABLED,
+      visibility: constants.MAGENTO_API.VISIBILITY.CATALOG_SEARCH,
+      type_id: constants.MAGENTO_API.PRODUCT_TYPES.CONFIGURABLE,
+      weight: "0.1",
+      custom_attributes: customAttributes
+    };
 
-      // Add website_ids if provided (for multi-store website assignment)
-      if (options.websiteIds && options.websiteIds.length > 0) {
-        productData.website_ids = options.websiteIds;
-      }
+    // Add website_ids if provided (for multi-store website assignment)
+    if (options.websiteIds && options.websiteIds.length > 0) {
+      productData.website_ids = options.websiteIds;
+    }
 
-      // Add stock_item for configurable parent
-      // Configurable products typically don't manage their own stock (children do)
-      const parentStockItem = parent.extension_attributes?.stock_item;
-      productData.stock_item = {
-        qty: parentStockItem?.qty || 0,
-        is_in_stock: parentStockItem?.is_in_stock !== false,
-        manage_stock: parentStockItem?.manage_stock ?? false  // Default false for configurables
+    // Add stock_item for configurable parent
+    // Configurable products typically don't manage their own stock (children do)
+    const parentStockItem = parent.extension_attributes?.stock_item;
+    productData.stock_item = {
+      qty: parentStockItem?.qty || 0,
+      is_in_stock: parentStockItem?.is_in_stock !== false,
+      manage_stock: parentStockItem?.manage_stock ?? false  // Default false for configurables
+    };
+
+    // Add category_links from prepared category mapping
+    if (preparedData.categoryMapping && Object.keys(preparedData.categoryMapping).length > 0) {
+      const categoryLinks = Object.values(preparedData.categoryMapping).map(categoryId => ({
+        category_id: categoryId.toString(),
+        position: 0
+      }));
+
+      productData.extension_attributes = {
+        ...productData.extension_attributes,
+        category_links: categoryLinks
       };
 
-      // Add category_links from prepared category mapping
-      if (preparedData.categoryMapping && Object.keys(preparedData.categoryMapping).length > 0) {
-        const categoryLinks = Object.values(preparedData.categoryMapping).map(categoryId => ({
-          category_id: categoryId.toString(),
-          position: 0
-        }));
+      logger.debug('Adding category links to product', {
+        sku: parent.sku,
+        categoryIds: Object.values(preparedData.categoryMapping)
+      });
+    }
+
+    return productData;
+  }
 
-        productData.extension_attributes = {
-          ...productData.extension_attributes,
-          category_links: categoryLinks
-        };
+  async createConfigurableParent(extractedData, preparedData, options) {
+    const parent = extractedData.parent;
+    logger.info('Creating configurable parent product', { sku: parent.sku });
 
-        logger.debug('Adding category links to product', {
-          sku: parent.sku,
-          categoryIds: Object.values(preparedData.categoryMapping)
-        });
-      }
+    try {
+      const productData = this.buildConfigurableParentData(extractedData, preparedData, options);
 
       const createdProduct = await this.targetService.createProduct(productData);
 
@@ -512,11 +581,15 @@ class CreationService {
 
       let imagesUploaded = 0;
       if (options.includeImages && extractedData.images.parent.length > 0) {
+        reportProgress(options.onProgress, { type: 'phase', phase: 'image-upload', status: 'started', productSku: parent.sku });
         const parentImageResults = await this.imageService.migrateProductImages(
           parent.sku,
           extractedData.images.parent
         );
         imagesUploaded = parentImageResults.success.length;
+        reportProgress(options.onProgress, {
+          type: 'phase', phase: 'image-upload', status: 'completed', productSku: parent.sku, uploaded: imagesUploaded
+        });
         logger.info('Parent images uploaded', {
           sku: parent.sku,
           uploaded: imagesUploaded,
@@ -606,8 +679,10 @@ class CreationService {
             const targetValue = targetAttribute.options[valueData.label];
 
             if (targetValue) {
+              // Dry-run placeholders for options that don't exist yet are not numeric
+              const valueIndex = parseInt(targetValue, 10);
               values.push({
-                value_index: parseInt(targetValue, 10)
+                value_index: Number.isNaN(valueIndex) ? targetValue : valueIndex
               });
             }
           }
@@ -1,43 +1,65 @@
 const logger = require('../../config/logger');
 const config = require('../../config');
-const SourceService = require('../magento/source.service');
+const magentoStoreRegistry = require('../magento/magento-store-registry.service');
+const sourceRegistry = require('../magento/source-registry.service');
 const TargetService = require('../magento/target.service');
 const ExtractionService = require('./extraction.service');
 const PreparationService = require('./preparation.service');
 const CreationService = require('./creation.service');
-const CategoryMappingService = require('../category-mapping.service');
 const NotificationService = require('../notification/notification.service');
 const StandaloneExtractionService = require('./standalone-extraction.service');
 const StandaloneMagentoCreationService = require('./standalone-magento-creation.service');
 const { ExtractionError } = require('../../utils/error-handler');
 const ContentGenerationService = require('../ai/content-generation.service');
 const aiPromptRepo = require('../../database/repositories/ai-prompt.repository');
+const CompensationLog = require('./compensation-log.service');
+const rollbackService = require('./rollback.service');
+const { reportProgress, reportCheckpoint, scopeProgress } = require('../../utils/progress');
 
 class OrchestratorService {
-  constructor() {
-    this.sourceService = new SourceService(
-      config.source.baseUrl,
-      config.source.token,
-      config.api
-    );
-
-    this.categoryMappingService = new CategoryMappingService();
-    this.extractionService = new ExtractionService(this.sourceService);
-    this.standaloneExtractionService = new StandaloneExtractionService(this.sourceService);
+  /**
+   * @param {string} [sourceName='default'] - Source catalog to migrate products from
+   */
+  constructor(sourceName = sourceRegistry.DEFAULT_SOURCE) {
+    this.sourceName = sourceName;
+    this.sourceService = sourceRegistry.createSourceService(sourceName);
+    this.categoryMappingService = sourceRegistry.createCategoryMapping(sourceName);
+    if (sourceRegistry.isShopify(sourceName)) {
+      // A Shopify source normalizes products into extractedData itself
+      this.extractionService = this.sourceService;
+      this.standaloneExtractionService = this.sourceService;
+    } else {
+      this.extractionService = new ExtractionService(this.sourceService);
+      this.standaloneExtractionService = new StandaloneExtractionService(this.sourceService);
+    }
     this.notificationService = new NotificationService();
     this.contentGenerationService = new ContentGenerationService();
   }
 
   /**
    * Get a TargetService instance for a named Magento store.
-   * @param {string} storeName - The store name key from config.magentoStores (e.g., 'ejuices')
+   * @param {string} storeName - The target store name (e.g., 'ejuices')
    * @returns {TargetService}
    */
   getTargetService(storeName) {
     return TargetService.getInstanceForStore(storeName);
   }
 
-  async migrateProduct(sku, options = {}) {
+  /**
+   * Migrate a product to every instance in options.targetMagentoStores.
+   * @param {string} sku - Source product SKU
+   * @param {Object} options - Migration options; options.source picks the source catalog
+   * @param {Object} [resumeState] - resumeState from a previous attempt; reuses its generated
+   *   AI content and skips instances that already succeeded. options.onCheckpoint receives the
+   *   updated resume state after AI generation and after each instance that succeeds
+   * @returns {Promise<Object>} migrationContext
+   */
+  async migrateProduct(sku, options = {}, resumeState = null) {
+    const scoped = sourceRegistry.forSource(this, options.source, name => new OrchestratorService(name));
+    if (scoped !== this) {
+      return scoped.migrateProduct(sku, options, resumeState);
+    }
+
     const migrationStartTime = Date.now();
 
     const targetMagentoStores = options.targetMagentoStores;
@@ -46,11 +68,16 @@ class OrchestratorService {
       throw new Error('options.targetMagentoStores is required and must be a non-empty array of Magento instance names');
     }
 
+    if (options.dryRun) {
+      return this.planMigration(sku, options);
+    }
+
     logger.info('Starting product migration', { sku, options, targetMagentoStores });
 
     const migrationContext = {
       sku,
       success: false,
+      migrationId: null,
       targetMagentoStores,
       instanceResults: {},
       phases: {
@@ -65,7 +92,11 @@ class OrchestratorService {
         instancesFailed: 0
       },
       warnings: [],
-      errors: []
+      errors: [],
+      resumeState: {
+        generatedContent: null,
+        completedInstances: {}
+      }
     };
 
     const migrationOptions = {
@@ -80,9 +111,15 @@ class OrchestratorService {
         : config.migration.overwriteExisting,
       productEnabled: options.productEnabled !== undefined
         ? options.productEnabled
-        : true
+        : true,
+      rollbackOnFailure: options.rollbackOnFailure !== undefined
+        ? options.rollbackOnFailure
+        : config.migration.rollbackOnFailure,
+      onProgress: options.onProgress
     };
 
+    migrationOptions.compensationLog = await this._startCompensationLog(sku, targetMagentoStores, migrationContext);
+
     try {
       // TYPE PROBE — must happen before any extraction call
       // ExtractionService throws for non-configurable products
@@ -91,23 +128,29 @@ class OrchestratorService {
 
       if (productType === 'configurable') {
         // ---- EXISTING CONFIGURABLE PATH (unchanged) ----
+        reportProgress(options.onProgress, { type: 'phase', phase: 'extraction', status: 'started' });
         const extractedData = await this.executeExtractionPhase(sku, migrationContext);
+        reportProgress(options.onProgress, {
+          type: 'phase', phase: 'extraction', status: 'completed', childrenFound: extractedData.children.length
+        });
 
-        const mergedPrompts = await this._resolvePrompts(targetMagentoStores, options.storePrompts);
-
-        const generatedContent = Object.keys(mergedPrompts).length > 0
-          ? await this.executeAIGenerationPhase(extractedData, mergedPrompts, migrationContext)
-          : {};
+        const generatedContent = await this._generateContent(
+          extractedData, targetMagentoStores, options, migrationContext, resumeState
+        );
 
         const childSkus = extractedData.children.map(child => child.sku);
         await this.notificationService.notifyMigrationStart(sku, childSkus, targetMagentoStores);
 
         for (const storeName of targetMagentoStores) {
+          if (this._resumeCompletedInstance(storeName, resumeState, migrationContext)) continue;
+
           try {
             const storeExtractedData = generatedContent[storeName]
               ? this.applyGeneratedContent(extractedData, generatedContent[storeName])
               : extractedData;
 
+            reportProgress(options.onProgress, { type: 'phase', phase: 'instance', status: 'started', storeName });
+
             const instanceResult = await this.migrateToInstance(
               storeName,
               storeExtractedData,
@@ -116,13 +159,31 @@ class OrchestratorService {
             );
             instanceResult.aiContentApplied = !!generatedContent[storeName];
             migrationContext.instanceResults[storeName] = instanceResult;
+
+            if (instanceResult.success) {
+              await this._recordCompletedInstance(storeName, instanceResult, migrationContext, options);
+            } else {
+              await this._rollbackFailedInstance(storeName, instanceResult, migrationOptions);
+            }
+
+            reportProgress(options.onProgress, {
+              type: 'phase',
+              phase: 'instance',
+              status: instanceResult.success ? 'completed' : 'failed',
+              storeName,
+              mode: instanceResult.mode
+            });
           } catch (error) {
             logger.error('Migration to instance failed', { sku, storeName, error: error.message });
+            reportProgress(options.onProgress, {
+              type: 'phase', phase: 'instance', status: 'failed', storeName, error: error.message
+            });
             migrationContext.instanceResults[storeName] = {
               success: false,
               error: error.message,
               storeResults: {}
             };
+            await this._rollbackFailedInstance(storeName, migrationContext.instanceResults[storeName], migrationOptions);
             migrationContext.errors.push({
               phase: 'instance-migration',
               storeName,
@@ -134,23 +195,27 @@ class OrchestratorService {
         }
       } else {
         // ---- STANDALONE SIMPLE PATH ----
+        reportProgress(options.onProgress, { type: 'phase', phase: 'extraction', status: 'started' });
         const extractedData = await this.executeStandaloneExtractionPhase(sku, sourceProduct, migrationContext);
+        reportProgress(options.onProgress, { type: 'phase', phase: 'extraction', status: 'completed', childrenFound: 0 });
 
-        const mergedPrompts = await this._resolvePrompts(targetMagentoStores, options.storePrompts);
-
-        const generatedContent = Object.keys(mergedPrompts).length > 0
-          ? await this.executeAIGenerationPhase(extractedData, mergedPrompts, migrationContext)
-          : {};
+        const generatedContent = await this._generateContent(
+          extractedData, targetMagentoStores, options, migrationContext, resumeState
+        );
 
         const childSkus = extractedData.children.map(c => c.sku); // always []
         await this.notificationService.notifyMigrationStart(sku, childSkus, targetMagentoStores);
 
         for (const storeName of targetMagentoStores) {
+          if (this._resumeCompletedInstance(storeName, resumeState, migrationContext)) continue;
+
           try {
             const storeExtractedData = generatedContent[storeName]
               ? this.applyGeneratedContent(extractedData, generatedContent[storeName])
               : extractedData;
 
+            reportProgress(options.onProgress, { type: 'phase', phase: 'instance', status: 'started', storeName });
+
             const instanceResult = await this.migrateStandaloneToInstance(
               sku,
               storeExtractedData,
@@ -160,7 +225,18 @@ class OrchestratorService {
             instanceResult.aiContentApplied = !!generatedContent[storeName];
             migrationContext.instanceResults[storeName] = instanceResult;
 
-            if (!instanceResult.success) {
+            reportProgress(options.onProgress, {
+              type: 'phase',
+              phase: 'instance',
+              status: instanceResult.success ? 'completed' : 'failed',
+              storeName,
+              mode: 'standalone'
+            });
+
+            if (instanceResult.success) {
+              await this._recordCompletedInstance(storeName, instanceResult, migrationContext, options);
+            } else {
+              await this._rollbackFailedInstance(storeName, instanceResult, migrationOptions);
               migrationContext.errors.push({
                 phase: 'instance-migration',
                 storeName,
@@ -170,11 +246,15 @@ class OrchestratorService {
             }
           } catch (error) {
             logger.error('Standalone migration to instance failed', { sku, storeName, error: error.message });
+            reportProgress(options.onProgress, {
+              type: 'phase', phase: 'instance', status: 'failed', storeName, error: error.message
+            });
             migrationContext.instanceResults[storeName] = {
               success: false,
               error: error.message,
               storeResults: {}
             };
+            await this._rollbackFailedInstance(storeName, migrationContext.instanceResults[storeName], migrationOptions);
             migrationContext.errors.push({
               phase: 'instance-migration',
               storeName,
@@ -212,6 +292,7 @@ class OrchestratorService {
         instancesFailed: migrationContext.summary.instancesFailed
       });
 
+      await this._finishCompensationLog(migrationOptions.compensationLog, migrationContext);
       await this.notificationService.notifyMigrationEnd(migrationContext);
 
       return migrationContext;
@@ -233,12 +314,276 @@ class OrchestratorService {
         duration: `${migrationContext.summary.totalDuration}ms`
       });
 
+      await this._finishCompensationLog(migrationOptions.compensationLog, migrationContext, error.message);
       await this.notificationService.notifyMigrationEnd(migrationContext);
 
       return migrationContext;
     }
   }
 
+  /**
+   * Open the compensation log for a migration run. A log that cannot be opened only
+   * disables rollback; the migration itself still proceeds.
+   * @returns {Promise<CompensationLog|null>}
+   */
+  async _startCompensationLog(sku, targetStores, context) {
+    try {
+      const compensationLog = await CompensationLog.start({ sku, targetPlatform: 'magento', targetStores });
+      context.migrationId = compensationLog.runId;
+      return compensationLog;
+    } catch (error) {
+      logger.error('Failed to start compensation log, rollback disabled for this migration', {
+        sku,
+        error: error.message
+      });
+      context.warnings.push({
+        phase: 'compensation-log',
+        message: `Created entities are not being recorded: ${error.message}`
+      });
+      return null;
+    }
+  }
+
+  async _finishCompensationLog(compensationLog, context, errorMessage = null) {
+    if (!compensationLog) return;
+
+    try {
+      await compensationLog.finish(context.success, errorMessage);
+    } catch (error) {
+      logger.error('Failed to finish compensation log', { runId: compensationLog.runId, error: error.message });
+    }
+  }
+
+  /**
+   * Delete what a failed instance migration created on that instance, newest first,
+   * and attach the outcome to the instance result as `rollback`.
+   */
+  async _rollbackFailedInstance(storeName, instanceResult, migrationOptions) {
+    const { compensationLog } = migrationOptions;
+    if (!compensationLog || !migrationOptions.rollbackOnFailure) return;
+
+    reportProgress(migrationOptions.onProgress, { type: 'phase', phase: 'rollback', status: 'started', storeName });
+
+    try {
+      instanceResult.rollback = await rollbackService.rollbackRun(compensationLog.run, { storeName });
+      reportProgress(migrationOptions.onProgress, {
+        type: 'phase',
+        phase: 'rollback',
+        status: instanceResult.rollback.failed > 0 ? 'failed' : 'completed',
+        storeName,
+        rolledBack: instanceResult.rollback.rolledBack
+      });
+    } catch (error) {
+      logger.error('Rollback of failed instance failed', { storeName, error: error.message });
+      instanceResult.rollback = { success: false, error: error.message };
+      reportProgress(migrationOptions.onProgress, {
+        type: 'phase', phase: 'rollback', status: 'failed', storeName, error: error.message
+      });
+    }
+  }
+
+  /**
+   * Dry run of migrateProduct: extract from the source and prepare each target instance
+   * read-only, then return what a real migration would create instead of creating it.
+   * AI generation and notifications are skipped.
+   * @param {string} sku - Source product SKU
+   * @param {Object} options - Migration options (same as migrateProduct)
+   * @returns {Promise<Object>} Plan per instance in `plans`
+   */
+  async planMigration(sku, options = {}) {
+    const startTime = Date.now();
+    const targetMagentoStores = options.targetMagentoStores;
+
+    logger.info('Planning product migration (dry run)', { sku, targetMagentoStores });
+
+    const planContext = {
+      sku,
+      dryRun: true,
+      success: false,
+      productType: null,
+      targetMagentoStores,
+      plans: {},
+      phases: {
+        extraction: { success: false, duration: 0 },
+        aiGeneration: { skipped: true }
+      },
+      summary: {
+        totalDuration: 0,
+        instancesPlanned: 0,
+        instancesFailed: 0
+      },
+      warnings: [],
+      errors: []
+    };
+
+    const planOptions = {
+      includeImages: options.includeImages !== undefined
+        ? options.includeImages
+        : config.migration.includeImages,
+      overwriteExisting: options.overwriteExisting !== undefined
+        ? options.overwriteExisting
+        : config.migration.overwriteExisting,
+      productEnabled: options.productEnabled !== undefined
+        ? options.productEnabled
+        : true
+    };
+
+    try {
+      const sourceProduct = await this.sourceService.getProductBySku(sku);
+      planContext.productType = this.classifyProductType(sourceProduct);
+
+      const extractedData = planContext.productType === 'configurable'
+        ? await this.executeExtractionPhase(sku, planContext)
+        : await this.executeStandaloneExtractionPhase(sku, sourceProduct, planContext);
+
+      for (const storeName of targetMagentoStores) {
+        try {
+          planContext.plans[storeName] = planContext.productType === 'configurable'
+            ? await this.planInstance(storeName, extractedData, planOptions)
+            : await this.planStandaloneInstance(storeName, extractedData, planOptions);
+        } catch (error) {
+          logger.error('Planning for instance failed', { sku, storeName, error: error.message });
+          planContext.plans[storeName] = { success: false, error: error.message };
+          planContext.errors.push({
+            phase: 'instance-plan',
+            storeName,
+            message: error.message,
+            details: error.stack
+          });
+        }
+      }
+
+      const plans = Object.values(planContext.plans);
+      planContext.summary.instancesPlanned = plans.filter(p => p.success).length;
+      planContext.summary.instancesFailed = plans.filter(p => !p.success).length;
+      planContext.success = planContext.summary.instancesFailed === 0;
+    } catch (error) {
+      planContext.errors.push({
+        phase: 'orchestration',
+        message: error.message,
+        details: error.stack
+      });
+      logger.error('Migration planning failed', { sku, error: error.message });
+    }
+
+    planContext.summary.totalDuration = Date.now() - startTime;
+
+    logger.info('Migration plan completed', {
+      sku,
+      success: planContext.success,
+      instancesPlanned: planContext.summary.instancesPlanned,
+      duration: `${planContext.summary.totalDuration}ms`
+    });
+
+    return planContext;
+  }
+
+  /**
+   * Read-only counterpart of migrateToInstance for a configurable product.
+   * @returns {Promise<Object>} Instance plan: mode, store views, preparation results and payloads
+   */
+  async planInstance(storeName, extractedData, options) {
+    const sku = extractedData.parent.sku;
+
+    const targetService = this.getTargetService(storeName);
+    const preparationService = new PreparationService(targetService, this.categoryMappingService);
+    const creationService = new CreationService(this.sourceService, targetService);
+
+    const preparedData = await preparationService.prepareTarget(extractedData, { dryRun: true });
+
+    const storeWebsiteMapping = await targetService.getStoreWebsiteMapping();
+    const storeViews = Object.keys(storeWebsiteMapping);
+    const websiteIds = [...new Set(Object.values(storeWebsiteMapping).filter(Boolean))];
+
+    const existingParent = await targetService.getProductBySku(sku);
+    const isConfigurable = extractedData.parent.type_id === 'configurable' && extractedData.children.length > 0;
+
+    let existingChildSkus = [];
+    let mode = 'full-creation';
+
+    if (existingParent && isConfigurable) {
+      const existingChildren = await targetService.getConfigurableChildren(sku);
+      existingChildSkus = existingChildren.map(c => c.sku);
+      const missingCount = extractedData.children.filter(c => !existingChildSkus.includes(c.sku)).length;
+      mode = missingCount === 0 ? 'no-action' : 'variant-sync';
+    }
+
+    const productPlan = creationService.planProducts(
+      extractedData,
+      preparedData,
+      existingChildSkus,
+      { ...options, websiteIds },
+      mode !== 'full-creation'
+    );
+
+    return {
+      success: true,
+      mode,
+      existingProductId: existingParent?.id || null,
+      storeViews,
+      websiteIds,
+      ...this._summarizePreparation(preparedData),
+      ...productPlan,
+      // Store views after the first only receive store-scoped attribute updates
+      storeUpdates: mode === 'no-action' ? [] : storeViews.slice(1)
+    };
+  }
+
+  /**
+   * Read-only counterpart of migrateStandaloneToInstance.
+   */
+  async planStandaloneInstance(storeName, extractedData, options) {
+    const sku = extractedData.parent.sku;
+
+    const targetService = this.getTargetService(storeName);
+    const preparationService = new PreparationService(targetService, this.categoryMappingService);
+    const creationService = new StandaloneMagentoCreationService(this.sourceService, targetService);
+
+    const storeWebsiteMapping = await targetService.getStoreWebsiteMapping();
+    const storeViews = Object.keys(storeWebsiteMapping);
+    const websiteIds = [...new Set(Object.values(storeWebsiteMapping).filter(Boolean))];
+
+    const existingProduct = await targetService.getProductBySku(sku);
+    if (existingProduct && !options.overwriteExisting) {
+      return {
+        success: false,
+        mode: 'error',
+        error: `Product ${sku} already exists on target ${storeName}.`,
+        existingProductId: existingProduct.id
+      };
+    }
+
+    const preparedData = await preparationService.prepareTarget(extractedData, { dryRun: true });
+
+    return {
+      success: true,
+      mode: 'standalone-creation',
+      existingProductId: existingProduct?.id || null,
+      storeViews,
+      websiteIds,
+      ...this._summarizePreparation(preparedData),
+      parent: {
+        sku,
+        action: 'create',
+        payload: creationService.buildProductData(extractedData.parent, preparedData, websiteIds, options),
+        images: options.includeImages ? (extractedData.images?.parent || []).length : 0
+      },
+      children: { create: [], skip: [] },
+      configurableOptions: [],
+      links: [],
+      storeUpdates: storeViews.slice(1)
+    };
+  }
+
+  _summarizePreparation(preparedData) {
+    return {
+      attributeSet: preparedData.attributeSet,
+      attributeOptionsToCreate: preparedData.plan.attributeOptionsToCreate,
+      missingAttributes: preparedData.plan.missingAttributes,
+      categories: preparedData.plan.categories
+    };
+  }
+
   /**
    * Determine product type from a source product object.
    * @throws {ExtractionError} for unsupported or ambiguous types
@@ -270,7 +615,7 @@ class OrchestratorService {
    * Handles preparation, store view discovery, and creation/variant-sync for all
    * store views within that instance.
    *
-   * @param {string} storeName - The instance name key from config.magentoStores
+   * @param {string} storeName - The target instance name
    * @param {Object} extractedData - Data extracted from source (shared across instances)
    * @param {Object} options - Migration options
    * @param {Object} context - The top-level migrationContext for logging/errors
@@ -278,10 +623,14 @@ class OrchestratorService {
    */
   async migrateToInstance(storeName, extractedData, options, context) {
     const sku = extractedData.parent.sku;
+    options = { ...options, onProgress: scopeProgress(options.onProgress, { storeName }) };
 
     logger.info('Migrating product to instance', { sku, storeName });
 
     const targetService = this.getTargetService(storeName);
+    if (options.compensationLog) {
+      targetService.withCompensationLog(options.compensationLog.forStore(storeName));
+    }
     const preparationService = new PreparationService(targetService, this.categoryMappingService);
     const creationService = new CreationService(this.sourceService, targetService);
 
@@ -408,6 +757,8 @@ class OrchestratorService {
         });
 
         try {
+          reportProgress(options.onProgress, { type: 'phase', phase: 'creation', status: 'started', storeCode });
+
           const creationResult = await creationService.createProducts(
             extractedData,
             preparedData,
@@ -417,6 +768,10 @@ class OrchestratorService {
           parentProductId = creationResult.parentProductId;
           childrenCreated = creationResult.createdChildren.filter(c => c.success).length;
 
+          reportProgress(options.onProgress, {
+            type: 'phase', phase: 'creation', status: 'completed', storeCode, childrenCreated
+          });
+
           storeResults[storeCode] = {
             success: true,
             productId: creationResult.parentProductId,
@@ -440,6 +795,9 @@ class OrchestratorService {
             storeCode,
             error: error.message
           });
+          reportProgress(options.onProgress, {
+            type: 'phase', phase: 'creation', status: 'failed', storeCode, error: error.message
+          });
 
           storeResults[storeCode] = {
             success: false,
@@ -472,6 +830,8 @@ class OrchestratorService {
         });
 
         try {
+          reportProgress(options.onProgress, { type: 'phase', phase: 'store-update', status: 'started', storeCode });
+
           const updateResult = await scopedCreationService.updateProductsForStore(
             extractedData,
             preparedData,
@@ -489,6 +849,8 @@ class OrchestratorService {
             context.warnings.push(...updateResult.warnings.map(w => ({ ...w, storeCode })));
           }
 
+          reportProgress(options.onProgress, { type: 'phase', phase: 'store-update', status: 'completed', storeCode });
+
           logger.info('Store update successful', {
             sku: extractedData.parent.sku,
             storeCode
@@ -499,6 +861,9 @@ class OrchestratorService {
             storeCode,
             error: error.message
           });
+          reportProgress(options.onProgress, {
+            type: 'phase', phase: 'store-update', status: 'failed', storeCode, error: error.message
+          });
 
           storeResults[storeCode] = {
             success: false,
@@ -571,6 +936,8 @@ class OrchestratorService {
         });
 
         try {
+          reportProgress(options.onProgress, { type: 'phase', phase: 'variant-sync', status: 'started', storeCode });
+
           const syncResult = await creationService.syncMissingVariants(
             extractedData,
             preparedData,
@@ -580,6 +947,10 @@ class OrchestratorService {
 
           childrenCreated = syncResult.childrenCreated;
 
+          reportProgress(options.onProgress, {
+            type: 'phase', phase: 'variant-sync', status: 'completed', storeCode, childrenCreated
+          });
+
           storeResults[storeCode] = {
             success: true,
             childrenCreated: syncResult.childrenCreated,
@@ -604,6 +975,9 @@ class OrchestratorService {
             storeCode,
             error: error.message
           });
+          reportProgress(options.onProgress, {
+            type: 'phase', phase: 'variant-sync', status: 'failed', storeCode, error: error.message
+          });
 
           storeResults[storeCode] = {
             success: false,
@@ -641,6 +1015,8 @@ class OrchestratorService {
         });
 
         try {
+          reportProgress(options.onProgress, { type: 'phase', phase: 'store-update', status: 'started', storeCode });
+
           const updateResult = await scopedCreationService.updateProductsForStore(
             filteredExtractedData,
             preparedData,
@@ -657,6 +1033,8 @@ class OrchestratorService {
             context.warnings.push(...updateResult.warnings.map(w => ({ ...w, storeCode })));
           }
 
+          reportProgress(options.onProgress, { type: 'phase', phase: 'store-update', status: 'completed', storeCode });
+
           logger.info('Store update successful', {
             sku: extractedData.parent.sku,
             storeCode
@@ -667,6 +1045,9 @@ class OrchestratorService {
             storeCode,
             error: error.message
           });
+          reportProgress(options.onProgress, {
+            type: 'phase', phase: 'store-update', status: 'failed', storeCode, error: error.message
+          });
 
           storeResults[storeCode] = {
             success: false,
@@ -787,6 +1168,9 @@ class OrchestratorService {
     logger.info('Migrating standalone product to instance', { sku, storeName });
 
     const targetService = this.getTargetService(storeName);
+    if (migrationOptions.compensationLog) {
+      targetService.withCompensationLog(migrationOptions.compensationLog.forStore(storeName));
+    }
     const preparationService = new PreparationService(targetService, this.categoryMappingService);
     const creationService = new StandaloneMagentoCreationService(this.sourceService, targetService);
 
@@ -874,6 +1258,65 @@ class OrchestratorService {
     return { ...dbPrompts, ...requestPrompts };
   }
 
+  /**
+   * Resolve prompts and run AI generation, or reuse content generated by a previous attempt.
+   * The content is recorded in context.resumeState so a retry does not regenerate it.
+   */
+  async _generateContent(extractedData, targetStores, options, context, resumeState) {
+    if (resumeState?.generatedContent) {
+      context.phases.aiGeneration = {
+        success: true,
+        duration: 0,
+        storesGenerated: Object.keys(resumeState.generatedContent).length,
+        resumed: true
+      };
+      context.resumeState.generatedContent = resumeState.generatedContent;
+      return resumeState.generatedContent;
+    }
+
+    const mergedPrompts = await this._resolvePrompts(targetStores, options.storePrompts);
+
+    if (Object.keys(mergedPrompts).length === 0) {
+      return {};
+    }
+
+    reportProgress(options.onProgress, { type: 'phase', phase: 'ai-generation', status: 'started' });
+    const generatedContent = await this.executeAIGenerationPhase(extractedData, mergedPrompts, context);
+    reportProgress(options.onProgress, {
+      type: 'phase', phase: 'ai-generation', status: 'completed', storesGenerated: Object.keys(generatedContent).length
+    });
+
+    if (Object.keys(generatedContent).length > 0) {
+      context.resumeState.generatedContent = generatedContent;
+      await reportCheckpoint(options.onCheckpoint, context.resumeState);
+    }
+
+    return generatedContent;
+  }
+
+  /**
+   * Record an instance that succeeded in this attempt, as soon as it finishes, so a retry
+   * skips it even if a later instance fails or the process stops.
+   */
+  async _recordCompletedInstance(storeName, instanceResult, context, options) {
+    context.resumeState.completedInstances[storeName] = instanceResult;
+    await reportCheckpoint(options.onCheckpoint, context.resumeState);
+  }
+
+  /**
+   * Carry over an instance result that succeeded in a previous attempt.
+   * @returns {boolean} true if the instance should be skipped
+   */
+  _resumeCompletedInstance(storeName, resumeState, context) {
+    const previous = resumeState?.completedInstances?.[storeName];
+    if (!previous?.success) return false;
+
+    logger.info('Skipping instance already migrated in a previous attempt', { sku: context.sku, storeName });
+    context.instanceResults[storeName] = { ...previous, resumed: true };
+    context.resumeState.completedInstances[storeName] = previous;
+    return true;
+  }
+
   async executeAIGenerationPhase(extractedData, storePrompts, context) {
     const phaseStartTime = Date.now();
 
@@ -929,7 +1372,7 @@ class OrchestratorService {
     const sourceConnection = await this.sourceService.testConnection();
 
     const targets = {};
-    const storeNames = Object.keys(config.magentoStores);
+    const storeNames = magentoStoreRegistry.storeNames();
 
     for (const storeName of storeNames) {
       try {
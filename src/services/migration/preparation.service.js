@@ -1,15 +1,29 @@
 const logger = require('../../config/logger');
 const { PreparationError } = require('../../utils/error-handler');
 
+/**
+ * Placeholder used in dry-run payloads for an attribute option that does not exist yet
+ * and would be created by a real migration.
+ */
+const plannedOptionValue = (label) => `new:${label}`;
+
 class PreparationService {
   constructor(targetService, categoryMappingService = null) {
     this.targetService = targetService;
     this.categoryMappingService = categoryMappingService;
   }
 
-  async prepareTarget(extractedData) {
+  /**
+   * Resolve attribute set, attribute options and categories on the target.
+   * @param {Object} extractedData - Data from the extraction phase
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only look things up; missing attribute options are
+   *   recorded in result.plan instead of being created
+   * @returns {Promise<Object>} preparedData
+   */
+  async prepareTarget(extractedData, options = {}) {
     const startTime = Date.now();
-    logger.info('Starting preparation phase');
+    logger.info('Starting preparation phase', { dryRun: !!options.dryRun });
 
     const result = {
       attributeSet: null,
@@ -20,20 +34,30 @@ class PreparationService {
       warnings: []
     };
 
+    const plan = options.dryRun
+      ? { attributeOptionsToCreate: [], missingAttributes: [], categories: { resolved: {}, missing: [] } }
+      : null;
+
     try {
       result.attributeSet = await this.prepareAttributeSet(
         extractedData.translations.attributeSet
       );
 
       result.attributeMapping = await this.prepareAttributes(
-        extractedData.translations.attributeValues
+        extractedData.translations.attributeValues,
+        plan
       );
 
       result.customAttributeMapping = extractedData.translations.customAttributes;
 
       // Prepare category mappings if categories are available and mapping service is configured
       if (extractedData.categories && extractedData.categories.length > 0) {
-        result.categoryMapping = await this.prepareCategories(extractedData.categories);
+        result.categoryMapping = await this.prepareCategories(extractedData.categories, plan);
+      }
+
+      if (plan) {
+        plan.categories.resolved = { ...result.categoryMapping };
+        result.plan = plan;
       }
 
       const duration = Date.now() - startTime;
@@ -89,7 +113,12 @@ class PreparationService {
     }
   }
 
-  async prepareAttributes(attributeValues) {
+  /**
+   * Map source attribute option labels to target option IDs, creating missing options.
+   * When a plan is passed (dry run) nothing is created: missing options are recorded in
+   * plan.attributeOptionsToCreate and mapped to a placeholder from plannedOptionValue().
+   */
+  async prepareAttributes(attributeValues, plan = null) {
     logger.info('Preparing attributes and options', {
       count: Object.keys(attributeValues).length
     });
@@ -104,6 +133,7 @@ class PreparationService {
 
         if (!targetAttribute) {
           logger.warn('Attribute not found in target', { attributeCode });
+          if (plan) plan.missingAttributes.push(attributeCode);
           continue;
         }
 
@@ -115,12 +145,14 @@ class PreparationService {
 
         for (const valueData of values) {
           try {
-            const targetOption = await this.targetService.ensureAttributeOptionExists(
-              attributeCode,
-              valueData.label
-            );
-
-            if (targetOption) {
+            const targetOption = plan
+              ? await this.targetService.findAttributeOptionByLabel(attributeCode, valueData.label)
+              : await this.targetService.ensureAttributeOptionExists(attributeCode, valueData.label);
+
+            if (!targetOption && plan) {
+              plan.attributeOptionsToCreate.push({ attributeCode, label: valueData.label });
+              attributeMapping[attributeCode].options[valueData.label] = plannedOptionValue(valueData.label);
+            } else if (targetOption) {
               attributeMapping[attributeCode].options[valueData.label] = targetOption.value;
               logger.debug('Attribute option mapped', {
                 attributeCode,
@@ -165,9 +197,10 @@ class PreparationService {
    * Uses the CategoryMappingService to map source category names to target names,
    * then looks up target category IDs via the Magento API.
    * @param {Array} sourceCategories - Array of source category objects with 'name' property
+   * @param {Object} [plan] - Dry-run plan; unresolved target names are added to plan.categories.missing
    * @returns {Object} - Mapping of source category names to target category IDs
    */
-  async prepareCategories(sourceCategories) {
+  async prepareCategories(sourceCategories, plan = null) {
     logger.info('Preparing category mappings', {
       count: sourceCategories.length
     });
@@ -205,6 +238,7 @@ class PreparationService {
           logger.debug('Category ID resolved', { name: targetName, id: categoryId });
         } else {
           logger.warn('Target category not found', { name: targetName });
+          if (plan) plan.categories.missing.push(targetName);
         }
       } catch (error) {
         logger.warn('Failed to look up category', {
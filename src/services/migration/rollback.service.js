@@ -0,0 +1,171 @@
+const logger = require('../../config/logger');
+const TargetService = require('../magento/target.service');
+const migrationRunRepo = require('../../database/repositories/migration-run.repository');
+const { MIGRATION_RUNS } = require('../../config/constants');
+
+const { ENTITY_STATUS, ENTITY_TYPES } = MIGRATION_RUNS;
+
+// Magento answers 404 for entities that are gone; Shopify reports them as userErrors
+const ALREADY_REMOVED_PATTERN = /does not exist|not found|could not be found/i;
+
+const isAlreadyRemoved = error => error.statusCode === 404 || ALREADY_REMOVED_PATTERN.test(error.message || '');
+
+class RollbackService {
+  /**
+   * Delete the entities a migration run created, newest first.
+   * Entities already rolled back are left out; entities whose rollback failed, or that were
+   * skipped because products still used them, are retried.
+   * Attribute options are shared by the whole catalog, so one is only deleted while no
+   * product on the instance uses it; otherwise it is kept and reported as skipped.
+   * @param {Object} run - migration_runs row
+   * @param {Object} [options]
+   * @param {string} [options.storeName] - Only roll back what was created on this store
+   * @returns {Promise<{runId: string, rolledBack: number, skipped: number, failed: number, entities: Array}>}
+   */
+  async rollbackRun(run, { storeName = null } = {}) {
+    const entities = await migrationRunRepo.findEntitiesToRollback(run.id, storeName);
+    const targets = {};
+
+    logger.info('Rolling back migration run', {
+      runId: run.id,
+      sku: run.sku,
+      storeName,
+      entities: entities.length
+    });
+
+    const result = { runId: run.id, rolledBack: 0, skipped: 0, failed: 0, entities: [] };
+
+    for (const entity of entities) {
+      const summary = {
+        storeName: entity.store_name,
+        entityType: entity.entity_type,
+        entityKey: entity.entity_key
+      };
+
+      try {
+        const outcome = await this._deleteEntity(run, entity, targets);
+        if (outcome?.skipped) {
+          logger.warn('Kept entity still in use', { runId: run.id, ...summary, reason: outcome.reason });
+          await migrationRunRepo.markEntity(entity.id, { status: ENTITY_STATUS.SKIPPED, error: outcome.reason });
+          result.skipped++;
+          result.entities.push({ ...summary, status: ENTITY_STATUS.SKIPPED, reason: outcome.reason });
+          continue;
+        }
+        await migrationRunRepo.markEntity(entity.id, { status: ENTITY_STATUS.ROLLED_BACK });
+        result.rolledBack++;
+        result.entities.push({ ...summary, status: ENTITY_STATUS.ROLLED_BACK });
+      } catch (error) {
+        if (isAlreadyRemoved(error)) {
+          // Already removed on the target (e.g. media deleted together with its product)
+          await migrationRunRepo.markEntity(entity.id, { status: ENTITY_STATUS.ROLLED_BACK });
+          result.rolledBack++;
+          result.entities.push({ ...summary, status: ENTITY_STATUS.ROLLED_BACK, alreadyRemoved: true });
+          continue;
+        }
+
+        logger.error('Failed to roll back entity', { runId: run.id, ...summary, error: error.message });
+        await migrationRunRepo.markEntity(entity.id, { status: ENTITY_STATUS.ROLLBACK_FAILED, error: error.message });
+        result.failed++;
+        result.entities.push({ ...summary, status: ENTITY_STATUS.ROLLBACK_FAILED, error: error.message });
+      }
+    }
+
+    logger.info('Migration run rollback finished', {
+      runId: run.id,
+      storeName,
+      rolledBack: result.rolledBack,
+      skipped: result.skipped,
+      failed: result.failed
+    });
+
+    return result;
+  }
+
+  /**
+   * Roll back a whole run and record the outcome on it.
+   * @returns {Promise<Object>} rollbackRun result plus the new run status
+   */
+  async rollbackMigration(run) {
+    const result = await this.rollbackRun(run);
+
+    const status = result.failed > 0
+      ? MIGRATION_RUNS.STATUS.ROLLBACK_FAILED
+      : MIGRATION_RUNS.STATUS.ROLLED_BACK;
+
+    await migrationRunRepo.updateStatus(run.id, status, status === MIGRATION_RUNS.STATUS.ROLLED_BACK
+      ? { rolled_back_at: new Date() }
+      : {});
+
+    return { ...result, status };
+  }
+
+  async _deleteEntity(run, entity, targets) {
+    switch (run.target_platform) {
+      case 'magento':
+        return this._deleteMagentoEntity(entity, targets);
+      case 'shopify':
+        return this._deleteShopifyEntity(entity, targets);
+      default:
+        throw new Error(`Rollback is not supported for platform: ${run.target_platform}`);
+    }
+  }
+
+  async _deleteMagentoEntity(entity, targets) {
+    if (!targets[entity.store_name]) {
+      targets[entity.store_name] = TargetService.getInstanceForStore(entity.store_name);
+    }
+    const targetService = targets[entity.store_name];
+    const data = entity.data || {};
+
+    switch (entity.entity_type) {
+      case ENTITY_TYPES.PRODUCT:
+        return targetService.deleteProduct(data.sku);
+      case ENTITY_TYPES.MEDIA:
+        return targetService.deleteProductMedia(data.sku, data.entryId);
+      case ENTITY_TYPES.ATTRIBUTE_OPTION: {
+        let optionId = data.optionId;
+        if (!optionId) {
+          const option = await targetService.findAttributeOptionByLabel(data.attributeCode, data.label);
+          if (!option) return null;
+          optionId = option.value;
+        }
+        const inUse = await targetService.countProductsUsingAttributeOption(data.attributeCode, optionId);
+        if (inUse > 0) {
+          return { skipped: true, reason: `Option is used by ${inUse} product(s)` };
+        }
+        return targetService.deleteAttributeOption(data.attributeCode, optionId);
+      }
+      default:
+        throw new Error(`Unsupported entity type: ${entity.entity_type}`);
+    }
+  }
+
+  /**
+   * Variants are deleted one by one so only those this run appended are removed;
+   * the product's pre-existing variants are never touched.
+   */
+  async _deleteShopifyEntity(entity, targets) {
+    if (!targets[entity.store_name]) {
+      // Required here so Magento-only callers don't load the Shopify OAuth stack
+      const shopifyRegistry = require('../shopify/shopify-store-registry.service');
+      targets[entity.store_name] = await shopifyRegistry.getTargetService(entity.store_name);
+    }
+    const shopifyTargetService = targets[entity.store_name];
+    const data = entity.data || {};
+
+    switch (entity.entity_type) {
+      case ENTITY_TYPES.PRODUCT:
+        return shopifyTargetService.deleteProduct(data.productId);
+      case ENTITY_TYPES.VARIANT:
+        return shopifyTargetService.deleteProductVariants(data.productId, [data.variantId]);
+      case ENTITY_TYPES.MEDIA:
+        return shopifyTargetService.deleteAllProductMedia(data.productId, [data.mediaId]);
+      case ENTITY_TYPES.FILE:
+        return shopifyTargetService.deleteFiles([data.fileId]);
+      default:
+        throw new Error(`Unsupported entity type: ${entity.entity_type}`);
+    }
+  }
+}
+
+module.exports = new RollbackService();
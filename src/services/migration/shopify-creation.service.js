@@ -3,6 +3,11 @@ const config = require('../../config');
 const { CreationError } = require('../../utils/error-handler');
 const vapordnaFormatter = require('./formatters/vapordna.formatter');
 const StoreDescriptionService = require('./store-description.service');
+const AttributeService = require('../attribute.service');
+const MetafieldMappingService = require('../metafield-mapping.service');
+const TagBuilderService = require('../tag-builder.service');
+const LocationMappingService = require('../shopify/location-mapping.service');
+const { reportProgress } = require('../../utils/progress');
 
 const VAPORDNA_STORE_KEY = 'vapordna';
 const VAPORDNA_HOMEPAGE = 'https://vapordna.com/';
@@ -15,6 +20,10 @@ class ShopifyCreationService {
     this.categoryMappingService = categoryMappingService;
     this.storeName = storeName;
     this.storeDescriptionService = storeDescriptionService;
+    this.metafieldMappingService = null;
+    this.tagBuilderService = null;
+    this.locationMappingService = null;
+    this.attributeService = null;
   }
 
   isVapordnaStore() {
@@ -28,6 +37,179 @@ class ShopifyCreationService {
     return this.storeDescriptionService;
   }
 
+  getMetafieldMappingService() {
+    if (!this.metafieldMappingService) {
+      this.metafieldMappingService = new MetafieldMappingService();
+    }
+    return this.metafieldMappingService;
+  }
+
+  getTagBuilderService() {
+    if (!this.tagBuilderService) {
+      this.tagBuilderService = new TagBuilderService();
+    }
+    return this.tagBuilderService;
+  }
+
+  getLocationMappingService() {
+    if (!this.locationMappingService) {
+      this.locationMappingService = new LocationMappingService(this.sourceService, this.shopifyTargetService);
+    }
+    return this.locationMappingService;
+  }
+
+  getAttributeService() {
+    if (!this.attributeService) {
+      this.attributeService = new AttributeService(this.sourceService);
+    }
+    return this.attributeService;
+  }
+
+  /**
+   * Metafields mapped from a source product's custom attributes for this store.
+   * @param {Object} product - Source parent or child product
+   * @param {string} owner - "product" or "variant"
+   */
+  async buildMappedMetafields(product, owner, storeName = this.storeName) {
+    return this.getMetafieldMappingService().buildMetafields(product, this.getAttributeService(), storeName, owner);
+  }
+
+  /**
+   * Tags for a source product from the store's tag rules.
+   * @param {Object} extractedData - Parent, children, translations and categories
+   * @param {string|null} productType - Shopify product type the product is created with
+   */
+  async buildTags(extractedData, productType, storeName = this.storeName) {
+    return this.getTagBuilderService().buildTags({
+      parent: extractedData.parent,
+      children: extractedData.children || [],
+      brandLabel: extractedData.translations?.brandLabel || null,
+      productType,
+      categoryNames: (extractedData.categories || []).map(cat => cat.name)
+    }, {
+      attributeService: this.getAttributeService(),
+      categoryMappingService: this.categoryMappingService,
+      storeName
+    });
+  }
+
+  /**
+   * Add mapped variant metafields to built variants, matching them to source products by SKU.
+   */
+  async applyVariantMetafields(variants, products, storeName = this.storeName) {
+    for (const variant of variants) {
+      const sku = variant.inventoryItem?.sku || variant.sku;
+      const product = products.find(p => p.sku === sku);
+      if (!product) continue;
+
+      const metafields = await this.buildMappedMetafields(product, 'variant', storeName);
+      if (metafields.length > 0) {
+        variant.metafields = metafields;
+      }
+    }
+    return variants;
+  }
+
+  /**
+   * Stock built variants at the store's mapped locations, matching them to source products by
+   * SKU. Shopify activates the inventory item at each location it is given a quantity for.
+   * Best-effort: without quantities, variants are stocked at Shopify's default location.
+   * @param {boolean} [forBulkCreate=false] - Shape quantities for productVariantsBulkCreate
+   *   instead of productSet
+   */
+  async applyInventoryQuantities(variants, products, storeName = this.storeName, forBulkCreate = false) {
+    let quantities;
+    try {
+      quantities = await this.getLocationMappingService().buildInventoryQuantities(storeName, products);
+    } catch (error) {
+      logger.warn('Failed to resolve Shopify inventory locations', { storeName, error: error.message });
+      return variants;
+    }
+
+    for (const variant of variants) {
+      const levels = quantities.get(variant.inventoryItem?.sku || variant.sku);
+      if (!levels) continue;
+
+      variant.inventoryQuantities = forBulkCreate
+        ? levels.map(({ locationId, quantity }) => ({ locationId, availableQuantity: quantity }))
+        : levels.map(({ locationId, quantity }) => ({ locationId, name: 'available', quantity }));
+    }
+    return variants;
+  }
+
+  /**
+   * Add a created product to the collections its source categories map to for the store.
+   * Best-effort: the product already exists, so problems are returned as warnings.
+   * @param {string} productId - Shopify product GID
+   * @param {Array<{name: string}>} categories - Source categories from extractedData
+   * @param {Object} [options]
+   * @param {boolean} [options.createMissingCollections=false] - Create collections that do not exist
+   * @returns {Promise<{collections: string[], warnings: Array}>}
+   */
+  async assignCollections(productId, categories, options = {}, storeName = this.storeName) {
+    const outcome = { collections: [], warnings: [] };
+    if (!this.categoryMappingService) return outcome;
+
+    try {
+      const names = this.categoryMappingService.getShopifyCollections((categories || []).map(c => c.name), storeName);
+      if (names.length === 0) return outcome;
+
+      const assignment = await this.shopifyTargetService.assignProductToCollections(productId, names, {
+        createMissing: options.createMissingCollections === true
+      });
+      outcome.collections = [...assignment.added, ...assignment.alreadyMember];
+      outcome.warnings = assignment.skipped.map(({ collection, reason }) => ({
+        phase: 'collections',
+        collection,
+        message: reason
+      }));
+    } catch (error) {
+      logger.warn('Shopify collection assignment failed', { productId, storeName, error: error.message });
+      outcome.warnings.push({ phase: 'collections', message: `Collection assignment failed: ${error.message}` });
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Add rule-built tags to an existing product, keeping the tags it already has.
+   * Best-effort like assignCollections(): failures are returned as warnings.
+   * @returns {Promise<{tags: string[], warnings: Array}>}
+   */
+  async addTags(productId, extractedData, productType, storeName = this.storeName) {
+    const outcome = { tags: [], warnings: [] };
+
+    try {
+      const tags = await this.buildTags(extractedData, productType, storeName);
+      if (tags.length === 0) return outcome;
+
+      await this.shopifyTargetService.addTags(productId, tags);
+      outcome.tags = tags;
+    } catch (error) {
+      logger.warn('Shopify tag update failed', { productId, storeName, error: error.message });
+      outcome.warnings.push({ phase: 'tags', message: `Tag update failed: ${error.message}` });
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Collections assignCollections() would add the product to, without looking them up.
+   */
+  previewCollections(categories, storeName = this.storeName) {
+    if (!this.categoryMappingService) return [];
+    return this.categoryMappingService.getShopifyCollections((categories || []).map(c => c.name), storeName);
+  }
+
+  /**
+   * Combine metafields copied from a Shopify source with mapped ones; a mapped metafield
+   * replaces a copied one with the same namespace and key.
+   */
+  mergeMetafields(copied = [], mapped = []) {
+    const mappedKeys = new Set(mapped.map(m => `${m.namespace}.${m.key}`));
+    return [...copied.filter(m => !mappedKeys.has(`${m.namespace}.${m.key}`)), ...mapped];
+  }
+
   async createProducts(extractedData, options = {}) {
     const startTime = Date.now();
     const { parent, children, translations, images } = extractedData;
@@ -49,19 +231,7 @@ class ShopifyCreationService {
     };
 
     try {
-      // Extract source category names from extracted data
-      const sourceCategoryNames = (extractedData.categories || []).map(cat => cat.name);
-
-      // Build product data
-      const productData = this.buildShopifyProduct(parent, children, translations, options.productStatus, sourceCategoryNames);
-
-      // Store-specific enrichment (e.g., VaporDNA: AI description, SEO fields, tag stripping)
-      if (this.isVapordnaStore()) {
-        await this.applyVapordnaEnrichment(productData, parent, children, translations);
-      }
-
-      // Build product options from configurable attributes
-      const productOptions = this.buildProductOptionsForSet(parent, translations);
+      const { productData, productOptions } = await this.buildProductInput(extractedData, options);
 
       // Download Magento images, stage their bytes with Shopify, create files,
       // poll until READY, then reference their IDs in productSet.
@@ -74,22 +244,22 @@ class ShopifyCreationService {
 
         if (inputs.length > 0) {
           logger.info('Uploading images to Shopify CDN', { count: inputs.length });
+          reportProgress(options.onProgress, { type: 'phase', phase: 'image-upload', status: 'started', count: inputs.length });
           fileIds = await this.shopifyTargetService.uploadAndWaitForFiles(
             inputs,
             this.sourceService.downloadImage.bind(this.sourceService)
           );
           logger.info('Images uploaded and ready', { count: fileIds.filter(Boolean).length });
+          reportProgress(options.onProgress, {
+            type: 'phase', phase: 'image-upload', status: 'completed', uploaded: fileIds.filter(Boolean).length
+          });
         }
       }
 
       // Build variants with option values and file associations
-      const allowedOptionNames = productOptions.map(o => o.name);
-      let variants = this.buildVariantsForSet(children, translations, fileIds, skuToFileIndex, allowedOptionNames);
-
-      // VaporDNA requires variants in alphabetical order by option values
-      if (this.isVapordnaStore()) {
-        variants = vapordnaFormatter.sortVariantsAlphabetically(variants);
-      }
+      const variants = this.buildStoreVariantsForSet(children, translations, productOptions, fileIds, skuToFileIndex);
+      await this.applyVariantMetafields(variants, children);
+      await this.applyInventoryQuantities(variants, children);
 
       logger.info('Built Shopify product data', {
         title: productData.title,
@@ -120,6 +290,12 @@ class ShopifyCreationService {
         }));
       }
 
+      result.createdVariants.forEach((variant, index) => {
+        reportProgress(options.onProgress, {
+          type: 'child', childSku: variant.sku, status: 'created', index: index + 1, total: result.createdVariants.length
+        });
+      });
+
       // Count images uploaded (filter out null entries from failed uploads)
       result.imagesUploaded = fileIds.filter(f => f !== null).length;
 
@@ -133,6 +309,10 @@ class ShopifyCreationService {
       // Publish the product to make it visible
       await this.shopifyTargetService.publishProduct(createdProduct.id);
 
+      const { collections, warnings } = await this.assignCollections(createdProduct.id, extractedData.categories, options);
+      result.collections = collections;
+      result.warnings.push(...warnings);
+
       result.success = true;
       result.duration = Date.now() - startTime;
 
@@ -160,6 +340,145 @@ class ShopifyCreationService {
     }
   }
 
+  /**
+   * Build the product data (with store-specific enrichment) and product options for productSet.
+   * @returns {Promise<{productData: Object, productOptions: Array}>}
+   */
+  async buildProductInput(extractedData, options = {}) {
+    const { parent, children, translations } = extractedData;
+
+    // Extract source category names from extracted data
+    const sourceCategoryNames = (extractedData.categories || []).map(cat => cat.name);
+
+    // Build product data
+    const productData = this.buildShopifyProduct(parent, children, translations, options.productStatus, sourceCategoryNames);
+
+    // Store-specific enrichment (e.g., VaporDNA: AI description, SEO fields)
+    if (this.isVapordnaStore()) {
+      await this.applyVapordnaEnrichment(productData, parent, children, translations);
+    }
+
+    productData.tags = await this.buildTags(extractedData, productData.productType);
+
+    // A Shopify source provides metafields, copied unchanged; others come from the mapping
+    const metafields = this.mergeMetafields(extractedData.metafields, await this.buildMappedMetafields(parent, 'product'));
+    if (metafields.length > 0) {
+      productData.metafields = metafields;
+    }
+
+    // Build product options from configurable attributes
+    const productOptions = this.buildProductOptionsForSet(parent, translations);
+
+    return { productData, productOptions };
+  }
+
+  /**
+   * buildVariantsForSet limited to the product options, in the order the store expects.
+   */
+  buildStoreVariantsForSet(children, translations, productOptions, fileIds = [], skuToFileIndex = {}) {
+    const allowedOptionNames = productOptions.map(o => o.name);
+    let variants = this.buildVariantsForSet(children, translations, fileIds, skuToFileIndex, allowedOptionNames);
+
+    // VaporDNA requires variants in alphabetical order by option values
+    if (this.isVapordnaStore()) {
+      variants = vapordnaFormatter.sortVariantsAlphabetically(variants);
+    }
+
+    return variants;
+  }
+
+  /**
+   * Preview of createProducts(): the productSet input that would be sent, without uploading
+   * images or writing to Shopify. Images are listed by source URL since file IDs only exist
+   * after upload; variants are therefore shown without file associations.
+   */
+  async previewProducts(extractedData, options = {}) {
+    const { parent, children, translations, images } = extractedData;
+
+    const { productData, productOptions } = await this.buildProductInput(extractedData, options);
+    const variants = this.buildStoreVariantsForSet(children, translations, productOptions);
+    await this.applyVariantMetafields(variants, children);
+    await this.applyInventoryQuantities(variants, children);
+    const imageInputs = options.includeImages && images
+      ? this.buildImageInputs(images, parent, children).inputs
+      : [];
+
+    const variantSkus = variants.map(v => v.inventoryItem.sku);
+
+    return {
+      mode: 'full-creation',
+      mutation: 'productSet',
+      productType: productData.productType,
+      vapordnaEnrichment: this.isVapordnaStore()
+        ? { descriptionHtml: productData.descriptionHtml, seo: productData.seo, tags: productData.tags }
+        : null,
+      input: this.shopifyTargetService.buildProductSetInput(productData, productOptions, variants),
+      collections: this.previewCollections(extractedData.categories),
+      images: imageInputs,
+      skippedVariants: children
+        .filter(c => !variantSkus.includes(c.sku))
+        .map(c => ({ sku: c.sku, reason: 'incomplete_options' }))
+    };
+  }
+
+  /**
+   * Preview of syncMissingVariants(): the variants that would be appended to the existing
+   * product, with option values matched to the product's existing options. Read-only.
+   */
+  async previewMissingVariants(extractedData, existingProductId, existingVariantSkus, options = {}) {
+    const { parent, children, translations, images } = extractedData;
+
+    const newChildren = children.filter(c => !existingVariantSkus.includes(c.sku));
+    const skippedVariants = children
+      .filter(c => existingVariantSkus.includes(c.sku))
+      .map(c => ({ sku: c.sku, reason: 'already_exists' }));
+
+    const existingProduct = await this.shopifyTargetService.getProductById(existingProductId);
+    const existingOptionNames = (existingProduct?.options || []).map(o => o.name);
+    const existingOptionValues = {};
+    for (const option of (existingProduct?.options || [])) {
+      existingOptionValues[option.name] = option.values || [];
+    }
+
+    const variants = newChildren.length > 0
+      ? this.buildVariantsForSet(newChildren, translations, [], {}, existingOptionNames, existingOptionValues)
+      : [];
+    await this.applyVariantMetafields(variants, newChildren);
+    await this.applyInventoryQuantities(variants, newChildren, this.storeName, true);
+
+    const variantSkus = variants.map(v => v.inventoryItem.sku);
+    skippedVariants.push(...newChildren
+      .filter(c => !variantSkus.includes(c.sku))
+      .map(c => ({ sku: c.sku, reason: 'incomplete_options' })));
+
+    let imageInputs = [];
+    if (options.includeImages && images && newChildren.length > 0) {
+      const filteredImages = {
+        parent: [],
+        children: Object.fromEntries(
+          Object.entries(images.children || {})
+            .filter(([sku]) => !existingVariantSkus.includes(sku))
+        )
+      };
+      imageInputs = this.buildImageInputs(filteredImages, parent, newChildren).inputs;
+    }
+
+    const tagsToAdd = variants.length > 0
+      ? await this.buildTags(extractedData, existingProduct?.productType || null)
+      : [];
+
+    return {
+      mode: variants.length > 0 ? 'variant-sync' : 'no-action',
+      mutation: variants.length > 0 ? 'productVariantsBulkCreate' : null,
+      productId: existingProductId,
+      existingOptions: existingOptionValues,
+      variantsToAppend: variants,
+      tagsToAdd,
+      images: imageInputs,
+      skippedVariants
+    };
+  }
+
   /**
    * Sync only missing variants to an existing Shopify product.
    * Creates new variants for children that don't exist on the target product.
@@ -241,6 +560,8 @@ class ShopifyCreationService {
         existingOptionNames,
         existingOptionValues  // Pass existing values for matching
       );
+      await this.applyVariantMetafields(variants, newChildren);
+      await this.applyInventoryQuantities(variants, newChildren, this.storeName, true);
 
       logger.info('Creating new variants in Shopify', {
         productId: existingProductId,
@@ -260,11 +581,24 @@ class ShopifyCreationService {
       }));
       result.variantsCreated = result.createdVariants.length;
 
+      result.createdVariants.forEach((variant, index) => {
+        reportProgress(options.onProgress, {
+          type: 'child', childSku: variant.sku, status: 'created', index: index + 1, total: result.variantsCreated
+        });
+      });
+
+      // New option values (e.g. a new flavor) may add tags; existing tags are kept
+      const { warnings: tagWarnings } = await this.addTags(
+        existingProductId, extractedData, existingProduct?.productType || null
+      );
+      result.warnings.push(...tagWarnings);
+
       // Associate images with variants using two-step process:
       // 1. Create media on the product using productCreateMedia
       // 2. Append media to variants using productVariantAppendMedia
       if (imageInputs.length > 0 && createdVariants.length > 0) {
         logger.info('Creating product media for new variants', { count: imageInputs.length });
+        reportProgress(options.onProgress, { type: 'phase', phase: 'image-upload', status: 'started', count: imageInputs.length });
 
         // Step 1: Create media on the product (returns media IDs with SKU mapping)
         const productMedia = await this.shopifyTargetService.createProductMedia(
@@ -297,6 +631,10 @@ class ShopifyCreationService {
           await this.shopifyTargetService.appendMediaToVariants(existingProductId, variantMedia);
           logger.info('Associated images with variants', { count: variantMedia.length });
         }
+
+        reportProgress(options.onProgress, {
+          type: 'phase', phase: 'image-upload', status: 'completed', uploaded: result.imagesUploaded
+        });
       }
 
       result.success = true;
@@ -334,13 +672,8 @@ class ShopifyCreationService {
     const description = this.extractCustomAttribute(magentoParent, 'description') ||
                         this.extractCustomAttribute(magentoParent, 'short_description') || '';
 
-    // Extract vendor (brand label) and tags (meta_keywords) from translations
+    // Extract vendor (brand label) from translations; tags are added by buildProductInput
     const vendor = translations.brandLabel || '';
-    const metaKeywords = this.extractCustomAttribute(magentoParent, 'meta_keyword') || '';
-    const tags = metaKeywords
-      .split(',')
-      .map(tag => tag.trim())
-      .filter(tag => tag.length > 0);
 
     // Determine productType: first try category mapping, then fall back to product_type attribute
     let productType = null;
@@ -368,8 +701,7 @@ class ShopifyCreationService {
       descriptionHtml: description,
       status: status,
       productType: productType,
-      vendor: vendor,
-      tags: tags
+      vendor: vendor
     };
 
     logger.debug('Built Shopify product input', {
@@ -705,8 +1037,8 @@ class ShopifyCreationService {
       return file;
     }
 
-    // Build URL from Magento source base URL
-    const baseUrl = config.source.baseUrl.replace(/\/$/, '');
+    // Build URL from the base URL of the catalog the product was read from
+    const baseUrl = (this.sourceService?.baseUrl || config.source.baseUrl).replace(/\/$/, '');
     return `${baseUrl}/media/catalog/product${file}`;
   }
 
@@ -919,14 +1251,11 @@ class ShopifyCreationService {
 
   /**
    * Mutate productData in place to apply VaporDNA-specific rules:
-   * - Strip tags
    * - Generate AI description with embedded hyperlinks (brand collection, homepage,
    *   disposables, optional kit/pod partner)
    * - Set seo.title + seo.description (≤160 char truncated plaintext)
    */
   async applyVapordnaEnrichment(productData, parent, children, translations) {
-    productData.tags = [];
-
     const brand = translations?.brandLabel || '';
     const brandCollectionUrl = await this.resolveVapordnaBrandCollectionUrl(brand);
     const partnerUrl = await this.resolveVapordnaPartnerUrl(productData.title);
@@ -968,22 +1297,98 @@ class ShopifyCreationService {
     });
   }
 
+  /**
+   * Build product data, options and the single default variant for a standalone product.
+   * @returns {Promise<{productData: Object, productOptions: Array, variants: Array}>}
+   */
+  async buildStandaloneProductInput(extractedData, storeName) {
+    const { parent, categories } = extractedData;
+
+    const sourceCategoryNames = (categories || []).map(cat => cat.name);
+    const productType = this.categoryMappingService
+      ? this.categoryMappingService.getShopifyProductType(sourceCategoryNames, storeName)
+      : null;
+
+    // Build minimal product data (no options)
+    const description = this.extractCustomAttribute(parent, 'description') ||
+                        this.extractCustomAttribute(parent, 'short_description') || '';
+    const productData = {
+      title: parent.name,
+      descriptionHtml: description,
+      productType: productType || '',
+      vendor: extractedData.translations?.brandLabel || ''
+    };
+
+    // Store-specific enrichment (e.g., VaporDNA: AI description, SEO fields)
+    const effectiveStore = (storeName || this.storeName || '').toLowerCase();
+    if (effectiveStore === VAPORDNA_STORE_KEY) {
+      await this.applyVapordnaEnrichment(productData, parent, [], extractedData.translations || {});
+    }
+
+    productData.tags = await this.buildTags(extractedData, productData.productType, storeName || this.storeName);
+
+    const metafields = this.mergeMetafields(
+      extractedData.metafields,
+      await this.buildMappedMetafields(parent, 'product', storeName || this.storeName)
+    );
+    if (metafields.length > 0) {
+      productData.metafields = metafields;
+    }
+
+    // Single variant with default "Title"/"Default Title" option
+    const variants = [{
+      sku: parent.sku,
+      price: String(parent.price),
+      inventoryItem: { tracked: true },
+      optionValues: [{ optionName: 'Title', name: 'Default Title' }]
+    }];
+    // The parent is its own variant, so variant metafields are mapped from it too
+    await this.applyVariantMetafields(variants, [parent], storeName || this.storeName);
+    await this.applyInventoryQuantities(variants, [parent], storeName || this.storeName);
+
+    const productOptions = [{ name: 'Title', values: [{ name: 'Default Title' }] }];
+
+    return { productData, productOptions, variants };
+  }
+
+  /**
+   * Preview of createStandaloneProduct(): the productSet input that would be sent. Read-only.
+   */
+  async previewStandaloneProduct(extractedData, storeName) {
+    const { parent, images } = extractedData;
+    const { productData, productOptions, variants } = await this.buildStandaloneProductInput(extractedData, storeName);
+    const effectiveStore = (storeName || this.storeName || '').toLowerCase();
+
+    return {
+      mode: 'standalone-creation',
+      mutation: 'productSet',
+      productType: productData.productType,
+      vapordnaEnrichment: effectiveStore === VAPORDNA_STORE_KEY
+        ? { descriptionHtml: productData.descriptionHtml, seo: productData.seo, tags: productData.tags }
+        : null,
+      input: this.shopifyTargetService.buildProductSetInput(productData, productOptions, variants),
+      collections: this.previewCollections(extractedData.categories, storeName || this.storeName),
+      images: images?.parent?.length > 0 ? this.buildImageInputs(images, parent, []).inputs : [],
+      skippedVariants: []
+    };
+  }
+
   /**
    * Create a standalone simple product on Shopify (no product options, single default variant).
    * @param {Object} extractedData - From StandaloneExtractionService
    * @param {string} storeName - For store-aware category mapping
+   * @param {Object} [options]
+   * @param {boolean} [options.createMissingCollections=false] - Create mapped collections that do not exist
    */
-  async createStandaloneProduct(extractedData, storeName) {
+  async createStandaloneProduct(extractedData, storeName, options = {}) {
     const { parent, images, categories } = extractedData;
     const startTime = Date.now();
 
     logger.info('Starting Shopify standalone product creation', { sku: parent.sku, storeName });
 
     try {
-      const sourceCategoryNames = (categories || []).map(cat => cat.name);
-      const productType = this.categoryMappingService
-        ? this.categoryMappingService.getShopifyProductType(sourceCategoryNames, storeName)
-        : null;
+      const { productData, productOptions, variants } = await this.buildStandaloneProductInput(extractedData, storeName);
+      const productType = productData.productType;
 
       // Upload images if present
       let fileIds = [];
@@ -998,32 +1403,6 @@ class ShopifyCreationService {
         }
       }
 
-      // Build minimal product data (no options)
-      const description = this.extractCustomAttribute(parent, 'description') ||
-                          this.extractCustomAttribute(parent, 'short_description') || '';
-      const productData = {
-        title: parent.name,
-        descriptionHtml: description,
-        productType: productType || '',
-        vendor: extractedData.translations?.brandLabel || ''
-      };
-
-      // Store-specific enrichment (e.g., VaporDNA: AI description, SEO fields, tag stripping)
-      const effectiveStore = (storeName || this.storeName || '').toLowerCase();
-      if (effectiveStore === VAPORDNA_STORE_KEY) {
-        await this.applyVapordnaEnrichment(productData, parent, [], extractedData.translations || {});
-      }
-
-      // Single variant with default "Title"/"Default Title" option
-      const variants = [{
-        sku: parent.sku,
-        price: String(parent.price),
-        inventoryItem: { tracked: true },
-        optionValues: [{ optionName: 'Title', name: 'Default Title' }]
-      }];
-
-      const productOptions = [{ name: 'Title', values: [{ name: 'Default Title' }] }];
-
       logger.info('Creating standalone Shopify product', {
         sku: parent.sku,
         productType,
@@ -1047,10 +1426,16 @@ class ShopifyCreationService {
 
       await this.shopifyTargetService.publishProduct(createdProduct.id);
 
+      const { collections, warnings } = await this.assignCollections(
+        createdProduct.id, categories, options, storeName || this.storeName
+      );
+
       const result = {
         parentProductId: createdProduct.id,
         shopifyHandle: createdProduct.handle,
         createdVariants,
+        collections,
+        warnings,
         imagesUploaded: fileIds.filter(f => f !== null).length,
         success: true,
         duration: Date.now() - startTime
@@ -1,30 +1,36 @@
 const logger = require('../../config/logger');
 const config = require('../../config');
-const SourceService = require('../magento/source.service');
+const sourceRegistry = require('../magento/source-registry.service');
 const ShopifyTargetService = require('../shopify/shopify-target.service');
 const ExtractionService = require('./extraction.service');
 const ShopifyCreationService = require('./shopify-creation.service');
-const CategoryMappingService = require('../category-mapping.service');
 const NotificationService = require('../notification/notification.service');
 const StandaloneExtractionService = require('./standalone-extraction.service');
 const ContentGenerationService = require('../ai/content-generation.service');
 const aiPromptRepo = require('../../database/repositories/ai-prompt.repository');
 const { ExtractionError } = require('../../utils/error-handler');
 const shopifyRegistry = require('../shopify/shopify-store-registry.service');
+const CompensationLog = require('./compensation-log.service');
+const rollbackService = require('./rollback.service');
+const { reportProgress, scopeProgress } = require('../../utils/progress');
 
 class ShopifyOrchestratorService {
-  constructor() {
-    // Source is always Magento
-    this.sourceService = new SourceService(
-      config.source.baseUrl,
-      config.source.token,
-      config.api
-    );
-
-    this.categoryMappingService = new CategoryMappingService();
-    this.extractionService = new ExtractionService(this.sourceService);
+  /**
+   * @param {string} [sourceName='default'] - Source catalog to migrate products from
+   */
+  constructor(sourceName = sourceRegistry.DEFAULT_SOURCE) {
+    this.sourceName = sourceName;
+    this.sourceService = sourceRegistry.createSourceService(sourceName);
+    this.categoryMappingService = sourceRegistry.createCategoryMapping(sourceName);
+    if (sourceRegistry.isShopify(sourceName)) {
+      // A Shopify source normalizes products into extractedData itself
+      this.extractionService = this.sourceService;
+      this.standaloneExtractionService = this.sourceService;
+    } else {
+      this.extractionService = new ExtractionService(this.sourceService);
+      this.standaloneExtractionService = new StandaloneExtractionService(this.sourceService);
+    }
     this.notificationService = new NotificationService();
-    this.standaloneExtractionService = new StandaloneExtractionService(this.sourceService);
     this.contentGenerationService = new ContentGenerationService();
 
     // Store Shopify config for creating target services
@@ -39,7 +45,74 @@ class ShopifyOrchestratorService {
     return shopifyRegistry.getTargetService(storeName || this.shopifyConfig.defaultStore);
   }
 
+  /**
+   * Migrate a product to a Shopify store. Everything created on Shopify is recorded in a
+   * compensation log; when the migration fails it is deleted again unless
+   * options.rollbackOnFailure (default config.migration.rollbackOnFailure) is false.
+   * @param {string} sku - Source product SKU
+   * @param {Object} options - Migration options; options.source picks the source catalog
+   * @returns {Promise<Object>} migrationContext
+   */
   async migrateProduct(sku, options = {}) {
+    const scoped = sourceRegistry.forSource(this, options.source, name => new ShopifyOrchestratorService(name));
+    if (scoped !== this) {
+      return scoped.migrateProduct(sku, options);
+    }
+
+    if (options.dryRun) {
+      return this.previewMigration(sku, options);
+    }
+
+    const storeAlias = options.shopifyStore || this.shopifyConfig.defaultStore || 'default';
+    const rollbackOnFailure = options.rollbackOnFailure !== undefined
+      ? options.rollbackOnFailure
+      : config.migration.rollbackOnFailure;
+
+    let compensationLog = null;
+    let compensationLogError = null;
+    try {
+      compensationLog = await CompensationLog.start({ sku, targetPlatform: 'shopify', targetStores: [storeAlias] });
+    } catch (error) {
+      logger.error('Failed to start compensation log, rollback disabled for this migration', { sku, error: error.message });
+      compensationLogError = error;
+    }
+
+    const migrationContext = await this.executeMigration(sku, options, compensationLog?.forStore(storeAlias));
+    migrationContext.migrationId = compensationLog?.runId || null;
+
+    if (compensationLogError) {
+      migrationContext.warnings.push({
+        phase: 'compensation-log',
+        message: `Created entities are not being recorded: ${compensationLogError.message}`
+      });
+    }
+
+    if (!compensationLog) return migrationContext;
+
+    if (!migrationContext.success && rollbackOnFailure) {
+      try {
+        migrationContext.rollback = await rollbackService.rollbackRun(compensationLog.run);
+      } catch (error) {
+        logger.error('Rollback of failed Shopify migration failed', { sku, error: error.message });
+        migrationContext.rollback = { success: false, error: error.message };
+      }
+    }
+
+    try {
+      const lastError = migrationContext.errors[migrationContext.errors.length - 1];
+      await compensationLog.finish(migrationContext.success, migrationContext.success ? null : lastError?.message);
+    } catch (error) {
+      logger.error('Failed to finish compensation log', { runId: compensationLog.runId, error: error.message });
+    }
+
+    return migrationContext;
+  }
+
+  /**
+   * Run the migration itself; see migrateProduct.
+   * @param {Object} [compensationRecorder] - CompensationLog.forStore() recorder for the target store
+   */
+  async executeMigration(sku, options, compensationRecorder = null) {
     const migrationStartTime = Date.now();
     const shopifyStore = options.shopifyStore || 'default';
 
@@ -74,7 +147,10 @@ class ShopifyOrchestratorService {
         ? options.includeImages
         : config.migration.includeImages,
       productStatus: options.productStatus || 'DRAFT',
-      shopifyStore: options.shopifyStore
+      createMissingCollections: options.createMissingCollections === true,
+      shopifyStore: options.shopifyStore,
+      compensationRecorder,
+      onProgress: scopeProgress(options.onProgress, { storeName: shopifyStore })
     };
 
     try {
@@ -84,12 +160,16 @@ class ShopifyOrchestratorService {
 
       if (productType === 'configurable') {
         // ---- EXISTING CONFIGURABLE PATH ----
+        reportProgress(migrationOptions.onProgress, { type: 'phase', phase: 'extraction', status: 'started' });
         const extractedData = await this.executeExtractionPhase(sku, migrationContext);
+        reportProgress(migrationOptions.onProgress, {
+          type: 'phase', phase: 'extraction', status: 'completed', childrenFound: extractedData.children.length
+        });
 
         // AI content generation (DB prompts + request prompts)
         const mergedPrompts = await this._resolvePrompts([shopifyStore], options.storePrompts);
         const generatedContent = Object.keys(mergedPrompts).length > 0
-          ? await this._executeAIGenerationPhase(extractedData, mergedPrompts, migrationContext)
+          ? await this._executeAIGenerationPhase(extractedData, mergedPrompts, migrationContext, migrationOptions.onProgress)
           : {};
 
         if (generatedContent[shopifyStore]) {
@@ -100,6 +180,7 @@ class ShopifyOrchestratorService {
         await this.notificationService.notifyMigrationStart(sku, childSkus, [shopifyStore]);
 
         const shopifyTargetService = await this.getShopifyTargetService(options.shopifyStore);
+        if (compensationRecorder) shopifyTargetService.withCompensationLog(compensationRecorder);
         const creationService = new ShopifyCreationService(this.sourceService, shopifyTargetService, this.categoryMappingService, options.shopifyStore);
 
         const hasChildren = extractedData.children && extractedData.children.length > 0;
@@ -172,12 +253,14 @@ class ShopifyOrchestratorService {
 
       } else {
         // ---- STANDALONE SIMPLE PATH ----
+        reportProgress(migrationOptions.onProgress, { type: 'phase', phase: 'extraction', status: 'started' });
         const extractedData = await this.executeStandaloneExtractionPhase(sku, sourceProduct, migrationContext);
+        reportProgress(migrationOptions.onProgress, { type: 'phase', phase: 'extraction', status: 'completed', childrenFound: 0 });
 
         // AI content generation (DB prompts + request prompts)
         const mergedPrompts = await this._resolvePrompts([shopifyStore], options.storePrompts);
         const generatedContent = Object.keys(mergedPrompts).length > 0
-          ? await this._executeAIGenerationPhase(extractedData, mergedPrompts, migrationContext)
+          ? await this._executeAIGenerationPhase(extractedData, mergedPrompts, migrationContext, migrationOptions.onProgress)
           : {};
 
         if (generatedContent[shopifyStore]) {
@@ -215,6 +298,117 @@ class ShopifyOrchestratorService {
     }
   }
 
+  /**
+   * Preview of migrateProduct: extract, run AI generation and build everything that would be
+   * sent to Shopify, without uploading images, creating products or appending variants.
+   * Notifications are skipped.
+   * @param {string} sku - Source product SKU
+   * @param {Object} options - Migration options (same as migrateProduct)
+   * @returns {Promise<Object>} Context with the Shopify input in `preview`
+   */
+  async previewMigration(sku, options = {}) {
+    const startTime = Date.now();
+    const shopifyStore = options.shopifyStore || 'default';
+
+    logger.info('Previewing Magento to Shopify migration (dry run)', { sku, shopifyStore });
+
+    const previewContext = {
+      sku,
+      dryRun: true,
+      success: false,
+      targetPlatform: 'shopify',
+      shopifyStore,
+      sourceProductType: null,
+      existingProductId: null,
+      aiContentApplied: false,
+      preview: null,
+      phases: {
+        extraction: { success: false, duration: 0 }
+      },
+      summary: {
+        totalDuration: 0
+      },
+      warnings: [],
+      errors: []
+    };
+
+    const previewOptions = {
+      includeImages: options.includeImages !== undefined
+        ? options.includeImages
+        : config.migration.includeImages,
+      productStatus: options.productStatus || 'DRAFT',
+      shopifyStore: options.shopifyStore
+    };
+
+    try {
+      const sourceProduct = await this.sourceService.getProductBySku(sku);
+      previewContext.sourceProductType = this.classifyProductType(sourceProduct);
+      const isConfigurable = previewContext.sourceProductType === 'configurable';
+
+      const extractedData = isConfigurable
+        ? await this.executeExtractionPhase(sku, previewContext)
+        : await this.executeStandaloneExtractionPhase(sku, sourceProduct, previewContext);
+
+      const mergedPrompts = await this._resolvePrompts([shopifyStore], options.storePrompts);
+      const generatedContent = Object.keys(mergedPrompts).length > 0
+        ? await this._executeAIGenerationPhase(extractedData, mergedPrompts, previewContext)
+        : {};
+
+      if (generatedContent[shopifyStore]) {
+        this._applyGeneratedContent(extractedData, generatedContent[shopifyStore]);
+      }
+      previewContext.aiContentApplied = !!generatedContent[shopifyStore];
+
+      const shopifyTargetService = await this.getShopifyTargetService(options.shopifyStore);
+      const creationService = new ShopifyCreationService(this.sourceService, shopifyTargetService, this.categoryMappingService, options.shopifyStore);
+
+      if (!isConfigurable) {
+        const existingVariants = await shopifyTargetService.getVariantsBySkus([sku]);
+        if (existingVariants.length > 0) {
+          previewContext.existingProductId = existingVariants[0].product?.id || null;
+          throw new Error(`Product ${sku} already exists on Shopify ${shopifyStore}.`);
+        }
+        previewContext.preview = await creationService.previewStandaloneProduct(extractedData, shopifyStore);
+      } else {
+        const childSkus = extractedData.children.map(c => c.sku);
+        const existingVariants = childSkus.length > 0
+          ? await shopifyTargetService.getVariantsBySkus(childSkus)
+          : [];
+
+        if (existingVariants.length > 0) {
+          previewContext.existingProductId = existingVariants[0].product.id;
+          const existingSkus = existingVariants.map(v => v.sku).filter(Boolean);
+          previewContext.preview = await creationService.previewMissingVariants(
+            extractedData, previewContext.existingProductId, existingSkus, previewOptions
+          );
+        } else {
+          previewContext.preview = await creationService.previewProducts(extractedData, previewOptions);
+        }
+      }
+
+      previewContext.success = true;
+    } catch (error) {
+      previewContext.errors.push({
+        phase: 'orchestration',
+        message: error.message,
+        details: error.stack
+      });
+      logger.error('Shopify migration preview failed', { sku, shopifyStore, error: error.message });
+    }
+
+    previewContext.summary.totalDuration = Date.now() - startTime;
+
+    logger.info('Shopify migration preview completed', {
+      sku,
+      shopifyStore,
+      success: previewContext.success,
+      mode: previewContext.preview?.mode,
+      duration: `${previewContext.summary.totalDuration}ms`
+    });
+
+    return previewContext;
+  }
+
   /**
    * Determine product type from a source product object.
    * @throws {ExtractionError} for unsupported or ambiguous types
@@ -315,6 +509,7 @@ class ShopifyOrchestratorService {
 
     try {
       logger.info('Executing Shopify creation phase', { options });
+      reportProgress(options.onProgress, { type: 'phase', phase: 'creation', status: 'started' });
 
       const creationService = new ShopifyCreationService(this.sourceService, shopifyTargetService, this.categoryMappingService, options.shopifyStore);
       const creationResult = await creationService.createProducts(extractedData, options);
@@ -332,6 +527,10 @@ class ShopifyOrchestratorService {
         context.errors.push(...creationResult.errors);
       }
 
+      reportProgress(options.onProgress, {
+        type: 'phase', phase: 'creation', status: 'completed', variantsCreated: context.phases.creation.variantsCreated
+      });
+
       logger.info('Shopify creation phase successful', {
         duration: `${context.phases.creation.duration}ms`,
         variantsCreated: context.phases.creation.variantsCreated,
@@ -349,6 +548,8 @@ class ShopifyOrchestratorService {
         details: error.details || error.stack
       });
 
+      reportProgress(options.onProgress, { type: 'phase', phase: 'creation', status: 'failed', error: error.message });
+
       logger.error('Shopify creation phase failed', {
         error: error.message,
         duration: `${context.phases.creation.duration}ms`
@@ -367,6 +568,7 @@ class ShopifyOrchestratorService {
         existingProductId,
         existingVariants: existingSkus.length
       });
+      reportProgress(options.onProgress, { type: 'phase', phase: 'variant-sync', status: 'started' });
 
       const syncResult = await creationService.syncMissingVariants(
         extractedData,
@@ -390,6 +592,10 @@ class ShopifyOrchestratorService {
         context.errors.push(...syncResult.errors);
       }
 
+      reportProgress(options.onProgress, {
+        type: 'phase', phase: 'variant-sync', status: 'completed', variantsCreated: syncResult.variantsCreated
+      });
+
       logger.info('Shopify variant sync phase successful', {
         duration: `${context.phases.creation.duration}ms`,
         variantsCreated: context.phases.creation.variantsCreated,
@@ -408,6 +614,8 @@ class ShopifyOrchestratorService {
         details: error.details || error.stack
       });
 
+      reportProgress(options.onProgress, { type: 'phase', phase: 'variant-sync', status: 'failed', error: error.message });
+
       logger.error('Shopify variant sync phase failed', {
         error: error.message,
         duration: `${context.phases.creation.duration}ms`
@@ -424,6 +632,9 @@ class ShopifyOrchestratorService {
     const phaseStartTime = Date.now();
 
     const shopifyTargetService = await this.getShopifyTargetService(shopifyStore);
+    if (migrationOptions.compensationRecorder) {
+      shopifyTargetService.withCompensationLog(migrationOptions.compensationRecorder);
+    }
     const creationService = new ShopifyCreationService(
       this.sourceService,
       shopifyTargetService,
@@ -451,7 +662,10 @@ class ShopifyOrchestratorService {
     }
 
     try {
-      const creationResult = await creationService.createStandaloneProduct(extractedData, shopifyStore);
+      reportProgress(migrationOptions.onProgress, { type: 'phase', phase: 'creation', status: 'started' });
+      const creationResult = await creationService.createStandaloneProduct(extractedData, shopifyStore, migrationOptions);
+      migrationContext.warnings.push(...creationResult.warnings);
+      reportProgress(migrationOptions.onProgress, { type: 'phase', phase: 'creation', status: 'completed', variantsCreated: 1 });
 
       migrationContext.shopifyProductId = creationResult.parentProductId;
       migrationContext.shopifyHandle = creationResult.shopifyHandle;
@@ -485,6 +699,7 @@ class ShopifyOrchestratorService {
       migrationContext.success = false;
       migrationContext.summary.totalDuration = Date.now() - migrationStartTime;
       migrationContext.errors.push({ phase: 'creation', shopifyStore, message: error.message, details: error.stack });
+      reportProgress(migrationOptions.onProgress, { type: 'phase', phase: 'creation', status: 'failed', error: error.message });
 
       throw error;
     }
@@ -506,11 +721,12 @@ class ShopifyOrchestratorService {
     return { ...dbPrompts, ...requestPrompts };
   }
 
-  async _executeAIGenerationPhase(extractedData, storePrompts, context) {
+  async _executeAIGenerationPhase(extractedData, storePrompts, context, onProgress) {
     const phaseStartTime = Date.now();
 
     try {
       logger.info('Executing AI content generation phase', { sku: extractedData.parent.sku });
+      reportProgress(onProgress, { type: 'phase', phase: 'ai-generation', status: 'started' });
 
       const generatedContent = await this.contentGenerationService.generateForStores(extractedData, storePrompts);
 
@@ -520,6 +736,10 @@ class ShopifyOrchestratorService {
         storesGenerated: Object.keys(generatedContent).length
       };
 
+      reportProgress(onProgress, {
+        type: 'phase', phase: 'ai-generation', status: 'completed', storesGenerated: Object.keys(generatedContent).length
+      });
+
       logger.info('AI content generation phase completed', {
         sku: extractedData.parent.sku,
         storesGenerated: Object.keys(generatedContent).length,
@@ -37,7 +37,7 @@ class StandaloneMagentoCreationService {
         });
 
         try {
-          const productData = this._buildProductData(parent, preparedData, websiteIds, options);
+          const productData = this.buildProductData(parent, preparedData, websiteIds, options);
           const createdProduct = await this.targetService.createProduct(productData);
           parentProductId = createdProduct.id;
 
@@ -140,7 +140,7 @@ class StandaloneMagentoCreationService {
     logger.info('Updated standalone product for store scope', { sku: parent.sku, storeCode });
   }
 
-  _buildProductData(parent, preparedData, websiteIds, options) {
+  buildProductData(parent, preparedData, websiteIds, options) {
     // Custom attributes — skip category_ids (handled via category_links)
     const customAttributes = [];
     if (parent.custom_attributes) {
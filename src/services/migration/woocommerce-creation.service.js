@@ -0,0 +1,250 @@
+const logger = require('../../config/logger');
+const config = require('../../config');
+const { CreationError } = require('../../utils/error-handler');
+
+/**
+ * Creates a WooCommerce variable product from configurable extractedData: each configurable
+ * attribute becomes a product attribute used for variations, and each child a variation.
+ * Images are passed to WooCommerce as source URLs, which it downloads into its media library,
+ * so they must be publicly reachable.
+ */
+class WooCommerceCreationService {
+  constructor(sourceService, woocommerceTargetService, categoryMappingService = null, storeName = null) {
+    this.sourceService = sourceService;
+    this.woocommerceTargetService = woocommerceTargetService;
+    this.categoryMappingService = categoryMappingService;
+    this.storeName = storeName;
+  }
+
+  /**
+   * @param {Object} extractedData - Output of the extraction phase
+   * @param {Object} [options]
+   * @param {boolean} [options.includeImages=true]
+   * @param {string} [options.productStatus='draft'] - draft, pending, private or publish
+   * @returns {Promise<Object>} { success, productId, permalink, createdVariations, imagesQueued, warnings, errors }
+   */
+  async createProducts(extractedData, options = {}) {
+    const { parent, children, translations } = extractedData;
+
+    if (parent.type_id !== 'configurable') {
+      throw new CreationError(`Product ${parent.sku} is not a configurable product. Type: ${parent.type_id}`);
+    }
+
+    logger.info('Starting WooCommerce product creation', {
+      parentSku: parent.sku,
+      childCount: children.length,
+      storeName: this.storeName
+    });
+
+    const existing = await this.woocommerceTargetService.getProductBySku(parent.sku);
+    if (existing) {
+      throw new CreationError(`Product already exists on WooCommerce store ${this.storeName}: ${parent.sku}`, {
+        productId: existing.id
+      });
+    }
+
+    const result = {
+      success: false,
+      productId: null,
+      permalink: null,
+      createdVariations: [],
+      imagesQueued: 0,
+      warnings: [],
+      errors: []
+    };
+
+    const attributes = this.buildAttributes(parent, translations);
+    const images = options.includeImages !== false ? this.buildImages(extractedData.images, parent) : [];
+    const categories = await this.resolveCategories(extractedData.categories || [], result.warnings);
+
+    const product = await this.woocommerceTargetService.createProduct({
+      name: parent.name,
+      type: 'variable',
+      sku: parent.sku,
+      status: options.productStatus || 'draft',
+      description: this.extractCustomAttribute(parent, 'description') || '',
+      short_description: this.extractCustomAttribute(parent, 'short_description') || '',
+      categories: categories.map(id => ({ id })),
+      images,
+      attributes
+    });
+
+    result.productId = product.id;
+    result.permalink = product.permalink || null;
+    result.imagesQueued = images.length;
+
+    const variations = children.map(child => this.buildVariation(child, translations, extractedData.images));
+    let batch;
+    try {
+      batch = await this.woocommerceTargetService.batchVariations(product.id, { create: variations });
+    } catch (error) {
+      const productRemoved = await this.removeIncompleteProduct(product.id, parent.sku, result.warnings);
+      throw new CreationError(`Failed to create variations for ${parent.sku}: ${error.message}`, {
+        productId: product.id,
+        productRemoved
+      });
+    }
+
+    batch.create.forEach((created, index) => {
+      const sku = variations[index].sku;
+      if (created.error) {
+        result.errors.push({ sku, message: created.error.message || created.error.code });
+      } else {
+        result.createdVariations.push({ sku, id: created.id });
+      }
+    });
+
+    result.success = result.errors.length === 0;
+
+    // A rerun refuses to touch an existing product, so a partial one would never be completed
+    if (!result.success && await this.removeIncompleteProduct(product.id, parent.sku, result.warnings)) {
+      result.productId = null;
+      result.permalink = null;
+      result.createdVariations = [];
+    }
+
+    logger.info('WooCommerce product creation completed', {
+      parentSku: parent.sku,
+      productId: result.productId,
+      variationsCreated: result.createdVariations.length,
+      failed: result.errors.length
+    });
+
+    return result;
+  }
+
+  /**
+   * Delete a variable product whose variations could not all be created, together with the
+   * variations that were.
+   * @returns {Promise<boolean>} Whether the product was removed; a failure is added to warnings
+   */
+  async removeIncompleteProduct(productId, sku, warnings) {
+    try {
+      await this.woocommerceTargetService.deleteProduct(productId);
+      return true;
+    } catch (error) {
+      logger.error('Failed to remove incomplete WooCommerce product', { sku, productId, error: error.message });
+      warnings.push({ message: `Product ${productId} was left without all its variations: ${error.message}` });
+      return false;
+    }
+  }
+
+  /**
+   * One variation attribute per configurable option, with the labels of its values.
+   */
+  buildAttributes(parent, translations) {
+    const configurableOptions = parent.extension_attributes?.configurable_product_options || [];
+
+    return configurableOptions
+      .map((option, index) => ({
+        name: this.attributeName(option.attribute_id, translations, option.label),
+        position: index,
+        visible: true,
+        variation: true,
+        options: (option.values || [])
+          .map(value => translations.attributeValues?.[`${option.attribute_id}_${value.value_index}`]?.label)
+          .filter(Boolean)
+      }))
+      .filter(attribute => attribute.options.length > 0);
+  }
+
+  buildVariation(child, translations, images = {}) {
+    const specialPrice = parseFloat(this.extractCustomAttribute(child, 'special_price'));
+    const stockItem = child.extension_attributes?.stock_item;
+    const image = (images.children?.[child.sku] || [])[0];
+
+    const variation = {
+      sku: child.sku,
+      regular_price: String(child.price || 0),
+      sale_price: specialPrice > 0 && specialPrice < child.price ? String(specialPrice) : '',
+      manage_stock: true,
+      stock_quantity: stockItem?.qty || 0,
+      attributes: this.extractVariationAttributes(child, translations)
+    };
+
+    if (child.weight) {
+      variation.weight = String(child.weight);
+    }
+    if (image) {
+      variation.image = { src: this.buildMagentoImageUrl(image.file), alt: image.label || child.name };
+    }
+
+    return variation;
+  }
+
+  extractVariationAttributes(child, translations) {
+    const codeToId = {};
+    for (const [attrId, attrCode] of Object.entries(translations.attributes || {})) {
+      codeToId[attrCode] = attrId;
+    }
+
+    const attributes = [];
+    for (const attr of child.custom_attributes || []) {
+      const attributeId = codeToId[attr.attribute_code];
+      const label = attributeId && translations.attributeValues?.[`${attributeId}_${attr.value}`]?.label;
+      if (label) {
+        attributes.push({ name: this.attributeName(attributeId, translations), option: label });
+      }
+    }
+    return attributes;
+  }
+
+  /**
+   * Variation attributes are matched by name, so the product attribute and every variation
+   * must derive it the same way: from the attribute code ("nicotine_strength" ->
+   * "Nicotine Strength"), falling back to the option label.
+   */
+  attributeName(attributeId, translations, fallbackLabel = null) {
+    const code = translations.attributes?.[attributeId];
+    if (!code) return fallbackLabel || `Attribute ${attributeId}`;
+    return code.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+  }
+
+  buildImages(images = {}, parent) {
+    return [...(images.parent || [])]
+      .sort((a, b) => (a.position || 0) - (b.position || 0))
+      .map(image => ({ src: this.buildMagentoImageUrl(image.file), alt: image.label || parent.name }))
+      .filter(image => image.src);
+  }
+
+  /**
+   * Map source categories through CategoryMappingService and resolve them to WooCommerce
+   * category IDs, creating missing categories. A category that cannot be resolved is skipped
+   * with a warning.
+   */
+  async resolveCategories(sourceCategories, warnings) {
+    const sourceNames = sourceCategories.map(category => category.name).filter(Boolean);
+    const names = this.categoryMappingService
+      ? this.categoryMappingService.getWooCommerceCategories(sourceNames)
+      : sourceNames;
+
+    const ids = [];
+    for (const name of names) {
+      try {
+        ids.push(await this.woocommerceTargetService.getCategoryIdByName(name));
+      } catch (error) {
+        logger.warn('Failed to resolve WooCommerce category', { name, error: error.message });
+        warnings.push({ category: name, message: error.message });
+      }
+    }
+    return ids;
+  }
+
+  buildMagentoImageUrl(file) {
+    if (!file) return null;
+
+    if (file.startsWith('http://') || file.startsWith('https://')) {
+      return file;
+    }
+
+    const baseUrl = (this.sourceService?.baseUrl || config.source.baseUrl).replace(/\/$/, '');
+    return `${baseUrl}/media/catalog/product${file}`;
+  }
+
+  extractCustomAttribute(product, attributeCode) {
+    const attr = (product.custom_attributes || []).find(a => a.attribute_code === attributeCode);
+    return attr?.value || null;
+  }
+}
+
+module.exports = WooCommerceCreationService;
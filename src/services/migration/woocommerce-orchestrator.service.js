@@ -0,0 +1,79 @@
+const logger = require('../../config/logger');
+const sourceRegistry = require('../magento/source-registry.service');
+const ExtractionService = require('./extraction.service');
+const WooCommerceCreationService = require('./woocommerce-creation.service');
+const WooCommerceTargetService = require('../woocommerce/woocommerce-target.service');
+
+class WooCommerceOrchestratorService {
+  /**
+   * @param {string} [sourceName='default'] - Source catalog products are read from
+   */
+  constructor(sourceName = sourceRegistry.DEFAULT_SOURCE) {
+    this.sourceName = sourceName;
+    this.sourceService = sourceRegistry.createSourceService(sourceName);
+    this.categoryMappingService = sourceRegistry.createCategoryMapping(sourceName);
+    // A Shopify source normalizes products into extractedData itself
+    this.extractionService = sourceRegistry.isShopify(sourceName)
+      ? this.sourceService
+      : new ExtractionService(this.sourceService);
+  }
+
+  /**
+   * Migrate a configurable product to a WooCommerce store as a variable product.
+   * @param {string} sku - Source product SKU
+   * @param {Object} options
+   * @param {string} options.woocommerceStore - Store configured through WOOCOMMERCE_STORE_<NAME>_*
+   * @param {boolean} [options.includeImages=true]
+   * @param {string} [options.productStatus='draft']
+   * @param {string} [options.source] - Source catalog to read the product from
+   * @returns {Promise<Object>} migrationContext
+   */
+  async migrateProduct(sku, options = {}) {
+    const scoped = sourceRegistry.forSource(this, options.source, name => new WooCommerceOrchestratorService(name));
+    if (scoped !== this) {
+      return scoped.migrateProduct(sku, options);
+    }
+
+    const startTime = Date.now();
+    const storeName = options.woocommerceStore;
+    const migrationContext = {
+      sku,
+      woocommerceStore: storeName,
+      success: false,
+      phases: {},
+      errors: []
+    };
+
+    logger.info('Starting WooCommerce migration', { sku, storeName, source: this.sourceName });
+
+    try {
+      const targetService = WooCommerceTargetService.getInstanceForStore(storeName);
+      const extractedData = await this.extractionService.extractProduct(sku);
+      migrationContext.phases.extraction = {
+        success: true,
+        childrenFound: extractedData.children.length
+      };
+
+      const creationService = new WooCommerceCreationService(this.sourceService, targetService, this.categoryMappingService, storeName);
+      const creation = await creationService.createProducts(extractedData, options);
+      migrationContext.phases.creation = creation;
+      migrationContext.errors.push(...creation.errors);
+      migrationContext.success = creation.success;
+    } catch (error) {
+      logger.error('WooCommerce migration failed', { sku, storeName, error: error.message });
+      migrationContext.errors.push({ phase: 'migration', message: error.message });
+    }
+
+    migrationContext.duration = Date.now() - startTime;
+    logger.info('WooCommerce migration completed', {
+      sku,
+      storeName,
+      success: migrationContext.success,
+      duration: `${migrationContext.duration}ms`
+    });
+
+    return migrationContext;
+  }
+}
+
+module.exports = WooCommerceOrchestratorService;
@@ -205,6 +205,65 @@ class GoogleChatService {
     await this.sendMessage(card);
   }
 
+  async notifyScheduledPriceSyncFailed({ scheduleName, runId, status, totalSkus, succeeded, failures = [], error, duration }) {
+    const widgets = [
+      {
+        decoratedText: {
+          text: `<b>Schedule:</b> ${scheduleName}`
+        }
+      },
+      {
+        decoratedText: {
+          text: `<b>Run:</b> ${runId}`
+        }
+      },
+      {
+        decoratedText: {
+          text: `<b>Result:</b> ${succeeded}/${totalSkus} SKUs synced, ${failures.length} failed`
+        }
+      },
+      {
+        decoratedText: {
+          text: `<b>Duration:</b> ${duration}ms`
+        }
+      }
+    ];
+
+    if (error) {
+      widgets.push({
+        textParagraph: {
+          text: `<b>Error:</b> ${error}`,
+          maxLines: 5
+        }
+      });
+    }
+
+    if (failures.length > 0) {
+      const failureList = failures.slice(0, 10).map(f => `${f.sku}: ${f.errors[0]}`).join('<br>');
+      const suffix = failures.length > 10 ? `<br>(+${failures.length - 10} more)` : '';
+      widgets.push({
+        textParagraph: {
+          text: `<b>Failed SKUs:</b><br>${failureList}${suffix}`,
+          maxLines: 12
+        }
+      });
+    }
+
+    const card = {
+      cardsV2: [{
+        cardId: 'scheduled-price-sync-failed',
+        card: {
+          sections: [{
+            header: status === 'partial' ? '⚠️ Scheduled Price Sync Partially Failed' : '❌ Scheduled Price Sync Failed',
+            widgets
+          }]
+        }
+      }]
+    };
+
+    await this.sendMessage(card);
+  }
+
   async notifyProductUpdateStart(sku, targetStores = []) {
     const widgets = [
       {
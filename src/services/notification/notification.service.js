@@ -36,6 +36,13 @@ class NotificationService {
     ]);
   }
 
+  async notifyScheduledPriceSyncFailed(runSummary) {
+    await Promise.all([
+      this.googleChatService.notifyScheduledPriceSyncFailed(runSummary),
+      this.slackService.notifyScheduledPriceSyncFailed(runSummary)
+    ]);
+  }
+
   async notifyProductUpdateStart(sku, targetStores = []) {
     await Promise.all([
       this.googleChatService.notifyProductUpdateStart(sku, targetStores),
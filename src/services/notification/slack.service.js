@@ -154,6 +154,38 @@ class SlackService {
     await this.sendMessage(blocks, `${success ? '✅' : '❌'} Price sync ${statusText.toLowerCase()} for ${sku}`);
   }
 
+  async notifyScheduledPriceSyncFailed({ scheduleName, runId, status, totalSkus, succeeded, failures = [], error, duration }) {
+    const header = status === 'partial' ? '⚠️ Scheduled Price Sync Partially Failed' : '❌ Scheduled Price Sync Failed';
+
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: header } },
+      this.buildFieldsBlock([
+        { label: 'Schedule', value: scheduleName },
+        { label: 'Run', value: runId },
+        { label: 'Result', value: `${succeeded}/${totalSkus} SKUs synced, ${failures.length} failed` },
+        { label: 'Duration', value: `${duration}ms` }
+      ])
+    ];
+
+    if (error) {
+      blocks.push({
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*Error:* ${error}` }
+      });
+    }
+
+    if (failures.length > 0) {
+      const failureList = failures.slice(0, 10).map(f => `• ${f.sku}: ${f.errors[0]}`).join('\n');
+      const suffix = failures.length > 10 ? `\n(+${failures.length - 10} more)` : '';
+      blocks.push({
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*Failed SKUs:*\n${failureList}${suffix}` }
+      });
+    }
+
+    await this.sendMessage(blocks, `${header} (${scheduleName})`);
+  }
+
   async notifyProductUpdateStart(sku, targetStores = []) {
     const blocks = [
       { type: 'header', text: { type: 'plain_text', text: '✏️ Product Fields Update Started' } },
@@ -0,0 +1,107 @@
+const config = require('../../config');
+const logger = require('../../config/logger');
+
+/**
+ * Decides where new Shopify variants are stocked and with what quantity.
+ *
+ * A store can map source Magento MSI sources to Shopify locations (SHOPIFY_SOURCE_LOCATION_MAP);
+ * each mapped location gets the summed quantity of its in-stock sources. A variant without
+ * mapped source items falls back to the store's inventory-sync location
+ * (SHOPIFY_INVENTORY_LOCATION_MAP) with the product's stock_item quantity. A store with
+ * neither is left to Shopify's default location, without quantities.
+ */
+class LocationMappingService {
+  constructor(sourceService, shopifyTargetService) {
+    this.sourceService = sourceService;
+    this.shopifyTargetService = shopifyTargetService;
+    this.activeLocationIds = null;
+  }
+
+  /**
+   * The configured location mapping for a store.
+   * @returns {{defaultLocationId: string|null, sources: Object<string, string>}}
+   */
+  static getMapping(storeName) {
+    const key = (storeName || '').toLowerCase();
+    return {
+      defaultLocationId: config.shopify?.inventoryLocations?.[key] || null,
+      sources: config.shopify?.sourceLocations?.[key] || {}
+    };
+  }
+
+  /**
+   * Initial quantities for new variants, keyed by SKU. Locations that are not active
+   * in the store are dropped so a stale mapping cannot fail product creation.
+   * @param {string} storeName
+   * @param {Array} products - Source children, or the standalone product itself
+   * @returns {Promise<Map<string, Array<{locationId: string, quantity: number}>>>}
+   */
+  async buildInventoryQuantities(storeName, products) {
+    const { defaultLocationId, sources } = LocationMappingService.getMapping(storeName);
+    const quantities = new Map();
+    if (!defaultLocationId && Object.keys(sources).length === 0) return quantities;
+
+    const sourceItems = Object.keys(sources).length > 0
+      ? await this.sourceService.getSourceItems(products.map(p => p.sku))
+      : [];
+    const activeLocationIds = await this.getActiveLocationIds();
+
+    for (const product of products) {
+      let levels = this.fromSourceItems(sources, sourceItems.filter(item => item.sku === product.sku));
+      if (levels.length === 0 && defaultLocationId) {
+        levels = [{ locationId: defaultLocationId, quantity: this.stockQuantity(product) }];
+      }
+
+      const inactive = levels.filter(level => !activeLocationIds.has(level.locationId));
+      if (inactive.length > 0) {
+        logger.warn('Skipping inactive or unknown Shopify locations', {
+          storeName,
+          sku: product.sku,
+          locations: inactive.map(level => level.locationId)
+        });
+      }
+
+      levels = levels.filter(level => activeLocationIds.has(level.locationId));
+      if (levels.length > 0) {
+        quantities.set(product.sku, levels);
+      }
+    }
+
+    return quantities;
+  }
+
+  async getActiveLocationIds() {
+    if (!this.activeLocationIds) {
+      const locations = await this.shopifyTargetService.getLocations();
+      this.activeLocationIds = new Set(locations.filter(l => l.isActive).map(l => l.id));
+    }
+    return this.activeLocationIds;
+  }
+
+  /**
+   * Sum source item quantities per mapped location; disabled sources count as 0.
+   */
+  fromSourceItems(sources, items) {
+    const byLocation = new Map();
+    for (const item of items) {
+      const locationId = sources[item.source_code];
+      if (!locationId) continue;
+
+      const quantity = Number(item.status) === 1 ? this.toQuantity(item.quantity) : 0;
+      byLocation.set(locationId, (byLocation.get(locationId) || 0) + quantity);
+    }
+    return [...byLocation].map(([locationId, quantity]) => ({ locationId, quantity }));
+  }
+
+  stockQuantity(product) {
+    const stockItem = product.extension_attributes?.stock_item || {};
+    return stockItem.is_in_stock === false ? 0 : this.toQuantity(stockItem.qty);
+  }
+
+  // Shopify quantities are non-negative integers; Magento allows decimals and backorders
+  toQuantity(value) {
+    return Math.max(0, Math.floor(Number(value) || 0));
+  }
+}
+
+module.exports = LocationMappingService;
@@ -5,6 +5,7 @@ const oauthRepo = require('../../database/repositories/shopify-oauth.repository'
 const storeRepo = require('../../database/repositories/shopify-store.repository');
 const audit = require('../audit/audit.service');
 const TokenCryptoService = require('./token-crypto.service');
+const { ClientError } = require('../../utils/error-handler');
 
 const oauthConfig = config.shopify.oauth || {};
 const cryptoService = new TokenCryptoService(oauthConfig.keyring || {}, oauthConfig.activeKeyId || null);
@@ -25,12 +26,12 @@ class ShopifyOAuthService {
 
   async createConnect({ alias, shopDomain, apiKeyId }) {
     alias = String(alias || '').toLowerCase(); shopDomain = canonicalShop(shopDomain);
-    if (!validAlias(alias)) throw Object.assign(new Error('Alias may contain only lowercase letters, numbers, _ and -'), { statusCode: 400 });
-    if (!validShop(shopDomain)) throw Object.assign(new Error('shopDomain must be a canonical *.myshopify.com domain'), { statusCode: 400 });
-    if (config.shopify.stores[alias]) throw Object.assign(new Error(`Alias '${alias}' conflicts with an environment store`), { statusCode: 409 });
+    if (!validAlias(alias)) throw new ClientError('Alias may contain only lowercase letters, numbers, _ and -', 400);
+    if (!validShop(shopDomain)) throw new ClientError('shopDomain must be a canonical *.myshopify.com domain', 400);
+    if (config.shopify.stores[alias]) throw new ClientError(`Alias '${alias}' conflicts with an environment store`, 409);
     let store = await storeRepo.findByAlias(alias); const domainStore = await storeRepo.findByDomain(shopDomain);
     if ((store && (store.status === 'active' || store.shop_domain !== shopDomain)) || (domainStore && domainStore.alias !== alias)) {
-      throw Object.assign(new Error('Store alias or domain is already assigned'), { statusCode: 409 });
+      throw new ClientError('Store alias or domain is already assigned', 409);
     }
     if (!store) store = await storeRepo.createPending({ alias, shopDomain });
     const ticket = random();
@@ -41,7 +42,7 @@ class ShopifyOAuthService {
 
   async start(ticket) {
     const state = random(); const attempt = ticket && await oauthRepo.start(hash(ticket), hash(state));
-    if (!attempt) throw Object.assign(new Error('Connect URL is invalid, expired, or already used'), { statusCode: 400 });
+    if (!attempt) throw new ClientError('Connect URL is invalid, expired, or already used', 400);
     const query = new URLSearchParams({ client_id: oauthConfig.clientId, scope: oauthConfig.scopes.join(','), redirect_uri: this.callbackUrl(), state, 'grant_options[]': 'offline', expiring: '1' });
     return { state, url: `https://${attempt.shop_domain}/admin/oauth/authorize?${query}` };
   }
@@ -54,11 +55,11 @@ class ShopifyOAuthService {
 
   async callback(query, cookieState) {
     const shop = canonicalShop(query.shop);
-    if (!validShop(shop) || !query.code || !query.state || !cookieState || !safeEqual(query.state, cookieState)) throw Object.assign(new Error('Invalid OAuth callback'), { statusCode: 400 });
+    if (!validShop(shop) || !query.code || !query.state || !cookieState || !safeEqual(query.state, cookieState)) throw new ClientError('Invalid OAuth callback', 400);
     const timestamp = Number(query.timestamp);
-    if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > 300 || !this.verifyCallbackHmac(query)) throw Object.assign(new Error('OAuth callback signature or timestamp is invalid'), { statusCode: 401 });
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > 300 || !this.verifyCallbackHmac(query)) throw new ClientError('OAuth callback signature or timestamp is invalid', 401);
     const attempt = await oauthRepo.consume(hash(query.state));
-    if (!attempt || attempt.shop_domain !== shop) throw Object.assign(new Error('OAuth state is expired, invalid, or already used'), { statusCode: 400 });
+    if (!attempt || attempt.shop_domain !== shop) throw new ClientError('OAuth state is expired, invalid, or already used', 400);
     const store = await storeRepo.findByAlias(attempt.alias);
     try {
       const tokenResponse = await axios.post(`https://${shop}/admin/oauth/access_token`, { client_id: oauthConfig.clientId, client_secret: oauthConfig.clientSecret, code: query.code, expiring: 1 }, { timeout: config.api.timeout });
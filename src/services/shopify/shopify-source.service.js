@@ -0,0 +1,450 @@
+const axios = require('axios');
+const logger = require('../../config/logger');
+const config = require('../../config');
+const constants = require('../../config/constants');
+const shopifyRegistry = require('./shopify-store-registry.service');
+const { ExtractionError } = require('../../utils/error-handler');
+const { quoteSearchValue } = require('../../utils/helpers');
+
+const { PRODUCT_TYPES, VISIBILITY, STATUS } = constants.MAGENTO_API;
+
+const VARIANTS_PAGE_SIZE = 100;
+
+const VARIANT_FIELDS = `
+  legacyResourceId
+  sku
+  title
+  price
+  inventoryQuantity
+  inventoryPolicy
+  selectedOptions {
+    name
+    value
+  }
+  inventoryItem {
+    tracked
+    measurement {
+      weight {
+        value
+        unit
+      }
+    }
+  }
+  media(first: 1) {
+    edges {
+      node {
+        ... on MediaImage {
+          alt
+          image {
+            url
+          }
+        }
+      }
+    }
+  }
+`;
+
+const VARIANT_CONNECTION = `
+  edges {
+    node {
+      ${VARIANT_FIELDS}
+    }
+  }
+  pageInfo {
+    hasNextPage
+    endCursor
+  }
+`;
+
+const PRODUCT_FIELDS = `
+  id
+  legacyResourceId
+  handle
+  title
+  descriptionHtml
+  vendor
+  productType
+  tags
+  status
+  hasOnlyDefaultVariant
+  seo {
+    title
+    description
+  }
+  options {
+    name
+    position
+    optionValues {
+      name
+    }
+  }
+  media(first: 50) {
+    edges {
+      node {
+        ... on MediaImage {
+          alt
+          image {
+            url
+          }
+        }
+      }
+    }
+  }
+  metafields(first: 50) {
+    edges {
+      node {
+        namespace
+        key
+        type
+        value
+      }
+    }
+  }
+  variants(first: ${VARIANTS_PAGE_SIZE}) {
+    ${VARIANT_CONNECTION}
+  }
+`;
+
+const WEIGHT_TO_KG = {
+  KILOGRAMS: 1,
+  GRAMS: 0.001,
+  POUNDS: 0.45359237,
+  OUNCES: 0.028349523125
+};
+
+// Image types Magento gives the main image of a product
+const MAIN_IMAGE_TYPES = ['image', 'small_image', 'thumbnail'];
+
+const nodes = connection => (connection?.edges || []).map(edge => edge.node);
+
+// "Nicotine Strength" -> "nicotine_strength"
+const toAttributeCode = name => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+/**
+ * Reads products from a Shopify store so it can be used as a migration source. Products are
+ * normalized into the extractedData shape ExtractionService builds from Magento, so the
+ * orchestrators and creation services copy them without knowing where they came from.
+ *
+ * Shopify options become configurable attributes (their code is the snake_cased option name)
+ * and each variant a simple child. The product handle is the parent SKU, which also keeps the
+ * handle when the product is copied to another Shopify store. The product type is passed on
+ * as the only source category.
+ */
+class ShopifySourceService {
+  /**
+   * @param {string} storeName - Shopify store alias, resolved through the store registry
+   */
+  constructor(storeName) {
+    this.storeName = storeName;
+  }
+
+  async query(graphqlQuery, variables = {}) {
+    const client = await shopifyRegistry.getTargetService(this.storeName);
+    return client.query(graphqlQuery, variables);
+  }
+
+  async testConnection() {
+    try {
+      const client = await shopifyRegistry.getTargetService(this.storeName);
+      return await client.testConnection();
+    } catch (error) {
+      return { connected: false, storeName: this.storeName, error: error.message };
+    }
+  }
+
+  /**
+   * Fetch a product by variant SKU, falling back to its handle. Products with more variants
+   * than one page are returned with all of them.
+   * @param {string} identifier - Variant SKU or product handle
+   * @returns {Promise<Object>} Shopify product
+   * @throws {ExtractionError} When no product matches
+   */
+  async fetchProduct(identifier) {
+    logger.info('Fetching product from Shopify source', { storeName: this.storeName, identifier });
+
+    const bySku = await this.query(`
+      query sourceProductBySku($query: String!) {
+        productVariants(first: 1, query: $query) {
+          edges {
+            node {
+              product {
+                ${PRODUCT_FIELDS}
+              }
+            }
+          }
+        }
+      }
+    `, { query: `sku:${quoteSearchValue(identifier)}` });
+
+    const variant = nodes(bySku.data.productVariants)[0];
+    if (variant) return this.fetchRemainingVariants(variant.product);
+
+    const byHandle = await this.query(`
+      query sourceProductByHandle($handle: String!) {
+        productByIdentifier(identifier: { handle: $handle }) {
+          ${PRODUCT_FIELDS}
+        }
+      }
+    `, { handle: identifier });
+
+    if (!byHandle.data.productByIdentifier) {
+      throw new ExtractionError(`Product not found on Shopify store ${this.storeName}: ${identifier}`);
+    }
+    return this.fetchRemainingVariants(byHandle.data.productByIdentifier);
+  }
+
+  /**
+   * Page through the variants past the first page of a fetched product.
+   * @returns {Promise<Object>} The product with every variant
+   */
+  async fetchRemainingVariants(product) {
+    let pageInfo = product.variants.pageInfo;
+    if (!pageInfo?.hasNextPage) return product;
+
+    const edges = [...product.variants.edges];
+    while (pageInfo?.hasNextPage) {
+      const page = await this.query(`
+        query sourceProductVariants($id: ID!, $after: String) {
+          product(id: $id) {
+            variants(first: ${VARIANTS_PAGE_SIZE}, after: $after) {
+              ${VARIANT_CONNECTION}
+            }
+          }
+        }
+      `, { id: product.id, after: pageInfo.endCursor });
+
+      const variants = page.data.product.variants;
+      edges.push(...variants.edges);
+      pageInfo = variants.pageInfo;
+    }
+
+    return { ...product, variants: { edges } };
+  }
+
+  /**
+   * Type probe used by the orchestrators before extraction.
+   * @returns {Promise<Object>} The normalized parent product
+   */
+  async getProductBySku(identifier) {
+    return this.normalizeProduct(await this.fetchProduct(identifier)).parent;
+  }
+
+  /**
+   * Fetch and normalize a product. Serves both the configurable and the standalone
+   * extraction step, so the prefetched product of the type probe is not needed.
+   * @param {string} identifier - Variant SKU or product handle
+   * @returns {Promise<Object>} extractedData
+   */
+  async extractProduct(identifier) {
+    const startTime = Date.now();
+    logger.info('Starting Shopify source extraction', { storeName: this.storeName, identifier });
+
+    const extractedData = this.normalizeProduct(await this.fetchProduct(identifier));
+    const duration = Date.now() - startTime;
+
+    logger.info('Shopify source extraction completed', {
+      identifier,
+      duration: `${duration}ms`,
+      childrenFound: extractedData.children.length
+    });
+
+    extractedData.metadata = {
+      duration,
+      childrenFound: extractedData.children.length,
+      categoriesFound: extractedData.categories.length,
+      extractedAt: new Date().toISOString()
+    };
+    return extractedData;
+  }
+
+  /**
+   * Convert a Shopify product into extractedData: Magento-shaped parent and children plus
+   * childLinks, translations, images and categories. Metafields are passed on as-is.
+   */
+  normalizeProduct(product) {
+    const variants = nodes(product.variants);
+    const status = product.status === 'ACTIVE' ? STATUS.ENABLED : STATUS.DISABLED;
+    const customAttributes = this.buildCustomAttributes(product);
+
+    const translations = {
+      attributeSet: null,
+      attributes: {},
+      attributeValues: {},
+      categories: {},
+      customAttributes: Object.fromEntries(customAttributes.map(attr => [attr.attribute_code, attr.value])),
+      brandLabel: product.vendor || null
+    };
+
+    const images = { parent: this.toMediaEntries(nodes(product.media)), children: {} };
+    const categories = product.productType ? [{ id: null, name: product.productType }] : [];
+
+    // App-owned metafields can only be written by the app that owns them
+    const metafields = nodes(product.metafields)
+      .filter(field => !field.namespace.startsWith('app--'))
+      .map(({ namespace, key, type, value }) => ({ namespace, key, type, value }));
+
+    if (product.hasOnlyDefaultVariant) {
+      const variant = variants[0] || {};
+      const parent = {
+        ...this.buildVariantFields(variant),
+        sku: variant.sku || product.handle,
+        name: product.title,
+        type_id: PRODUCT_TYPES.SIMPLE,
+        visibility: VISIBILITY.CATALOG_SEARCH,
+        status,
+        attribute_set_id: null,
+        custom_attributes: customAttributes,
+        media_gallery_entries: images.parent
+      };
+
+      return { parent, children: [], childLinks: [], translations, images, categories, metafields };
+    }
+
+    const configurableOptions = [];
+    const optionIndexes = {};
+
+    for (const option of product.options) {
+      const attributeCode = toAttributeCode(option.name);
+      translations.attributes[attributeCode] = attributeCode;
+      optionIndexes[option.name] = {};
+
+      const values = option.optionValues.map((value, index) => {
+        const valueIndex = index + 1;
+        optionIndexes[option.name][value.name] = valueIndex;
+        translations.attributeValues[`${attributeCode}_${valueIndex}`] = {
+          attributeCode,
+          label: value.name,
+          value: valueIndex
+        };
+        return { value_index: valueIndex };
+      });
+
+      configurableOptions.push({ attribute_id: attributeCode, label: option.name, position: option.position - 1, values });
+    }
+
+    const children = [];
+    const childLinks = [];
+
+    for (const variant of variants) {
+      if (!variant.sku) {
+        logger.warn('Skipping Shopify variant without SKU', { handle: product.handle, variant: variant.title });
+        continue;
+      }
+
+      const selected = variant.selectedOptions.filter(option => optionIndexes[option.name]?.[option.value]);
+      const child = {
+        ...this.buildVariantFields(variant),
+        id: Number(variant.legacyResourceId),
+        sku: variant.sku,
+        name: `${product.title}-${variant.title}`,
+        type_id: PRODUCT_TYPES.SIMPLE,
+        visibility: VISIBILITY.NOT_VISIBLE,
+        status,
+        custom_attributes: selected.map(option => ({
+          attribute_code: toAttributeCode(option.name),
+          value: optionIndexes[option.name][option.value]
+        })),
+        media_gallery_entries: this.toMediaEntries(nodes(variant.media))
+      };
+
+      children.push(child);
+      childLinks.push({
+        sku: child.sku,
+        id: child.id,
+        name: child.name,
+        attributes: selected.map(option => ({ label: toAttributeCode(option.name), value: option.value }))
+      });
+
+      if (child.media_gallery_entries.length > 0) {
+        images.children[child.sku] = child.media_gallery_entries;
+      }
+    }
+
+    const prices = children.map(child => child.price);
+    const parent = {
+      sku: product.handle,
+      name: product.title,
+      type_id: PRODUCT_TYPES.CONFIGURABLE,
+      visibility: VISIBILITY.CATALOG_SEARCH,
+      status,
+      price: prices.length > 0 ? Math.min(...prices) : 0,
+      attribute_set_id: null,
+      custom_attributes: customAttributes,
+      extension_attributes: { configurable_product_options: configurableOptions },
+      media_gallery_entries: images.parent
+    };
+
+    return { parent, children, childLinks, translations, images, categories, metafields };
+  }
+
+  /**
+   * Product fields stored as Magento custom attributes, under the codes the creation
+   * services read them from.
+   */
+  buildCustomAttributes(product) {
+    return [
+      { attribute_code: 'description', value: product.descriptionHtml },
+      { attribute_code: 'url_key', value: product.handle },
+      { attribute_code: 'meta_title', value: product.seo?.title },
+      { attribute_code: 'meta_description', value: product.seo?.description },
+      { attribute_code: 'meta_keyword', value: (product.tags || []).join(', ') },
+      { attribute_code: 'product_type', value: product.productType }
+    ].filter(attr => attr.value);
+  }
+
+  buildVariantFields(variant) {
+    const weight = variant.inventoryItem?.measurement?.weight;
+    const qty = variant.inventoryQuantity || 0;
+
+    return {
+      price: parseFloat(variant.price) || 0,
+      weight: weight?.value ? String(+(weight.value * (WEIGHT_TO_KG[weight.unit] || 1)).toFixed(4)) : undefined,
+      extension_attributes: {
+        stock_item: {
+          qty,
+          is_in_stock: qty > 0 || variant.inventoryPolicy === 'CONTINUE',
+          manage_stock: variant.inventoryItem?.tracked !== false
+        }
+      }
+    };
+  }
+
+  /**
+   * Media images as media_gallery_entries. `file` is the CDN URL without its version query,
+   * so the file name the image services derive from it stays clean.
+   */
+  toMediaEntries(media) {
+    return media
+      .filter(node => node.image?.url)
+      .map((node, index) => ({
+        file: node.image.url.split('?')[0],
+        label: node.alt || '',
+        position: index + 1,
+        types: index === 0 ? MAIN_IMAGE_TYPES : [],
+        disabled: false
+      }));
+  }
+
+  /**
+   * Shopify has no MSI sources; stock comes from each variant's stock_item instead.
+   */
+  async getSourceItems() {
+    return [];
+  }
+
+  async downloadImage(imageUrl) {
+    logger.info('Downloading image from Shopify CDN', { url: imageUrl });
+
+    const response = await axios.get(imageUrl, {
+      responseType: 'arraybuffer',
+      timeout: config.api.timeout
+    });
+
+    return {
+      buffer: Buffer.from(response.data),
+      contentType: response.headers['content-type'] || 'image/jpeg'
+    };
+  }
+}
+
+module.exports = ShopifySourceService;
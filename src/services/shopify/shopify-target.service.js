@@ -1,14 +1,52 @@
 const ShopifyClient = require('./shopify.client');
 const axios = require('axios');
+const crypto = require('crypto');
 const FormData = require('form-data');
 const path = require('path');
 const logger = require('../../config/logger');
+const { MIGRATION_RUNS } = require('../../config/constants');
+const { quoteSearchValue } = require('../../utils/helpers');
+
+const VARIANT_PRICE_UPDATE_MUTATION = `
+  mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+    productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+      productVariants {
+        id
+        price
+        sku
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+// Handle Shopify derives from a title: "Pod Kits & Tanks" becomes "pod-kits-tanks"
+const toHandle = value => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
 
 class ShopifyTargetService extends ShopifyClient {
   constructor(shopDomain, accessToken, config = {}) {
     super(shopDomain, accessToken, config);
   }
 
+  /**
+   * Record products, variants, files and media created through this instance so a
+   * failed migration can be rolled back.
+   * @param {Object|null} recorder - CompensationLog.forStore() recorder
+   * @returns {ShopifyTargetService} this
+   */
+  withCompensationLog(recorder) {
+    this._compensationLog = recorder || null;
+    return this;
+  }
+
+  async _recordCreated(entityType, entityKey, data) {
+    if (!this._compensationLog) return;
+    await this._compensationLog.record(entityType, entityKey, data);
+  }
+
   async createProduct(productData) {
     logger.info('Creating product in Shopify', { title: productData.title });
 
@@ -43,7 +81,9 @@ class ShopifyTargetService extends ShopifyClient {
     };
 
     const result = await this.query(mutation, variables);
-    return result.data.productCreate.product;
+    const product = result.data.productCreate.product;
+    await this._recordCreated(MIGRATION_RUNS.ENTITY_TYPES.PRODUCT, product.id, { productId: product.id });
+    return product;
   }
 
   async createProductWithVariants(productData, options, variants, files = []) {
@@ -105,6 +145,28 @@ class ShopifyTargetService extends ShopifyClient {
       }
     `;
 
+    const input = this.buildProductSetInput(productData, options, variants, files);
+    const variables = { input };
+
+    const result = await this.query(mutation, variables);
+    const product = result.data.productSet.product;
+    // Variants and attached media are removed together with the product
+    await this._recordCreated(MIGRATION_RUNS.ENTITY_TYPES.PRODUCT, product.id, {
+      productId: product.id,
+      handle: product.handle
+    });
+    return product;
+  }
+
+  /**
+   * Build the ProductSetInput sent by createProductWithVariants.
+   * @param {Object} productData - Output of ShopifyCreationService.buildShopifyProduct (plus enrichment)
+   * @param {Array} options - productOptions for productSet
+   * @param {Array} variants - Variants for productSet
+   * @param {Array} [files] - Uploaded file IDs from uploadAndWaitForFiles (null entries are skipped)
+   * @returns {Object} ProductSetInput
+   */
+  buildProductSetInput(productData, options, variants, files = []) {
     const input = {
       title: productData.title,
       handle: productData.handle,
@@ -123,6 +185,10 @@ class ShopifyTargetService extends ShopifyClient {
       if (productData.seo.description) input.seo.description = productData.seo.description;
     }
 
+    if (productData.metafields?.length) {
+      input.metafields = productData.metafields.map(({ namespace, key, type, value }) => ({ namespace, key, type, value }));
+    }
+
     // Include files if provided (files should be pre-uploaded file IDs from uploadAndWaitForFiles)
     // The files array may contain null entries for failed uploads - filter them out
     const validFiles = files.filter(f => f !== null);
@@ -137,10 +203,7 @@ class ShopifyTargetService extends ShopifyClient {
       });
     }
 
-    const variables = { input };
-
-    const result = await this.query(mutation, variables);
-    return result.data.productSet.product;
+    return input;
   }
 
   async createProductVariants(productId, variants) {
@@ -177,7 +240,40 @@ class ShopifyTargetService extends ShopifyClient {
     };
 
     const result = await this.query(mutation, variables);
-    return result.data.productVariantsBulkCreate.productVariants;
+    const createdVariants = result.data.productVariantsBulkCreate.productVariants;
+    for (const variant of createdVariants) {
+      await this._recordCreated(MIGRATION_RUNS.ENTITY_TYPES.VARIANT, variant.id, {
+        productId,
+        variantId: variant.id,
+        sku: variant.inventoryItem?.sku || variant.sku
+      });
+    }
+    return createdVariants;
+  }
+
+  /**
+   * Delete specific variants from a product, leaving its other variants in place.
+   * @param {string} productId - Shopify product GID
+   * @param {string[]} variantIds - Variant GIDs to delete
+   */
+  async deleteProductVariants(productId, variantIds) {
+    logger.info('Deleting product variants from Shopify', { productId, count: variantIds.length });
+
+    const mutation = `
+      mutation productVariantsBulkDelete($productId: ID!, $variantsIds: [ID!]!) {
+        productVariantsBulkDelete(productId: $productId, variantsIds: $variantsIds) {
+          product {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    await this.query(mutation, { productId, variantsIds: variantIds });
   }
 
   /**
@@ -255,6 +351,10 @@ class ShopifyTargetService extends ShopifyClient {
       sku: stagedImages[index]?.sku || null
     }));
 
+    for (const media of mediaWithSkus) {
+      await this._recordCreated(MIGRATION_RUNS.ENTITY_TYPES.MEDIA, media.id, { productId, mediaId: media.id, sku: media.sku });
+    }
+
     logger.info('Product media created', {
       productId,
       mediaCount: mediaWithSkus.length
@@ -410,9 +510,34 @@ class ShopifyTargetService extends ShopifyClient {
 
     const file = result.data.fileCreate.files[0];
     logger.debug('File created', { fileId: file.id, status: file.fileStatus });
+    await this._recordCreated(MIGRATION_RUNS.ENTITY_TYPES.FILE, file.id, { fileId: file.id });
     return file;
   }
 
+  /**
+   * Delete files from the store's Files library.
+   * @param {string[]} fileIds - File GIDs to delete
+   * @returns {string[]} Deleted file GIDs
+   */
+  async deleteFiles(fileIds) {
+    logger.info('Deleting Shopify files', { count: fileIds.length });
+
+    const mutation = `
+      mutation fileDelete($fileIds: [ID!]!) {
+        fileDelete(fileIds: $fileIds) {
+          deletedFileIds
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const result = await this.query(mutation, { fileIds });
+    return result.data.fileDelete.deletedFileIds;
+  }
+
   normalizeImageMimeType(contentType, filename) {
     const normalized = String(contentType || '').split(';')[0].trim().toLowerCase();
     if (normalized.startsWith('image/')) return normalized;
@@ -710,6 +835,10 @@ class ShopifyTargetService extends ShopifyClient {
               sku
               price
               compareAtPrice
+              inventoryItem {
+                id
+                tracked
+              }
               product {
                 id
                 title
@@ -737,15 +866,112 @@ class ShopifyTargetService extends ShopifyClient {
     }
   }
 
+  /**
+   * Number of variants in the store, to choose between paged and bulk catalog reads.
+   * @returns {Promise<number>}
+   */
+  async countVariants() {
+    const result = await this.query(`
+      query countVariants {
+        productVariantsCount(limit: null) {
+          count
+        }
+      }
+    `);
+    return result.data.productVariantsCount.count;
+  }
+
+  /**
+   * Every variant in the store through a bulk query, for catalog-wide scans of large stores.
+   * @returns {AsyncGenerator<{id: string, sku: string, price: string, compareAtPrice: string|null, product: {id: string, title: string}}>}
+   */
+  async *bulkListVariants() {
+    yield* this.runBulkQuery(`
+      {
+        productVariants {
+          edges {
+            node {
+              id
+              sku
+              price
+              compareAtPrice
+              product {
+                id
+                title
+              }
+            }
+          }
+        }
+      }
+    `);
+  }
+
+  /**
+   * Fetch one page of every variant in the store, for catalog-wide scans.
+   * @param {string|null} after - Cursor from the previous page's pageInfo.endCursor
+   * @param {number} first - Page size (max 250)
+   * @returns {Object} { variants: [{ id, sku, product: { id, title } }], pageInfo: { hasNextPage, endCursor } }
+   */
+  async listVariantsPage(after = null, first = 250) {
+    const query = `
+      query listVariants($first: Int!, $after: String) {
+        productVariants(first: $first, after: $after) {
+          edges {
+            node {
+              id
+              sku
+              product {
+                id
+                title
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `;
+
+    const result = await this.query(query, { first, after });
+    const connection = result.data.productVariants;
+
+    return {
+      variants: connection?.edges?.map(e => e.node) || [],
+      pageInfo: connection?.pageInfo || { hasNextPage: false, endCursor: null }
+    };
+  }
+
   /**
    * Search collections by title query. Returns matches ordered by relevance.
    * @param {string} queryString - Text to search for in collection titles
    * @param {number} first - Max results to return (default 10)
-   * @returns {Array} Array of { id, title, handle }
+   * @param {string} [field='title'] - 'title' (wildcard match) or 'handle' (exact match)
+   * @returns {Array} Array of { id, title, handle, ruleSet } (ruleSet is null for custom collections)
    */
-  async searchCollections(queryString, first = 10) {
-    logger.debug('Searching Shopify collections', { queryString });
+  async searchCollections(queryString, first = 10, field = 'title') {
+    logger.debug('Searching Shopify collections', { queryString, field });
+
+    const search = field === 'handle' ? `handle:${quoteSearchValue(queryString)}` : `title:*${queryString}*`;
+
+    try {
+      const collections = await this.queryCollections(search, first);
+      logger.info('Collections search complete', { queryString, foundCount: collections.length });
+      return collections;
+    } catch (error) {
+      logger.error('Failed to search collections', { queryString, error: error.message });
+      return [];
+    }
+  }
 
+  /**
+   * Run a collections search query. Unlike searchCollections, errors are thrown.
+   * @param {string} search - Shopify search syntax, e.g. title:"Pod Kits"
+   * @param {number} first
+   * @returns {Promise<Array>} { id, title, handle, ruleSet }
+   */
+  async queryCollections(search, first) {
     const query = `
       query searchCollections($query: String!, $first: Int!) {
         collections(first: $first, query: $query) {
@@ -754,21 +980,220 @@ class ShopifyTargetService extends ShopifyClient {
               id
               title
               handle
+              ruleSet {
+                appliedDisjunctively
+              }
             }
           }
         }
       }
     `;
 
-    try {
-      const result = await this.query(query, { query: `title:*${queryString}*`, first });
-      const collections = result.data.collections?.edges?.map(e => e.node) || [];
-      logger.info('Collections search complete', { queryString, foundCount: collections.length });
-      return collections;
-    } catch (error) {
-      logger.error('Failed to search collections', { queryString, error: error.message });
-      return [];
+    const result = await this.query(query, { query: search, first });
+    return result.data.collections?.edges?.map(e => e.node) || [];
+  }
+
+  /**
+   * The collection with exactly this handle, or null. Read directly instead of through search,
+   * so a collection created moments ago, by any process, is found before it is indexed.
+   * @param {string} handle
+   * @returns {Promise<Object|null>} { id, title, handle, ruleSet }
+   */
+  async getCollectionByHandle(handle) {
+    const query = `
+      query collectionByHandle($identifier: CollectionIdentifierInput!) {
+        collectionByIdentifier(identifier: $identifier) {
+          id
+          title
+          handle
+          ruleSet {
+            appliedDisjunctively
+          }
+        }
+      }
+    `;
+
+    const result = await this.query(query, { identifier: { handle } });
+    return result.data.collectionByIdentifier || null;
+  }
+
+  /**
+   * Find a collection whose handle or title (case-insensitive) equals the given value.
+   * The value's handle form ("Pod Kits" -> "pod-kits") is read directly first, which also
+   * finds collections createCollection made that search does not index yet. Collections whose
+   * handle differs from their title are found by a title search.
+   * Lookup errors are thrown, so a failed lookup is never mistaken for a missing collection.
+   * @param {string} handleOrTitle
+   * @returns {Promise<Object|null>} { id, title, handle, ruleSet }
+   */
+  async findCollection(handleOrTitle) {
+    const value = handleOrTitle.trim();
+    const wanted = value.toLowerCase();
+    const isMatch = collection => collection.handle === wanted || collection.title.toLowerCase() === wanted;
+
+    const handle = toHandle(value);
+    if (handle) {
+      const byHandle = await this.getCollectionByHandle(handle);
+      if (byHandle && isMatch(byHandle)) return byHandle;
+    }
+
+    return (await this.queryCollections(`title:${quoteSearchValue(value)}`, 25)).find(isMatch) || null;
+  }
+
+  /**
+   * Create a custom collection and publish it to the Online Store, like migrated products.
+   * @param {string} title
+   * @returns {Promise<Object>} { id, title, handle }
+   */
+  async createCollection(title) {
+    logger.info('Creating Shopify collection', { title });
+
+    const mutation = `
+      mutation collectionCreate($input: CollectionInput!) {
+        collectionCreate(input: $input) {
+          collection {
+            id
+            title
+            handle
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const result = await this.query(mutation, { input: { title } });
+    const collection = { ruleSet: null, ...result.data.collectionCreate.collection };
+
+    await this.publishCollection(collection.id);
+    return collection;
+  }
+
+  /**
+   * Publish a collection to the same sales channel publishProduct uses.
+   * @param {string} collectionId - Shopify collection GID
+   * @returns {Promise<Object|null>} null when the store has no publication
+   */
+  async publishCollection(collectionId) {
+    const publication = await this.getOnlineStorePublication();
+    if (!publication) {
+      logger.warn('No publications found, collection may not be visible', { collectionId });
+      return null;
+    }
+
+    const mutation = `
+      mutation publishablePublish($id: ID!, $input: [PublicationInput!]!) {
+        publishablePublish(id: $id, input: $input) {
+          publishable {
+            ... on Collection {
+              id
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const result = await this.query(mutation, { id: collectionId, input: [{ publicationId: publication.id }] });
+    logger.info('Collection published', { collectionId, publicationId: publication.id });
+    return result.data.publishablePublish.publishable;
+  }
+
+  /**
+   * IDs of the collections a product belongs to.
+   * @param {string} productId - Shopify product GID
+   * @returns {Promise<string[]>}
+   */
+  async getProductCollectionIds(productId) {
+    const query = `
+      query productCollections($id: ID!) {
+        product(id: $id) {
+          collections(first: 250) {
+            edges {
+              node {
+                id
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const result = await this.query(query, { id: productId });
+    return result.data.product?.collections?.edges?.map(e => e.node.id) || [];
+  }
+
+  /**
+   * Add a product to custom collections given by handle or title. Collections the product is
+   * already in are left alone, and smart collections are skipped since their rules decide
+   * membership. A missing collection is created when createMissing is set, otherwise skipped.
+   * Membership is only ever added, never removed.
+   * @param {string} productId - Shopify product GID
+   * @param {string[]} collectionNames - Handles or titles
+   * @param {Object} [options]
+   * @param {boolean} [options.createMissing=false]
+   * @returns {Promise<{added: string[], alreadyMember: string[], created: string[], skipped: Array<{collection: string, reason: string}>}>}
+   */
+  async assignProductToCollections(productId, collectionNames, { createMissing = false } = {}) {
+    const result = { added: [], alreadyMember: [], created: [], skipped: [] };
+    if (!collectionNames || collectionNames.length === 0) return result;
+
+    const memberOf = new Set(await this.getProductCollectionIds(productId));
+
+    const mutation = `
+      mutation collectionAddProducts($id: ID!, $productIds: [ID!]!) {
+        collectionAddProducts(id: $id, productIds: $productIds) {
+          collection {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    for (const name of collectionNames) {
+      let collection = await this.findCollection(name);
+
+      if (!collection) {
+        if (!createMissing) {
+          result.skipped.push({ collection: name, reason: 'Collection not found' });
+          continue;
+        }
+        collection = await this.createCollection(name);
+        result.created.push(name);
+      }
+
+      if (collection.ruleSet) {
+        result.skipped.push({ collection: name, reason: 'Smart collection; membership is rule-based' });
+        continue;
+      }
+
+      if (memberOf.has(collection.id)) {
+        result.alreadyMember.push(name);
+        continue;
+      }
+
+      await this.query(mutation, { id: collection.id, productIds: [productId] });
+      memberOf.add(collection.id);
+      result.added.push(name);
     }
+
+    logger.info('Assigned product to Shopify collections', {
+      productId,
+      added: result.added.length,
+      created: result.created.length,
+      skipped: result.skipped.length
+    });
+
+    return result;
   }
 
   /**
@@ -819,40 +1244,12 @@ class ShopifyTargetService extends ShopifyClient {
       variantCount: variantPrices.length
     });
 
-    const mutation = `
-      mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
-        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
-          productVariants {
-            id
-            price
-            sku
-          }
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `;
-
-    const variants = variantPrices.map(v => {
-      if (v.updateCompareAt) {
-        // Legacy tier store shape: only update compareAtPrice
-        return { id: v.id, compareAtPrice: String(v.price) };
-      }
-      const variant = { id: v.id, price: String(v.price) };
-      if ('compareAtPrice' in v) {
-        variant.compareAtPrice = v.compareAtPrice != null ? String(v.compareAtPrice) : null;
-      }
-      return variant;
-    });
-
     const variables = {
       productId,
-      variants
+      variants: this.buildVariantPriceInputs(variantPrices)
     };
 
-    const result = await this.query(mutation, variables);
+    const result = await this.query(VARIANT_PRICE_UPDATE_MUTATION, variables);
 
     if (result.data.productVariantsBulkUpdate.userErrors?.length > 0) {
       const errors = result.data.productVariantsBulkUpdate.userErrors;
@@ -872,10 +1269,160 @@ class ShopifyTargetService extends ShopifyClient {
     };
   }
 
-  async publishProduct(productId) {
-    logger.info('Publishing product in Shopify', { productId });
+  buildVariantPriceInputs(variantPrices) {
+    return variantPrices.map(v => {
+      if (v.updateCompareAt) {
+        // Legacy tier store shape: only update compareAtPrice
+        return { id: v.id, compareAtPrice: String(v.price) };
+      }
+      const variant = { id: v.id, price: String(v.price) };
+      if ('compareAtPrice' in v) {
+        variant.compareAtPrice = v.compareAtPrice != null ? String(v.compareAtPrice) : null;
+      }
+      return variant;
+    });
+  }
+
+  /**
+   * updateVariantPrices for many products in one bulk mutation.
+   * @param {Array<{productId: string, variantPrices: Array}>} updates - variantPrices as for updateVariantPrices
+   * @returns {Promise<{updatedCount: number, failures: Array<{index: number, productId: string, message: string}>}>}
+   *   failures point into updates by index
+   */
+  async bulkUpdateVariantPrices(updates) {
+    if (updates.length === 0) return { updatedCount: 0, failures: [] };
+
+    logger.info('Updating variant prices in Shopify in bulk', {
+      productCount: updates.length,
+      variantCount: updates.reduce((sum, u) => sum + u.variantPrices.length, 0)
+    });
+
+    const variablesList = updates.map(u => ({
+      productId: u.productId,
+      variants: this.buildVariantPriceInputs(u.variantPrices)
+    }));
+
+    let updatedCount = 0;
+    const failures = [];
+    const answered = new Set();
+
+    for await (const line of this.runBulkMutation(VARIANT_PRICE_UPDATE_MUTATION, variablesList)) {
+      const index = line.__lineNumber;
+      answered.add(index);
+
+      const payload = line.data?.productVariantsBulkUpdate;
+      const errors = [...(line.errors || []), ...(payload?.userErrors || [])];
+      if (errors.length > 0) {
+        failures.push({ index, productId: updates[index]?.productId, message: errors.map(e => e.message).join(', ') });
+      } else {
+        updatedCount += payload?.productVariants?.length || 0;
+      }
+    }
+
+    updates.forEach((update, index) => {
+      if (!answered.has(index)) {
+        failures.push({ index, productId: update.productId, message: 'Bulk operation returned no result' });
+      }
+    });
+
+    logger.info('Bulk variant price update finished', { updatedCount, failedProducts: failures.length });
+
+    return { updatedCount, failures };
+  }
+
+  /**
+   * Set the available quantity of an inventory item at one location.
+   * @param {string} inventoryItemId - gid://shopify/InventoryItem/...
+   * @param {string} locationId - gid://shopify/Location/...
+   * @param {number} quantity - Absolute available quantity
+   * @returns {Object} { inventoryItemId, locationId, quantity, delta }
+   */
+  async setInventoryQuantity(inventoryItemId, locationId, quantity) {
+    logger.info('Setting Shopify inventory quantity', { inventoryItemId, locationId, quantity });
+
+    const mutation = `
+      mutation inventorySetQuantities($input: InventorySetQuantitiesInput!, $idempotencyKey: String!) {
+        inventorySetQuantities(input: $input) @idempotent(key: $idempotencyKey) {
+          inventoryAdjustmentGroup {
+            changes {
+              name
+              delta
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const variables = {
+      input: {
+        name: 'available',
+        reason: 'correction',
+        // Overwrite whatever Shopify has; the source is the system of record for stock
+        quantities: [{ inventoryItemId, locationId, quantity, changeFromQuantity: null }]
+      },
+      idempotencyKey: crypto.randomUUID()
+    };
+
+    const result = await this.query(mutation, variables);
+
+    const changes = result.data.inventorySetQuantities.inventoryAdjustmentGroup?.changes || [];
+    const delta = changes.find(change => change.name === 'available')?.delta ?? 0;
+
+    return { inventoryItemId, locationId, quantity, delta };
+  }
+
+  /**
+   * List the store's locations, including deactivated ones.
+   * @returns {Promise<Array<{id: string, name: string, isActive: boolean, fulfillsOnlineOrders: boolean}>>}
+   */
+  async getLocations() {
+    logger.debug('Fetching Shopify locations');
+
+    const query = `
+      query getLocations($first: Int!, $after: String) {
+        locations(first: $first, after: $after, includeInactive: true) {
+          edges {
+            node {
+              id
+              name
+              isActive
+              fulfillsOnlineOrders
+              address {
+                city
+                provinceCode
+                countryCode
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `;
 
-    // First, get the online store publication
+    const locations = [];
+    let after = null;
+    do {
+      const result = await this.query(query, { first: 250, after });
+      const page = result.data.locations;
+      locations.push(...page.edges.map(edge => edge.node));
+      after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after);
+
+    return locations;
+  }
+
+  /**
+   * The Online Store publication, or the store's first publication when it has none by that name.
+   * @returns {Promise<Object|null>} { id, name }
+   */
+  async getOnlineStorePublication() {
     const publicationQuery = `
       query {
         publications(first: 10) {
@@ -913,6 +1460,13 @@ class ShopifyTargetService extends ShopifyClient {
       });
     }
 
+    return onlineStore ? onlineStore.node : null;
+  }
+
+  async publishProduct(productId) {
+    logger.info('Publishing product in Shopify', { productId });
+
+    const onlineStore = await this.getOnlineStorePublication();
     if (!onlineStore) {
       logger.warn('No publications found, product may not be visible');
       return null;
@@ -937,7 +1491,7 @@ class ShopifyTargetService extends ShopifyClient {
 
     const variables = {
       id: productId,
-      input: [{ publicationId: onlineStore.node.id }]
+      input: [{ publicationId: onlineStore.id }]
     };
 
     const result = await this.query(mutation, variables);
@@ -951,7 +1505,7 @@ class ShopifyTargetService extends ShopifyClient {
     } else {
       logger.info('Product published successfully', {
         productId,
-        publicationId: onlineStore.node.id,
+        publicationId: onlineStore.id,
         publishedAt: result.data.publishablePublish.publishable?.publishedAt
       });
     }
@@ -1012,9 +1566,32 @@ class ShopifyTargetService extends ShopifyClient {
     }
   }
 
+  /**
+   * Fetch a product with all of its variants. Variants are paged, so products with more than
+   * one page of variants are returned complete.
+   */
   async getProductById(productId) {
     logger.debug('Fetching product by ID', { productId });
 
+    const variantFields = `
+      edges {
+        node {
+          id
+          sku
+          title
+          price
+          selectedOptions {
+            name
+            value
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    `;
+
     const query = `
       query getProduct($id: ID!) {
         product(id: $id) {
@@ -1022,31 +1599,47 @@ class ShopifyTargetService extends ShopifyClient {
           title
           handle
           status
+          descriptionHtml
+          productType
+          mediaCount {
+            count
+          }
           options {
             id
             name
             values
           }
-          variants(first: 100) {
-            edges {
-              node {
-                id
-                sku
-                title
-                price
-                selectedOptions {
-                  name
-                  value
-                }
-              }
-            }
+          variants(first: 250) {
+            ${variantFields}
+          }
+        }
+      }
+    `;
+
+    const variantsQuery = `
+      query getProductVariants($id: ID!, $after: String) {
+        product(id: $id) {
+          variants(first: 250, after: $after) {
+            ${variantFields}
           }
         }
       }
     `;
 
     const result = await this.query(query, { id: productId });
-    return result.data.product;
+    const product = result.data.product;
+    if (!product) return product;
+
+    const edges = [...product.variants.edges];
+    let pageInfo = product.variants.pageInfo;
+    while (pageInfo?.hasNextPage) {
+      const page = await this.query(variantsQuery, { id: productId, after: pageInfo.endCursor });
+      const variants = page.data.product.variants;
+      edges.push(...variants.edges);
+      pageInfo = variants.pageInfo;
+    }
+
+    return { ...product, variants: { edges } };
   }
 
   extractProductIdFromGid(gid) {
@@ -1138,6 +1731,71 @@ class ShopifyTargetService extends ShopifyClient {
     return result.data.productUpdate.product;
   }
 
+  /**
+   * Create or overwrite metafields on products and variants. metafieldsSet accepts at most
+   * 25 metafields per call, so larger lists are sent in chunks.
+   * @param {Array<{ownerId: string, namespace: string, key: string, type: string, value: string}>} metafields
+   * @returns {Promise<Array>} The metafields Shopify saved
+   */
+  async setMetafields(metafields) {
+    if (!metafields || metafields.length === 0) return [];
+
+    logger.info('Setting metafields in Shopify', { count: metafields.length });
+
+    const mutation = `
+      mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields {
+            id
+            namespace
+            key
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const saved = [];
+    for (let i = 0; i < metafields.length; i += 25) {
+      const chunk = metafields.slice(i, i + 25)
+        .map(({ ownerId, namespace, key, type, value }) => ({ ownerId, namespace, key, type, value }));
+      const result = await this.query(mutation, { metafields: chunk });
+      saved.push(...result.data.metafieldsSet.metafields);
+    }
+
+    return saved;
+  }
+
+  /**
+   * Add tags to a product without touching the tags it already has.
+   * @param {string} productId - Shopify product GID
+   * @param {string[]} tags
+   */
+  async addTags(productId, tags) {
+    if (!tags || tags.length === 0) return;
+
+    logger.info('Adding product tags', { productId, count: tags.length });
+
+    const mutation = `
+      mutation tagsAdd($id: ID!, $tags: [String!]!) {
+        tagsAdd(id: $id, tags: $tags) {
+          node {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    await this.query(mutation, { id: productId, tags });
+  }
+
   /**
    * Delete all media from a Shopify product by media ID list.
    * Throws if the mutation returns userErrors.
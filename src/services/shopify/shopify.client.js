@@ -1,8 +1,12 @@
 const axios = require('axios');
 const axiosRetry = require('axios-retry').default;
+const FormData = require('form-data');
+const readline = require('readline');
 const logger = require('../../config/logger');
 const { ShopifyAPIError } = require('../../utils/error-handler');
-const { sanitizeLogPayload } = require('../../utils/helpers');
+const { sanitizeLogPayload, delay } = require('../../utils/helpers');
+
+const BULK_OPERATION_FAILED_STATUSES = ['FAILED', 'CANCELED', 'EXPIRED'];
 
 class ShopifyClient {
   constructor(shopDomain, accessToken, config = {}) {
@@ -14,6 +18,8 @@ class ShopifyClient {
     this.timeout = config.timeout || 30000;
     this.maxRetries = config.maxRetries || 3;
     this.retryDelay = config.retryDelay || 1000;
+    this.bulkPollInterval = config.bulkPollInterval || 2000;
+    this.bulkTimeout = config.bulkTimeout || 30 * 60 * 1000;
 
     this.baseUrl = `https://${this.shopDomain}/admin/api/${this.apiVersion}`;
     this.graphqlUrl = `${this.baseUrl}/graphql.json`;
@@ -167,6 +173,188 @@ class ShopifyClient {
     return response.data;
   }
 
+  /**
+   * Run a query as a bulk operation and stream its results. Shopify runs the query in the
+   * background without cost limits and writes the results to a JSONL file; objects of nested
+   * connections are written on their own lines after their parent, linked by __parentId.
+   * @param {string} bulkQuery - Query without variables, e.g. `{ productVariants { edges { node { id sku } } } }`
+   * @returns {AsyncGenerator<Object>} One object per result line
+   */
+  async *runBulkQuery(bulkQuery) {
+    const mutation = `
+      mutation bulkOperationRunQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation {
+            id
+            status
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const result = await this.query(mutation, { query: bulkQuery });
+    const operation = await this.waitForBulkOperation(result.data.bulkOperationRunQuery.bulkOperation.id);
+    yield* this.streamBulkResults(operation.url);
+  }
+
+  /**
+   * Run a mutation once per variables object as a bulk operation. The variables are uploaded
+   * as a JSONL file, so any number of calls costs a handful of requests.
+   * @param {string} mutation - Mutation taking the variables, e.g. productVariantsBulkUpdate
+   * @param {Array<Object>} variablesList - Variables for each call
+   * @returns {AsyncGenerator<Object>} One { data, errors, __lineNumber } object per call;
+   *   __lineNumber is the call's index in variablesList
+   */
+  async *runBulkMutation(mutation, variablesList) {
+    const stagedUploadPath = await this.stageBulkVariables(variablesList);
+
+    const runMutation = `
+      mutation bulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+        bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+          bulkOperation {
+            id
+            status
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const result = await this.query(runMutation, { mutation, stagedUploadPath });
+    const operation = await this.waitForBulkOperation(result.data.bulkOperationRunMutation.bulkOperation.id);
+    yield* this.streamBulkResults(operation.url);
+  }
+
+  /**
+   * Upload bulk mutation variables as JSONL to a staged target.
+   * @returns {Promise<string>} The staged upload path bulkOperationRunMutation reads from
+   */
+  async stageBulkVariables(variablesList) {
+    const mutation = `
+      mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+        stagedUploadsCreate(input: $input) {
+          stagedTargets {
+            url
+            parameters { name value }
+          }
+          userErrors { field message }
+        }
+      }
+    `;
+
+    const result = await this.query(mutation, {
+      input: [{
+        resource: 'BULK_MUTATION_VARIABLES',
+        filename: 'bulk_variables.jsonl',
+        mimeType: 'text/jsonl',
+        httpMethod: 'POST'
+      }]
+    });
+
+    const target = result.data.stagedUploadsCreate.stagedTargets?.[0];
+    const key = target?.parameters?.find(parameter => parameter.name === 'key')?.value;
+    if (!target?.url || !key) {
+      throw new ShopifyAPIError('Shopify did not return a staged upload target for bulk variables', 502);
+    }
+
+    const jsonl = Buffer.from(variablesList.map(variables => JSON.stringify(variables)).join('\n'));
+    const form = new FormData();
+    for (const parameter of target.parameters) {
+      form.append(parameter.name, parameter.value);
+    }
+    form.append('file', jsonl, { filename: 'bulk_variables.jsonl', contentType: 'text/jsonl', knownLength: jsonl.length });
+
+    logger.info('Uploading Shopify bulk mutation variables', { lines: variablesList.length, bytes: jsonl.length });
+    await axios.post(target.url, form, {
+      headers: form.getHeaders(),
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      timeout: this.timeout
+    });
+
+    return key;
+  }
+
+  /**
+   * Poll a bulk operation until it finishes.
+   * @param {string} operationId - gid://shopify/BulkOperation/...
+   * @returns {Promise<Object>} The completed operation, with the result file `url`
+   * @throws {ShopifyAPIError} When the operation fails, is canceled or expires, or runs past bulkTimeout
+   */
+  async waitForBulkOperation(operationId) {
+    const query = `
+      query bulkOperation($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation {
+            id
+            status
+            errorCode
+            objectCount
+            url
+            partialDataUrl
+          }
+        }
+      }
+    `;
+
+    const startTime = Date.now();
+    logger.info('Waiting for Shopify bulk operation', { operationId });
+
+    for (;;) {
+      const result = await this.query(query, { id: operationId });
+      const operation = result.data.node;
+
+      if (operation.status === 'COMPLETED') {
+        logger.info('Shopify bulk operation completed', {
+          operationId,
+          objectCount: operation.objectCount,
+          duration: `${Date.now() - startTime}ms`
+        });
+        return operation;
+      }
+
+      if (BULK_OPERATION_FAILED_STATUSES.includes(operation.status)) {
+        throw new ShopifyAPIError(
+          `Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? `: ${operation.errorCode}` : ''}`,
+          502,
+          operation
+        );
+      }
+
+      if (Date.now() - startTime >= this.bulkTimeout) {
+        throw new ShopifyAPIError(`Bulk operation did not finish within ${this.bulkTimeout}ms`, 504, operation);
+      }
+
+      await delay(this.bulkPollInterval);
+    }
+  }
+
+  /**
+   * Stream a bulk operation's JSONL result file line by line.
+   * @param {string|null} url - Result URL; null when the operation produced no objects
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *streamBulkResults(url) {
+    if (!url) return;
+
+    // Signed download URL: no access token, and not subject to the Admin API base URL
+    const response = await axios.get(url, { responseType: 'stream', timeout: this.timeout });
+    const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (line.trim()) {
+        yield JSON.parse(line);
+      }
+    }
+  }
+
   async testConnection() {
     try {
       const query = `
@@ -1,17 +1,24 @@
 const crypto = require('crypto');
 
 class TokenCryptoService {
-  constructor(keyring = {}, activeKeyId = null) {
+  /**
+   * @param {Object} keyring - Key ID to base64 AES-256 key
+   * @param {string|null} activeKeyId - Key new envelopes are written with
+   * @param {string} [namespace='shopify-token'] - Bound into every envelope, so tokens of one
+   *   kind of store cannot be decrypted as another's
+   */
+  constructor(keyring = {}, activeKeyId = null, namespace = 'shopify-token') {
     this.keys = Object.fromEntries(Object.entries(keyring).map(([id, value]) => {
       const key = Buffer.from(value, 'base64');
       if (key.length !== 32) throw new Error(`Shopify encryption key '${id}' must decode to 32 bytes`);
       return [id, key];
     }));
     this.activeKeyId = activeKeyId;
+    this.namespace = namespace;
     if (activeKeyId && !this.keys[activeKeyId]) throw new Error('SHOPIFY_ENCRYPTION_ACTIVE_KEY_ID is not in the keyring');
   }
 
-  aad(storeId, tokenType) { return Buffer.from(`shopify-token:v1:${storeId}:${tokenType}`); }
+  aad(storeId, tokenType) { return Buffer.from(`${this.namespace}:v1:${storeId}:${tokenType}`); }
 
   encrypt(value, storeId, tokenType) {
     if (!this.activeKeyId) throw new Error('Shopify token encryption is not configured');
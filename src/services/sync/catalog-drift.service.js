@@ -0,0 +1,268 @@
+const logger = require('../../config/logger');
+const config = require('../../config');
+const magentoStoreRegistry = require('../magento/magento-store-registry.service');
+const sourceRegistry = require('../magento/source-registry.service');
+const TargetService = require('../magento/target.service');
+const PriceSyncService = require('./price-sync.service');
+const AttributeService = require('../attribute.service');
+const StoreDescriptionService = require('../migration/store-description.service');
+const shopifyRegistry = require('../shopify/shopify-store-registry.service');
+const aiPromptRepo = require('../../database/repositories/ai-prompt.repository');
+const { MAGENTO_API } = require('../../config/constants');
+
+const normalizeText = value => (value === null || value === undefined ? '' : String(value).trim());
+const normalizePrice = value => (value === null || value === undefined || value === '' ? null : Math.round(parseFloat(value) * 100) / 100);
+const sameList = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+const addDiff = (diffs, field, sourceValue, targetValue, extra = {}) => {
+  const equal = Array.isArray(sourceValue) ? sameList(sourceValue, targetValue) : sourceValue === targetValue;
+  if (!equal) diffs.push({ field, ...extra, source: sourceValue, target: targetValue });
+};
+
+class CatalogDriftService {
+  constructor(sourceName = sourceRegistry.DEFAULT_SOURCE) {
+    this.sourceName = sourceName;
+    this.sourceService = sourceRegistry.createMagentoSourceService(sourceName);
+    // Reused for price extraction and the tier/special price rules price sync applies
+    this.priceSyncService = new PriceSyncService(sourceName);
+    this.attributeService = new AttributeService(this.sourceService);
+    this.categoryMappingService = sourceRegistry.createCategoryMapping(sourceName);
+    this.storeDescriptionService = new StoreDescriptionService();
+  }
+
+  /**
+   * Compare a source product against every target store, field by field
+   * @param {string} sku - Parent product SKU (or standalone simple SKU)
+   * @param {Object} options
+   * @param {string[]} [options.targetMagentoStores] - Defaults to all configured Magento stores
+   * @param {string[]} [options.targetShopifyStores] - Defaults to all configured Shopify stores
+   * @param {boolean} [options.includeMagento=true]
+   * @param {boolean} [options.includeShopify=true]
+   * @returns {Object} { success, sku, inSync, stores: { magento, shopify }, errors }
+   */
+  async detectDrift(sku, options = {}) {
+    const startTime = Date.now();
+
+    const result = {
+      success: true,
+      sku,
+      inSync: true,
+      stores: { magento: {}, shopify: {} },
+      errors: []
+    };
+
+    try {
+      const source = await this.extractSource(sku);
+
+      if (options.includeMagento !== false) {
+        for (const storeName of this.resolveMagentoTargetStores(options.targetMagentoStores)) {
+          result.stores.magento[storeName] = await this.runStoreCheck(storeName, result, () => this.compareMagentoStore(storeName, source));
+        }
+      }
+
+      if (options.includeShopify !== false) {
+        const shopifyStores = await this.priceSyncService.resolveShopifyTargetStores(options.targetShopifyStores);
+        for (const storeName of shopifyStores) {
+          result.stores.shopify[storeName] = await this.runStoreCheck(storeName, result, () => this.compareShopifyStore(storeName, source));
+        }
+      }
+
+      const reports = [...Object.values(result.stores.magento), ...Object.values(result.stores.shopify)];
+      result.inSync = result.errors.length === 0 && reports.every(report => report.inSync);
+      result.success = result.errors.length === 0;
+
+      logger.info('Drift check completed', {
+        sku,
+        inSync: result.inSync,
+        driftedStores: reports.filter(report => !report.inSync).length,
+        duration: `${Date.now() - startTime}ms`
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Drift check failed', { sku, error: error.message });
+      result.success = false;
+      result.inSync = false;
+      result.errors.push({ phase: 'extraction', message: error.message });
+      return result;
+    }
+  }
+
+  async runStoreCheck(storeName, result, check) {
+    try {
+      return await check();
+    } catch (error) {
+      logger.warn('Drift check failed for store', { sku: result.sku, storeName, error: error.message });
+      result.errors.push({ store: storeName, message: error.message });
+      return { found: false, inSync: false, error: error.message };
+    }
+  }
+
+  /**
+   * Read everything the comparison needs from the source once
+   */
+  async extractSource(sku) {
+    const product = await this.sourceService.getProductBySku(sku);
+    if (!product) {
+      throw new Error(`Product not found in source: ${sku}`);
+    }
+
+    const priceData = await this.priceSyncService.extractPrices(sku);
+
+    const categoryIds = (product.extension_attributes?.category_links || []).map(link => link.category_id);
+    const categoryTranslations = await this.attributeService.translateCategories(categoryIds);
+
+    return {
+      product,
+      children: priceData.children,
+      childSkus: priceData.children.map(child => child.sku).sort(),
+      categoryNames: Object.values(categoryTranslations),
+      description: this.sourceService.extractCustomAttributeValue(product, 'description'),
+      imageCount: (product.media_gallery_entries || []).length,
+      enabled: product.status === MAGENTO_API.STATUS.ENABLED
+    };
+  }
+
+  /**
+   * Fields a migration fills with generated content on this store. They never match the
+   * source, so they are left out of the comparison: name and description when the store has
+   * an active AI prompt, and the description on Shopify stores with a store-specific
+   * description prompt (VaporDNA). Prompts passed with a single migration request are not
+   * known here.
+   * @param {string} storeName
+   * @param {'magento'|'shopify'} platform
+   * @returns {Promise<string[]>}
+   */
+  async generatedContentFields(storeName, platform) {
+    const fields = new Set();
+
+    const prompt = await aiPromptRepo.findActiveByStore(storeName);
+    if (prompt?.prompt_text) {
+      fields.add('name');
+      fields.add('description');
+    }
+    if (platform === 'shopify' && this.storeDescriptionService.hasPromptForStore(storeName)) {
+      fields.add('description');
+    }
+
+    return [...fields];
+  }
+
+  /**
+   * @returns {Object} { found, inSync, diffs: [{ field, sku?, source, target }], skippedFields? }
+   */
+  async compareMagentoStore(storeName, source) {
+    const targetService = TargetService.getInstanceForStore(storeName);
+    const sku = source.product.sku;
+
+    const target = await targetService.getProductBySku(sku);
+    if (!target) {
+      return { found: false, inSync: false, diffs: [] };
+    }
+
+    const skippedFields = await this.generatedContentFields(storeName, 'magento');
+    const diffs = [];
+    const compare = (field, sourceValue, targetValue, extra) => {
+      if (!skippedFields.includes(field)) addDiff(diffs, field, sourceValue, targetValue, extra);
+    };
+
+    compare('name', normalizeText(source.product.name), normalizeText(target.name));
+    compare('description', normalizeText(source.description), normalizeText(this.sourceService.extractCustomAttributeValue(target, 'description')));
+    compare('status', source.product.status, target.status);
+    compare('imageCount', source.imageCount, (target.media_gallery_entries || []).length);
+
+    // Source category names map to target names, then to this instance's own IDs
+    const expectedCategoryIds = [];
+    for (const name of this.categoryMappingService.getTargetMagentoCategories(source.categoryNames)) {
+      const categoryId = await targetService.getCategoryIdByName(name);
+      if (categoryId) expectedCategoryIds.push(String(categoryId));
+    }
+    const targetCategoryIds = (target.extension_attributes?.category_links || []).map(link => String(link.category_id));
+    compare('categories', [...new Set(expectedCategoryIds)].sort(), [...new Set(targetCategoryIds)].sort());
+
+    let targetChildSkus = [sku];
+    if (target.type_id === MAGENTO_API.PRODUCT_TYPES.CONFIGURABLE) {
+      const children = await targetService.getConfigurableChildren(sku);
+      targetChildSkus = children.map(child => child.sku).sort();
+    }
+    compare('childSkus', source.childSkus, targetChildSkus);
+
+    const groupId = config.priceSync.storeGroupMapping[storeName.toLowerCase()];
+    for (const child of source.children) {
+      const targetChild = child.sku === sku ? target : await targetService.getProductBySku(child.sku);
+      if (!targetChild) continue;
+
+      const expectedPrice = groupId ? (this.priceSyncService.getTierPrice(child, groupId) || child.price) : child.price;
+      compare('price', normalizePrice(expectedPrice), normalizePrice(targetChild.price), { sku: child.sku });
+      compare('specialPrice', normalizePrice(child.specialPrice), this.priceSyncService.extractSpecialPrice(targetChild), { sku: child.sku });
+    }
+
+    return { found: true, inSync: diffs.length === 0, diffs, ...(skippedFields.length > 0 && { skippedFields }) };
+  }
+
+  /**
+   * @returns {Object} { found, inSync, productId, diffs: [{ field, sku?, source, target }], skippedFields? }
+   */
+  async compareShopifyStore(storeName, source) {
+    const shopifyService = await shopifyRegistry.getTargetService(storeName);
+
+    const variants = await shopifyService.getVariantsBySkus(source.childSkus);
+    if (variants.length === 0) {
+      return { found: false, inSync: false, diffs: [] };
+    }
+
+    const productId = variants[0].product.id;
+    const product = await shopifyService.getProductById(productId);
+
+    const skippedFields = await this.generatedContentFields(storeName, 'shopify');
+    const diffs = [];
+    const compare = (field, sourceValue, targetValue, extra) => {
+      if (!skippedFields.includes(field)) addDiff(diffs, field, sourceValue, targetValue, extra);
+    };
+
+    compare('name', normalizeText(source.product.name), normalizeText(product.title));
+    compare('description', normalizeText(source.description), normalizeText(product.descriptionHtml));
+    // Shopify products are created as drafts, so compare whether the product is live
+    compare('status', source.enabled ? 'ACTIVE' : 'NOT_ACTIVE', product.status === 'ACTIVE' ? 'ACTIVE' : 'NOT_ACTIVE');
+    compare('imageCount', source.imageCount, product.mediaCount?.count ?? 0);
+    compare(
+      'categories',
+      normalizeText(this.categoryMappingService.getShopifyProductType(source.categoryNames, storeName)),
+      normalizeText(product.productType)
+    );
+
+    const productVariants = (product.variants?.edges || []).map(edge => edge.node);
+    compare('childSkus', source.childSkus, productVariants.map(variant => variant.sku).sort());
+
+    const groupId = config.priceSync.storeGroupMapping[storeName.toLowerCase()];
+    for (const child of source.children) {
+      const variant = variants.find(v => v.sku === child.sku);
+      if (!variant) continue;
+
+      if (groupId) {
+        const expectedPrice = this.priceSyncService.getTierPrice(child, groupId) || child.price;
+        compare('price', normalizePrice(expectedPrice), normalizePrice(variant.price), { sku: child.sku });
+        continue;
+      }
+
+      // Mirror price sync: a valid special price becomes the price, the regular price the compare-at
+      const hasSpecial = child.specialPrice != null && child.specialPrice < child.price;
+      compare('price', normalizePrice(hasSpecial ? child.specialPrice : child.price), normalizePrice(variant.price), { sku: child.sku });
+      compare('specialPrice', hasSpecial ? normalizePrice(child.price) : null, normalizePrice(variant.compareAtPrice), { sku: child.sku });
+    }
+
+    return { found: true, inSync: diffs.length === 0, productId, diffs, ...(skippedFields.length > 0 && { skippedFields }) };
+  }
+
+  /**
+   * Resolve target Magento stores from options, defaulting to every configured store
+   */
+  resolveMagentoTargetStores(optionStores) {
+    if (optionStores && Array.isArray(optionStores) && optionStores.length > 0) {
+      return optionStores.map(s => s.toLowerCase());
+    }
+    return magentoStoreRegistry.storeNames();
+  }
+}
+
+module.exports = CatalogDriftService;
@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const logger = require('../../config/logger');
+const config = require('../../config');
+const magentoStoreRegistry = require('../magento/magento-store-registry.service');
+const sourceRegistry = require('../magento/source-registry.service');
+const PriceSyncService = require('./price-sync.service');
+const deltaSyncRepo = require('../../database/repositories/delta-sync.repository');
+const jobRepo = require('../../database/repositories/job.repository');
+const { ValidationError } = require('../../utils/error-handler');
+const { processOwnerId, keepLeaseAlive } = require('../../utils/lease');
+const { DELTA_SYNC, JOBS } = require('../../config/constants');
+
+const SEARCH_PAGE_SIZE = 100;
+const CONTENT_ATTRIBUTES = ['description', 'meta_title', 'meta_keyword', 'meta_description', 'brand'];
+const FINISHED_JOB_STATUSES = [JOBS.STATUS.COMPLETED, JOBS.STATUS.PARTIAL, JOBS.STATUS.FAILED];
+
+const hash = value => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+/**
+ * Convert an ISO date to the "YYYY-MM-DD HH:MM:SS" UTC format Magento uses for updated_at.
+ */
+const toMagentoTimestamp = value => new Date(value).toISOString().slice(0, 19).replace('T', ' ');
+
+class DeltaSyncService {
+  constructor(sourceName = sourceRegistry.DEFAULT_SOURCE) {
+    this.sourceName = sourceName;
+    this.sourceService = sourceRegistry.createMagentoSourceService(sourceName);
+    this.priceSyncService = new PriceSyncService(sourceName);
+  }
+
+  /**
+   * Start a delta sync from the stored watermark (or `since`). The source scan runs in the
+   * background; the returned run moves from `scanning` to `queued` once its jobs exist.
+   * @param {Object} params
+   * @param {string} [params.since] - ISO date overriding the stored watermark
+   * @param {Object} [params.options] - Target store options passed to both sync jobs
+   * @param {string} [params.apiKeyId]
+   * @returns {Promise<Object>} delta_sync_runs row
+   * @throws {ValidationError} When there is no watermark yet and no `since`
+   */
+  async run({ since, options = {}, apiKeyId } = {}) {
+    const from = since
+      ? toMagentoTimestamp(since)
+      : await deltaSyncRepo.getWatermark(DELTA_SYNC.WATERMARK_KEY);
+
+    if (!from) {
+      throw new ValidationError('No delta sync watermark yet', [
+        { field: 'since', message: 'since is required for the first delta sync' }
+      ]);
+    }
+
+    const run = await deltaSyncRepo.createRun({ since: from, options, apiKeyId, workerId: processOwnerId });
+
+    this.scan(run).catch(error => logger.error('Delta sync scan failed', { runId: run.id, error: error.message }));
+
+    return run;
+  }
+
+  /**
+   * Called at start-up and then periodically: scans cannot resume once their process stops, so
+   * scans without a heartbeat for longer than config.jobs.leaseTimeoutMs are closed as failed.
+   * The watermark was not advanced for them, so the next run covers the same products.
+   */
+  async recoverInterruptedScans() {
+    const closed = await deltaSyncRepo.failInterruptedScans(config.jobs.leaseTimeoutMs);
+    if (closed > 0) {
+      logger.warn('Closed delta sync scans whose server stopped', { runs: closed });
+    }
+    return closed;
+  }
+
+  /**
+   * Find products changed since the run's watermark, work out which need a price sync and
+   * which a content sync, and queue one job for each.
+   */
+  async scan(run) {
+    const stopHeartbeat = keepLeaseAlive(
+      () => deltaSyncRepo.heartbeatRun(run.id, processOwnerId),
+      config.jobs.leaseTimeoutMs,
+      { runId: run.id }
+    );
+
+    try {
+      const products = await this.fetchChangedProducts(run.since);
+      const until = products.reduce((max, product) => (!max || product.updated_at > max ? product.updated_at : max), null);
+
+      const { fingerprints, skipped } = await this.fingerprintParents(products);
+      const stored = await deltaSyncRepo.findFingerprints([...fingerprints.keys()]);
+      const storedBySku = new Map(stored.map(row => [row.sku, row]));
+
+      const changes = {};
+      for (const [sku, current] of fingerprints) {
+        const previous = storedBySku.get(sku);
+        const price = previous?.price_hash === current.price ? null : current.price;
+        const content = previous?.content_hash === current.content ? null : current.content;
+        if (price || content) {
+          changes[sku] = { price, content };
+        }
+      }
+
+      const priceSkus = Object.keys(changes).filter(sku => changes[sku].price);
+      const contentSkus = Object.keys(changes).filter(sku => changes[sku].content);
+
+      // Persist the fingerprints before any job exists so a finished job can always find them
+      await deltaSyncRepo.updateRun(run.id, { until, changes, skipped, scanned: products.length });
+
+      const jobOptions = this.buildJobOptions(run);
+      const priceJob = priceSkus.length > 0
+        ? await jobRepo.create({ type: JOBS.TYPES.SYNC_PRICES, options: jobOptions, apiKeyId: run.api_key_id, skus: priceSkus })
+        : null;
+      const contentJob = contentSkus.length > 0
+        ? await jobRepo.create({ type: JOBS.TYPES.SYNC_PRODUCT_FIELDS, options: jobOptions, apiKeyId: run.api_key_id, skus: contentSkus })
+        : null;
+
+      const queued = await deltaSyncRepo.updateRun(run.id, {
+        status: DELTA_SYNC.RUN_STATUS.QUEUED,
+        price_job_id: priceJob?.id || null,
+        content_job_id: contentJob?.id || null
+      });
+
+      logger.info('Delta sync scan complete', {
+        runId: run.id,
+        since: run.since,
+        until,
+        scanned: products.length,
+        priceSkus: priceSkus.length,
+        contentSkus: contentSkus.length,
+        skipped: skipped.length
+      });
+
+      return this.finalizeRun(queued);
+    } catch (error) {
+      logger.error('Delta sync scan failed', { runId: run.id, since: run.since, error: error.message });
+      return deltaSyncRepo.updateRun(run.id, {
+        status: DELTA_SYNC.RUN_STATUS.FAILED,
+        error: error.message,
+        completed_at: new Date()
+      });
+    } finally {
+      stopHeartbeat();
+    }
+  }
+
+  buildJobOptions(run) {
+    const options = run.options || {};
+    return {
+      ...options,
+      // Price sync only targets the Magento stores it is given; sync every configured one by default
+      targetMagentoStores: options.targetMagentoStores?.length ? options.targetMagentoStores : magentoStoreRegistry.storeNames(),
+      notify: false,
+      deltaRunId: run.id
+    };
+  }
+
+  /**
+   * Products whose source updated_at is at or after `since`, oldest first.
+   * `gteq` re-reads products updated in the watermark's own second; their unchanged
+   * fingerprints keep them from being synced twice.
+   * @param {string} since - Magento timestamp
+   * @returns {Promise<Array>}
+   */
+  async fetchChangedProducts(since) {
+    const products = [];
+    let currentPage = 1;
+
+    for (;;) {
+      const params = {
+        ...this.sourceService.buildSearchCriteria([
+          { field: 'updated_at', value: since, conditionType: 'gteq' }
+        ]),
+        'searchCriteria[sortOrders][0][field]': 'updated_at',
+        'searchCriteria[sortOrders][0][direction]': 'ASC',
+        'searchCriteria[pageSize]': SEARCH_PAGE_SIZE,
+        'searchCriteria[currentPage]': currentPage
+      };
+
+      const result = await this.sourceService.get('/rest/V1/products', params);
+      const items = result?.items || [];
+      products.push(...items);
+
+      // Magento repeats the last page for out-of-range pages, so stop on total_count
+      if (items.length < SEARCH_PAGE_SIZE || products.length >= (result.total_count || 0)) {
+        break;
+      }
+      currentPage++;
+    }
+
+    return products;
+  }
+
+  /**
+   * Map changed products to the SKUs price and content sync operate on (configurable
+   * parents and standalone simples) and fingerprint each one. A changed variant is
+   * fingerprinted through its parent.
+   * A SKU whose source lookups fail is skipped with its error instead of failing the scan.
+   * @returns {Promise<{fingerprints: Map<string, {price: string, content: string}>, skipped: Array<{sku: string, error: string}>}>}
+   */
+  async fingerprintParents(products) {
+    const fingerprints = new Map();
+    const skipped = new Map();
+    const childToParent = new Map();
+    const bySku = new Map(products.map(product => [product.sku, product]));
+
+    const skip = (sku, error) => {
+      logger.warn('Delta sync skipped a SKU it could not read from the source', { sku, error: error.message });
+      skipped.set(sku, error.message);
+    };
+
+    const addParent = async (sku) => {
+      if (fingerprints.has(sku) || skipped.has(sku)) return;
+
+      try {
+        const priceData = await this.priceSyncService.extractPrices(sku);
+        for (const child of priceData.children) {
+          childToParent.set(child.sku, sku);
+        }
+
+        const product = bySku.get(sku) || await this.sourceService.getProductBySku(sku);
+        fingerprints.set(sku, {
+          price: this.priceFingerprint(priceData),
+          content: this.contentFingerprint(product)
+        });
+      } catch (error) {
+        skip(sku, error);
+      }
+    };
+
+    const variants = [];
+    for (const product of products) {
+      if (product.type_id === 'configurable' || (product.type_id === 'simple' && product.visibility !== 1)) {
+        await addParent(product.sku);
+      } else if (product.type_id === 'simple') {
+        variants.push(product.sku);
+      } else {
+        logger.debug('Delta sync skipping unsupported product type', { sku: product.sku, typeId: product.type_id });
+      }
+    }
+
+    for (const sku of variants) {
+      if (childToParent.has(sku)) continue;
+
+      let lookup;
+      try {
+        lookup = await this.sourceService.findParentProduct(sku);
+      } catch (error) {
+        skip(sku, error);
+        continue;
+      }
+
+      if (lookup.parentFound) {
+        await addParent(lookup.parent.sku);
+      } else {
+        logger.warn('Delta sync could not find the parent of a changed variant', { sku });
+      }
+    }
+
+    return {
+      fingerprints,
+      skipped: [...skipped].map(([sku, error]) => ({ sku, error }))
+    };
+  }
+
+  priceFingerprint(priceData) {
+    return hash(priceData.children
+      .map(child => [child.sku, child.price, child.specialPrice, child.tierPrices])
+      .sort((a, b) => a[0].localeCompare(b[0])));
+  }
+
+  /**
+   * Hash of the fields ProductUpdateService.updateProductFields pushes.
+   */
+  contentFingerprint(product) {
+    const attributes = Object.fromEntries((product.custom_attributes || [])
+      .filter(attr => CONTENT_ATTRIBUTES.includes(attr.attribute_code))
+      .map(attr => [attr.attribute_code, attr.value]));
+
+    return hash({
+      name: product.name,
+      attributes: CONTENT_ATTRIBUTES.map(code => attributes[code] ?? null),
+      categories: (product.extension_attributes?.category_links || []).map(link => String(link.category_id)).sort(),
+      media: (product.media_gallery_entries || []).map(entry => [entry.file, entry.label, entry.position, entry.disabled])
+    });
+  }
+
+  /**
+   * Record the fingerprints of SKUs a delta job synced successfully, then finalize the run.
+   * Called by the job worker whenever a job finishes, including after a retry.
+   * @param {Object} job - Finished jobs row
+   */
+  async onJobFinished(job) {
+    const run = job.options?.deltaRunId ? await deltaSyncRepo.findRunById(job.options.deltaRunId) : null;
+    if (!run) return null;
+
+    const [kind, column] = job.type === JOBS.TYPES.SYNC_PRICES ? ['price', 'price_hash'] : ['content', 'content_hash'];
+    const items = await jobRepo.findItems(job.id);
+
+    for (const item of items) {
+      const fingerprint = run.changes?.[item.sku]?.[kind];
+      if (item.status === JOBS.ITEM_STATUS.SUCCEEDED && fingerprint) {
+        await deltaSyncRepo.saveFingerprint(item.sku, column, fingerprint);
+      }
+    }
+
+    // The scan finalizes the run itself once both job IDs are stored
+    if (run.status === DELTA_SYNC.RUN_STATUS.SCANNING) return run;
+
+    return this.finalizeRun(run);
+  }
+
+  /**
+   * Close the run once all its jobs are finished. The watermark moves to the newest
+   * updated_at the run saw only when every job completed without failures and the scan
+   * skipped no SKU; otherwise the next run starts from the same watermark and picks up the
+   * SKUs that failed or were skipped.
+   */
+  async finalizeRun(run) {
+    const jobIds = [run.price_job_id, run.content_job_id].filter(Boolean);
+    const jobs = await Promise.all(jobIds.map(id => jobRepo.findById(id)));
+
+    if (jobs.some(job => job && !FINISHED_JOB_STATUSES.includes(job.status))) {
+      return run;
+    }
+
+    const jobsSucceeded = jobs.every(job => job?.status === JOBS.STATUS.COMPLETED);
+    const succeeded = jobsSucceeded && !run.skipped?.length;
+    let status = DELTA_SYNC.RUN_STATUS.COMPLETED;
+    if (!succeeded) {
+      status = jobsSucceeded || jobs.some(job => job && job.status !== JOBS.STATUS.FAILED)
+        ? DELTA_SYNC.RUN_STATUS.PARTIAL
+        : DELTA_SYNC.RUN_STATUS.FAILED;
+    }
+
+    if (succeeded && run.until) {
+      const watermark = await deltaSyncRepo.advanceWatermark(DELTA_SYNC.WATERMARK_KEY, run.until);
+      logger.info('Delta sync watermark advanced', { runId: run.id, watermark });
+    }
+
+    return deltaSyncRepo.updateRun(run.id, { status, completed_at: new Date() });
+  }
+}
+
+module.exports = new DeltaSyncService();
@@ -0,0 +1,274 @@
+const logger = require('../../config/logger');
+const config = require('../../config');
+const magentoStoreRegistry = require('../magento/magento-store-registry.service');
+const sourceRegistry = require('../magento/source-registry.service');
+const TargetService = require('../magento/target.service');
+const PriceSyncService = require('./price-sync.service');
+const shopifyRegistry = require('../shopify/shopify-store-registry.service');
+
+class InventorySyncService {
+  /**
+   * @param {string} [sourceName='default'] - Source catalog stock is read from
+   */
+  constructor(sourceName = sourceRegistry.DEFAULT_SOURCE) {
+    this.sourceName = sourceName;
+    this.sourceService = sourceRegistry.createMagentoSourceService(sourceName);
+    // Reused for child link resolution and Shopify store resolution
+    this.priceSyncService = new PriceSyncService(sourceName);
+  }
+
+  /**
+   * Copy source stock quantities to target Magento stock items and Shopify inventory levels
+   * @param {string} sku - Parent product SKU (or standalone simple SKU)
+   * @param {Object} options - Sync options
+   * @param {string} [options.shopifyLocationId] - Location to set quantities at, overriding
+   *   SHOPIFY_INVENTORY_LOCATION_MAP for every target store
+   * @param {string} [options.source] - Source catalog to read stock from
+   * @returns {Object} Sync result
+   */
+  async syncInventory(sku, options = {}) {
+    const scoped = sourceRegistry.forSource(this, options.source, name => new InventorySyncService(name));
+    if (scoped !== this) {
+      return scoped.syncInventory(sku, options);
+    }
+
+    const startTime = Date.now();
+
+    logger.info('Starting inventory sync', { sku, options });
+
+    const result = {
+      success: true,
+      sku,
+      variantCount: 0,
+      results: {
+        magento: {},
+        shopify: {}
+      },
+      errors: [],
+      warnings: []
+    };
+
+    const includeMagento = options.includeMagento !== false;
+    const includeShopify = options.includeShopify !== false;
+
+    try {
+      const inventoryData = await this.extractInventory(sku);
+      result.variantCount = inventoryData.children.length;
+
+      if (includeMagento) {
+        const magentoResult = await this.updateMagentoInventory(inventoryData, options);
+        result.results.magento = magentoResult.storeResults;
+        result.errors.push(...magentoResult.errors);
+      }
+
+      if (includeShopify) {
+        const shopifyResult = await this.updateShopifyInventory(inventoryData, options);
+        result.results.shopify = shopifyResult.storeResults;
+        result.errors.push(...shopifyResult.errors);
+        result.warnings.push(...shopifyResult.warnings);
+      }
+
+      const storeFailed = [...Object.values(result.results.magento), ...Object.values(result.results.shopify)]
+        .some(r => !r.success);
+      result.success = !storeFailed && result.errors.length === 0;
+
+      logger.info('Inventory sync completed', {
+        sku,
+        success: result.success,
+        duration: `${Date.now() - startTime}ms`
+      });
+
+      return result;
+    } catch (error) {
+      result.success = false;
+      result.errors.push({
+        phase: 'inventory-sync',
+        message: error.message,
+        details: error.stack
+      });
+
+      logger.error('Inventory sync failed', {
+        sku,
+        error: error.message,
+        duration: `${Date.now() - startTime}ms`
+      });
+
+      return result;
+    }
+  }
+
+  /**
+   * Extract stock quantities from source Magento
+   * @param {string} sku - Parent product SKU
+   * @returns {Object} { parentSku, children: [{ sku, qty, isInStock }] }
+   */
+  async extractInventory(sku) {
+    logger.info('Extracting inventory from source', { sku });
+
+    const parent = await this.sourceService.getProductBySku(sku);
+    if (!parent) {
+      throw new Error(`Product not found in source: ${sku}`);
+    }
+
+    const inventoryData = { parentSku: sku, children: [] };
+
+    if (parent.type_id === 'configurable') {
+      const childSkus = this.priceSyncService.resolveChildSkus(this.priceSyncService.extractChildLinks(parent));
+
+      for (const childSku of childSkus) {
+        try {
+          const child = await this.sourceService.getProductBySku(childSku);
+          if (child) {
+            inventoryData.children.push(this.toStock(child));
+          }
+        } catch (error) {
+          logger.warn('Failed to fetch child product stock', {
+            parentSku: sku,
+            childSku,
+            error: error.message
+          });
+        }
+      }
+    } else if (parent.type_id === 'simple') {
+      // Standalone simple product — the product itself is its only variant
+      inventoryData.children.push(this.toStock(parent));
+    }
+
+    return inventoryData;
+  }
+
+  toStock(product) {
+    const stockItem = product.extension_attributes?.stock_item || {};
+    return {
+      sku: product.sku,
+      qty: Number(stockItem.qty) || 0,
+      isInStock: stockItem.is_in_stock !== false
+    };
+  }
+
+  /**
+   * Update stock items on each target Magento instance. Stock is global in Magento, so
+   * every instance is updated once rather than per store view.
+   */
+  async updateMagentoInventory(inventoryData, options = {}) {
+    const targetStores = this.resolveMagentoTargetStores(options.targetMagentoStores);
+    const storeResults = {};
+    const errors = [];
+
+    for (const storeName of targetStores) {
+      try {
+        const targetService = TargetService.getInstanceForStore(storeName);
+        const variants = [];
+
+        for (const child of inventoryData.children) {
+          try {
+            const stockItem = await targetService.getStockItem(child.sku);
+            await targetService.updateStockItem(child.sku, stockItem.item_id, {
+              qty: child.qty,
+              is_in_stock: child.isInStock
+            });
+            variants.push({ sku: child.sku, qty: child.qty, isInStock: child.isInStock, previousQty: stockItem.qty, success: true });
+          } catch (error) {
+            logger.warn('Failed to update variant stock', { sku: child.sku, storeName, error: error.message });
+            variants.push({ sku: child.sku, qty: child.qty, isInStock: child.isInStock, success: false, error: error.message });
+          }
+        }
+
+        const variantsUpdated = variants.filter(v => v.success).length;
+        storeResults[storeName] = {
+          success: variantsUpdated === variants.length,
+          variantsUpdated,
+          variants
+        };
+      } catch (error) {
+        storeResults[storeName] = { success: false, error: error.message };
+        errors.push({ store: storeName, message: error.message });
+
+        if (!config.errorHandling.continueOnError) break;
+      }
+    }
+
+    return { storeResults, errors };
+  }
+
+  /**
+   * Set inventory levels on each target Shopify store at its configured location.
+   * Out-of-stock source variants are set to 0 available.
+   */
+  async updateShopifyInventory(inventoryData, options = {}) {
+    const targetStores = await this.priceSyncService.resolveShopifyTargetStores(options.targetShopifyStores);
+    const storeResults = {};
+    const errors = [];
+    const warnings = [];
+
+    for (const storeName of targetStores) {
+      try {
+        const locationId = this.resolveShopifyLocation(storeName, options.shopifyLocationId);
+        if (!locationId) {
+          throw new Error(`No inventory location configured for Shopify store "${storeName}"`);
+        }
+
+        const shopifyService = await shopifyRegistry.getTargetService(storeName);
+        const shopifyVariants = await shopifyService.getVariantsBySkus(inventoryData.children.map(c => c.sku));
+        const variants = [];
+
+        for (const child of inventoryData.children) {
+          const quantity = child.isInStock ? child.qty : 0;
+          const variant = shopifyVariants.find(v => v.sku === child.sku);
+
+          if (!variant?.inventoryItem) {
+            warnings.push({ store: storeName, sku: child.sku, message: 'Variant not found in Shopify' });
+            variants.push({ sku: child.sku, qty: quantity, isInStock: child.isInStock, success: false, error: 'Variant not found' });
+            continue;
+          }
+
+          if (!variant.inventoryItem.tracked) {
+            warnings.push({ store: storeName, sku: child.sku, message: 'Inventory is not tracked for this variant' });
+          }
+
+          try {
+            const { delta } = await shopifyService.setInventoryQuantity(variant.inventoryItem.id, locationId, quantity);
+            variants.push({ sku: child.sku, qty: quantity, isInStock: child.isInStock, delta, success: true });
+          } catch (error) {
+            logger.warn('Failed to set Shopify inventory quantity', { sku: child.sku, storeName, error: error.message });
+            variants.push({ sku: child.sku, qty: quantity, isInStock: child.isInStock, success: false, error: error.message });
+          }
+        }
+
+        const variantsUpdated = variants.filter(v => v.success).length;
+        storeResults[storeName] = {
+          success: variantsUpdated === variants.length,
+          locationId,
+          variantsUpdated,
+          variants
+        };
+      } catch (error) {
+        storeResults[storeName] = { success: false, error: error.message };
+        errors.push({ store: storeName, message: error.message });
+
+        if (!config.errorHandling.continueOnError) break;
+      }
+    }
+
+    return { storeResults, errors, warnings };
+  }
+
+  /**
+   * Resolve target Magento stores from options, defaulting to every configured store
+   */
+  resolveMagentoTargetStores(optionStores) {
+    if (optionStores && Array.isArray(optionStores) && optionStores.length > 0) {
+      return optionStores.map(s => s.toLowerCase());
+    }
+    return magentoStoreRegistry.storeNames();
+  }
+
+  resolveShopifyLocation(storeName, locationOverride) {
+    if (locationOverride) {
+      return /^\d+$/.test(locationOverride) ? `gid://shopify/Location/${locationOverride}` : locationOverride;
+    }
+    return config.shopify.inventoryLocations?.[storeName.toLowerCase()] || null;
+  }
+}
+
+module.exports = InventorySyncService;
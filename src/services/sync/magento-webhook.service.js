@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const logger = require('../../config/logger');
+const config = require('../../config');
+const magentoStoreRegistry = require('../magento/magento-store-registry.service');
+const magentoWebhookRepo = require('../../database/repositories/magento-webhook.repository');
+const { safeEqual } = require('../shopify/shopify-oauth.service');
+const { ValidationError } = require('../../utils/error-handler');
+const { JOBS, MAGENTO_WEBHOOKS } = require('../../config/constants');
+
+const { EVENTS } = MAGENTO_WEBHOOKS;
+
+// Length of the event_id and sku columns (job item SKUs have the same limit)
+const MAX_FIELD_LENGTH = 255;
+
+const EVENT_JOB_TYPES = {
+  [EVENTS.PRODUCT_SAVED]: JOBS.TYPES.SYNC_PRODUCT_FIELDS,
+  [EVENTS.PRICE_CHANGED]: JOBS.TYPES.SYNC_PRICES,
+  [EVENTS.STOCK_CHANGED]: JOBS.TYPES.SYNC_INVENTORY,
+  [EVENTS.PRODUCT_DELETED]: JOBS.TYPES.PRODUCT_DELETE
+};
+
+class MagentoWebhookService {
+  isEnabled() {
+    return Boolean(config.source.webhookSecret);
+  }
+
+  /**
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {string} signature - X-Magento-Hmac-Sha256 header (base64)
+   * @returns {boolean}
+   */
+  verifySignature(rawBody, signature) {
+    const expected = crypto.createHmac('sha256', config.source.webhookSecret || '').update(rawBody).digest('base64');
+    return safeEqual(signature, expected);
+  }
+
+  /**
+   * @param {Buffer} rawBody
+   * @returns {{id: string, event: string, sku: string, parentSku: string|null}}
+   * @throws {ValidationError} When the payload is not a supported event
+   */
+  parsePayload(rawBody) {
+    let body;
+    try {
+      body = JSON.parse(rawBody.toString('utf8'));
+    } catch (_) {
+      throw new ValidationError('Webhook body must be valid JSON');
+    }
+
+    const details = [];
+    const checkLength = (field) => {
+      if (typeof body[field] === 'string' && body[field].length > MAX_FIELD_LENGTH) {
+        details.push({ field, message: `${field} must be at most ${MAX_FIELD_LENGTH} characters` });
+      }
+    };
+
+    if (!body?.id || typeof body.id !== 'string') details.push({ field: 'id', message: 'id is required' });
+    else checkLength('id');
+    if (!EVENT_JOB_TYPES[body?.event]) details.push({ field: 'event', message: `event must be one of: ${Object.keys(EVENT_JOB_TYPES).join(', ')}` });
+    if (!body?.sku || typeof body.sku !== 'string') details.push({ field: 'sku', message: 'sku is required' });
+    else checkLength('sku');
+    if (body?.parent_sku != null && typeof body.parent_sku !== 'string') details.push({ field: 'parent_sku', message: 'parent_sku must be a string' });
+    else if (body?.parent_sku) checkLength('parent_sku');
+    if (details.length > 0) {
+      throw new ValidationError('Invalid webhook payload', details);
+    }
+
+    return { id: body.id, event: body.event, sku: body.sku, parentSku: body.parent_sku || null };
+  }
+
+  /**
+   * The job an event translates to. Syncs run on the parent SKU, because price, field and
+   * inventory sync all work from a configurable or standalone simple product. A deleted
+   * variant only has its own SKU removed from Magento targets: Shopify deletion removes whole
+   * products, so its Shopify variant is left for reconciliation to report as an orphan.
+   * @returns {Object} jobRepo.create params
+   */
+  buildJob({ event, sku, parentSku }) {
+    const type = EVENT_JOB_TYPES[event];
+
+    if (type === JOBS.TYPES.PRODUCT_DELETE) {
+      return { type, options: parentSku ? { includeShopify: false } : {}, skus: [sku] };
+    }
+
+    return {
+      type,
+      options: {
+        // Price sync only targets the Magento stores it is given; sync every configured one
+        targetMagentoStores: magentoStoreRegistry.storeNames(),
+        notify: false
+      },
+      skus: [parentSku || sku]
+    };
+  }
+
+  /**
+   * Queue the job for a verified event, once per event ID.
+   * @returns {Promise<{duplicate: boolean, job?: Object}>}
+   */
+  async receive(payload) {
+    const job = this.buildJob(payload);
+    const result = await magentoWebhookRepo.recordEvent({ eventId: payload.id, event: payload.event, sku: payload.sku, job });
+
+    if (result.duplicate) {
+      logger.info('Duplicate Magento webhook ignored', { eventId: payload.id, event: payload.event, sku: payload.sku });
+    } else {
+      logger.info('Magento webhook queued', { eventId: payload.id, event: payload.event, sku: payload.sku, jobId: result.job.id, type: job.type });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new MagentoWebhookService();
@@ -0,0 +1,290 @@
+const logger = require('../../config/logger');
+const config = require('../../config');
+const magentoStoreRegistry = require('../magento/magento-store-registry.service');
+const PriceSyncService = require('./price-sync.service');
+const NotificationService = require('../notification/notification.service');
+const scheduleRepo = require('../../database/repositories/price-sync-schedule.repository');
+const migrationRunRepo = require('../../database/repositories/migration-run.repository');
+const { nextRun } = require('../../utils/cron');
+const { PRICE_SYNC_SCHEDULES } = require('../../config/constants');
+
+const { RUN_STATUS, SKU_SOURCES, TRIGGERS } = PRICE_SYNC_SCHEDULES;
+
+// Error messages kept per failed SKU in price_sync_runs.failures
+const MAX_ERRORS_PER_SKU = 5;
+
+class PriceSyncSchedulerService {
+  constructor() {
+    this.priceSyncService = new PriceSyncService();
+    this.notificationService = new NotificationService();
+    this.running = false;
+    this.timer = null;
+    this.ticking = false;
+    // Schedules with a run in progress in this process
+    this.active = new Set();
+  }
+
+  /**
+   * Start polling price_sync_schedules for due schedules. Runs left open by a previous
+   * process are closed as failed first.
+   */
+  async start() {
+    if (this.running) return;
+
+    const interrupted = await scheduleRepo.failInterruptedRuns();
+    this.running = true;
+
+    logger.info('Price sync scheduler started', {
+      pollIntervalMs: config.priceSync.schedulerPollIntervalMs,
+      interruptedRuns: interrupted
+    });
+    this.wake();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  wake() {
+    if (!this.running) return;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.tick()
+      .catch(error => logger.error('Price sync scheduler tick failed', { error: error.message }))
+      .finally(() => this.scheduleNextTick());
+  }
+
+  scheduleNextTick() {
+    if (!this.running || this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.wake();
+    }, config.priceSync.schedulerPollIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Start a run for every enabled schedule whose next_run_at has passed.
+   * A schedule missed while the server was down runs once, then follows its cron again.
+   * @param {Date} [now]
+   * @returns {Promise<Array>} price_sync_runs rows started by this tick
+   */
+  async tick(now = new Date()) {
+    if (this.ticking) return [];
+    this.ticking = true;
+
+    const started = [];
+    try {
+      const due = await scheduleRepo.findDue(now);
+
+      for (const schedule of due) {
+        if (this.active.has(schedule.id)) continue;
+
+        const claimed = await scheduleRepo.claimDue(schedule.id, schedule.next_run_at, nextRun(schedule.cron, now));
+        if (!claimed) continue;
+
+        started.push(await this.startRun(claimed, TRIGGERS.SCHEDULE));
+      }
+    } finally {
+      this.ticking = false;
+    }
+
+    return started;
+  }
+
+  async isRunning(scheduleId) {
+    return this.active.has(scheduleId) || Boolean(await scheduleRepo.findRunningRun(scheduleId));
+  }
+
+  /**
+   * Run a schedule now, outside its cron. Callers check isRunning() first.
+   * @returns {Promise<Object>} The price_sync_runs row; the run continues in the background
+   */
+  async runNow(schedule) {
+    await scheduleRepo.touchLastRun(schedule.id);
+    return this.startRun(schedule, TRIGGERS.MANUAL);
+  }
+
+  async startRun(schedule, trigger) {
+    this.active.add(schedule.id);
+
+    let run;
+    try {
+      run = await scheduleRepo.createRun(schedule.id, trigger);
+    } catch (error) {
+      this.active.delete(schedule.id);
+      throw error;
+    }
+
+    this.executeRun(schedule, run)
+      .catch(error => logger.error('Price sync run failed', { scheduleId: schedule.id, runId: run.id, error: error.message }))
+      .finally(() => this.active.delete(schedule.id));
+
+    return run;
+  }
+
+  /**
+   * Sync every SKU of a schedule one after another and record the outcome on the run.
+   * Per-SKU notifications are suppressed; a single summary is sent when anything failed.
+   * Runs above the bulk price sync threshold send their Shopify updates as one bulk
+   * mutation per store once every SKU has been processed.
+   * @returns {Promise<Object>} Finished price_sync_runs row
+   */
+  async executeRun(schedule, run) {
+    const startTime = Date.now();
+    const failures = [];
+    let succeeded = 0;
+    let targets = [];
+    let runError = null;
+
+    logger.info('Scheduled price sync started', { scheduleId: schedule.id, name: schedule.name, runId: run.id, trigger: run.trigger });
+
+    try {
+      targets = await this.resolveTargets(schedule);
+      await scheduleRepo.updateRun(run.id, { totalSkus: targets.length });
+
+      const threshold = config.shopify?.bulkOperations?.priceSyncThreshold;
+      const shopifyBulkBatch = threshold && targets.length > threshold
+        ? this.priceSyncService.createShopifyBulkBatch()
+        : undefined;
+
+      for (const { sku, options } of targets) {
+        try {
+          const result = await this.priceSyncService.syncPrices(sku, { ...options, notify: false, shopifyBulkBatch });
+          if (result.success) {
+            succeeded++;
+          } else {
+            const errors = result.errors.slice(0, MAX_ERRORS_PER_SKU).map(e => e.message);
+            failures.push({ sku, errors: errors.length > 0 ? errors : ['Price sync did not succeed on every target store'] });
+          }
+        } catch (error) {
+          failures.push({ sku, errors: [error.message] });
+        }
+      }
+
+      if (shopifyBulkBatch) {
+        const flushed = await this.priceSyncService.flushShopifyBulkBatch(shopifyBulkBatch);
+        for (const { sku, store, message } of flushed.failures) {
+          const error = `shopify:${store}: ${message}`;
+          const failure = failures.find(f => f.sku === sku);
+          if (!failure) {
+            succeeded--;
+            failures.push({ sku, errors: [error] });
+          } else if (failure.errors.length < MAX_ERRORS_PER_SKU) {
+            failure.errors.push(error);
+          }
+        }
+      }
+    } catch (error) {
+      runError = error.message;
+      logger.error('Scheduled price sync could not resolve its SKUs', { scheduleId: schedule.id, runId: run.id, error: error.message });
+    }
+
+    let status = RUN_STATUS.COMPLETED;
+    if (runError || (failures.length > 0 && succeeded === 0)) {
+      status = RUN_STATUS.FAILED;
+    } else if (failures.length > 0) {
+      status = RUN_STATUS.PARTIAL;
+    }
+
+    const finished = await scheduleRepo.finishRun(run.id, {
+      status,
+      succeeded,
+      failed: failures.length,
+      failures,
+      error: runError
+    });
+
+    const duration = Date.now() - startTime;
+    logger.info('Scheduled price sync finished', {
+      scheduleId: schedule.id,
+      runId: run.id,
+      status,
+      total: targets.length,
+      succeeded,
+      failed: failures.length,
+      duration: `${duration}ms`
+    });
+
+    if (status !== RUN_STATUS.COMPLETED) {
+      await this.notificationService.notifyScheduledPriceSyncFailed({
+        scheduleName: schedule.name,
+        runId: run.id,
+        status,
+        totalSkus: targets.length,
+        succeeded,
+        failures,
+        error: runError,
+        duration
+      });
+    }
+
+    return finished;
+  }
+
+  /**
+   * Expand a schedule into the SKUs to sync and the price sync options for each.
+   * For the `migrated` source every SKU is synced only to the stores it was migrated to
+   * (limited to the schedule's store filters and to stores that are still configured).
+   * @returns {Promise<Array<{sku: string, options: Object}>>}
+   */
+  async resolveTargets(schedule) {
+    const options = schedule.options || {};
+    const configuredMagentoStores = magentoStoreRegistry.storeNames();
+
+    if (schedule.sku_source !== SKU_SOURCES.MIGRATED) {
+      const targetMagentoStores = options.targetMagentoStores?.length
+        ? options.targetMagentoStores
+        : configuredMagentoStores;
+
+      return (schedule.skus || []).map(sku => ({
+        sku,
+        options: { ...options, targetMagentoStores }
+      }));
+    }
+
+    const rows = await migrationRunRepo.findCompletedTargets();
+    const bySku = new Map();
+
+    for (const row of rows) {
+      if (!bySku.has(row.sku)) bySku.set(row.sku, { magento: new Set(), shopify: new Set() });
+      const stores = bySku.get(row.sku)[row.target_platform];
+      if (!stores) continue;
+      for (const store of row.target_stores || []) stores.add(store);
+    }
+
+    const allow = (stores, filter) => [...stores].filter(store => !filter?.length || filter.includes(store));
+
+    const targets = [];
+    for (const [sku, stores] of bySku) {
+      const targetMagentoStores = options.includeMagento === false
+        ? []
+        : allow(stores.magento, options.targetMagentoStores).filter(store => configuredMagentoStores.includes(store));
+      const targetShopifyStores = options.includeShopify === false
+        ? []
+        : allow(stores.shopify, options.targetShopifyStores);
+
+      if (targetMagentoStores.length === 0 && targetShopifyStores.length === 0) continue;
+
+      targets.push({
+        sku,
+        options: {
+          includeMagento: targetMagentoStores.length > 0,
+          includeShopify: targetShopifyStores.length > 0,
+          targetMagentoStores,
+          targetShopifyStores
+        }
+      });
+    }
+
+    return targets;
+  }
+}
+
+module.exports = new PriceSyncSchedulerService();
@@ -1,18 +1,19 @@
 const logger = require('../../config/logger');
 const config = require('../../config');
-const SourceService = require('../magento/source.service');
+const sourceRegistry = require('../magento/source-registry.service');
 const TargetService = require('../magento/target.service');
 const ShopifyTargetService = require('../shopify/shopify-target.service');
+const WooCommerceTargetService = require('../woocommerce/woocommerce-target.service');
 const NotificationService = require('../notification/notification.service');
 const shopifyRegistry = require('../shopify/shopify-store-registry.service');
 
 class PriceSyncService {
-  constructor() {
-    this.sourceService = new SourceService(
-      config.source.baseUrl,
-      config.source.token,
-      config.api
-    );
+  /**
+   * @param {string} [sourceName='default'] - Source catalog prices are read from
+   */
+  constructor(sourceName = sourceRegistry.DEFAULT_SOURCE) {
+    this.sourceName = sourceName;
+    this.sourceService = sourceRegistry.createMagentoSourceService(sourceName);
 
     this.shopifyStores = config.shopify.stores;
     this.notificationService = new NotificationService();
@@ -22,9 +23,19 @@ class PriceSyncService {
    * Main entry point for price synchronization
    * @param {string} sku - Parent product SKU
    * @param {Object} options - Sync options
+   * @param {boolean} [options.notify=true] - Send start/end notifications for this SKU
+   * @param {string} [options.source] - Source catalog to read prices from
+   * @param {string[]} [options.targetWooCommerceStores] - WooCommerce stores to update; none by default
+   * @param {Object} [options.shopifyBulkBatch] - From createShopifyBulkBatch; Shopify updates are queued
+   *   on it instead of sent, and only reach Shopify with flushShopifyBulkBatch
    * @returns {Object} Sync result
    */
   async syncPrices(sku, options = {}) {
+    const scoped = sourceRegistry.forSource(this, options.source, name => new PriceSyncService(name));
+    if (scoped !== this) {
+      return scoped.syncPrices(sku, options);
+    }
+
     const startTime = Date.now();
 
     logger.info('Starting price sync', { sku, options });
@@ -35,7 +46,8 @@ class PriceSyncService {
       variantCount: 0,
       results: {
         magento: {},
-        shopify: {}
+        shopify: {},
+        woocommerce: {}
       },
       errors: [],
       warnings: []
@@ -46,7 +58,14 @@ class PriceSyncService {
     const includeShopify = options.includeShopify !== false;
     const targetMagentoStores = includeMagento ? this.resolveMagentoTargetStores(options.targetMagentoStores) : [];
     const targetShopifyStores = includeShopify ? await this.resolveShopifyTargetStores(options.targetShopifyStores) : [];
-    const allTargetStores = [...targetMagentoStores, ...targetShopifyStores.map(s => `shopify:${s}`)];
+    const includeWooCommerce = options.includeWooCommerce !== false;
+    const targetWooCommerceStores = includeWooCommerce ? this.resolveWooCommerceTargetStores(options.targetWooCommerceStores) : [];
+    const allTargetStores = [
+      ...targetMagentoStores,
+      ...targetShopifyStores.map(s => `shopify:${s}`),
+      ...targetWooCommerceStores.map(s => `woocommerce:${s}`)
+    ];
+    const notify = options.notify !== false;
 
     try {
       // Step 1: Extract prices from source
@@ -59,11 +78,13 @@ class PriceSyncService {
       });
 
       // Send start notification
-      await this.notificationService.notifyPriceSyncStart(
-        sku,
-        priceData.children.length,
-        allTargetStores
-      );
+      if (notify) {
+        await this.notificationService.notifyPriceSyncStart(
+          sku,
+          priceData.children.length,
+          allTargetStores
+        );
+      }
 
       // Step 2: Update Magento prices if enabled
       if (includeMagento) {
@@ -91,10 +112,18 @@ class PriceSyncService {
         }
       }
 
+      // Step 4: Update WooCommerce prices on the requested stores
+      if (targetWooCommerceStores.length > 0) {
+        const woocommerceResult = await this.updateWooCommercePrices(priceData, targetWooCommerceStores);
+        result.results.woocommerce = woocommerceResult.storeResults;
+        result.errors.push(...woocommerceResult.errors);
+      }
+
       // Determine overall success
-      const magentoFailed = Object.values(result.results.magento).some(r => !r.success);
-      const shopifyFailed = Object.values(result.results.shopify).some(r => !r.success);
-      result.success = !magentoFailed && !shopifyFailed && result.errors.length === 0;
+      const failed = Object.values(result.results).some(platformResults =>
+        Object.values(platformResults).some(r => !r.success)
+      );
+      result.success = !failed && result.errors.length === 0;
 
       const duration = Date.now() - startTime;
       logger.info('Price sync completed', {
@@ -104,15 +133,17 @@ class PriceSyncService {
       });
 
       // Send end notification
-      await this.notificationService.notifyPriceSyncEnd({
-        sku,
-        success: result.success,
-        variantCount: result.variantCount,
-        prices: priceData.children,
-        errors: result.errors,
-        targetStores: allTargetStores,
-        duration
-      });
+      if (notify) {
+        await this.notificationService.notifyPriceSyncEnd({
+          sku,
+          success: result.success,
+          variantCount: result.variantCount,
+          prices: priceData.children,
+          errors: result.errors,
+          targetStores: allTargetStores,
+          duration
+        });
+      }
 
       return result;
     } catch (error) {
@@ -131,15 +162,17 @@ class PriceSyncService {
       });
 
       // Send failure notification
-      await this.notificationService.notifyPriceSyncEnd({
-        sku,
-        success: false,
-        variantCount: 0,
-        prices: [],
-        errors: result.errors,
-        targetStores: allTargetStores,
-        duration
-      });
+      if (notify) {
+        await this.notificationService.notifyPriceSyncEnd({
+          sku,
+          success: false,
+          variantCount: 0,
+          prices: [],
+          errors: result.errors,
+          targetStores: allTargetStores,
+          duration
+        });
+      }
 
       return result;
     }
@@ -416,7 +449,7 @@ class PriceSyncService {
 
     for (const storeName of targetStores) {
       try {
-        const result = await this.updateShopifyPricesForStore(priceData, storeName);
+        const result = await this.updateShopifyPricesForStore(priceData, storeName, null, options.shopifyBulkBatch);
         storeResults[storeName] = result;
       } catch (error) {
         storeResults[storeName] = {
@@ -439,11 +472,16 @@ class PriceSyncService {
 
   /**
    * Update prices for a single Shopify store
+   * @param {Object} [bulkBatch] - From createShopifyBulkBatch; variants are looked up in the
+   *   store's bulk-read catalog and the updates are queued on the batch
    */
-  async updateShopifyPricesForStore(priceData, storeName, storeConfig) {
-    const shopifyService = storeConfig
-      ? new ShopifyTargetService(storeConfig.url, storeConfig.token, { apiVersion: config.shopify.apiVersion })
-      : await shopifyRegistry.getTargetService(storeName);
+  async updateShopifyPricesForStore(priceData, storeName, storeConfig, bulkBatch = null) {
+    const batchStore = bulkBatch ? await this.getShopifyBulkBatchStore(bulkBatch, storeName) : null;
+    const shopifyService = batchStore
+      ? batchStore.shopifyService
+      : storeConfig
+        ? new ShopifyTargetService(storeConfig.url, storeConfig.token, { apiVersion: config.shopify.apiVersion })
+        : await shopifyRegistry.getTargetService(storeName);
 
     // Check if this store has a mapped customer group for tier pricing
     const groupId = config.priceSync.storeGroupMapping[storeName.toLowerCase()];
@@ -463,7 +501,9 @@ class PriceSyncService {
     });
 
     // Step 1: Look up all child variants by SKU directly
-    const variants = await shopifyService.getVariantsBySkus(childSkus);
+    const variants = batchStore
+      ? childSkus.map(sku => batchStore.variantsBySku.get(sku)).filter(Boolean)
+      : await shopifyService.getVariantsBySkus(childSkus);
 
     // Log full variant data including compareAtPrice
     logger.info('Shopify variants retrieved with pricing data', {
@@ -553,6 +593,7 @@ class PriceSyncService {
 
     // Step 4: Update prices grouped by product ID
     let totalUpdated = 0;
+    let totalQueued = 0;
     for (const [productId, productVariants] of variantsByProduct) {
       const pricesToUpdate = variantPrices
         .filter(vp => vp.productId === productId)
@@ -576,12 +617,28 @@ class PriceSyncService {
         }))
       });
 
-      if (pricesToUpdate.length > 0) {
+      if (pricesToUpdate.length > 0 && batchStore) {
+        batchStore.updates.push({ sku: priceData.parentSku, productId, variantPrices: pricesToUpdate });
+        totalQueued += pricesToUpdate.length;
+      } else if (pricesToUpdate.length > 0) {
         const updateResult = await shopifyService.updateVariantPrices(productId, pricesToUpdate);
         totalUpdated += updateResult.updatedCount;
       }
     }
 
+    if (batchStore) {
+      logger.info('Shopify prices queued for bulk update', {
+        sku: priceData.parentSku,
+        storeName,
+        variantsQueued: totalQueued
+      });
+
+      return {
+        success: true,
+        variantsQueued: totalQueued
+      };
+    }
+
     logger.info('Shopify prices updated', {
       sku: priceData.parentSku,
       storeName,
@@ -594,6 +651,162 @@ class PriceSyncService {
     };
   }
 
+  /**
+   * Start a batch of Shopify price updates to be sent as one bulk mutation per store.
+   * Used for runs over many SKUs, where per-SKU variant lookups and updates would
+   * exhaust the GraphQL rate limit.
+   * @returns {Object} Pass as options.shopifyBulkBatch to syncPrices, then to flushShopifyBulkBatch
+   */
+  createShopifyBulkBatch() {
+    return { stores: new Map() };
+  }
+
+  /**
+   * A store's entry in a bulk batch. The store's whole catalog is read once with a bulk
+   * query on first use and shared by every SKU of the batch.
+   */
+  getShopifyBulkBatchStore(bulkBatch, storeName) {
+    if (!bulkBatch.stores.has(storeName)) {
+      const entry = (async () => {
+        const shopifyService = await shopifyRegistry.getTargetService(storeName);
+        const variantsBySku = new Map();
+        for await (const variant of shopifyService.bulkListVariants()) {
+          if (variant.sku) variantsBySku.set(variant.sku, variant);
+        }
+
+        logger.info('Shopify catalog read for bulk price sync', { storeName, variantCount: variantsBySku.size });
+        return { shopifyService, variantsBySku, updates: [] };
+      })();
+      // Let the next SKU retry a store whose catalog could not be read
+      entry.catch(() => bulkBatch.stores.delete(storeName));
+      bulkBatch.stores.set(storeName, entry);
+    }
+    return bulkBatch.stores.get(storeName);
+  }
+
+  /**
+   * Send the price updates queued on a bulk batch, one bulk mutation per store.
+   * @param {Object} bulkBatch - From createShopifyBulkBatch
+   * @returns {Promise<{stores: Object, failures: Array<{sku: string, store: string, message: string}>}>}
+   *   stores maps each store to { success, variantsUpdated } or { success: false, error }
+   */
+  async flushShopifyBulkBatch(bulkBatch) {
+    const stores = {};
+    const failures = [];
+
+    for (const [storeName, entry] of bulkBatch.stores) {
+      let updates = [];
+      try {
+        const batchStore = await entry;
+        updates = batchStore.updates;
+        const result = await batchStore.shopifyService.bulkUpdateVariantPrices(updates);
+
+        for (const failure of result.failures) {
+          failures.push({ sku: updates[failure.index].sku, store: storeName, message: failure.message });
+        }
+        stores[storeName] = { success: result.failures.length === 0, variantsUpdated: result.updatedCount };
+      } catch (error) {
+        logger.error('Bulk Shopify price update failed', { storeName, error: error.message });
+        for (const sku of new Set(updates.map(u => u.sku))) {
+          failures.push({ sku, store: storeName, message: error.message });
+        }
+        stores[storeName] = { success: false, error: error.message };
+      }
+    }
+
+    return { stores, failures };
+  }
+
+  /**
+   * Update prices on WooCommerce stores. The parent is looked up by SKU; variations are
+   * matched to source children by SKU and updated in one batch. A source special_price below
+   * the regular price becomes the sale price, otherwise the sale is cleared.
+   * @param {Object} priceData - Price data from source
+   * @param {string[]} targetStores
+   * @returns {Object} { storeResults, errors }
+   */
+  async updateWooCommercePrices(priceData, targetStores) {
+    const storeResults = {};
+    const errors = [];
+
+    logger.info('Updating WooCommerce prices', {
+      sku: priceData.parentSku,
+      targetStores
+    });
+
+    for (const storeName of targetStores) {
+      try {
+        const service = WooCommerceTargetService.getInstanceForStore(storeName);
+        storeResults[storeName] = await this.updateWooCommercePricesForStore(priceData, service, storeName);
+      } catch (error) {
+        storeResults[storeName] = { success: false, error: error.message };
+        errors.push({ store: `woocommerce:${storeName}`, message: error.message });
+
+        if (!config.errorHandling.continueOnError) break;
+      }
+    }
+
+    return { storeResults, errors };
+  }
+
+  async updateWooCommercePricesForStore(priceData, service, storeName) {
+    const product = await service.getProductBySku(priceData.parentSku);
+    if (!product) {
+      throw new Error(`Product not found in WooCommerce store "${storeName}": ${priceData.parentSku}`);
+    }
+
+    const groupId = config.priceSync.storeGroupMapping[storeName.toLowerCase()];
+    const pricesFor = child => {
+      const price = groupId ? this.getTierPrice(child, groupId) || child.price : child.price;
+      const salePrice = child.specialPrice != null && child.specialPrice < price ? child.specialPrice : null;
+      return { regularPrice: price, salePrice };
+    };
+
+    if (product.type !== 'variable') {
+      const child = priceData.children.find(c => c.sku === product.sku);
+      if (!child) {
+        throw new Error(`No source price for WooCommerce product ${product.sku} in store "${storeName}"`);
+      }
+      const { regularPrice, salePrice } = pricesFor(child);
+      await service.updateProductPrice(product.id, regularPrice, salePrice);
+      return { success: true, variantsUpdated: 1 };
+    }
+
+    const variationsBySku = new Map((await service.getVariations(product.id)).map(v => [v.sku, v]));
+    const variationPrices = priceData.children
+      .filter(child => variationsBySku.has(child.sku))
+      .map(child => ({ id: variationsBySku.get(child.sku).id, ...pricesFor(child) }));
+
+    if (variationPrices.length === 0) {
+      throw new Error(`No matching variations found in WooCommerce store "${storeName}"`);
+    }
+
+    const { updatedCount, errors } = await service.updateVariationPrices(product.id, variationPrices);
+
+    logger.info('WooCommerce prices updated', {
+      sku: priceData.parentSku,
+      storeName,
+      variantsUpdated: updatedCount,
+      failed: errors.length
+    });
+
+    return {
+      success: errors.length === 0,
+      variantsUpdated: updatedCount,
+      ...(errors.length > 0 && { error: errors.map(e => e.error?.message).join('; ') })
+    };
+  }
+
+  /**
+   * Resolve target WooCommerce stores from options, keeping only configured ones
+   */
+  resolveWooCommerceTargetStores(optionStores) {
+    const availableStores = Object.keys(config.woocommerce?.stores || {});
+    return (optionStores || [])
+      .map(store => store.toLowerCase())
+      .filter(store => availableStores.includes(store));
+  }
+
   /**
    * Resolve target Magento stores from options
    */
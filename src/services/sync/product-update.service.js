@@ -2,24 +2,28 @@
 
 const logger = require('../../config/logger');
 const config = require('../../config');
-const SourceService = require('../magento/source.service');
+const magentoStoreRegistry = require('../magento/magento-store-registry.service');
+const sourceRegistry = require('../magento/source-registry.service');
 const TargetService = require('../magento/target.service');
 const ShopifyTargetService = require('../shopify/shopify-target.service');
 const AttributeService = require('../attribute.service');
-const CategoryMappingService = require('../category-mapping.service');
+const MetafieldMappingService = require('../metafield-mapping.service');
+const TagBuilderService = require('../tag-builder.service');
 const NotificationService = require('../notification/notification.service');
 const { ExtractionError } = require('../../utils/error-handler');
 const shopifyRegistry = require('../shopify/shopify-store-registry.service');
 
 class ProductUpdateService {
-  constructor() {
-    this.sourceService = new SourceService(
-      config.source.baseUrl,
-      config.source.token,
-      config.api
-    );
+  /**
+   * @param {string} [sourceName='default'] - Source catalog product content is read from
+   */
+  constructor(sourceName = sourceRegistry.DEFAULT_SOURCE) {
+    this.sourceName = sourceName;
+    this.sourceService = sourceRegistry.createMagentoSourceService(sourceName);
     this.attributeService = new AttributeService(this.sourceService);
-    this.categoryMappingService = new CategoryMappingService();
+    this.categoryMappingService = sourceRegistry.createCategoryMapping(sourceName);
+    this.metafieldMappingService = new MetafieldMappingService();
+    this.tagBuilderService = new TagBuilderService();
     this.shopifyStores = config.shopify.stores;
     this.notificationService = new NotificationService();
   }
@@ -50,11 +54,6 @@ class ProductUpdateService {
     return attr ? attr.value : null;
   }
 
-  parseMetaKeywordsToTags(metaKeyword) {
-    if (!metaKeyword) return [];
-    return metaKeyword.split(',').map(k => k.trim()).filter(k => k.length > 0);
-  }
-
   // ── Store resolvers ──────────────────────────────────────────────────────
 
   resolveMagentoTargetStores(optionStores) {
@@ -62,7 +61,7 @@ class ProductUpdateService {
       return optionStores.map(s => s.toLowerCase());
     }
     // Default to ALL configured Magento stores (differs from PriceSyncService which defaults to [])
-    return Object.keys(config.magentoStores);
+    return magentoStoreRegistry.storeNames();
   }
 
   resolveShopifyTargetStores(optionStores) {
@@ -109,7 +108,7 @@ class ProductUpdateService {
   // ── Image URL builder ────────────────────────────────────────────────────
 
   buildSourceImageUrls(mediaEntries) {
-    const baseUrl = config.source.baseUrl;
+    const baseUrl = sourceRegistry.get(this.sourceName).baseUrl;
     return (mediaEntries || []).map(entry => ({
       url: `${baseUrl}/media/catalog/product${entry.file}`,
       alt: entry.label || ''
@@ -236,11 +235,13 @@ class ProductUpdateService {
   /**
    * Update content fields for one Shopify store.
    * @param {string} storeName
-   * @param {Object} extractedData - { sourceProduct, productType, brandLabel, categories, firstChildSku }
+   * @param {Object} extractedData - { sourceProduct, productType, brandLabel, categories, firstChildSku, children }
+   * @param {Object} [options]
+   * @param {boolean} [options.createMissingCollections=false] - Create mapped collections that do not exist
    * @returns {Object} { success, warnings, error? }
    */
-  async updateShopifyStore(storeName, extractedData) {
-    const { sourceProduct, productType, brandLabel, categories, firstChildSku } = extractedData;
+  async updateShopifyStore(storeName, extractedData, options = {}) {
+    const { sourceProduct, productType, brandLabel, categories, firstChildSku, children = [] } = extractedData;
     const sku = sourceProduct.sku;
     const warnings = [];
     const shopifyService = await shopifyRegistry.getTargetService(storeName);
@@ -261,8 +262,17 @@ class ProductUpdateService {
     const description = this.extractCustomAttribute(sourceProduct, 'description');
     const metaTitle = this.extractCustomAttribute(sourceProduct, 'meta_title');
     const metaDescription = this.extractCustomAttribute(sourceProduct, 'meta_description');
-    const metaKeyword = this.extractCustomAttribute(sourceProduct, 'meta_keyword');
-    const tags = this.parseMetaKeywordsToTags(metaKeyword);
+    const tags = await this.tagBuilderService.buildTags({
+      parent: sourceProduct,
+      children,
+      brandLabel,
+      productType: shopifyProductType || null,
+      categoryNames: sourceCategoryNames
+    }, {
+      attributeService: this.attributeService,
+      categoryMappingService: this.categoryMappingService,
+      storeName
+    });
 
     const shopifyFields = {
       title: sourceProduct.name,
@@ -282,7 +292,32 @@ class ProductUpdateService {
 
     await shopifyService.updateProductFields(productId, shopifyFields);
 
-    // 4. Image replace (best-effort — failure recorded as warning)
+    // 4. Metafields mapped from custom attributes (best-effort — failure recorded as warning)
+    try {
+      const metafields = await this.buildShopifyMetafields(storeName, extractedData, shopifyService, variants[0]);
+      if (metafields.length > 0) {
+        await shopifyService.setMetafields(metafields);
+      }
+    } catch (error) {
+      logger.warn('Metafield update failed for Shopify store', { storeName, sku, error: error.message });
+      warnings.push({ field: 'metafields', message: `Metafield update failed: ${error.message}` });
+    }
+
+    // 5. Collections mapped from categories (best-effort — problems recorded as warnings)
+    try {
+      const collectionNames = this.categoryMappingService.getShopifyCollections(sourceCategoryNames, storeName);
+      if (collectionNames.length > 0) {
+        const assignment = await shopifyService.assignProductToCollections(productId, collectionNames, {
+          createMissing: options.createMissingCollections === true
+        });
+        warnings.push(...assignment.skipped.map(({ collection, reason }) => ({ field: 'collections', collection, message: reason })));
+      }
+    } catch (error) {
+      logger.warn('Collection assignment failed for Shopify store', { storeName, sku, error: error.message });
+      warnings.push({ field: 'collections', message: `Collection assignment failed: ${error.message}` });
+    }
+
+    // 6. Image replace (best-effort — failure recorded as warning)
     try {
       const imageUrls = this.buildSourceImageUrls(sourceProduct.media_gallery_entries || []);
 
@@ -306,13 +341,55 @@ class ProductUpdateService {
     return { success: true, warnings };
   }
 
+  /**
+   * Mapped metafields for the Shopify product and its variants, each with its ownerId.
+   * Variant metafields come from the source children of a configurable product, or from
+   * the product itself when it is a standalone simple (its own single variant).
+   * @param {Object} lookupVariant - Variant found by the existence check
+   */
+  async buildShopifyMetafields(storeName, extractedData, shopifyService, lookupVariant) {
+    const { sourceProduct, productType, children = [] } = extractedData;
+    const productId = lookupVariant.product.id;
+    const build = (product, owner) =>
+      this.metafieldMappingService.buildMetafields(product, this.attributeService, storeName, owner);
+
+    const metafields = (await build(sourceProduct, 'product')).map(m => ({ ownerId: productId, ...m }));
+
+    if (!this.metafieldMappingService.hasMappings('variant')) {
+      return metafields;
+    }
+
+    const variantSources = productType === 'configurable' ? children : [sourceProduct];
+    const targetVariants = productType === 'configurable' && children.length > 0
+      ? (await shopifyService.getVariantsBySkus(children.map(c => c.sku))).filter(v => v.product?.id === productId)
+      : [lookupVariant];
+
+    for (const source of variantSources) {
+      const variant = targetVariants.find(v => v.sku === source.sku);
+      if (!variant) continue;
+      const variantMetafields = await build(source, 'variant');
+      metafields.push(...variantMetafields.map(m => ({ ownerId: variant.id, ...m })));
+    }
+
+    return metafields;
+  }
+
   /**
    * Main entry point: update content fields for one SKU across all target stores.
    * @param {string} sku - Source product SKU
    * @param {Object} options
+   * @param {boolean} [options.notify=true] - Send start/end notifications for this SKU
+   * @param {string} [options.source] - Source catalog to read product content from
+   * @param {boolean} [options.createMissingCollections=false] - Create mapped Shopify collections that do not exist
    */
   async updateProductFields(sku, options = {}) {
+    const scoped = sourceRegistry.forSource(this, options.source, name => new ProductUpdateService(name));
+    if (scoped !== this) {
+      return scoped.updateProductFields(sku, options);
+    }
+
     const startTime = Date.now();
+    const notify = options.notify !== false;
 
     const includeMagento = options.includeMagento !== false;
     const includeShopify = options.includeShopify !== false;
@@ -355,18 +432,27 @@ class ProductUpdateService {
       firstChildSku = childLinks[0].sku || null;
     }
 
+    // Children are only needed to map variant metafields and tag option values
+    const needsChildren = this.metafieldMappingService.hasMappings('variant') || this.tagBuilderService.usesOptions();
+    const children = productType === 'configurable' && includeShopify && needsChildren
+      ? await this.sourceService.getConfigurableChildren(sku)
+      : [];
+
     const extractedData = {
       sourceProduct,
       productType,
       brandLabel,
       categories,
-      firstChildSku
+      firstChildSku,
+      children
     };
 
     logger.info('Extraction complete, starting store updates', { sku, productType, brandLabel });
 
     // Start notification (after successful extraction)
-    await this.notificationService.notifyProductUpdateStart(sku, allTargetStores);
+    if (notify) {
+      await this.notificationService.notifyProductUpdateStart(sku, allTargetStores);
+    }
 
     try {
       // Magento updates
@@ -391,7 +477,7 @@ class ProductUpdateService {
       if (includeShopify) {
         for (const storeName of targetShopifyStores) {
           try {
-            const storeResult = await this.updateShopifyStore(storeName, extractedData);
+            const storeResult = await this.updateShopifyStore(storeName, extractedData, options);
             result.results.shopify[storeName] = storeResult;
             if (!storeResult.success) result.success = false;
             if (storeResult.warnings?.length) result.warnings.push(...storeResult.warnings.map(w => ({ store: storeName, ...w })));
@@ -408,9 +494,11 @@ class ProductUpdateService {
       if (result.errors.length > 0) result.success = false;
 
       const duration = Date.now() - startTime;
-      await this.notificationService.notifyProductUpdateEnd({
-        sku, success: result.success, errors: result.errors, targetStores: allTargetStores, duration
-      });
+      if (notify) {
+        await this.notificationService.notifyProductUpdateEnd({
+          sku, success: result.success, errors: result.errors, targetStores: allTargetStores, duration
+        });
+      }
 
       return result;
     } catch (error) {
@@ -419,9 +507,11 @@ class ProductUpdateService {
 
       const duration = Date.now() - startTime;
 
-      await this.notificationService.notifyProductUpdateEnd({
-        sku, success: false, errors: result.errors, targetStores: allTargetStores, duration
-      });
+      if (notify) {
+        await this.notificationService.notifyProductUpdateEnd({
+          sku, success: false, errors: result.errors, targetStores: allTargetStores, duration
+        });
+      }
 
       return result;
     }
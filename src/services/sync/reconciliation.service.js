@@ -0,0 +1,341 @@
+const logger = require('../../config/logger');
+const config = require('../../config');
+const magentoStoreRegistry = require('../magento/magento-store-registry.service');
+const sourceRegistry = require('../magento/source-registry.service');
+const TargetService = require('../magento/target.service');
+const shopifyRegistry = require('../shopify/shopify-store-registry.service');
+const reconciliationRepo = require('../../database/repositories/reconciliation.repository');
+const jobRepo = require('../../database/repositories/job.repository');
+const { ValidationError } = require('../../utils/error-handler');
+const { processOwnerId, keepLeaseAlive } = require('../../utils/lease');
+const { MAGENTO_API, RECONCILIATION, JOBS } = require('../../config/constants');
+
+const CATALOG_PAGE_SIZE = 300;
+const CATALOG_FIELDS = 'items[id,sku,type_id,visibility,extension_attributes[configurable_product_links]],total_count';
+
+const { ISSUES, PLATFORMS, ACTIONS } = RECONCILIATION;
+
+// The action that fixes each issue; orphans are reported only
+const ISSUE_ACTIONS = {
+  [ISSUES.MISSING]: ACTIONS.MIGRATION,
+  [ISSUES.MISSING_VARIANTS]: ACTIONS.VARIANT_SYNC
+};
+
+class ReconciliationService {
+  constructor(sourceName = sourceRegistry.DEFAULT_SOURCE) {
+    this.sourceName = sourceName;
+    this.sourceService = sourceRegistry.createMagentoSourceService(sourceName);
+  }
+
+  /**
+   * Start a reconciliation run. The catalog scan runs in the background; the returned run
+   * stays `running` until every target store has been compared.
+   * @param {Object} params
+   * @param {Object} [params.options] - { targetMagentoStores, targetShopifyStores, includeMagento, includeShopify }
+   * @param {string} [params.apiKeyId]
+   * @returns {Promise<Object>} reconciliation_runs row
+   */
+  async run({ options = {}, apiKeyId } = {}) {
+    const run = await reconciliationRepo.createRun({ options, apiKeyId, workerId: processOwnerId });
+
+    this.reconcile(run).catch(error => logger.error('Reconciliation failed', { runId: run.id, error: error.message }));
+
+    return run;
+  }
+
+  /**
+   * Called at start-up and then periodically: runs cannot resume once their process stops,
+   * so runs without a heartbeat for longer than config.jobs.leaseTimeoutMs are closed as failed.
+   */
+  async recoverInterruptedRuns() {
+    const closed = await reconciliationRepo.failInterruptedRuns(config.jobs.leaseTimeoutMs);
+    if (closed > 0) {
+      logger.warn('Closed reconciliation runs whose server stopped', { runs: closed });
+    }
+    return closed;
+  }
+
+  async reconcile(run) {
+    const options = run.options || {};
+    const stopHeartbeat = keepLeaseAlive(
+      () => reconciliationRepo.heartbeatRun(run.id, processOwnerId),
+      config.jobs.leaseTimeoutMs,
+      { runId: run.id }
+    );
+
+    try {
+      const source = await this.fetchMagentoCatalog(this.sourceService);
+      const parents = [...source.values()].filter(product => this.isParent(product));
+      const summary = {};
+
+      logger.info('Reconciliation source catalog loaded', { runId: run.id, products: source.size, parents: parents.length });
+
+      if (options.includeMagento !== false) {
+        for (const storeName of this.resolveMagentoTargetStores(options.targetMagentoStores)) {
+          summary[`${PLATFORMS.MAGENTO}:${storeName}`] = await this.reconcileStore(run, storeName, async () => {
+            const target = await this.fetchMagentoCatalog(TargetService.getInstanceForStore(storeName));
+            return this.compareMagentoCatalog(source, parents, target, storeName);
+          });
+        }
+      }
+
+      if (options.includeShopify !== false) {
+        for (const storeName of await this.resolveShopifyTargetStores(options.targetShopifyStores)) {
+          summary[`${PLATFORMS.SHOPIFY}:${storeName}`] = await this.reconcileStore(run, storeName, async () => {
+            const variants = await this.fetchShopifyVariants(await shopifyRegistry.getTargetService(storeName));
+            return this.compareShopifyCatalog(source, parents, variants, storeName);
+          });
+        }
+      }
+
+      logger.info('Reconciliation complete', { runId: run.id, summary });
+
+      return reconciliationRepo.updateRun(run.id, {
+        status: RECONCILIATION.RUN_STATUS.COMPLETED,
+        summary,
+        scanned: parents.length,
+        completed_at: new Date()
+      });
+    } catch (error) {
+      logger.error('Reconciliation failed', { runId: run.id, error: error.message });
+      return reconciliationRepo.updateRun(run.id, {
+        status: RECONCILIATION.RUN_STATUS.FAILED,
+        error: error.message,
+        completed_at: new Date()
+      });
+    } finally {
+      stopHeartbeat();
+    }
+  }
+
+  /**
+   * Compare one store and store its issues. A store that cannot be read is recorded in the
+   * summary without stopping the others.
+   * @returns {Promise<Object>} Issue counts, or { error }
+   */
+  async reconcileStore(run, storeName, compare) {
+    try {
+      const items = await compare();
+      await reconciliationRepo.addItems(run.id, items);
+
+      const counts = { [ISSUES.MISSING]: 0, [ISSUES.MISSING_VARIANTS]: 0, [ISSUES.ORPHAN]: 0 };
+      for (const item of items) {
+        counts[item.issue]++;
+      }
+      return counts;
+    } catch (error) {
+      logger.warn('Reconciliation failed for store', { runId: run.id, storeName, error: error.message });
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Configurable and simple products of a Magento instance, with configurable children
+   * resolved to SKUs.
+   * @param {MagentoClient} client
+   * @returns {Promise<Map<string, {sku, typeId, visibility, childSkus}>>}
+   */
+  async fetchMagentoCatalog(client) {
+    const products = [];
+    let currentPage = 1;
+
+    for (;;) {
+      const params = {
+        ...client.buildSearchCriteria([
+          { field: 'type_id', value: `${MAGENTO_API.PRODUCT_TYPES.CONFIGURABLE},${MAGENTO_API.PRODUCT_TYPES.SIMPLE}`, conditionType: 'in' }
+        ]),
+        'searchCriteria[sortOrders][0][field]': 'entity_id',
+        'searchCriteria[sortOrders][0][direction]': 'ASC',
+        'searchCriteria[pageSize]': CATALOG_PAGE_SIZE,
+        'searchCriteria[currentPage]': currentPage,
+        fields: CATALOG_FIELDS
+      };
+
+      const result = await client.get('/rest/V1/products', params);
+      const items = result?.items || [];
+      products.push(...items);
+
+      // Magento repeats the last page for out-of-range pages, so stop on total_count
+      if (items.length < CATALOG_PAGE_SIZE || products.length >= (result.total_count || 0)) {
+        break;
+      }
+      currentPage++;
+    }
+
+    const skuById = new Map(products.map(product => [product.id, product.sku]));
+    const catalog = new Map();
+
+    for (const product of products) {
+      const links = product.extension_attributes?.configurable_product_links || [];
+      catalog.set(product.sku, {
+        sku: product.sku,
+        typeId: product.type_id,
+        visibility: product.visibility,
+        childSkus: links.map(id => skuById.get(id)).filter(Boolean)
+      });
+    }
+
+    return catalog;
+  }
+
+  /**
+   * Every variant of a Shopify store that has a SKU. Stores above the bulk read
+   * threshold are read with one bulk operation instead of paging.
+   * @returns {Promise<Map<string, string>>} SKU to product GID
+   */
+  async fetchShopifyVariants(shopifyService) {
+    const variants = new Map();
+    let after = null;
+
+    const threshold = config.shopify.bulkOperations?.readThreshold;
+    if (threshold && await shopifyService.countVariants() > threshold) {
+      for await (const variant of shopifyService.bulkListVariants()) {
+        if (variant.sku) variants.set(variant.sku, variant.product.id);
+      }
+      return variants;
+    }
+
+    for (;;) {
+      const page = await shopifyService.listVariantsPage(after);
+      for (const variant of page.variants) {
+        if (variant.sku) variants.set(variant.sku, variant.product.id);
+      }
+
+      if (!page.pageInfo.hasNextPage) break;
+      after = page.pageInfo.endCursor;
+    }
+
+    return variants;
+  }
+
+  /**
+   * Products migrations operate on: configurables and catalog-visible simples
+   */
+  isParent(product) {
+    return product.typeId === MAGENTO_API.PRODUCT_TYPES.CONFIGURABLE ||
+      (product.typeId === MAGENTO_API.PRODUCT_TYPES.SIMPLE && product.visibility !== MAGENTO_API.VISIBILITY.NOT_VISIBLE);
+  }
+
+  compareMagentoCatalog(source, parents, target, storeName) {
+    const items = [];
+    const base = { platform: PLATFORMS.MAGENTO, storeName };
+
+    for (const parent of parents) {
+      const existing = target.get(parent.sku);
+
+      if (!existing) {
+        items.push({ ...base, sku: parent.sku, issue: ISSUES.MISSING, productType: parent.typeId });
+        continue;
+      }
+
+      const targetChildren = new Set(existing.childSkus);
+      const missingVariants = parent.childSkus.filter(sku => !targetChildren.has(sku));
+      if (missingVariants.length > 0) {
+        items.push({ ...base, sku: parent.sku, issue: ISSUES.MISSING_VARIANTS, productType: parent.typeId, missingVariants });
+      }
+    }
+
+    for (const product of target.values()) {
+      if (!source.has(product.sku)) {
+        items.push({ ...base, sku: product.sku, issue: ISSUES.ORPHAN, productType: product.typeId });
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Shopify has no parent SKUs, so a product is located through its variant SKUs: a parent
+   * with none of its variants in the store is missing, one with only some has missing variants.
+   */
+  compareShopifyCatalog(source, parents, variants, storeName) {
+    const items = [];
+    const base = { platform: PLATFORMS.SHOPIFY, storeName };
+
+    for (const parent of parents) {
+      const expected = parent.typeId === MAGENTO_API.PRODUCT_TYPES.CONFIGURABLE ? parent.childSkus : [parent.sku];
+      if (expected.length === 0) continue;
+
+      const missingVariants = expected.filter(sku => !variants.has(sku));
+      if (missingVariants.length === expected.length) {
+        items.push({ ...base, sku: parent.sku, issue: ISSUES.MISSING, productType: parent.typeId });
+      } else if (missingVariants.length > 0) {
+        items.push({ ...base, sku: parent.sku, issue: ISSUES.MISSING_VARIANTS, productType: parent.typeId, missingVariants });
+      }
+    }
+
+    for (const [sku, productId] of variants) {
+      if (!source.has(sku)) {
+        items.push({ ...base, sku, issue: ISSUES.ORPHAN, targetRef: productId });
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * @returns {string|null} The action that fixes a reconciliation item
+   */
+  actionFor(item) {
+    return ISSUE_ACTIONS[item.issue] || null;
+  }
+
+  /**
+   * Queue the job that fixes one reconciliation item for its store. Both actions run the
+   * platform's migration: it creates a missing product, and for a product that already
+   * exists it only adds the missing variants (executeInstanceMultiStoreVariantSync on
+   * Magento, ShopifyCreationService.syncMissingVariants on Shopify).
+   * @param {Object} item - reconciliation_items row
+   * @param {string} action - RECONCILIATION.ACTIONS value
+   * @param {string} [apiKeyId]
+   * @returns {Promise<Object>} Created jobs row
+   * @throws {ValidationError} When the action does not apply to the item's issue
+   */
+  async enqueueAction(item, action, apiKeyId) {
+    if (this.actionFor(item) !== action) {
+      throw new ValidationError(`Action "${action}" does not apply to a ${item.issue} item`, [
+        { field: 'action', message: `${item.issue} items support: ${this.actionFor(item) || 'no actions'}` }
+      ]);
+    }
+
+    const job = item.platform === PLATFORMS.SHOPIFY
+      ? await jobRepo.create({
+        type: JOBS.TYPES.SHOPIFY_MIGRATION,
+        options: { shopifyStore: item.store_name },
+        apiKeyId,
+        skus: [item.sku]
+      })
+      : await jobRepo.create({
+        type: JOBS.TYPES.MIGRATION_BATCH,
+        options: { targetMagentoStores: [item.store_name] },
+        apiKeyId,
+        skus: [item.sku]
+      });
+
+    await reconciliationRepo.setItemJob(item.id, job.id);
+
+    logger.info('Reconciliation action queued', { itemId: item.id, sku: item.sku, action, jobId: job.id });
+
+    return job;
+  }
+
+  resolveMagentoTargetStores(optionStores) {
+    if (optionStores && Array.isArray(optionStores) && optionStores.length > 0) {
+      return optionStores.map(s => s.toLowerCase());
+    }
+    return magentoStoreRegistry.storeNames();
+  }
+
+  async resolveShopifyTargetStores(optionStores) {
+    const available = config.shopify.oauth?.enabled
+      ? (await shopifyRegistry.list()).filter(store => store.status === 'active').map(store => store.alias)
+      : Object.keys(config.shopify.stores);
+
+    if (optionStores && Array.isArray(optionStores) && optionStores.length > 0) {
+      return optionStores.map(s => s.toLowerCase()).filter(store => available.includes(store));
+    }
+    return available;
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+
+const SOURCES = ['brand', 'productType', 'categories', 'options', 'attributes', 'metaKeywords'];
+
+// Without a rules file, tags come from meta keywords as they always have
+const DEFAULT_RULES = {
+  sources: ['metaKeywords'],
+  options: [],
+  attributes: [],
+  static: [],
+  include: [],
+  exclude: [],
+  prefixes: {}
+};
+
+// VaporDNA listings are published without tags unless tag-rules.json configures the store
+const BUILT_IN_STORE_RULES = {
+  vapordna: { sources: [] }
+};
+
+const MAX_TAG_LENGTH = 255;
+
+/**
+ * Builds Shopify product tags from rules in tag-rules.json:
+ *
+ *   {
+ *     "default": {
+ *       "sources": ["brand", "productType", "categories", "options", "attributes", "metaKeywords"],
+ *       "options": ["flavor", "nicotine_strength"],
+ *       "attributes": ["puff_count"],
+ *       "static": ["Imported"],
+ *       "include": [],
+ *       "exclude": ["Sale"],
+ *       "prefixes": { "brand": "Brand_", "flavor": "Flavor_" }
+ *     },
+ *     "stores": { "<storeName>": { ...fields that replace the default ones } }
+ *   }
+ *
+ * `options` are read from the children (or a standalone product itself), `attributes` from
+ * the parent; both are translated to labels through AttributeService. `include`, when set,
+ * keeps only the listed tags and `exclude` drops tags; both apply to derived tags, not to
+ * `static` ones. Tags are de-duplicated case-insensitively.
+ */
+class TagBuilderService {
+  constructor(rulesFilePath = null) {
+    this.rulesFilePath = rulesFilePath || path.join(process.cwd(), 'tag-rules.json');
+    this.defaultRules = DEFAULT_RULES;
+    this.storeRules = new Map(Object.entries(BUILT_IN_STORE_RULES));
+    this.loaded = false;
+  }
+
+  loadRules() {
+    if (this.loaded) {
+      return;
+    }
+
+    try {
+      if (!fs.existsSync(this.rulesFilePath)) {
+        logger.debug('Tag rules file not found, using defaults', { path: this.rulesFilePath });
+        this.loaded = true;
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.rulesFilePath, 'utf-8'));
+
+      this.defaultRules = { ...DEFAULT_RULES, ...(data.default || {}) };
+      for (const [storeName, rules] of Object.entries(data.stores || {})) {
+        this.storeRules.set(storeName.toLowerCase(), rules);
+      }
+
+      const unknown = [this.defaultRules, ...this.storeRules.values()]
+        .flatMap(rules => rules.sources || [])
+        .filter(source => !SOURCES.includes(source));
+      if (unknown.length > 0) {
+        logger.warn('Ignoring unknown tag sources', { sources: [...new Set(unknown)] });
+      }
+
+      this.loaded = true;
+
+      logger.info('Tag rules loaded', {
+        sources: this.defaultRules.sources,
+        storeSpecificRules: this.storeRules.size
+      });
+    } catch (error) {
+      logger.error('Failed to load tag rules', {
+        path: this.rulesFilePath,
+        error: error.message
+      });
+      this.loaded = true;
+    }
+  }
+
+  /**
+   * Effective rules for a store: the store's fields replace the default ones.
+   */
+  getRules(storeName = null) {
+    this.loadRules();
+    const storeRules = (storeName && this.storeRules.get(storeName.toLowerCase())) || {};
+    return { ...this.defaultRules, ...storeRules };
+  }
+
+  /**
+   * Whether any store's rules tag option values, which requires the product's children.
+   */
+  usesOptions() {
+    this.loadRules();
+    return [this.defaultRules, ...this.storeRules.values()]
+      .map(rules => ({ ...this.defaultRules, ...rules }))
+      .some(rules => rules.sources.includes('options') && rules.options.length > 0);
+  }
+
+  /**
+   * @param {Object} product
+   * @param {Object} product.parent - Source parent, or the standalone product
+   * @param {Array} [product.children] - Source children of a configurable product
+   * @param {string|null} [product.brandLabel]
+   * @param {string|null} [product.productType] - Shopify product type
+   * @param {string[]} [product.categoryNames] - Source category names
+   * @param {Object} context
+   * @param {AttributeService} context.attributeService - Translates option IDs to labels
+   * @param {CategoryMappingService} [context.categoryMappingService] - Maps category names
+   * @param {string|null} [context.storeName]
+   * @returns {Promise<string[]>}
+   */
+  async buildTags(product, { attributeService, categoryMappingService = null, storeName = null }) {
+    const rules = this.getRules(storeName);
+    const derived = [];
+
+    for (const source of rules.sources) {
+      switch (source) {
+        case 'brand':
+          derived.push(this.prefixed(rules, 'brand', product.brandLabel));
+          break;
+        case 'productType':
+          derived.push(this.prefixed(rules, 'productType', product.productType));
+          break;
+        case 'categories':
+          for (const name of product.categoryNames || []) {
+            const mapped = categoryMappingService?.getShopifyProductType([name], storeName) || name;
+            derived.push(this.prefixed(rules, 'categories', mapped));
+          }
+          break;
+        case 'options': {
+          const variants = product.children?.length ? product.children : [product.parent];
+          for (const code of rules.options) {
+            for (const variant of variants) {
+              derived.push(...await this.attributeTags(rules, code, variant, attributeService));
+            }
+          }
+          break;
+        }
+        case 'attributes':
+          for (const code of rules.attributes) {
+            derived.push(...await this.attributeTags(rules, code, product.parent, attributeService));
+          }
+          break;
+        case 'metaKeywords':
+          derived.push(...this.parseMetaKeywords(this.customAttribute(product.parent, 'meta_keyword'))
+            .map(keyword => this.prefixed(rules, 'metaKeywords', keyword)));
+          break;
+        default:
+          break;
+      }
+    }
+
+    const include = new Set(rules.include.map(tag => tag.toLowerCase()));
+    const exclude = new Set(rules.exclude.map(tag => tag.toLowerCase()));
+    const filtered = derived
+      .filter(Boolean)
+      .filter(tag => include.size === 0 || include.has(tag.toLowerCase()))
+      .filter(tag => !exclude.has(tag.toLowerCase()));
+
+    return this.unique([...filtered, ...rules.static]);
+  }
+
+  async attributeTags(rules, code, product, attributeService) {
+    const value = this.customAttribute(product, code);
+    if (value === null) return [];
+
+    const labels = await attributeService.translateAttributeValue(code, value);
+    return labels.map(label => this.prefixed(rules, code, label));
+  }
+
+  prefixed(rules, key, value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    return text ? `${rules.prefixes[key] || ''}${text}` : null;
+  }
+
+  parseMetaKeywords(metaKeyword) {
+    if (!metaKeyword) return [];
+    return metaKeyword.split(',').map(k => k.trim()).filter(k => k.length > 0);
+  }
+
+  customAttribute(product, code) {
+    const attr = (product?.custom_attributes || []).find(a => a.attribute_code === code);
+    return attr && attr.value !== '' ? attr.value : null;
+  }
+
+  unique(tags) {
+    const seen = new Set();
+    return tags
+      .map(tag => String(tag).trim())
+      .filter(tag => {
+        const key = tag.toLowerCase();
+        if (!tag || tag.length > MAX_TAG_LENGTH || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+}
+
+module.exports = TagBuilderService;
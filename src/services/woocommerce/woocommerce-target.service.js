@@ -0,0 +1,166 @@
+const WooCommerceClient = require('./woocommerce.client');
+const logger = require('../../config/logger');
+const config = require('../../config');
+const { chunkArray } = require('../../utils/helpers');
+
+// WooCommerce caps batch endpoints at 100 items per request
+const BATCH_SIZE = 100;
+const PAGE_SIZE = 100;
+
+// Term names come back HTML-escaped ("Pods &amp; Coils")
+const decodeEntities = text => text
+  .replace(/&amp;/g, '&')
+  .replace(/&#0?39;/g, "'")
+  .replace(/&quot;/g, '"')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>');
+
+class WooCommerceTargetService extends WooCommerceClient {
+  constructor(baseUrl, consumerKey, consumerSecret, config = {}) {
+    super(baseUrl, consumerKey, consumerSecret, config);
+    this._categoryCache = new Map();
+  }
+
+  /**
+   * @param {Object} productData - WooCommerce product payload
+   * @returns {Promise<Object>} The created product
+   */
+  async createProduct(productData) {
+    logger.info('Creating product in WooCommerce', { sku: productData.sku, type: productData.type });
+    return this.post('/products', productData);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The product (not a variation) with exactly this SKU
+   */
+  async getProductBySku(sku) {
+    logger.debug('Looking up WooCommerce product by SKU', { sku });
+    const products = await this.get('/products', { sku });
+    return (products || []).find(product => product.sku === sku) || null;
+  }
+
+  /**
+   * Every variation of a variable product, following pagination.
+   * @returns {Promise<Object[]>} Variations with `parent_id` set to productId
+   */
+  async getVariations(productId) {
+    const variations = [];
+
+    for (let page = 1; ; page++) {
+      const batch = await this.get(`/products/${productId}/variations`, { per_page: PAGE_SIZE, page });
+      variations.push(...batch.map(variation => ({ ...variation, parent_id: productId })));
+      if (batch.length < PAGE_SIZE) break;
+    }
+
+    return variations;
+  }
+
+  /**
+   * Run the variations batch endpoint in chunks of 100.
+   * @param {number} productId
+   * @param {Object} operations - { create: [], update: [], delete: [] }
+   * @returns {Promise<Object>} Merged { create, update, delete } results. Items WooCommerce
+   *   rejected carry an `error` object instead of failing the whole batch
+   */
+  async batchVariations(productId, operations) {
+    const merged = { create: [], update: [], delete: [] };
+
+    for (const type of Object.keys(merged)) {
+      for (const chunk of chunkArray(operations[type] || [], BATCH_SIZE)) {
+        const response = await this.post(`/products/${productId}/variations/batch`, { [type]: chunk });
+        merged[type].push(...(response[type] || []));
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * @param {number} productId
+   * @param {Array<{id: number, regularPrice: number, salePrice: number|null}>} variationPrices -
+   *   A null salePrice clears the sale
+   * @returns {Promise<{updatedCount: number, errors: Object[]}>}
+   */
+  async updateVariationPrices(productId, variationPrices) {
+    logger.info('Updating WooCommerce variation prices', { productId, count: variationPrices.length });
+
+    const result = await this.batchVariations(productId, {
+      update: variationPrices.map(({ id, regularPrice, salePrice }) => ({
+        id,
+        regular_price: String(regularPrice),
+        sale_price: salePrice != null ? String(salePrice) : ''
+      }))
+    });
+
+    const errors = result.update.filter(item => item.error);
+    return { updatedCount: result.update.length - errors.length, errors };
+  }
+
+  async updateProductPrice(productId, regularPrice, salePrice = null) {
+    logger.info('Updating WooCommerce product price', { productId, regularPrice, salePrice });
+    return this.put(`/products/${productId}`, {
+      regular_price: String(regularPrice),
+      sale_price: salePrice != null ? String(salePrice) : ''
+    });
+  }
+
+  /**
+   * Permanently delete a product; WooCommerce removes its variations with it.
+   */
+  async deleteProduct(productId) {
+    logger.info('Deleting WooCommerce product', { productId });
+    return this.delete(`/products/${productId}`, { force: true });
+  }
+
+  async deleteVariation(productId, variationId) {
+    logger.info('Deleting WooCommerce variation', { productId, variationId });
+    return this.delete(`/products/${productId}/variations/${variationId}`, { force: true });
+  }
+
+  /**
+   * Find a product category by name (case-insensitive), creating it when missing.
+   * @returns {Promise<number>} Category ID
+   */
+  async getCategoryIdByName(name) {
+    const key = name.toLowerCase();
+    if (this._categoryCache.has(key)) {
+      return this._categoryCache.get(key);
+    }
+
+    const matches = await this.get('/products/categories', { search: name, per_page: PAGE_SIZE });
+    let category = (matches || []).find(term => decodeEntities(term.name).toLowerCase() === key);
+
+    if (!category) {
+      logger.info('Creating WooCommerce category', { name });
+      category = await this.post('/products/categories', { name });
+    }
+
+    this._categoryCache.set(key, category.id);
+    return category.id;
+  }
+
+  clearCategoryCache() {
+    this._categoryCache.clear();
+  }
+
+  /**
+   * Get a WooCommerceTargetService instance for a store configured through
+   * WOOCOMMERCE_STORE_<NAME>_* env vars.
+   * @param {string} storeName - The store name (e.g., 'partnera')
+   * @returns {WooCommerceTargetService}
+   */
+  static getInstanceForStore(storeName) {
+    const stores = config.woocommerce?.stores || {};
+    const storeConfig = stores[storeName?.toLowerCase()];
+    if (!storeConfig) {
+      const available = Object.keys(stores);
+      throw new Error(
+        `WooCommerce store '${storeName}' not configured. ` +
+        `Available stores: ${available.length ? available.join(', ') : 'none'}`
+      );
+    }
+    return new WooCommerceTargetService(storeConfig.url, storeConfig.consumerKey, storeConfig.consumerSecret, config.api);
+  }
+}
+
+module.exports = WooCommerceTargetService;
@@ -0,0 +1,129 @@
+const axios = require('axios');
+const axiosRetry = require('axios-retry').default;
+const logger = require('../../config/logger');
+const { WooCommerceAPIError } = require('../../utils/error-handler');
+const { extractErrorMessage, sanitizeLogPayload } = require('../../utils/helpers');
+
+/**
+ * WooCommerce REST API (wc/v3) client. Authenticates with a consumer key and secret over
+ * HTTP Basic auth, which WooCommerce accepts on HTTPS sites.
+ */
+class WooCommerceClient {
+  constructor(baseUrl, consumerKey, consumerSecret, config = {}) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.timeout = config.timeout || 30000;
+    this.maxRetries = config.maxRetries || 3;
+    this.retryDelay = config.retryDelay || 1000;
+
+    this.client = axios.create({
+      baseURL: `${this.baseUrl}/wp-json/wc/v3`,
+      timeout: this.timeout,
+      auth: {
+        username: consumerKey,
+        password: consumerSecret
+      },
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    this.setupRetry();
+    this.setupInterceptors();
+  }
+
+  setupRetry() {
+    axiosRetry(this.client, {
+      retries: this.maxRetries,
+      retryDelay: (retryCount) => {
+        return retryCount * this.retryDelay;
+      },
+      retryCondition: (error) => {
+        return axiosRetry.isNetworkOrIdempotentRequestError(error) ||
+               error.response?.status === 429;
+      },
+      onRetry: (retryCount, error, requestConfig) => {
+        logger.warn('Retrying WooCommerce request', {
+          retryCount,
+          url: requestConfig.url,
+          method: requestConfig.method,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  setupInterceptors() {
+    this.client.interceptors.request.use(
+      (config) => {
+        logger.info('WooCommerce API Request', {
+          method: config.method?.toUpperCase(),
+          url: `${config.baseURL}${config.url}`,
+          payload: config.data ? sanitizeLogPayload(config.data) : null
+        });
+        return config;
+      },
+      (error) => {
+        logger.error('Request interceptor error', { error: error.message });
+        return Promise.reject(error);
+      }
+    );
+
+    this.client.interceptors.response.use(
+      (response) => {
+        logger.debug('WooCommerce API Response', {
+          status: response.status,
+          url: response.config.url
+        });
+        return response;
+      },
+      (error) => {
+        const errorMessage = extractErrorMessage(error);
+        const statusCode = error.response?.status || 500;
+
+        logger.error('WooCommerce API Error', {
+          message: errorMessage,
+          status: statusCode,
+          url: error.config?.url,
+          method: error.config?.method
+        });
+
+        throw new WooCommerceAPIError(
+          errorMessage,
+          statusCode,
+          error.response?.data
+        );
+      }
+    );
+  }
+
+  async get(endpoint, params = {}) {
+    const response = await this.client.get(endpoint, { params });
+    return response.data;
+  }
+
+  async post(endpoint, data = {}) {
+    const response = await this.client.post(endpoint, data);
+    return response.data;
+  }
+
+  async put(endpoint, data = {}) {
+    const response = await this.client.put(endpoint, data);
+    return response.data;
+  }
+
+  async delete(endpoint, params = {}) {
+    const response = await this.client.delete(endpoint, { params });
+    return response.data;
+  }
+
+  async testConnection() {
+    try {
+      await this.get('/products', { per_page: 1 });
+      return { connected: true, baseUrl: this.baseUrl };
+    } catch (error) {
+      return { connected: false, baseUrl: this.baseUrl, error: error.message };
+    }
+  }
+}
+
+module.exports = WooCommerceClient;
@@ -0,0 +1,135 @@
+/**
+ * Minimal five-field cron support (minute hour day-of-month month day-of-week), evaluated in UTC.
+ * Each field accepts `*`, numbers, ranges (`1-5`), steps (`0-30/10`; a step after `*` repeats over the
+ * whole field) and lists (`0,30`).
+ * Day-of-week is 0-7 with both 0 and 7 meaning Sunday.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Upper bound for the search in nextRun; covers expressions like "0 0 29 2 *" (next leap day)
+const MAX_SEARCH_DAYS = 366 * 8;
+
+const parseNumber = (value, field) => {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value ${number} is outside ${field.min}-${field.max}`);
+  }
+  return number;
+};
+
+const parseField = (expression, field) => {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseNumber(stepPart, { ...field, min: 1 });
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const [from, to] = rangePart.split('-');
+      start = parseNumber(from, field);
+      end = parseNumber(to, field);
+      if (start > end) throw new Error(`Invalid ${field.name} range "${rangePart}"`);
+    } else {
+      start = parseNumber(rangePart, field);
+      end = stepPart === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression.
+ * @param {string} expression - e.g. "0 3 * * *"
+ * @returns {Object} Parsed schedule for nextRun
+ * @throws {Error} When the expression is malformed
+ */
+const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted, a day matching either one runs
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+};
+
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getUTCDay());
+
+  if (schedule.anyDayOfMonth && schedule.anyDayOfWeek) return true;
+  if (schedule.anyDayOfMonth) return dayOfWeek;
+  if (schedule.anyDayOfWeek) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * Next time the expression fires strictly after `from`.
+ * @param {string|Object} expression - Cron expression or parseCron() result
+ * @param {Date} [from=new Date()]
+ * @returns {Date}
+ */
+const nextRun = (expression, from = new Date()) => {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = from.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1) || !matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error(`Cron expression "${expression}" never fires`);
+};
+
+module.exports = {
+  parseCron,
+  nextRun
+};
@@ -63,6 +63,16 @@ class ShopifyAPIError extends Error {
   }
 }
 
+class WooCommerceAPIError extends Error {
+  constructor(message, statusCode = 500, details = null) {
+    super(message);
+    this.name = 'WooCommerceAPIError';
+    this.statusCode = statusCode;
+    this.details = details;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
 class DescriptionGenerationError extends Error {
   constructor(message, code, statusCode = 500, details = null) {
     super(message);
@@ -92,6 +102,19 @@ class AuthorizationError extends Error {
   }
 }
 
+/**
+ * A request this service refuses (bad input, not found, conflict). Its message and status
+ * are returned to the caller as-is, unlike errors from upstream APIs.
+ */
+class ClientError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ClientError';
+    this.statusCode = statusCode;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
 module.exports = {
   MagentoAPIError,
   ExtractionError,
@@ -100,7 +123,9 @@ module.exports = {
   ValidationError,
   ImageProcessingError,
   ShopifyAPIError,
+  WooCommerceAPIError,
   DescriptionGenerationError,
   AuthenticationError,
-  AuthorizationError
+  AuthorizationError,
+  ClientError
 };
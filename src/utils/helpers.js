@@ -113,6 +113,9 @@ const sanitizeLogPayload = (obj, depth = 0) => {
   return sanitized;
 };
 
+// Quote a value for Shopify search syntax so multi-word values are matched as one phrase
+const quoteSearchValue = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
 const extractErrorMessage = (error) => {
   if (error.response && error.response.data) {
     if (error.response.data.message) {
@@ -132,5 +135,6 @@ module.exports = {
   sanitizeSku,
   buildProductPayload,
   extractErrorMessage,
-  sanitizeLogPayload
+  sanitizeLogPayload,
+  quoteSearchValue
 };
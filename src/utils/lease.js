@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const os = require('os');
+const logger = require('../config/logger');
+
+// Identifies the runs this process owns; heartbeats keep them from being failed as interrupted
+const processOwnerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Call `beat` four times per lease until the returned function is called.
+ * Failed heartbeats are logged; the lease lapses if they keep failing.
+ * @param {Function} beat - Async function extending the lease
+ * @param {number} leaseTimeoutMs
+ * @param {Object} [context] - Extra log fields
+ * @returns {Function} Stops the heartbeat
+ */
+const keepLeaseAlive = (beat, leaseTimeoutMs, context = {}) => {
+  const timer = setInterval(() => {
+    Promise.resolve()
+      .then(beat)
+      .catch(error => logger.error('Lease heartbeat failed', { ...context, error: error.message }));
+  }, Math.max(1000, Math.floor(leaseTimeoutMs / 4)));
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  processOwnerId,
+  keepLeaseAlive
+};
@@ -0,0 +1,48 @@
+const logger = require('../config/logger');
+
+/**
+ * Invoke an optional progress callback (options.onProgress).
+ * Listener failures are logged and never interrupt the migration.
+ * @param {Function} [onProgress] - Callback receiving progress events
+ * @param {Object} event - { type: 'phase'|'child', ... }
+ */
+const reportProgress = (onProgress, event) => {
+  if (typeof onProgress !== 'function') return;
+
+  try {
+    onProgress(event);
+  } catch (error) {
+    logger.warn('Progress listener failed', { type: event.type, error: error.message });
+  }
+};
+
+/**
+ * Wrap a progress callback so every event it receives carries extra fields (e.g. storeName).
+ * @returns {Function|undefined}
+ */
+const scopeProgress = (onProgress, fields) => {
+  if (typeof onProgress !== 'function') return undefined;
+  return (event) => onProgress({ ...fields, ...event });
+};
+
+/**
+ * Hand resume state to an optional checkpoint callback (options.onCheckpoint) so it can be
+ * saved before the run finishes. Failures are logged and never interrupt the migration.
+ * @param {Function} [onCheckpoint] - Async callback receiving the resume state
+ * @param {Object} resumeState
+ */
+const reportCheckpoint = async (onCheckpoint, resumeState) => {
+  if (typeof onCheckpoint !== 'function') return;
+
+  try {
+    await onCheckpoint(resumeState);
+  } catch (error) {
+    logger.warn('Checkpoint listener failed', { error: error.message });
+  }
+};
+
+module.exports = {
+  reportProgress,
+  reportCheckpoint,
+  scopeProgress
+};
@@ -0,0 +1,44 @@
+const db = require('../../../src/database/connection');
+const deletionConfirmationRepo = require('../../../src/database/repositories/deletion-confirmation.repository');
+
+beforeAll(async () => {
+  await db.migrate.latest();
+  await db.seed.run();
+});
+
+afterAll(async () => {
+  await db('deletion_confirmations').del();
+  await db.destroy();
+});
+
+describe('deletion-confirmation.repository', () => {
+  const deletion = { sku: 'DEL-001', platform: 'target-magento', storeName: 'ejuices' };
+  const inFiveMinutes = () => new Date(Date.now() + 5 * 60 * 1000);
+
+  test('consume accepts a token once', async () => {
+    await deletionConfirmationRepo.create({ tokenHash: 'hash-1', ...deletion, expiresAt: inFiveMinutes() });
+
+    expect(await deletionConfirmationRepo.consume('hash-1', deletion)).toMatchObject({ sku: 'DEL-001' });
+    expect(await deletionConfirmationRepo.consume('hash-1', deletion)).toBeNull();
+  });
+
+  test('consume rejects a token issued for another deletion', async () => {
+    await deletionConfirmationRepo.create({ tokenHash: 'hash-2', ...deletion, expiresAt: inFiveMinutes() });
+
+    expect(await deletionConfirmationRepo.consume('hash-2', { ...deletion, storeName: 'misthub' })).toBeNull();
+    expect(await deletionConfirmationRepo.consume('hash-2', deletion)).not.toBeNull();
+  });
+
+  test('consume rejects a token issued to another API key', async () => {
+    await deletionConfirmationRepo.create({ tokenHash: 'hash-4', ...deletion, expiresAt: inFiveMinutes() });
+
+    expect(await deletionConfirmationRepo.consume('hash-4', { ...deletion, apiKeyId: '3f9a7c1e-0b2d-4c5e-8f6a-1d2e3f4a5b6c' })).toBeNull();
+    expect(await deletionConfirmationRepo.consume('hash-4', deletion)).not.toBeNull();
+  });
+
+  test('consume rejects an expired token', async () => {
+    await deletionConfirmationRepo.create({ tokenHash: 'hash-3', ...deletion, expiresAt: new Date(Date.now() - 1000) });
+
+    expect(await deletionConfirmationRepo.consume('hash-3', deletion)).toBeNull();
+  });
+});
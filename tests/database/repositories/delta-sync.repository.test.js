@@ -0,0 +1,47 @@
+const db = require('../../../src/database/connection');
+const deltaSyncRepo = require('../../../src/database/repositories/delta-sync.repository');
+
+beforeAll(async () => {
+  await db.migrate.latest();
+  await db.seed.run();
+});
+
+afterAll(async () => {
+  await db('delta_sync_runs').del();
+  await db('delta_sync_fingerprints').del();
+  await db('sync_watermarks').where({ key: 'test:products' }).del();
+  await db.destroy();
+});
+
+describe('delta-sync.repository', () => {
+  test('advanceWatermark only moves the watermark forward', async () => {
+    expect(await deltaSyncRepo.getWatermark('test:products')).toBeNull();
+
+    expect(await deltaSyncRepo.advanceWatermark('test:products', '2026-10-18 10:00:00')).toBe('2026-10-18 10:00:00');
+    expect(await deltaSyncRepo.advanceWatermark('test:products', '2026-10-17 23:59:59')).toBe('2026-10-18 10:00:00');
+    expect(await deltaSyncRepo.advanceWatermark('test:products', '2026-10-19 08:30:00')).toBe('2026-10-19 08:30:00');
+  });
+
+  test('saveFingerprint keeps the other hash of the SKU', async () => {
+    await deltaSyncRepo.saveFingerprint('DELTA-SKU-001', 'price_hash', 'p1');
+    await deltaSyncRepo.saveFingerprint('DELTA-SKU-001', 'content_hash', 'c1');
+    await deltaSyncRepo.saveFingerprint('DELTA-SKU-001', 'price_hash', 'p2');
+
+    const [row] = await deltaSyncRepo.findFingerprints(['DELTA-SKU-001']);
+    expect(row).toMatchObject({ price_hash: 'p2', content_hash: 'c1' });
+  });
+
+  test('scanning runs are active and are failed once their heartbeat lapses', async () => {
+    const run = await deltaSyncRepo.createRun({ since: '2026-10-18 10:00:00', options: { includeShopify: false } });
+
+    expect(run).toMatchObject({ status: 'scanning', options: { includeShopify: false } });
+    expect((await deltaSyncRepo.findActiveRun()).id).toBe(run.id);
+
+    expect(await deltaSyncRepo.failInterruptedScans(30000)).toBe(0);
+
+    await deltaSyncRepo.updateRun(run.id, { heartbeat_at: new Date(Date.now() - 60000) });
+    expect(await deltaSyncRepo.failInterruptedScans(30000)).toBe(1);
+    expect(await deltaSyncRepo.findActiveRun()).toBeUndefined();
+    expect(await deltaSyncRepo.findRunById(run.id)).toMatchObject({ status: 'failed' });
+  });
+});
@@ -0,0 +1,101 @@
+const db = require('../../../src/database/connection');
+const jobRepo = require('../../../src/database/repositories/job.repository');
+
+beforeAll(async () => {
+  await db.migrate.latest();
+  await db.seed.run();
+});
+
+afterAll(async () => {
+  await db('jobs').del();
+  await db.destroy();
+});
+
+describe('job.repository', () => {
+  let jobId;
+
+  test('create inserts a queued job with one pending item per SKU', async () => {
+    const job = await jobRepo.create({
+      type: 'migration:batch',
+      options: { targetMagentoStores: ['ejuices'] },
+      skus: ['JOB-SKU-001', 'JOB-SKU-002']
+    });
+    jobId = job.id;
+
+    expect(job.status).toBe('queued');
+    expect(job.total_items).toBe(2);
+    expect(job.items.map(i => i.sku)).toEqual(['JOB-SKU-001', 'JOB-SKU-002']);
+    expect(job.items.every(i => i.status === 'pending')).toBe(true);
+  });
+
+  test('claimNextItem claims items in position order and marks the job running', async () => {
+    const claim = await jobRepo.claimNextItem();
+
+    expect(claim.item.sku).toBe('JOB-SKU-001');
+    expect(claim.item.status).toBe('running');
+    expect(claim.item.attempts).toBe(1);
+    expect(claim.job.status).toBe('running');
+    expect(claim.job.options).toEqual({ targetMagentoStores: ['ejuices'] });
+  });
+
+  test('finalizeIfDone returns null while items are outstanding', async () => {
+    expect(await jobRepo.finalizeIfDone(jobId)).toBeNull();
+  });
+
+  test('finalizeIfDone marks the job partial when some items failed', async () => {
+    const items = await jobRepo.findItems(jobId);
+    await jobRepo.completeItem(items[0].id, null, { status: 'succeeded', result: { success: true } });
+
+    const second = await jobRepo.claimNextItem();
+    await jobRepo.completeItem(second.item.id, null, { status: 'failed', error: 'boom' });
+
+    const finished = await jobRepo.finalizeIfDone(jobId);
+    expect(finished.status).toBe('partial');
+    expect(finished.counts).toEqual({ pending: 0, running: 0, succeeded: 1, failed: 1 });
+
+    // Only the first caller finalizes the job
+    expect(await jobRepo.finalizeIfDone(jobId)).toBeNull();
+  });
+
+  test('retryFailedItems re-queues failed items and reopens the job', async () => {
+    const retried = await jobRepo.retryFailedItems(jobId);
+    expect(retried).toBe(1);
+
+    const job = await jobRepo.findById(jobId);
+    expect(job.status).toBe('queued');
+    expect(job.completed_at).toBeNull();
+
+    const counts = await jobRepo.countItemsByStatus(jobId);
+    expect(counts).toEqual({ pending: 1, running: 0, succeeded: 1, failed: 0 });
+  });
+
+  test('requeueInterruptedItems returns running items whose lease expired to pending', async () => {
+    const claim = await jobRepo.claimNextItem('worker-a');
+    expect(claim.item.attempts).toBe(2);
+    expect(claim.item.worker_id).toBe('worker-a');
+
+    // A live worker's item is left alone
+    expect(await jobRepo.requeueInterruptedItems(60000)).toBe(0);
+    expect(await jobRepo.heartbeat('worker-a')).toBe(1);
+
+    await db('job_items').where({ id: claim.item.id }).update({ heartbeat_at: new Date(Date.now() - 120000) });
+    const requeued = await jobRepo.requeueInterruptedItems(60000);
+    expect(requeued).toBe(1);
+
+    const counts = await jobRepo.countItemsByStatus(jobId);
+    expect(counts.pending).toBe(1);
+    expect(counts.running).toBe(0);
+  });
+
+  test('completeItem and saveCheckpoint only write while the worker holds the lease', async () => {
+    const claim = await jobRepo.claimNextItem('worker-b');
+
+    // worker-a lost this item when it was re-queued above
+    expect(await jobRepo.saveCheckpoint(claim.item.id, 'worker-a', { completedInstances: {} })).toBe(0);
+    expect(await jobRepo.completeItem(claim.item.id, 'worker-a', { status: 'succeeded' })).toBeNull();
+
+    expect(await jobRepo.saveCheckpoint(claim.item.id, 'worker-b', { completedInstances: {} })).toBe(1);
+    const completed = await jobRepo.completeItem(claim.item.id, 'worker-b', { status: 'succeeded' });
+    expect(completed.status).toBe('succeeded');
+  });
+});
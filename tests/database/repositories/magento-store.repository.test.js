@@ -0,0 +1,36 @@
+const db = require('../../../src/database/connection');
+const storeRepo = require('../../../src/database/repositories/magento-store.repository');
+
+beforeAll(async () => {
+  await db.migrate.latest();
+  await db.seed.run();
+});
+
+afterAll(async () => {
+  await db('magento_stores').del();
+  await db.destroy();
+});
+
+describe('magento-store.repository', () => {
+  let store;
+
+  test('create binds the token envelope to the new row ID', async () => {
+    store = await storeRepo.create({
+      name: 'repo_store',
+      baseUrl: 'https://repo-store.test',
+      encryptToken: id => ({ v: 1, storeId: id })
+    });
+
+    expect(store.status).toBe('active');
+    expect(store.token_envelope).toEqual({ v: 1, storeId: store.id });
+    expect(await storeRepo.findByName('repo_store')).toMatchObject({ id: store.id });
+  });
+
+  test('update replaces the envelope and status', async () => {
+    const updated = await storeRepo.update(store.id, { status: 'disabled', token_envelope: { v: 1, rotated: true } });
+
+    expect(updated.status).toBe('disabled');
+    expect(updated.token_envelope).toEqual({ v: 1, rotated: true });
+    expect((await storeRepo.list()).map(row => row.name)).toContain('repo_store');
+  });
+});
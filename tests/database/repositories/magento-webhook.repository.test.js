@@ -0,0 +1,39 @@
+const db = require('../../../src/database/connection');
+const magentoWebhookRepo = require('../../../src/database/repositories/magento-webhook.repository');
+
+beforeAll(async () => {
+  await db.migrate.latest();
+  await db.seed.run();
+});
+
+afterAll(async () => {
+  await db('magento_webhook_events').del();
+  await db('jobs').where({ type: 'sync:prices' }).del();
+  await db.destroy();
+});
+
+describe('magento-webhook.repository', () => {
+  const event = {
+    eventId: 'evt-repo-1',
+    event: 'product.price_changed',
+    sku: 'SKU-001',
+    job: { type: 'sync:prices', options: { notify: false }, skus: ['SKU-001'] }
+  };
+
+  test('recordEvent queues the job and links it to the event', async () => {
+    const result = await magentoWebhookRepo.recordEvent(event);
+
+    expect(result.duplicate).toBe(false);
+    expect(result.job.items).toHaveLength(1);
+    expect(await magentoWebhookRepo.findByEventId('evt-repo-1')).toMatchObject({ sku: 'SKU-001', job_id: result.job.id });
+  });
+
+  test('recordEvent ignores a redelivered event', async () => {
+    const before = await db('jobs').where({ type: 'sync:prices' }).count('id as count').first();
+
+    expect(await magentoWebhookRepo.recordEvent(event)).toEqual({ duplicate: true });
+
+    const after = await db('jobs').where({ type: 'sync:prices' }).count('id as count').first();
+    expect(after.count).toBe(before.count);
+  });
+});
@@ -0,0 +1,70 @@
+const db = require('../../../src/database/connection');
+const migrationRunRepo = require('../../../src/database/repositories/migration-run.repository');
+
+beforeAll(async () => {
+  await db.migrate.latest();
+  await db.seed.run();
+});
+
+afterAll(async () => {
+  await db('migration_runs').del();
+  await db.destroy();
+});
+
+describe('migration-run.repository', () => {
+  let runId;
+
+  test('create inserts a running migration run', async () => {
+    const run = await migrationRunRepo.create({
+      sku: 'RUN-SKU-001',
+      targetPlatform: 'magento',
+      targetStores: ['ejuices', 'misthub']
+    });
+    runId = run.id;
+
+    expect(run.status).toBe('running');
+    expect(run.target_stores).toEqual(['ejuices', 'misthub']);
+  });
+
+  test('findEntitiesToRollback returns created entities newest first, optionally per store', async () => {
+    await migrationRunRepo.addEntity(runId, {
+      storeName: 'ejuices', entityType: 'product', entityKey: 'CHILD-001', data: { sku: 'CHILD-001' }
+    });
+    await migrationRunRepo.addEntity(runId, {
+      storeName: 'misthub', entityType: 'product', entityKey: 'CHILD-001', data: { sku: 'CHILD-001' }
+    });
+    await migrationRunRepo.addEntity(runId, {
+      storeName: 'ejuices', entityType: 'media', entityKey: 'CHILD-001:7', data: { sku: 'CHILD-001', entryId: 7 }
+    });
+
+    const all = await migrationRunRepo.findEntitiesToRollback(runId);
+    expect(all.map(e => `${e.store_name}/${e.entity_type}`)).toEqual([
+      'ejuices/media', 'misthub/product', 'ejuices/product'
+    ]);
+
+    const ejuices = await migrationRunRepo.findEntitiesToRollback(runId, 'ejuices');
+    expect(ejuices.map(e => e.entity_key)).toEqual(['CHILD-001:7', 'CHILD-001']);
+    expect(ejuices[0].data).toEqual({ sku: 'CHILD-001', entryId: 7 });
+  });
+
+  test('markEntity excludes rolled back entities and keeps failed ones eligible', async () => {
+    const [media, , product] = await migrationRunRepo.findEntitiesToRollback(runId);
+
+    const rolledBack = await migrationRunRepo.markEntity(media.id, { status: 'rolled_back' });
+    expect(rolledBack.rolled_back_at).not.toBeNull();
+
+    await migrationRunRepo.markEntity(product.id, { status: 'rollback_failed', error: 'boom' });
+
+    const remaining = await migrationRunRepo.findEntitiesToRollback(runId, 'ejuices');
+    expect(remaining).toHaveLength(1);
+    expect(remaining[0]).toMatchObject({ id: product.id, status: 'rollback_failed', error: 'boom' });
+  });
+
+  test('finish closes a running migration only once', async () => {
+    const finished = await migrationRunRepo.finish(runId, { status: 'failed', error: 'link failed' });
+    expect(finished.status).toBe('failed');
+    expect(finished.completed_at).not.toBeNull();
+
+    expect(await migrationRunRepo.finish(runId, { status: 'completed' })).toBeNull();
+  });
+});
@@ -0,0 +1,79 @@
+const db = require('../../../src/database/connection');
+const scheduleRepo = require('../../../src/database/repositories/price-sync-schedule.repository');
+
+beforeAll(async () => {
+  await db.migrate.latest();
+  await db.seed.run();
+});
+
+afterAll(async () => {
+  await db('price_sync_schedules').del();
+  await db.destroy();
+});
+
+describe('price-sync-schedule.repository', () => {
+  const dueAt = new Date('2026-10-19T03:00:00Z');
+  let scheduleId;
+
+  test('create stores SKUs and options as JSON', async () => {
+    const schedule = await scheduleRepo.create({
+      name: 'repo-test-nightly',
+      cron: '0 3 * * *',
+      skuSource: 'skus',
+      skus: ['SKU-001'],
+      options: { includeShopify: false },
+      enabled: true,
+      nextRunAt: dueAt
+    });
+    scheduleId = schedule.id;
+
+    expect(schedule.skus).toEqual(['SKU-001']);
+    expect(schedule.options).toEqual({ includeShopify: false });
+    expect(schedule.last_run_at).toBeNull();
+  });
+
+  test('findDue returns enabled schedules whose next run has passed', async () => {
+    const due = await scheduleRepo.findDue(new Date('2026-10-19T03:00:30Z'));
+    expect(due.map(s => s.id)).toContain(scheduleId);
+
+    const early = await scheduleRepo.findDue(new Date('2026-10-19T02:59:00Z'));
+    expect(early.map(s => s.id)).not.toContain(scheduleId);
+  });
+
+  test('claimDue succeeds only once for the same due time', async () => {
+    const nextRunAt = new Date('2026-10-20T03:00:00Z');
+
+    const claimed = await scheduleRepo.claimDue(scheduleId, dueAt, nextRunAt);
+    expect(new Date(claimed.next_run_at)).toEqual(nextRunAt);
+    expect(claimed.last_run_at).not.toBeNull();
+
+    expect(await scheduleRepo.claimDue(scheduleId, dueAt, nextRunAt)).toBeNull();
+  });
+
+  test('runs are recorded and finished', async () => {
+    const run = await scheduleRepo.createRun(scheduleId, 'manual');
+    expect(run.status).toBe('running');
+    expect(await scheduleRepo.findRunningRun(scheduleId)).toMatchObject({ id: run.id });
+
+    await scheduleRepo.updateRun(run.id, { totalSkus: 1 });
+    const finished = await scheduleRepo.finishRun(run.id, {
+      status: 'partial',
+      succeeded: 0,
+      failed: 1,
+      failures: [{ sku: 'SKU-001', errors: ['timeout'] }]
+    });
+
+    expect(finished).toMatchObject({ total_skus: 1, status: 'partial', failed: 1 });
+    expect(finished.failures).toEqual([{ sku: 'SKU-001', errors: ['timeout'] }]);
+    expect(await scheduleRepo.findRunningRun(scheduleId)).toBeUndefined();
+  });
+
+  test('failInterruptedRuns closes runs left running', async () => {
+    const run = await scheduleRepo.createRun(scheduleId, 'schedule');
+
+    expect(await scheduleRepo.failInterruptedRuns()).toBe(1);
+
+    const [latest] = await scheduleRepo.listRuns(scheduleId, 1);
+    expect(latest).toMatchObject({ id: run.id, status: 'failed', error: 'Interrupted by a server restart' });
+  });
+});
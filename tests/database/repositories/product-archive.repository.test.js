@@ -0,0 +1,35 @@
+const db = require('../../../src/database/connection');
+const productArchiveRepo = require('../../../src/database/repositories/product-archive.repository');
+
+beforeAll(async () => {
+  await db.migrate.latest();
+  await db.seed.run();
+});
+
+afterAll(async () => {
+  await db('product_archives').del();
+  await db.destroy();
+});
+
+describe('product-archive.repository', () => {
+  const priorState = [{ sku: 'ARCH-001', status: 1, visibility: 4 }];
+
+  test('create stores the prior state as an active archive', async () => {
+    const archive = await productArchiveRepo.create({ sku: 'ARCH-001', platform: 'target-magento', storeName: 'ejuices', priorState });
+
+    expect(archive.status).toBe('archived');
+    expect(archive.prior_state).toEqual(priorState);
+    expect(await productArchiveRepo.findActive('ARCH-001', 'target-magento', 'ejuices')).toMatchObject({ id: archive.id });
+    expect(await productArchiveRepo.findActive('ARCH-001', 'target-magento', 'misthub')).toBeUndefined();
+  });
+
+  test('markRestored closes the archive', async () => {
+    const active = await productArchiveRepo.findActive('ARCH-001', 'target-magento', 'ejuices');
+
+    const restored = await productArchiveRepo.markRestored(active.id);
+
+    expect(restored.status).toBe('restored');
+    expect(restored.restored_at).not.toBeNull();
+    expect(await productArchiveRepo.findActive('ARCH-001', 'target-magento', 'ejuices')).toBeUndefined();
+  });
+});
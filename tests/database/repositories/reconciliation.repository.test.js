@@ -0,0 +1,62 @@
+const db = require('../../../src/database/connection');
+const reconciliationRepo = require('../../../src/database/repositories/reconciliation.repository');
+
+beforeAll(async () => {
+  await db.migrate.latest();
+  await db.seed.run();
+});
+
+afterAll(async () => {
+  await db('reconciliation_runs').del();
+  await db.destroy();
+});
+
+describe('reconciliation.repository', () => {
+  let runId;
+
+  test('createRun starts a running run', async () => {
+    const run = await reconciliationRepo.createRun({ options: { includeShopify: false } });
+    runId = run.id;
+
+    expect(run.status).toBe('running');
+    expect(run.options).toEqual({ includeShopify: false });
+    expect(await reconciliationRepo.findActiveRun()).toMatchObject({ id: runId });
+  });
+
+  test('items are stored and filtered', async () => {
+    await reconciliationRepo.addItems(runId, [
+      { platform: 'magento', storeName: 'ejuices', sku: 'CONFIG-001', issue: 'missing_variants', productType: 'configurable', missingVariants: ['CHILD-ICE'] },
+      { platform: 'magento', storeName: 'ejuices', sku: 'SIMPLE-001', issue: 'missing', productType: 'simple' },
+      { platform: 'shopify', storeName: 'wholesale', sku: 'GONE-001', issue: 'orphan', targetRef: 'gid://shopify/Product/2' }
+    ]);
+
+    const all = await reconciliationRepo.findItems(runId);
+    expect(all.total).toBe(3);
+
+    const variants = await reconciliationRepo.findItems(runId, { platform: 'magento', issue: 'missing_variants' });
+    expect(variants.total).toBe(1);
+    expect(variants.data[0].missing_variants).toEqual(['CHILD-ICE']);
+
+    const paged = await reconciliationRepo.findItems(runId, { limit: 1, offset: 1 });
+    expect(paged.data.map(item => item.sku)).toEqual(['SIMPLE-001']);
+  });
+
+  test('updateRun stores the summary and failInterruptedRuns only closes runs without a recent heartbeat', async () => {
+    const finished = await reconciliationRepo.updateRun(runId, {
+      status: 'completed',
+      summary: { 'magento:ejuices': { missing: 1 } },
+      completed_at: new Date()
+    });
+    expect(finished.summary).toEqual({ 'magento:ejuices': { missing: 1 } });
+
+    const alive = await reconciliationRepo.createRun({ workerId: 'worker-a' });
+    const interrupted = await reconciliationRepo.createRun({ workerId: 'worker-b' });
+    await reconciliationRepo.updateRun(interrupted.id, { heartbeat_at: new Date(Date.now() - 60000) });
+
+    expect(await reconciliationRepo.heartbeatRun(alive.id, 'worker-a')).toBe(1);
+    expect(await reconciliationRepo.failInterruptedRuns(30000)).toBe(1);
+    expect(await reconciliationRepo.findRunById(interrupted.id)).toMatchObject({ status: 'failed' });
+    expect(await reconciliationRepo.findRunById(alive.id)).toMatchObject({ status: 'running' });
+    expect(await reconciliationRepo.findRunById(runId)).toMatchObject({ status: 'completed' });
+  });
+});
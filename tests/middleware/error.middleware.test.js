@@ -0,0 +1,34 @@
+const errorMiddleware = require('../../src/middleware/error.middleware');
+const { ClientError, ShopifyAPIError, WooCommerceAPIError } = require('../../src/utils/error-handler');
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const req = { path: '/api/v1/test', method: 'POST', body: {} };
+
+describe('error.middleware', () => {
+  test('returns the status and message of client errors raised by our services', () => {
+    const res = mockRes();
+    errorMiddleware(new ClientError('Product not found: SKU-1', 404), req, res, jest.fn());
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'ClientError', message: 'Product not found: SKU-1' });
+  });
+
+  test('does not pass through the 4xx status of upstream API errors', () => {
+    for (const error of [new ShopifyAPIError('Not found', 404), new WooCommerceAPIError('Invalid ID.', 404)]) {
+      const res = mockRes();
+      errorMiddleware(error, req, res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(500);
+    }
+  });
+
+  test('does not pass through a statusCode set on a plain error', () => {
+    const res = mockRes();
+    errorMiddleware(Object.assign(new Error('Request failed'), { statusCode: 401 }), req, res, jest.fn());
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
@@ -57,3 +57,18 @@ describe('permission.middleware — product:delete', () => {
     expect(next).toHaveBeenCalledWith();
   });
 });
+
+describe('permission.middleware — hasPermissions', () => {
+  const { hasPermissions } = permit;
+  const { JOBS } = require('../../src/config/constants');
+
+  test('requires the permission of the job type being retried', () => {
+    const operator = { permissions: ['migrate:batch', 'jobs:read'] };
+    expect(hasPermissions(operator, [JOBS.TYPE_PERMISSIONS['migration:batch']])).toBe(true);
+    expect(hasPermissions(operator, [JOBS.TYPE_PERMISSIONS['product:delete']])).toBe(false);
+  });
+
+  test('allows every permission when auth is disabled', () => {
+    expect(hasPermissions(null, ['product:delete'])).toBe(true);
+  });
+});
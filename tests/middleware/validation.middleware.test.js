@@ -0,0 +1,33 @@
+jest.mock('../../src/config', () => ({
+  source: { baseUrl: 'http://source.test', token: 'tok' },
+  sources: { supplier: { baseUrl: 'http://supplier.test', token: 'tok' } },
+  api: {}
+}));
+
+const { body, validationResult } = require('express-validator');
+const { validateSource } = require('../../src/middleware/validation.middleware');
+
+async function errorsFor(source, options) {
+  const req = { body: { options: { source } } };
+  await validateSource(body('options.source'), options).run(req);
+  return validationResult(req).array().map(err => err.msg);
+}
+
+describe('validation.middleware', () => {
+  describe('validateSource', () => {
+    test('accepts configured sources, Shopify sources and no source', async () => {
+      expect(await errorsFor('supplier')).toEqual([]);
+      expect(await errorsFor('shopify:wholesale')).toEqual([]);
+      expect(await errorsFor(undefined)).toEqual([]);
+    });
+
+    test('rejects unknown sources', async () => {
+      expect(await errorsFor('nope')).toEqual(['source must be one of: default, supplier, shopify:<store alias>']);
+    });
+
+    test('rejects Shopify sources for Magento-only operations', async () => {
+      expect(await errorsFor('shopify:wholesale', { magentoOnly: true })).toEqual(['source must be one of: default, supplier']);
+      expect(await errorsFor('supplier', { magentoOnly: true })).toEqual([]);
+    });
+  });
+});
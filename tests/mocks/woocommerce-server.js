@@ -0,0 +1,172 @@
+'use strict';
+
+const http = require('http');
+
+/**
+ * In-memory WooCommerce REST API (wc/v3) covering the endpoints WooCommerceTargetService
+ * uses: products, variations (list, batch, delete) and product categories. Requests must
+ * carry the consumer key and secret as Basic auth.
+ */
+function createWooCommerceServer({ consumerKey = 'ck_test', consumerSecret = 'cs_test' } = {}) {
+  const expectedAuth = `Basic ${Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64')}`;
+  let server;
+  let nextId;
+
+  const mock = {
+    url: null,
+    products: [],
+    variations: {},
+    categories: [],
+    requests: [],
+
+    reset() {
+      nextId = 100;
+      mock.products = [];
+      mock.variations = {};
+      mock.categories = [];
+      mock.requests = [];
+    },
+
+    addProduct(fields, variations = []) {
+      const product = { id: nextId++, type: 'simple', status: 'publish', ...fields };
+      mock.products.push(product);
+      mock.variations[product.id] = variations.map(variation => ({ id: nextId++, ...variation }));
+      return product;
+    },
+
+    // Term names are stored HTML-escaped, as WordPress does
+    addCategory(name) {
+      const category = { id: nextId++, name: name.replace(/&/g, '&amp;') };
+      mock.categories.push(category);
+      return category;
+    },
+
+    start() {
+      return new Promise(resolve => {
+        server = http.createServer(handle);
+        server.listen(0, '127.0.0.1', () => {
+          mock.url = `http://127.0.0.1:${server.address().port}`;
+          resolve(mock.url);
+        });
+      });
+    },
+
+    stop() {
+      return new Promise(resolve => {
+        server.close(resolve);
+        server.closeAllConnections();
+      });
+    }
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const notFound = res => send(res, 404, { code: 'woocommerce_rest_invalid_id', message: 'Invalid ID.', data: { status: 404 } });
+
+  const route = (method, path, query, body) => {
+    let match;
+
+    if (path === '/products' && method === 'GET') {
+      const products = query.get('sku') ? mock.products.filter(p => p.sku === query.get('sku')) : mock.products;
+      return [200, products.slice(0, Number(query.get('per_page')) || 10)];
+    }
+    if (path === '/products' && method === 'POST') {
+      if (mock.products.some(p => p.sku === body.sku)) {
+        return [400, { code: 'product_invalid_sku', message: 'Invalid or duplicated SKU.', data: { status: 400 } }];
+      }
+      const product = mock.addProduct({ ...body, permalink: `${mock.url}/product/${body.sku}` });
+      product.images = (body.images || []).map((image, index) => ({ id: 900 + index, ...image }));
+      return [201, product];
+    }
+    if (path === '/products/categories' && method === 'GET') {
+      const search = (query.get('search') || '').toLowerCase();
+      return [200, mock.categories.filter(c => c.name.replace(/&amp;/g, '&').toLowerCase().includes(search))];
+    }
+    if (path === '/products/categories' && method === 'POST') {
+      return [201, mock.addCategory(body.name)];
+    }
+
+    if ((match = path.match(/^\/products\/(\d+)\/variations\/batch$/)) && method === 'POST') {
+      const productId = Number(match[1]);
+      if (!mock.variations[productId]) return null;
+      const variations = mock.variations[productId];
+      const response = {};
+
+      if (body.create) {
+        response.create = body.create.map(variation => {
+          if (variations.some(v => v.sku === variation.sku)) {
+            return { id: 0, error: { code: 'product_invalid_sku', message: 'Invalid or duplicated SKU.', data: { status: 400 } } };
+          }
+          const created = { id: nextId++, ...variation };
+          variations.push(created);
+          return created;
+        });
+      }
+      if (body.update) {
+        response.update = body.update.map(update => {
+          const variation = variations.find(v => v.id === update.id);
+          if (!variation) {
+            return { id: update.id, error: { code: 'woocommerce_rest_invalid_id', message: 'Invalid ID.', data: { status: 404 } } };
+          }
+          return Object.assign(variation, update);
+        });
+      }
+      return [200, response];
+    }
+    if ((match = path.match(/^\/products\/(\d+)\/variations$/)) && method === 'GET') {
+      const variations = mock.variations[Number(match[1])];
+      if (!variations) return null;
+      const perPage = Number(query.get('per_page')) || 10;
+      const page = Number(query.get('page')) || 1;
+      return [200, variations.slice((page - 1) * perPage, page * perPage)];
+    }
+    if ((match = path.match(/^\/products\/(\d+)\/variations\/(\d+)$/)) && method === 'DELETE') {
+      const variations = mock.variations[Number(match[1])] || [];
+      const index = variations.findIndex(v => v.id === Number(match[2]));
+      if (index === -1) return null;
+      return [200, variations.splice(index, 1)[0]];
+    }
+    if ((match = path.match(/^\/products\/(\d+)$/))) {
+      const product = mock.products.find(p => p.id === Number(match[1]));
+      if (!product) return null;
+
+      if (method === 'PUT') return [200, Object.assign(product, body)];
+      if (method === 'DELETE') {
+        if (query.get('force') !== 'true') {
+          return [501, { code: 'woocommerce_rest_trash_not_supported', message: 'Resource does not support trashing.', data: { status: 501 } }];
+        }
+        mock.products = mock.products.filter(p => p !== product);
+        delete mock.variations[product.id];
+        return [200, product];
+      }
+    }
+    return null;
+  };
+
+  function handle(req, res) {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const path = url.pathname.replace(/^\/wp-json\/wc\/v3/, '');
+      const body = raw ? JSON.parse(raw) : {};
+      mock.requests.push({ method: req.method, path, query: Object.fromEntries(url.searchParams), body });
+
+      if (req.headers.authorization !== expectedAuth) {
+        return send(res, 401, { code: 'woocommerce_rest_cannot_view', message: 'Sorry, you cannot list resources.', data: { status: 401 } });
+      }
+
+      const result = route(req.method, path, url.searchParams, body);
+      if (!result) return notFound(res);
+      send(res, result[0], result[1]);
+    });
+  }
+
+  mock.reset();
+  return mock;
+}
+
+module.exports = { createWooCommerceServer };
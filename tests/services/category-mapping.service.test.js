@@ -0,0 +1,45 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CategoryMappingService = require('../../src/services/category-mapping.service');
+
+describe('CategoryMappingService', () => {
+  let dir;
+  let service;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'category-mapping-'));
+    const file = path.join(dir, 'category-mapping.json');
+    fs.writeFileSync(file, JSON.stringify({
+      mappings: [
+        { source: 'Disposables', shopify: 'Disposables', shopifyCollections: ['disposable-vapes', 'Best Sellers'] },
+        { source: 'Pod System Kits', shopify: 'Pod Systems', shopifyCollections: ['Pod Kits', 'best sellers'],
+          shopifyStoreCollections: { VaporDNA: ['pod-systems'] } },
+        { source: 'Tanks', shopify: 'Atomizers' }
+      ]
+    }));
+    service = new CategoryMappingService(file);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('getShopifyCollections', () => {
+    it('collects the collections of every mapped category without duplicates', () => {
+      expect(service.getShopifyCollections(['Disposables', 'pod system kits', 'Tanks', 'Unmapped']))
+        .toEqual(['disposable-vapes', 'Best Sellers', 'Pod Kits']);
+    });
+
+    it('uses store collections in place of the defaults for that category', () => {
+      expect(service.getShopifyCollections(['Disposables', 'Pod System Kits'], 'vapordna'))
+        .toEqual(['disposable-vapes', 'Best Sellers', 'pod-systems']);
+    });
+
+    it('returns no collections without categories', () => {
+      expect(service.getShopifyCollections([], 'vapordna')).toEqual([]);
+    });
+  });
+});
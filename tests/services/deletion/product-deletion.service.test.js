@@ -3,15 +3,22 @@
 jest.mock('../../../src/services/magento/source.service');
 jest.mock('../../../src/services/magento/target.service');
 jest.mock('../../../src/services/shopify/shopify-target.service');
+jest.mock('../../../src/services/woocommerce/woocommerce-target.service');
+jest.mock('../../../src/database/repositories/product-archive.repository');
+jest.mock('../../../src/database/repositories/deletion-confirmation.repository');
 jest.mock('../../../src/config', () => ({
   source: { baseUrl: 'http://source.test', token: 'test-token' },
   api: { timeout: 5000 },
+  magentoStores: { ejuices: {}, misthub: {} },
   shopify: { stores: { teststore: { url: 'test.myshopify.com', token: 'shpat_test' } } }
 }));
 
 const SourceService = require('../../../src/services/magento/source.service');
 const TargetService = require('../../../src/services/magento/target.service');
 const ShopifyTargetService = require('../../../src/services/shopify/shopify-target.service');
+const WooCommerceTargetService = require('../../../src/services/woocommerce/woocommerce-target.service');
+const productArchiveRepo = require('../../../src/database/repositories/product-archive.repository');
+const deletionConfirmationRepo = require('../../../src/database/repositories/deletion-confirmation.repository');
 // Re-require after mocks are set up to get the singleton with mocked deps
 const deletionService = require('../../../src/services/deletion/product-deletion.service');
 
@@ -94,6 +101,34 @@ describe('ProductDeletionService', () => {
     });
   });
 
+  describe('variable product deletion from target WooCommerce', () => {
+    it('deletes each variation, then the product, by WooCommerce ID', async () => {
+      const mockService = {
+        getProductBySku: jest.fn()
+          .mockResolvedValueOnce({ id: 40, sku: 'WOO-001', type: 'variable' })
+          .mockResolvedValueOnce(null),
+        getVariations: jest.fn().mockResolvedValue([
+          { id: 41, sku: 'WOO-001-RED', parent_id: 40 },
+          { id: 42, sku: 'WOO-001-BLUE', parent_id: 40 }
+        ]),
+        deleteVariation: jest.fn().mockResolvedValue({}),
+        deleteProduct: jest.fn().mockResolvedValue({})
+      };
+      WooCommerceTargetService.getInstanceForStore.mockReturnValue(mockService);
+
+      const result = await deletionService.deleteProduct({
+        sku: 'WOO-001',
+        platform: 'target-woocommerce',
+        storeName: 'partnera'
+      });
+
+      expect(WooCommerceTargetService.getInstanceForStore).toHaveBeenCalledWith('partnera');
+      expect(mockService.deleteVariation.mock.calls).toEqual([[40, 41], [40, 42]]);
+      expect(mockService.deleteProduct).toHaveBeenCalledWith(40);
+      expect(result).toMatchObject({ success: true, deletedSkus: ['WOO-001-RED', 'WOO-001-BLUE', 'WOO-001'] });
+    });
+  });
+
   describe('configurable product deletion (Magento)', () => {
     it('deletes all 3 children before deleting the parent', async () => {
       const children = [
@@ -225,4 +260,312 @@ describe('ProductDeletionService', () => {
       });
     });
   });
+
+  describe('deletion from every target', () => {
+    it('deletes from each store that has the product and reports the rest as not found', async () => {
+      const ejuices = {
+        getProductBySku: jest.fn()
+          .mockResolvedValueOnce({ sku: 'GONE-001', type_id: 'simple' })
+          .mockResolvedValueOnce(null),
+        deleteProduct: jest.fn().mockResolvedValue(true)
+      };
+      const misthub = { getProductBySku: jest.fn().mockResolvedValue(null) };
+      TargetService.getInstanceForStore.mockImplementation(store => (store === 'ejuices' ? ejuices : misthub));
+      ShopifyTargetService.mockImplementation(() => ({ getVariantsBySkus: jest.fn().mockRejectedValue(new Error('Throttled')) }));
+
+      const result = await deletionService.deleteFromTargets('GONE-001');
+
+      expect(ejuices.deleteProduct).toHaveBeenCalledWith('GONE-001');
+      expect(result.stores['magento:ejuices']).toMatchObject({ success: true, deletedSkus: ['GONE-001'] });
+      expect(result.stores['magento:misthub']).toMatchObject({ success: true, notFound: true });
+      expect(result.stores['shopify:teststore']).toMatchObject({ success: false, error: 'Throttled' });
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual([{ store: 'shopify:teststore', message: 'Throttled' }]);
+    });
+
+    it('skips Shopify stores when includeShopify is false', async () => {
+      TargetService.getInstanceForStore.mockReturnValue({ getProductBySku: jest.fn().mockResolvedValue(null) });
+
+      const result = await deletionService.deleteFromTargets('CHILD-001', { includeShopify: false });
+
+      expect(Object.keys(result.stores)).toEqual(['magento:ejuices', 'magento:misthub']);
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('all-targets deletion', () => {
+    it('returns the per-store results of deleteFromTargets', async () => {
+      TargetService.getInstanceForStore.mockImplementation(store => ({
+        getProductBySku: store === 'ejuices'
+          ? jest.fn().mockResolvedValueOnce({ sku: 'GONE-001', type_id: 'simple' }).mockResolvedValueOnce(null)
+          : jest.fn().mockResolvedValue(null),
+        deleteProduct: jest.fn().mockResolvedValue(true)
+      }));
+      ShopifyTargetService.mockImplementation(() => ({ getVariantsBySkus: jest.fn().mockResolvedValue([]) }));
+
+      const result = await deletionService.deleteProduct({ sku: 'GONE-001', platform: 'all-targets' });
+
+      expect(result).toMatchObject({ success: true, sku: 'GONE-001', platform: 'all-targets', errors: [] });
+      expect(Object.keys(result.stores)).toEqual(['magento:ejuices', 'magento:misthub', 'shopify:teststore']);
+      expect(result.stores['magento:ejuices'].deletedSkus).toEqual(['GONE-001']);
+    });
+
+    it('throws 404 when no target store has the product', async () => {
+      TargetService.getInstanceForStore.mockReturnValue({ getProductBySku: jest.fn().mockResolvedValue(null) });
+      ShopifyTargetService.mockImplementation(() => ({ getVariantsBySkus: jest.fn().mockResolvedValue([]) }));
+
+      await expect(deletionService.deleteProduct({ sku: 'NOPE-001', platform: 'all-targets' }))
+        .rejects.toMatchObject({ statusCode: 404, message: expect.stringContaining('any target store') });
+    });
+  });
+
+  describe('archive and restore', () => {
+    // A Magento store whose product values differ per scope: { all: { sku: values }, <store code>: { sku: values } }
+    const scopedMagentoService = (values) => {
+      const scopes = {};
+      const scope = code => {
+        scopes[code] = scopes[code] || {
+          getProductBySku: jest.fn(async sku => ({ sku, ...values[code][sku] })),
+          updateProduct: jest.fn(async (sku, data) => {
+            values[code][sku] = { status: data.status, visibility: data.visibility };
+            // Store views without their own value follow the global one
+            if (code === 'all') {
+              for (const storeCode of Object.keys(values).filter(c => c !== 'all' && !values[c].overrides?.includes(sku))) {
+                values[storeCode][sku] = values.all[sku];
+              }
+            }
+            return {};
+          })
+        };
+        return scopes[code];
+      };
+      return {
+        scopes,
+        getProductBySku: jest.fn().mockResolvedValue({ sku: 'PARENT-001', type_id: 'configurable', status: 1, visibility: 4 }),
+        getConfigurableChildren: jest.fn().mockResolvedValue([{ sku: 'CHILD-001', status: 1, visibility: 1 }]),
+        getStoreWebsiteMapping: jest.fn().mockResolvedValue({ admin: 0, default: 1, wholesale: 2 }),
+        createScopedInstance: jest.fn(scope),
+        updateProduct: jest.fn()
+      };
+    };
+
+    it('disables and hides a configurable and its children in every store view after recording their state', async () => {
+      const values = {
+        all: { 'PARENT-001': { status: 1, visibility: 4 }, 'CHILD-001': { status: 1, visibility: 1 } },
+        default: { 'PARENT-001': { status: 1, visibility: 4 }, 'CHILD-001': { status: 1, visibility: 1 } },
+        // The wholesale store view has its own status for the parent
+        wholesale: { 'PARENT-001': { status: 1, visibility: 2 }, 'CHILD-001': { status: 1, visibility: 1 }, overrides: ['PARENT-001'] }
+      };
+      const mockService = scopedMagentoService(values);
+      TargetService.getInstanceForStore.mockReturnValue(mockService);
+      productArchiveRepo.findActive.mockResolvedValue(undefined);
+      productArchiveRepo.create.mockResolvedValue({ id: 'archive-1' });
+
+      const result = await deletionService.archiveProduct({ sku: 'PARENT-001', platform: 'target-magento', storeName: 'ejuices', apiKeyId: 'key-1' });
+
+      expect(productArchiveRepo.create).toHaveBeenCalledWith({
+        sku: 'PARENT-001',
+        platform: 'target-magento',
+        storeName: 'ejuices',
+        apiKeyId: 'key-1',
+        priorState: [
+          {
+            sku: 'PARENT-001',
+            status: 1,
+            visibility: 4,
+            storeViews: { default: { status: 1, visibility: 4 }, wholesale: { status: 1, visibility: 2 } }
+          },
+          {
+            sku: 'CHILD-001',
+            status: 1,
+            visibility: 1,
+            storeViews: { default: { status: 1, visibility: 1 }, wholesale: { status: 1, visibility: 1 } }
+          }
+        ]
+      });
+      expect(mockService.scopes.all.updateProduct).toHaveBeenCalledWith('PARENT-001', { sku: 'PARENT-001', status: 2, visibility: 1 });
+      expect(mockService.scopes.all.updateProduct).toHaveBeenCalledWith('CHILD-001', { sku: 'CHILD-001', status: 2, visibility: 1 });
+      expect(mockService.scopes.wholesale.updateProduct).toHaveBeenCalledWith('PARENT-001', { sku: 'PARENT-001', status: 2, visibility: 1 });
+      expect(mockService.scopes.default.updateProduct).not.toHaveBeenCalled();
+      expect(mockService.updateProduct).not.toHaveBeenCalled();
+      expect(values.wholesale['PARENT-001']).toEqual({ status: 2, visibility: 1 });
+      expect(result).toEqual({
+        success: true,
+        sku: 'PARENT-001',
+        platform: 'target-magento',
+        storeName: 'ejuices',
+        archiveId: 'archive-1',
+        archivedSkus: ['PARENT-001', 'CHILD-001']
+      });
+
+      productArchiveRepo.findActive.mockResolvedValue({ id: 'archive-1', prior_state: productArchiveRepo.create.mock.calls[0][0].priorState });
+
+      await deletionService.restoreProduct({ sku: 'PARENT-001', platform: 'target-magento', storeName: 'ejuices' });
+
+      expect(values.all['PARENT-001']).toEqual({ status: 1, visibility: 4 });
+      expect(values.default['PARENT-001']).toEqual({ status: 1, visibility: 4 });
+      expect(values.wholesale['PARENT-001']).toEqual({ status: 1, visibility: 2 });
+      expect(productArchiveRepo.markRestored).toHaveBeenCalledWith('archive-1');
+    });
+
+    it('writes nothing when a store view cannot be read', async () => {
+      const mockService = scopedMagentoService({
+        all: { 'PARENT-001': { status: 1, visibility: 4 }, 'CHILD-001': { status: 1, visibility: 1 } },
+        default: { 'PARENT-001': { status: 1, visibility: 4 }, 'CHILD-001': { status: 1, visibility: 1 } },
+        wholesale: {}
+      });
+      mockService.createScopedInstance('wholesale').getProductBySku.mockResolvedValue(null);
+      TargetService.getInstanceForStore.mockReturnValue(mockService);
+      productArchiveRepo.findActive.mockResolvedValue(undefined);
+
+      await expect(deletionService.archiveProduct({ sku: 'PARENT-001', platform: 'target-magento', storeName: 'ejuices' }))
+        .rejects.toThrow('Could not read PARENT-001 in store view wholesale');
+      expect(productArchiveRepo.create).not.toHaveBeenCalled();
+      expect(mockService.scopes.all.updateProduct).not.toHaveBeenCalled();
+    });
+
+    it('archives a Shopify product and restores its previous status', async () => {
+      const productId = 'gid://shopify/Product/123';
+      const mockService = {
+        getVariantsBySkus: jest.fn().mockResolvedValue([{ sku: 'SHOP-001', product: { id: productId } }]),
+        getProductById: jest.fn().mockResolvedValue({ id: productId, status: 'DRAFT', variants: { edges: [] } }),
+        updateProductStatus: jest.fn().mockResolvedValue({})
+      };
+      ShopifyTargetService.mockImplementation(() => mockService);
+      productArchiveRepo.findActive.mockResolvedValueOnce(undefined);
+      productArchiveRepo.create.mockResolvedValue({ id: 'archive-2' });
+
+      await deletionService.archiveProduct({ sku: 'SHOP-001', platform: 'target-shopify', storeName: 'teststore' });
+
+      expect(mockService.updateProductStatus).toHaveBeenCalledWith(productId, 'ARCHIVED');
+
+      productArchiveRepo.findActive.mockResolvedValueOnce({
+        id: 'archive-2',
+        prior_state: productArchiveRepo.create.mock.calls[0][0].priorState
+      });
+
+      const result = await deletionService.restoreProduct({ sku: 'SHOP-001', platform: 'target-shopify', storeName: 'teststore' });
+
+      expect(mockService.updateProductStatus).toHaveBeenLastCalledWith(productId, 'DRAFT');
+      expect(productArchiveRepo.markRestored).toHaveBeenCalledWith('archive-2');
+      expect(result).toMatchObject({ success: true, restoredSkus: ['SHOP-001'] });
+    });
+
+    it('rejects archiving a product that is already archived', async () => {
+      productArchiveRepo.findActive.mockResolvedValue({ id: 'archive-1' });
+
+      await expect(deletionService.archiveProduct({ sku: 'PARENT-001', platform: 'target-magento', storeName: 'ejuices' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('keeps the archive active when part of a restore fails', async () => {
+      const archived = { status: 2, visibility: 1 };
+      const mockService = scopedMagentoService({
+        all: { 'PARENT-001': archived, 'CHILD-001': archived },
+        default: { 'PARENT-001': archived, 'CHILD-001': archived }
+      });
+      const all = mockService.createScopedInstance('all');
+      const write = all.updateProduct.getMockImplementation();
+      all.updateProduct.mockImplementation(async (sku, data) => {
+        if (sku === 'CHILD-001') throw new Error('Timeout');
+        return write(sku, data);
+      });
+      TargetService.getInstanceForStore.mockReturnValue(mockService);
+      productArchiveRepo.findActive.mockResolvedValue({
+        id: 'archive-1',
+        prior_state: [
+          { sku: 'PARENT-001', status: 1, visibility: 4, storeViews: { default: { status: 1, visibility: 4 } } },
+          { sku: 'CHILD-001', status: 1, visibility: 1, storeViews: { default: { status: 1, visibility: 1 } } }
+        ]
+      });
+
+      const result = await deletionService.restoreProduct({ sku: 'PARENT-001', platform: 'target-magento', storeName: 'ejuices' });
+
+      expect(all.updateProduct).toHaveBeenCalledWith('PARENT-001', { sku: 'PARENT-001', status: 1, visibility: 4 });
+      expect(result).toMatchObject({ success: false, restoredSkus: ['PARENT-001'], failedSkus: ['CHILD-001'] });
+      expect(productArchiveRepo.markRestored).not.toHaveBeenCalled();
+    });
+
+    it('only archives target platforms', async () => {
+      await expect(deletionService.archiveProduct({ sku: 'ANY-SKU', platform: 'source-magento' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('dry run and confirmation', () => {
+    it('lists the parent and children without deleting and issues a token', async () => {
+      const mockService = {
+        getProductBySku: jest.fn().mockResolvedValue({ sku: 'PARENT-001', name: 'Parent', type_id: 'configurable' }),
+        getConfigurableChildren: jest.fn().mockResolvedValue([{ sku: 'CHILD-001', name: 'Parent-Mint' }]),
+        deleteProduct: jest.fn()
+      };
+      TargetService.getInstanceForStore.mockReturnValue(mockService);
+
+      const result = await deletionService.planDeletion({ sku: 'PARENT-001', platform: 'target-magento', storeName: 'ejuices', apiKeyId: 'key-1' });
+
+      expect(mockService.deleteProduct).not.toHaveBeenCalled();
+      expect(result).toMatchObject({
+        sku: 'PARENT-001',
+        parent: { sku: 'PARENT-001', name: 'Parent', typeId: 'configurable' },
+        children: [{ sku: 'CHILD-001', name: 'Parent-Mint' }]
+      });
+      expect(result.confirmationToken).toEqual(expect.any(String));
+      expect(result.expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+      const stored = deletionConfirmationRepo.create.mock.calls[0][0];
+      expect(stored).toMatchObject({ sku: 'PARENT-001', platform: 'target-magento', storeName: 'ejuices', apiKeyId: 'key-1' });
+      expect(stored.tokenHash).not.toBe(result.confirmationToken);
+    });
+
+    it('lists Shopify variants and reports stores without the product for all targets', async () => {
+      TargetService.getInstanceForStore.mockReturnValue({ getProductBySku: jest.fn().mockResolvedValue(null) });
+      ShopifyTargetService.mockImplementation(() => ({
+        getVariantsBySkus: jest.fn().mockResolvedValue([{ sku: 'V-1', product: { id: 'gid://shopify/Product/9' } }]),
+        getProductById: jest.fn().mockResolvedValue({
+          id: 'gid://shopify/Product/9',
+          title: 'Shop product',
+          variants: { edges: [{ node: { id: 'gid://shopify/ProductVariant/1', sku: 'V-1', title: 'Mint' } }, { node: { id: 'gid://shopify/ProductVariant/2', sku: 'V-2', title: 'Ice' } }] }
+        })
+      }));
+
+      const result = await deletionService.planDeletion({ sku: 'SHOP-001', platform: 'all-targets' });
+
+      expect(result.stores['magento:ejuices']).toEqual({ notFound: true });
+      expect(result.stores['shopify:teststore']).toEqual({
+        parent: { sku: 'SHOP-001', id: 'gid://shopify/Product/9', title: 'Shop product' },
+        children: [
+          { sku: 'V-1', id: 'gid://shopify/ProductVariant/1', title: 'Mint' },
+          { sku: 'V-2', id: 'gid://shopify/ProductVariant/2', title: 'Ice' }
+        ]
+      });
+    });
+
+    it('does not issue a token for a product that does not exist', async () => {
+      TargetService.getInstanceForStore.mockReturnValue({ getProductBySku: jest.fn().mockResolvedValue(null) });
+
+      await expect(deletionService.planDeletion({ sku: 'NOPE-001', platform: 'target-magento', storeName: 'ejuices' }))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(deletionConfirmationRepo.create).not.toHaveBeenCalled();
+    });
+
+    it('consumes the token for the same deletion', async () => {
+      deletionConfirmationRepo.consume.mockResolvedValue({ id: 'confirmation-1' });
+
+      await deletionService.confirmDeletion('token-1', { sku: 'PARENT-001', platform: 'target-magento', storeName: 'ejuices', apiKeyId: 'key-1' });
+
+      expect(deletionConfirmationRepo.consume).toHaveBeenCalledWith(
+        expect.not.stringContaining('token-1'),
+        { sku: 'PARENT-001', platform: 'target-magento', storeName: 'ejuices', apiKeyId: 'key-1' }
+      );
+    });
+
+    it('rejects a missing or unusable token', async () => {
+      deletionConfirmationRepo.consume.mockResolvedValue(null);
+
+      await expect(deletionService.confirmDeletion(undefined, { sku: 'PARENT-001', platform: 'source-magento' }))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('dryRun=true') });
+      await expect(deletionService.confirmDeletion('used', { sku: 'PARENT-001', platform: 'source-magento' }))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('invalid') });
+    });
+  });
 });
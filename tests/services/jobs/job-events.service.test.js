@@ -0,0 +1,43 @@
+'use strict';
+
+const jobEvents = require('../../../src/services/jobs/job-events.service');
+
+describe('JobEventsService', () => {
+  it('delivers published events only to subscribers of that job', () => {
+    const listenerA = jest.fn();
+    const listenerB = jest.fn();
+    const unsubscribeA = jobEvents.subscribe('job-a', listenerA);
+    const unsubscribeB = jobEvents.subscribe('job-b', listenerB);
+
+    jobEvents.publish('job-a', 'phase', { sku: 'SKU-1', phase: 'extraction', status: 'started' });
+
+    expect(listenerA).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'phase',
+      jobId: 'job-a',
+      sku: 'SKU-1',
+      phase: 'extraction',
+      status: 'started'
+    }));
+    expect(listenerB).not.toHaveBeenCalled();
+
+    unsubscribeA();
+    unsubscribeB();
+  });
+
+  it('assigns increasing ids for SSE reconnection ordering', () => {
+    const first = jobEvents.publish('job-a', 'item:started', {});
+    const second = jobEvents.publish('job-a', 'item:completed', {});
+
+    expect(second.id).toBeGreaterThan(first.id);
+  });
+
+  it('stops delivering after unsubscribe', () => {
+    const listener = jest.fn();
+    const unsubscribe = jobEvents.subscribe('job-c', listener);
+    unsubscribe();
+
+    jobEvents.publish('job-c', 'job:completed', { status: 'completed' });
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
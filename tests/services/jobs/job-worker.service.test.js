@@ -0,0 +1,388 @@
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  source: { baseUrl: 'http://source.test', token: 'tok' },
+  api: {},
+  jobs: { concurrency: 1, pollIntervalMs: 1000, leaseTimeoutMs: 60000 },
+  shopify: { bulkOperations: { priceSyncThreshold: 2 } },
+  magentoStores: {}
+}));
+
+jest.mock('../../../src/database/repositories/job.repository');
+jest.mock('../../../src/services/audit/audit.service');
+jest.mock('../../../src/services/migration/orchestrator.service');
+jest.mock('../../../src/services/migration/shopify-orchestrator.service', () => jest.fn().mockImplementation(() => ({ migrateProduct: jest.fn() })));
+jest.mock('../../../src/services/jobs/job-events.service');
+jest.mock('../../../src/services/sync/price-sync.service', () => jest.fn().mockImplementation(() => ({ syncPrices: jest.fn() })));
+jest.mock('../../../src/services/sync/product-update.service', () => jest.fn().mockImplementation(() => ({ updateProductFields: jest.fn() })));
+jest.mock('../../../src/services/sync/catalog-drift.service', () => jest.fn().mockImplementation(() => ({ detectDrift: jest.fn() })));
+jest.mock('../../../src/services/sync/inventory-sync.service', () => jest.fn().mockImplementation(() => ({ syncInventory: jest.fn() })));
+jest.mock('../../../src/services/deletion/product-deletion.service', () => ({ deleteFromTargets: jest.fn() }));
+jest.mock('../../../src/services/sync/delta-sync.service', () => ({ onJobFinished: jest.fn() }));
+
+const jobRepo = require('../../../src/database/repositories/job.repository');
+const auditService = require('../../../src/services/audit/audit.service');
+const jobEvents = require('../../../src/services/jobs/job-events.service');
+const deltaSyncService = require('../../../src/services/sync/delta-sync.service');
+const jobWorker = require('../../../src/services/jobs/job-worker.service');
+
+describe('JobWorkerService', () => {
+  const job = { id: 'job-1', type: 'migration:batch', options: { targetMagentoStores: ['ejuices'] } };
+  const item = { id: 'item-1', job_id: 'job-1', sku: 'SKU-001', attempts: 1 };
+
+  beforeEach(() => {
+    jobWorker.orchestrator.migrateProduct = jest.fn();
+    jobRepo.completeItem.mockResolvedValue({});
+    jobRepo.finalizeIfDone.mockResolvedValue(null);
+    jobRepo.countItemsByStatus.mockResolvedValue({ pending: 0, running: 1, succeeded: 0, failed: 0 });
+  });
+
+  afterEach(() => {
+    jobWorker.stop();
+  });
+
+  describe('processItem', () => {
+    it('runs migrateProduct with the job options and stores a successful result', async () => {
+      const result = { sku: 'SKU-001', success: true, errors: [] };
+      jobWorker.orchestrator.migrateProduct.mockResolvedValue(result);
+
+      await jobWorker.processItem(item, job);
+
+      expect(jobWorker.orchestrator.migrateProduct).toHaveBeenCalledWith(
+        'SKU-001',
+        expect.objectContaining(job.options),
+        undefined
+      );
+      expect(jobRepo.completeItem).toHaveBeenCalledWith('item-1', jobWorker.workerId, {
+        status: 'succeeded',
+        result,
+        error: null,
+        phaseResults: undefined
+      });
+    });
+
+    it('passes stored phase results to the retry and saves the new resume state', async () => {
+      const phaseResults = { generatedContent: null, completedInstances: { ejuices: { success: true } } };
+      const resumeState = { generatedContent: null, completedInstances: { ejuices: { success: true }, misthub: { success: true } } };
+      jobWorker.orchestrator.migrateProduct.mockResolvedValue({ success: true, resumeState });
+
+      await jobWorker.processItem({ ...item, attempts: 2, phase_results: phaseResults }, job);
+
+      expect(jobWorker.orchestrator.migrateProduct).toHaveBeenCalledWith(
+        'SKU-001',
+        expect.objectContaining(job.options),
+        phaseResults
+      );
+      expect(jobRepo.completeItem).toHaveBeenCalledWith('item-1', jobWorker.workerId, expect.objectContaining({
+        status: 'succeeded',
+        phaseResults: resumeState
+      }));
+    });
+
+    it('keeps instances completed in earlier attempts and checkpoints during the run', async () => {
+      const phaseResults = { generatedContent: { ejuices: { title: 'Saved' } }, completedInstances: { ejuices: { success: true } } };
+      jobWorker.orchestrator.migrateProduct.mockImplementation(async (sku, options) => {
+        const state = { generatedContent: null, completedInstances: { misthub: { success: true } } };
+        await options.onCheckpoint(state);
+        return { success: false, errors: [{ message: 'madvapes down' }], resumeState: state };
+      });
+      const merged = {
+        generatedContent: { ejuices: { title: 'Saved' } },
+        completedInstances: { ejuices: { success: true }, misthub: { success: true } }
+      };
+
+      await jobWorker.processItem({ ...item, attempts: 2, phase_results: phaseResults }, job);
+
+      expect(jobRepo.saveCheckpoint).toHaveBeenCalledWith('item-1', jobWorker.workerId, merged);
+      expect(jobRepo.completeItem).toHaveBeenCalledWith('item-1', jobWorker.workerId, expect.objectContaining({
+        status: 'failed',
+        phaseResults: merged
+      }));
+    });
+
+    it('publishes nothing and leaves the job alone when the item lease was lost', async () => {
+      jobWorker.orchestrator.migrateProduct.mockResolvedValue({ success: true });
+      jobRepo.completeItem.mockResolvedValue(null);
+
+      await jobWorker.processItem(item, job);
+
+      expect(jobEvents.publish).not.toHaveBeenCalledWith('job-1', 'item:completed', expect.anything());
+      expect(jobRepo.finalizeIfDone).not.toHaveBeenCalled();
+    });
+
+    it('stops checkpointing and drops the outcome once a checkpoint finds the lease lost', async () => {
+      jobRepo.saveCheckpoint.mockResolvedValue(0);
+      jobWorker.orchestrator.migrateProduct.mockImplementation(async (sku, options) => {
+        const state = { generatedContent: null, completedInstances: { ejuices: { success: true } } };
+        await options.onCheckpoint(state).catch(() => {});
+        await options.onCheckpoint(state);
+        return { success: true, resumeState: state };
+      });
+
+      await jobWorker.processItem(item, job);
+
+      expect(jobRepo.saveCheckpoint).toHaveBeenCalledTimes(1);
+      expect(jobRepo.completeItem).not.toHaveBeenCalled();
+      expect(jobEvents.publish).not.toHaveBeenCalledWith('job-1', 'item:completed', expect.anything());
+    });
+
+    it('marks the item failed with the first migration error when the result is unsuccessful', async () => {
+      const result = { sku: 'SKU-001', success: false, errors: [{ message: 'Extraction failed' }] };
+      jobWorker.orchestrator.migrateProduct.mockResolvedValue(result);
+
+      await jobWorker.processItem(item, job);
+
+      expect(jobRepo.completeItem).toHaveBeenCalledWith('item-1', jobWorker.workerId, expect.objectContaining({
+        status: 'failed',
+        result,
+        error: 'Extraction failed'
+      }));
+    });
+
+    it('marks the item failed when migrateProduct throws', async () => {
+      jobWorker.orchestrator.migrateProduct.mockRejectedValue(new Error('boom'));
+
+      await jobWorker.processItem(item, job);
+
+      expect(jobRepo.completeItem).toHaveBeenCalledWith('item-1', jobWorker.workerId, expect.objectContaining({
+        status: 'failed',
+        result: null,
+        error: 'boom'
+      }));
+    });
+
+    it('fails items of unknown job types without calling a handler', async () => {
+      await jobWorker.processItem(item, { ...job, type: 'unknown' });
+
+      expect(jobWorker.orchestrator.migrateProduct).not.toHaveBeenCalled();
+      expect(jobRepo.completeItem).toHaveBeenCalledWith('item-1', jobWorker.workerId, expect.objectContaining({
+        status: 'failed',
+        error: 'Unsupported job type: unknown'
+      }));
+    });
+
+    it('writes the batch audit entry once the job is finalized', async () => {
+      jobWorker.orchestrator.migrateProduct.mockResolvedValue({ success: true });
+      jobRepo.finalizeIfDone.mockResolvedValue({
+        ...job,
+        status: 'completed',
+        total_items: 1,
+        api_key_id: 'key-1',
+        started_at: '2026-01-01T00:00:00Z',
+        completed_at: '2026-01-01T00:00:05Z',
+        counts: { pending: 0, running: 0, succeeded: 1, failed: 0 }
+      });
+
+      await jobWorker.processItem(item, job);
+
+      expect(auditService.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        apiKeyId: 'key-1',
+        action: 'product:batch_migrated',
+        resourceId: 'job-1',
+        status: 'success',
+        durationMs: 5000
+      }));
+    });
+
+    it('publishes item lifecycle events and forwards migration progress with the SKU', async () => {
+      jobWorker.orchestrator.migrateProduct.mockImplementation(async (sku, options) => {
+        options.onProgress({ type: 'child', childSku: 'CHILD-001', status: 'created', storeName: 'ejuices' });
+        return { success: true };
+      });
+
+      await jobWorker.processItem(item, job);
+
+      expect(jobEvents.publish.mock.calls).toEqual([
+        ['job-1', 'item:started', { sku: 'SKU-001', attempt: 1 }],
+        ['job-1', 'child', { sku: 'SKU-001', childSku: 'CHILD-001', status: 'created', storeName: 'ejuices' }],
+        ['job-1', 'item:completed', { sku: 'SKU-001', status: 'succeeded', error: null }]
+      ]);
+    });
+
+    it('runs sync job items through price sync and product update', async () => {
+      jobWorker.priceSyncService.syncPrices.mockResolvedValue({ success: true });
+      jobWorker.productUpdateService.updateProductFields.mockResolvedValue({ success: false, errors: [{ message: 'misthub: timeout' }] });
+      const options = { targetMagentoStores: ['ejuices'], notify: false };
+
+      await jobWorker.processItem(item, { ...job, type: 'sync:prices', options });
+      await jobWorker.processItem(item, { ...job, type: 'sync:product-fields', options });
+
+      expect(jobWorker.priceSyncService.syncPrices).toHaveBeenCalledWith('SKU-001', expect.objectContaining(options));
+      expect(jobWorker.productUpdateService.updateProductFields).toHaveBeenCalledWith('SKU-001', expect.objectContaining(options));
+      expect(jobRepo.completeItem).toHaveBeenLastCalledWith('item-1', jobWorker.workerId, expect.objectContaining({
+        status: 'failed',
+        error: 'misthub: timeout'
+      }));
+    });
+
+    it('hands finished delta sync jobs to the delta sync service', async () => {
+      const deltaJob = { ...job, type: 'sync:prices', options: { deltaRunId: 'run-1' } };
+      jobWorker.priceSyncService.syncPrices.mockResolvedValue({ success: true });
+      jobRepo.finalizeIfDone.mockResolvedValue({ ...deltaJob, status: 'completed', counts: { succeeded: 1, failed: 0 } });
+
+      await jobWorker.processItem(item, deltaJob);
+
+      expect(deltaSyncService.onJobFinished).toHaveBeenCalledWith(expect.objectContaining({ id: 'job-1', status: 'completed' }));
+      expect(auditService.logAction).not.toHaveBeenCalled();
+    });
+
+    it('holds the items of a large price job until their Shopify updates are sent in bulk', async () => {
+      const bulkJob = { ...job, id: 'job-2', type: 'sync:prices', total_items: 3, options: {} };
+      const second = { ...item, id: 'item-2', sku: 'SKU-002' };
+      const batch = { stores: new Map() };
+      jobWorker.priceSyncService.createShopifyBulkBatch = jest.fn().mockReturnValue(batch);
+      jobWorker.priceSyncService.flushShopifyBulkBatch = jest.fn().mockResolvedValue({
+        stores: { wholesale: { success: false, variantsUpdated: 2 } },
+        failures: [{ sku: 'SKU-002', store: 'wholesale', message: 'Price must be positive' }]
+      });
+      jobWorker.priceSyncService.syncPrices.mockImplementation(async sku => ({
+        success: true,
+        sku,
+        results: { magento: {}, shopify: { wholesale: { success: true, variantsQueued: 2 } }, woocommerce: {} },
+        errors: []
+      }));
+      jobRepo.countItemsByStatus
+        .mockResolvedValueOnce({ pending: 2, running: 1, succeeded: 0, failed: 0 })
+        .mockResolvedValueOnce({ pending: 1, running: 1, succeeded: 0, failed: 0 })
+        .mockResolvedValueOnce({ pending: 0, running: 2, succeeded: 0, failed: 0 });
+
+      await jobWorker.processItem(item, bulkJob);
+
+      expect(jobWorker.priceSyncService.syncPrices).toHaveBeenCalledWith('SKU-001', expect.objectContaining({ shopifyBulkBatch: batch }));
+      expect(jobRepo.completeItem).not.toHaveBeenCalled();
+      expect(jobWorker.priceSyncService.flushShopifyBulkBatch).not.toHaveBeenCalled();
+
+      await jobWorker.processItem(second, bulkJob);
+
+      expect(jobWorker.priceSyncService.createShopifyBulkBatch).toHaveBeenCalledTimes(1);
+      expect(jobWorker.priceSyncService.flushShopifyBulkBatch).toHaveBeenCalledWith(batch);
+      expect(jobRepo.completeItem).toHaveBeenCalledWith('item-1', jobWorker.workerId, expect.objectContaining({ status: 'succeeded', error: null }));
+      expect(jobRepo.completeItem).toHaveBeenCalledWith('item-2', jobWorker.workerId, expect.objectContaining({
+        status: 'failed',
+        error: 'Price must be positive',
+        result: expect.objectContaining({
+          success: false,
+          results: expect.objectContaining({ shopify: { wholesale: { success: false, error: 'Price must be positive' } } }),
+          errors: [{ store: 'wholesale', message: 'Price must be positive' }]
+        })
+      }));
+      expect(jobWorker.shopifyBulkJobs.size).toBe(0);
+    });
+
+    it('syncs the prices of small jobs one SKU at a time', async () => {
+      jobWorker.priceSyncService.syncPrices.mockResolvedValue({ success: true });
+
+      await jobWorker.processItem(item, { ...job, type: 'sync:prices', total_items: 2, options: {} });
+
+      expect(jobWorker.priceSyncService.syncPrices.mock.calls[0][1].shopifyBulkBatch).toBeUndefined();
+      expect(jobRepo.completeItem).toHaveBeenCalledWith('item-1', jobWorker.workerId, expect.objectContaining({ status: 'succeeded' }));
+    });
+
+    it('syncs a retry of a few failed items of a large price job one SKU at a time', async () => {
+      jobWorker.priceSyncService.syncPrices.mockResolvedValue({ success: true });
+      jobRepo.countItemsByStatus.mockResolvedValue({ pending: 0, running: 1, succeeded: 499, failed: 0 });
+
+      await jobWorker.processItem(item, { ...job, type: 'sync:prices', total_items: 500, options: {} });
+
+      expect(jobWorker.priceSyncService.syncPrices.mock.calls[0][1].shopifyBulkBatch).toBeUndefined();
+      expect(jobRepo.completeItem).toHaveBeenCalledWith('item-1', jobWorker.workerId, expect.objectContaining({ status: 'succeeded' }));
+      expect(jobWorker.shopifyBulkJobs.size).toBe(0);
+    });
+
+    it('does not audit while items remain', async () => {
+      jobWorker.orchestrator.migrateProduct.mockResolvedValue({ success: true });
+
+      await jobWorker.processItem(item, job);
+
+      expect(auditService.logAction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('start', () => {
+    it('re-queues items whose lease expired before polling', async () => {
+      jobRepo.requeueInterruptedItems.mockResolvedValue(2);
+      jobRepo.claimNextItem.mockResolvedValue(null);
+
+      await jobWorker.start();
+
+      expect(jobRepo.requeueInterruptedItems).toHaveBeenCalledTimes(1);
+      expect(jobRepo.requeueInterruptedItems).toHaveBeenCalledWith(60000);
+      expect(jobRepo.claimNextItem).toHaveBeenCalledWith(jobWorker.workerId);
+      expect(jobWorker.running).toBe(true);
+      expect(jobRepo.requeueInterruptedItems.mock.invocationCallOrder[0])
+        .toBeLessThan(jobRepo.claimNextItem.mock.invocationCallOrder[0]);
+    });
+  });
+
+  describe('heartbeat', () => {
+    it('extends the leases of running items and re-queues abandoned ones', async () => {
+      jobRepo.requeueInterruptedItems.mockResolvedValue(0);
+      jobWorker.running = true;
+      jobWorker.active = 1;
+
+      try {
+        await jobWorker.heartbeat();
+      } finally {
+        jobWorker.active = 0;
+      }
+
+      expect(jobRepo.heartbeat).toHaveBeenCalledWith(jobWorker.workerId);
+      expect(jobRepo.requeueInterruptedItems).toHaveBeenCalledWith(60000);
+    });
+
+    it('extends the leases of items waiting for a bulk price update', async () => {
+      jobRepo.requeueInterruptedItems.mockResolvedValue(0);
+      jobWorker.running = true;
+      jobWorker.shopifyBulkJobs.set('job-2', { batch: {}, inFlight: 0, items: [{ item }] });
+
+      try {
+        await jobWorker.heartbeat();
+      } finally {
+        jobWorker.shopifyBulkJobs.clear();
+      }
+
+      expect(jobRepo.heartbeat).toHaveBeenCalledWith(jobWorker.workerId);
+    });
+
+    it('does not extend leases while idle', async () => {
+      jobRepo.requeueInterruptedItems.mockResolvedValue(0);
+      jobWorker.running = true;
+
+      await jobWorker.heartbeat();
+
+      expect(jobRepo.heartbeat).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('poll', () => {
+    it('claims items up to the configured concurrency', async () => {
+      let release;
+      jobWorker.orchestrator.migrateProduct.mockReturnValue(new Promise(resolve => { release = resolve; }));
+      jobRepo.claimNextItem
+        .mockResolvedValueOnce({ item, job })
+        .mockResolvedValue(null);
+
+      jobWorker.running = true;
+      await jobWorker.poll();
+
+      expect(jobRepo.claimNextItem).toHaveBeenCalledTimes(1);
+      expect(jobWorker.active).toBe(1);
+
+      jobWorker.running = false;
+      release({ success: true });
+      await new Promise(resolve => setImmediate(resolve));
+      await new Promise(resolve => setImmediate(resolve));
+      expect(jobWorker.active).toBe(0);
+    });
+
+    it('stops claiming when the queue is empty', async () => {
+      jobRepo.claimNextItem.mockResolvedValue(null);
+
+      jobWorker.running = true;
+      await jobWorker.poll();
+
+      expect(jobRepo.claimNextItem).toHaveBeenCalledTimes(1);
+      expect(jobWorker.active).toBe(0);
+    });
+  });
+});
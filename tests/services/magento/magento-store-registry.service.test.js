@@ -0,0 +1,155 @@
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  api: {},
+  magentoStores: { ejuices: { url: 'https://env.ejuices.test', token: 'env-token' } },
+  shopify: { oauth: { keyring: { k1: require('crypto').randomBytes(32).toString('base64') }, activeKeyId: 'k1' } }
+}));
+jest.mock('../../../src/database/repositories/magento-store.repository');
+jest.mock('../../../src/services/magento/magento.client');
+
+const storeRepo = require('../../../src/database/repositories/magento-store.repository');
+const MagentoClient = require('../../../src/services/magento/magento.client');
+const { ValidationError } = require('../../../src/utils/error-handler');
+const registry = require('../../../src/services/magento/magento-store-registry.service');
+
+const row = (fields = {}) => ({
+  id: 'store-1',
+  name: 'misthub',
+  base_url: 'https://misthub.test',
+  status: 'active',
+  token_envelope: registry.cryptoService.encrypt('db-token', 'store-1', 'access'),
+  ...fields
+});
+
+describe('MagentoStoreRegistry', () => {
+  beforeEach(async () => {
+    storeRepo.list.mockResolvedValue([]);
+    storeRepo.getVersion.mockResolvedValue('0:');
+    await registry.load();
+  });
+
+  describe('load and get', () => {
+    it('resolves active database stores first and falls back to env stores', async () => {
+      storeRepo.list.mockResolvedValue([
+        row(),
+        row({ id: 'store-2', name: 'ejuices', base_url: 'https://db.ejuices.test', token_envelope: registry.cryptoService.encrypt('db-ejuices', 'store-2', 'access') }),
+        row({ id: 'store-3', name: 'retired', status: 'disabled' })
+      ]);
+
+      await registry.load();
+
+      expect(registry.get('misthub')).toEqual({ url: 'https://misthub.test', token: 'db-token' });
+      expect(registry.get('ejuices')).toEqual({ url: 'https://db.ejuices.test', token: 'db-ejuices' });
+      expect(registry.get('retired')).toBeNull();
+      expect(registry.storeNames()).toEqual(['ejuices', 'misthub']);
+    });
+
+    it('does not fall back to the env store when its database store is disabled', async () => {
+      storeRepo.list.mockResolvedValue([row({ id: 'store-2', name: 'ejuices', status: 'disabled' })]);
+
+      await registry.load();
+
+      expect(registry.get('ejuices')).toBeNull();
+      expect(registry.storeNames()).toEqual([]);
+    });
+
+    it('skips a store whose token cannot be decrypted', async () => {
+      storeRepo.list.mockResolvedValue([row({ token_envelope: { v: 1, kid: 'gone' } })]);
+
+      await registry.load();
+
+      expect(registry.get('misthub')).toBeNull();
+    });
+  });
+
+  describe('refreshIfChanged', () => {
+    it('reloads only when another process changed the table', async () => {
+      storeRepo.list.mockResolvedValue([row()]);
+
+      await expect(registry.refreshIfChanged()).resolves.toBe(false);
+      expect(registry.get('misthub')).toBeNull();
+
+      storeRepo.getVersion.mockResolvedValue('1:2026-10-19T10:00:00.000Z');
+      await expect(registry.refreshIfChanged()).resolves.toBe(true);
+      expect(registry.get('misthub')).toEqual({ url: 'https://misthub.test', token: 'db-token' });
+
+      await expect(registry.refreshIfChanged()).resolves.toBe(false);
+      expect(storeRepo.list).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('list', () => {
+    it('lists database and env stores without tokens', async () => {
+      storeRepo.list.mockResolvedValue([row()]);
+
+      const stores = await registry.list();
+
+      expect(stores.map(store => [store.name, store.source])).toEqual([['ejuices', 'environment'], ['misthub', 'database']]);
+      expect(JSON.stringify(stores)).not.toContain('token');
+    });
+  });
+
+  describe('create', () => {
+    it('stores an encrypted token and makes the store resolvable', async () => {
+      storeRepo.findByName.mockResolvedValue(undefined);
+      storeRepo.create.mockImplementation(async ({ name, baseUrl, encryptToken }) => row({ name, base_url: baseUrl, token_envelope: encryptToken('store-1') }));
+      storeRepo.list.mockImplementation(async () => [await storeRepo.create.mock.results[0].value]);
+
+      const store = await registry.create({ name: 'MistHub', baseUrl: 'https://misthub.test', token: 'new-token' });
+
+      expect(store).toMatchObject({ name: 'misthub', source: 'database', status: 'active' });
+      expect(store.token_envelope).toBeUndefined();
+      expect(registry.get('misthub')).toEqual({ url: 'https://misthub.test', token: 'new-token' });
+    });
+
+    it('rejects invalid input and existing names', async () => {
+      await expect(registry.create({ name: 'bad name', baseUrl: 'ftp://x', token: '' })).rejects.toThrow(ValidationError);
+
+      storeRepo.findByName.mockResolvedValue(row());
+      await expect(registry.create({ name: 'misthub', baseUrl: 'https://misthub.test', token: 't' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('verify', () => {
+    it('tests the stored credentials and records the outcome', async () => {
+      storeRepo.findByName.mockResolvedValue(row());
+      storeRepo.update.mockImplementation(async (id, fields) => row(fields));
+      MagentoClient.mockImplementation(() => ({ testConnection: jest.fn().mockResolvedValue({ connected: false, error: 'Unauthorized' }) }));
+
+      const result = await registry.verify('misthub');
+
+      expect(MagentoClient).toHaveBeenCalledWith('https://misthub.test', 'db-token', {});
+      expect(storeRepo.update).toHaveBeenCalledWith('store-1', { last_error: 'Unauthorized' });
+      expect(result.connection.connected).toBe(false);
+    });
+
+    it('throws 404 for a store that is not in the database', async () => {
+      storeRepo.findByName.mockResolvedValue(undefined);
+
+      await expect(registry.verify('ejuices')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('disable and rotate', () => {
+    it('disables a store and re-enables it with new credentials', async () => {
+      storeRepo.findByName.mockResolvedValue(row());
+      storeRepo.update.mockImplementation(async (id, fields) => row(fields));
+
+      storeRepo.list.mockResolvedValue([row({ status: 'disabled' })]);
+      await registry.disable('misthub');
+      expect(storeRepo.update).toHaveBeenCalledWith('store-1', { status: 'disabled' });
+      expect(registry.get('misthub')).toBeNull();
+
+      const rotated = registry.cryptoService.encrypt('rotated', 'store-1', 'access');
+      storeRepo.list.mockResolvedValue([row({ token_envelope: rotated })]);
+      await registry.rotate('misthub', { token: 'rotated' });
+
+      const update = storeRepo.update.mock.calls[1][1];
+      expect(update).toMatchObject({ status: 'active', base_url: 'https://misthub.test', verified_at: null });
+      expect(registry.cryptoService.decrypt(update.token_envelope, 'store-1', 'access')).toBe('rotated');
+      expect(registry.get('misthub')).toEqual({ url: 'https://misthub.test', token: 'rotated' });
+    });
+  });
+});
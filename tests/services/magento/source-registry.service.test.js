@@ -0,0 +1,118 @@
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  api: { timeout: 1000 },
+  source: { baseUrl: 'https://source.test', token: 'source-token', adminUrl: 'https://admin.source.test' },
+  sources: {
+    supplierb: {
+      baseUrl: 'https://supplier-b.test',
+      token: 'supplier-b-token',
+      adminUrl: null,
+      categoryMappingPath: '/mappings/supplier-b.json'
+    }
+  }
+}));
+jest.mock('../../../src/services/magento/source.service');
+jest.mock('../../../src/services/category-mapping.service');
+jest.mock('../../../src/services/shopify/shopify-source.service', () => jest.fn());
+
+const SourceService = require('../../../src/services/magento/source.service');
+const CategoryMappingService = require('../../../src/services/category-mapping.service');
+const ShopifySourceService = require('../../../src/services/shopify/shopify-source.service');
+const { ValidationError } = require('../../../src/utils/error-handler');
+const registry = require('../../../src/services/magento/source-registry.service');
+
+describe('SourceRegistry', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lists the default source first, then named sources', () => {
+    expect(registry.names()).toEqual(['default', 'supplierb']);
+    expect(registry.has('supplierb')).toBe(true);
+    expect(registry.has('shopify:wholesale')).toBe(true);
+    expect(registry.has('shopify:')).toBe(false);
+    expect(registry.has('unknown')).toBe(false);
+  });
+
+  it('builds the default source from SOURCE_MAGENTO_* config', () => {
+    expect(registry.get()).toEqual({
+      name: 'default',
+      platform: 'magento',
+      baseUrl: 'https://source.test',
+      token: 'source-token',
+      adminUrl: 'https://admin.source.test',
+      categoryMappingPath: null
+    });
+  });
+
+  it('rejects unknown sources with a validation error', () => {
+    expect(() => registry.get('unknown')).toThrow(ValidationError);
+    expect(() => registry.createSourceService('unknown')).toThrow('Unknown source: unknown');
+  });
+
+  it('creates a SourceService with the credentials of the named source', () => {
+    registry.createSourceService('supplierb');
+
+    expect(SourceService).toHaveBeenCalledWith('https://supplier-b.test', 'supplier-b-token', { timeout: 1000, adminUrl: null });
+  });
+
+  it('reads a shopify:<alias> source through ShopifySourceService', () => {
+    expect(registry.get('shopify:wholesale')).toEqual({
+      name: 'shopify:wholesale',
+      platform: 'shopify',
+      shopifyStore: 'wholesale',
+      categoryMappingPath: null
+    });
+
+    registry.createSourceService('shopify:wholesale');
+
+    expect(ShopifySourceService).toHaveBeenCalledWith('wholesale');
+    expect(SourceService).not.toHaveBeenCalled();
+  });
+
+  it('refuses Shopify sources where a Magento source is required', () => {
+    expect(() => registry.createMagentoSourceService('shopify:wholesale')).toThrow(ValidationError);
+    expect(ShopifySourceService).not.toHaveBeenCalled();
+  });
+
+  it('creates category mappings from the source mapping file', () => {
+    registry.createCategoryMapping('supplierb');
+    registry.createCategoryMapping();
+
+    expect(CategoryMappingService).toHaveBeenNthCalledWith(1, '/mappings/supplier-b.json');
+    expect(CategoryMappingService).toHaveBeenNthCalledWith(2, null);
+  });
+
+  describe('forSource', () => {
+    const owner = () => ({ sourceName: 'default' });
+
+    it('returns the owner when no other source is requested', () => {
+      const service = owner();
+      const create = jest.fn();
+
+      expect(registry.forSource(service, undefined, create)).toBe(service);
+      expect(registry.forSource(service, 'default', create)).toBe(service);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('creates one instance per requested source and reuses it', () => {
+      const service = owner();
+      const create = jest.fn(name => ({ sourceName: name }));
+
+      const first = registry.forSource(service, 'supplierb', create);
+      const second = registry.forSource(service, 'supplierb', create);
+
+      expect(first).toEqual({ sourceName: 'supplierb' });
+      expect(second).toBe(first);
+      expect(create).toHaveBeenCalledTimes(1);
+    });
+
+    it('throws before creating anything for an unknown source', () => {
+      const create = jest.fn();
+
+      expect(() => registry.forSource(owner(), 'unknown', create)).toThrow(ValidationError);
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -54,6 +54,22 @@ describe('TargetService', () => {
     });
   });
 
+  describe('countProductsUsingAttributeOption', () => {
+    it('searches products at global scope by the option value', async () => {
+      const getSpy = jest.spyOn(service, 'get').mockResolvedValue({ total_count: 2 });
+
+      await expect(service.countProductsUsingAttributeOption('flavor', 501)).resolves.toBe(2);
+
+      const [endpoint, params] = getSpy.mock.calls[0];
+      expect(endpoint).toBe('/rest/all/V1/products');
+      expect(params).toMatchObject({
+        'searchCriteria[filterGroups][0][filters][0][field]': 'flavor',
+        'searchCriteria[filterGroups][0][filters][0][value]': '501',
+        'searchCriteria[pageSize]': 1
+      });
+    });
+  });
+
   describe('deleteAllProductMedia', () => {
     let deleteSpy;
 
@@ -100,4 +116,46 @@ describe('TargetService', () => {
       expect(deleteSpy).toHaveBeenCalledWith('/rest/V1/products/SKU%2F001/media/5');
     });
   });
+
+  describe('compensation log', () => {
+    let recorder;
+
+    beforeEach(() => {
+      recorder = { record: jest.fn().mockResolvedValue(undefined) };
+      service.withCompensationLog(recorder);
+      service.client.post = jest.fn().mockResolvedValue({ data: { id: 42, sku: 'NEW-SKU' } });
+    });
+
+    it('records products that did not exist before', async () => {
+      jest.spyOn(service, 'getProductBySku').mockResolvedValue(null);
+
+      await service.createProduct({ sku: 'NEW-SKU', name: 'New' });
+
+      expect(recorder.record).toHaveBeenCalledWith('product', 'NEW-SKU', { sku: 'NEW-SKU', productId: 42 });
+    });
+
+    it('does not record products that were only overwritten', async () => {
+      jest.spyOn(service, 'getProductBySku').mockResolvedValue({ id: 7, sku: 'NEW-SKU' });
+
+      await service.createProduct({ sku: 'NEW-SKU', name: 'New' });
+
+      expect(recorder.record).not.toHaveBeenCalled();
+    });
+
+    it('records created attribute options with the returned option ID', async () => {
+      jest.spyOn(service, 'post').mockResolvedValue('id_501');
+
+      await service.createAttributeOption('flavor', 'Mango');
+
+      expect(recorder.record).toHaveBeenCalledWith('attribute_option', 'flavor:Mango', {
+        attributeCode: 'flavor',
+        label: 'Mango',
+        optionId: '501'
+      });
+    });
+
+    it('passes the recorder on to store-scoped instances', () => {
+      expect(service.createScopedInstance('default')._compensationLog).toBe(recorder);
+    });
+  });
 });
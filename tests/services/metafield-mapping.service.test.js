@@ -0,0 +1,106 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MetafieldMappingService = require('../../src/services/metafield-mapping.service');
+const AttributeService = require('../../src/services/attribute.service');
+
+describe('MetafieldMappingService', () => {
+  let dir;
+  let sourceService;
+  let attributeService;
+
+  const writeMapping = data => {
+    const file = path.join(dir, 'metafield-mapping.json');
+    fs.writeFileSync(file, JSON.stringify(data));
+    return new MetafieldMappingService(file);
+  };
+
+  const product = {
+    sku: 'POD-RED',
+    custom_attributes: [
+      { attribute_code: 'nicotine_strength', value: '12' },
+      { attribute_code: 'puff_count', value: '5,000 Puffs' },
+      { attribute_code: 'flavor_notes', value: '21,22' },
+      { attribute_code: 'rechargeable', value: '1' },
+      { attribute_code: 'coil_resistance', value: '' }
+    ]
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metafield-mapping-'));
+    sourceService = {
+      getAttributeOptions: jest.fn(async code => ({
+        nicotine_strength: [{ label: ' ', value: '' }, { label: '50mg', value: '12' }],
+        flavor_notes: [{ label: 'Mint', value: '21' }, { label: 'Berry', value: '22' }]
+      })[code] || [])
+    };
+    attributeService = new AttributeService(sourceService);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('maps custom attributes to typed metafields, translating option labels', async () => {
+    const service = writeMapping({
+      mappings: [
+        { attribute: 'nicotine_strength', namespace: 'specs', key: 'nicotine', type: 'single_line_text_field' },
+        { attribute: 'puff_count', namespace: 'specs', key: 'puffs', type: 'number_integer' },
+        { attribute: 'flavor_notes', namespace: 'specs', key: 'flavors', type: 'list.single_line_text_field' },
+        { attribute: 'rechargeable', namespace: 'specs', key: 'rechargeable', type: 'boolean' },
+        { attribute: 'coil_resistance', namespace: 'specs', key: 'coil', type: 'number_decimal' },
+        { attribute: 'battery_capacity', namespace: 'specs', key: 'battery', type: 'single_line_text_field' }
+      ]
+    });
+
+    const metafields = await service.buildMetafields(product, attributeService, 'vapordna');
+
+    expect(metafields).toEqual([
+      { namespace: 'specs', key: 'nicotine', type: 'single_line_text_field', value: '50mg' },
+      { namespace: 'specs', key: 'puffs', type: 'number_integer', value: '5000' },
+      { namespace: 'specs', key: 'flavors', type: 'list.single_line_text_field', value: '["Mint","Berry"]' },
+      { namespace: 'specs', key: 'rechargeable', type: 'boolean', value: 'true' }
+    ]);
+  });
+
+  it('lets store entries replace defaults with the same owner, namespace and key', () => {
+    const service = writeMapping({
+      mappings: [
+        { attribute: 'nicotine_strength', namespace: 'specs', key: 'nicotine', type: 'single_line_text_field' },
+        { attribute: 'puff_count', namespace: 'specs', key: 'puffs', type: 'number_integer', owner: 'variant' }
+      ],
+      stores: {
+        VaporDNA: [{ attribute: 'nicotine_level', namespace: 'specs', key: 'nicotine', type: 'single_line_text_field' }]
+      }
+    });
+
+    expect(service.getMappings('vapordna', 'product').map(m => m.attribute)).toEqual(['nicotine_level']);
+    expect(service.getMappings('other', 'product').map(m => m.attribute)).toEqual(['nicotine_strength']);
+    expect(service.getMappings('vapordna', 'variant').map(m => m.attribute)).toEqual(['puff_count']);
+    expect(service.hasMappings('variant')).toBe(true);
+  });
+
+  it('skips invalid entries and works without a mapping file', async () => {
+    const service = writeMapping({
+      mappings: [
+        { attribute: 'puff_count', namespace: 'specs', type: 'number_integer' },
+        { attribute: 'puff_count', namespace: 'specs', key: 'puffs', type: 'number_integer', owner: 'collection' }
+      ]
+    });
+    const missing = new MetafieldMappingService(path.join(dir, 'missing.json'));
+
+    expect(service.getMappings(null, 'product')).toEqual([]);
+    await expect(missing.buildMetafields(product, attributeService, null)).resolves.toEqual([]);
+    expect(missing.hasMappings('product')).toBe(false);
+  });
+
+  it('fetches attribute options once per attribute code', async () => {
+    await attributeService.translateAttributeValue('flavor_notes', '21');
+    await expect(attributeService.translateAttributeValue('flavor_notes', '22,99')).resolves.toEqual(['Berry', '99']);
+    await expect(attributeService.translateAttributeValue('puff_count', '800')).resolves.toEqual(['800']);
+
+    expect(sourceService.getAttributeOptions).toHaveBeenCalledTimes(2);
+  });
+});
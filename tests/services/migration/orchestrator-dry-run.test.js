@@ -0,0 +1,201 @@
+// tests/services/migration/orchestrator-dry-run.test.js
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  source: { baseUrl: 'http://source.test', token: 'tok' },
+  api: {},
+  migration: { includeImages: true, createMissingAttributes: false, overwriteExisting: false },
+  concurrency: { maxImageSizeMB: 5 },
+  errorHandling: { continueOnError: true },
+  magentoStores: { ejuices: {} }
+}));
+
+jest.mock('../../../src/services/magento/source.service');
+jest.mock('../../../src/services/magento/target.service');
+jest.mock('../../../src/services/migration/extraction.service');
+jest.mock('../../../src/services/migration/standalone-extraction.service');
+jest.mock('../../../src/services/category-mapping.service');
+jest.mock('../../../src/services/notification/notification.service');
+jest.mock('../../../src/services/ai/content-generation.service');
+jest.mock('../../../src/database/repositories/ai-prompt.repository');
+
+const OrchestratorService = require('../../../src/services/migration/orchestrator.service');
+
+describe('OrchestratorService — dry run', () => {
+  let orchestrator;
+  let targetService;
+
+  const extractedData = {
+    parent: {
+      sku: 'CONFIG-001',
+      type_id: 'configurable',
+      name: 'Config Product',
+      price: 19.99,
+      custom_attributes: [{ attribute_code: 'category_ids', value: ['3'] }],
+      extension_attributes: {
+        configurable_product_options: [
+          { attribute_id: '93', label: 'Flavor', position: 0, values: [{ value_index: 11 }, { value_index: 12 }] }
+        ]
+      }
+    },
+    children: [
+      { sku: 'CHILD-MINT', name: 'Mint', price: 19.99, custom_attributes: [{ attribute_code: 'flavor', value: '11' }] },
+      { sku: 'CHILD-MANGO', name: 'Mango', price: 19.99, custom_attributes: [{ attribute_code: 'flavor', value: '12' }] }
+    ],
+    childLinks: [],
+    images: { parent: [{ file: '/p.jpg' }], children: { 'CHILD-MANGO': [{ file: '/m.jpg' }] } },
+    categories: [{ name: 'E-Liquids' }, { name: 'Clearance' }],
+    translations: {
+      attributeSet: { name: 'E-Liquid' },
+      attributes: { 93: 'flavor' },
+      attributeValues: {
+        '93_11': { attributeCode: 'flavor', label: 'Mint', value: 11 },
+        '93_12': { attributeCode: 'flavor', label: 'Mango', value: 12 }
+      },
+      customAttributes: {}
+    }
+  };
+
+  beforeEach(() => {
+    orchestrator = new OrchestratorService();
+    orchestrator.sourceService.getProductBySku = jest.fn().mockResolvedValue({ sku: 'CONFIG-001', type_id: 'configurable' });
+    orchestrator.executeExtractionPhase = jest.fn().mockImplementation(async (sku, context) => {
+      context.phases.extraction.success = true;
+      return extractedData;
+    });
+    orchestrator.categoryMappingService.getTargetMagentoCategories = jest.fn(names => names);
+
+    targetService = {
+      getAttributeSetByName: jest.fn().mockResolvedValue({ attribute_set_id: 9, attribute_set_name: 'E-Liquid' }),
+      getAttributeByCode: jest.fn().mockResolvedValue({ attribute_id: 193 }),
+      findAttributeOptionByLabel: jest.fn().mockImplementation(async (code, label) =>
+        label === 'Mint' ? { label: 'Mint', value: '501' } : null
+      ),
+      getCategoryIdByName: jest.fn().mockImplementation(async name => (name === 'E-Liquids' ? 12 : null)),
+      getStoreWebsiteMapping: jest.fn().mockResolvedValue({ default: 1, wholesale: 2 }),
+      getProductBySku: jest.fn().mockResolvedValue(null),
+      getConfigurableChildren: jest.fn().mockResolvedValue([]),
+      ensureAttributeOptionExists: jest.fn(),
+      createAttributeOption: jest.fn(),
+      createProduct: jest.fn(),
+      createConfigurableOptions: jest.fn(),
+      linkChildProduct: jest.fn(),
+      updateProduct: jest.fn()
+    };
+    orchestrator.getTargetService = jest.fn().mockReturnValue(targetService);
+  });
+
+  const expectNoWrites = () => {
+    expect(targetService.ensureAttributeOptionExists).not.toHaveBeenCalled();
+    expect(targetService.createAttributeOption).not.toHaveBeenCalled();
+    expect(targetService.createProduct).not.toHaveBeenCalled();
+    expect(targetService.createConfigurableOptions).not.toHaveBeenCalled();
+    expect(targetService.linkChildProduct).not.toHaveBeenCalled();
+    expect(targetService.updateProduct).not.toHaveBeenCalled();
+  };
+
+  it('plans a full creation with the exact payloads and writes nothing', async () => {
+    const result = await orchestrator.migrateProduct('CONFIG-001', { targetMagentoStores: ['ejuices'], dryRun: true });
+
+    expectNoWrites();
+    expect(orchestrator.notificationService.notifyMigrationStart).not.toHaveBeenCalled();
+    expect(orchestrator.contentGenerationService.generateForStores).not.toHaveBeenCalled();
+
+    expect(result.dryRun).toBe(true);
+    expect(result.success).toBe(true);
+
+    const plan = result.plans.ejuices;
+    expect(plan.mode).toBe('full-creation');
+    expect(plan.attributeOptionsToCreate).toEqual([{ attributeCode: 'flavor', label: 'Mango' }]);
+    expect(plan.categories).toEqual({ resolved: { 'E-Liquids': 12 }, missing: ['Clearance'] });
+
+    expect(plan.parent.action).toBe('create');
+    expect(plan.parent.payload).toMatchObject({
+      sku: 'CONFIG-001',
+      attribute_set_id: 9,
+      website_ids: [1, 2],
+      extension_attributes: { category_links: [{ category_id: '12', position: 0 }] }
+    });
+    expect(plan.parent.images).toBe(1);
+
+    expect(plan.children.create.map(c => c.sku)).toEqual(['CHILD-MINT', 'CHILD-MANGO']);
+    expect(plan.children.create[0].payload.custom_attributes).toEqual([{ attribute_code: 'flavor', value: '501' }]);
+    expect(plan.children.create[1].payload.custom_attributes).toEqual([{ attribute_code: 'flavor', value: 'new:Mango' }]);
+    expect(plan.children.skip).toEqual([]);
+
+    expect(plan.configurableOptions).toEqual([{
+      attribute_id: '193',
+      label: 'Flavor',
+      position: 0,
+      is_use_default: true,
+      values: [{ value_index: 501 }, { value_index: 'new:Mango' }]
+    }]);
+    expect(plan.links).toEqual([
+      { parentSku: 'CONFIG-001', childSku: 'CHILD-MINT' },
+      { parentSku: 'CONFIG-001', childSku: 'CHILD-MANGO' }
+    ]);
+    expect(plan.storeUpdates).toEqual(['wholesale']);
+  });
+
+  it('plans a variant sync when the parent exists, skipping existing children', async () => {
+    targetService.getProductBySku.mockResolvedValue({ id: 77, sku: 'CONFIG-001' });
+    targetService.getConfigurableChildren.mockResolvedValue([{ sku: 'CHILD-MINT' }]);
+
+    const result = await orchestrator.migrateProduct('CONFIG-001', { targetMagentoStores: ['ejuices'], dryRun: true });
+
+    expectNoWrites();
+
+    const plan = result.plans.ejuices;
+    expect(plan.mode).toBe('variant-sync');
+    expect(plan.existingProductId).toBe(77);
+    expect(plan.parent).toEqual({ sku: 'CONFIG-001', action: 'skip', payload: null, images: 0 });
+    expect(plan.children.create.map(c => c.sku)).toEqual(['CHILD-MANGO']);
+    expect(plan.children.create[0].images).toBe(1);
+    expect(plan.children.skip).toEqual([{ sku: 'CHILD-MINT', reason: 'already_exists' }]);
+    expect(plan.links).toEqual([{ parentSku: 'CONFIG-001', childSku: 'CHILD-MANGO' }]);
+  });
+
+  it('plans a standalone simple product and writes nothing', async () => {
+    const simple = {
+      parent: {
+        sku: 'SIMPLE-001',
+        type_id: 'simple',
+        visibility: 4,
+        name: 'Simple Product',
+        price: 9.99,
+        custom_attributes: [{ attribute_code: 'category_ids', value: ['3'] }]
+      },
+      children: [],
+      images: { parent: [{ file: '/s.jpg' }], children: {} },
+      categories: [{ name: 'E-Liquids' }],
+      translations: { attributeSet: { name: 'E-Liquid' }, attributes: {}, attributeValues: {}, customAttributes: {} }
+    };
+    orchestrator.sourceService.getProductBySku.mockResolvedValue({ sku: 'SIMPLE-001', type_id: 'simple', visibility: 4 });
+    orchestrator.executeStandaloneExtractionPhase = jest.fn().mockImplementation(async (sku, product, context) => {
+      context.phases.extraction.success = true;
+      return simple;
+    });
+
+    const result = await orchestrator.migrateProduct('SIMPLE-001', { targetMagentoStores: ['ejuices'], dryRun: true });
+
+    expectNoWrites();
+    expect(result.success).toBe(true);
+
+    const plan = result.plans.ejuices;
+    expect(plan.mode).toBe('standalone-creation');
+    expect(plan.parent).toMatchObject({ sku: 'SIMPLE-001', action: 'create', images: 1 });
+    expect(plan.parent.payload).toMatchObject({ sku: 'SIMPLE-001', attribute_set_id: 9, website_ids: [1, 2] });
+    expect(plan.children).toEqual({ create: [], skip: [] });
+    expect(plan.storeUpdates).toEqual(['wholesale']);
+  });
+
+  it('records a per-instance planning failure in the plan and errors', async () => {
+    targetService.getStoreWebsiteMapping.mockRejectedValue(new Error('target unreachable'));
+
+    const result = await orchestrator.migrateProduct('CONFIG-001', { targetMagentoStores: ['ejuices'], dryRun: true });
+
+    expect(result.success).toBe(false);
+    expect(result.plans.ejuices).toEqual({ success: false, error: 'target unreachable' });
+    expect(result.errors[0]).toMatchObject({ phase: 'instance-plan', storeName: 'ejuices' });
+  });
+});
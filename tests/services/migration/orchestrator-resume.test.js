@@ -0,0 +1,130 @@
+// tests/services/migration/orchestrator-resume.test.js
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  source: { baseUrl: 'http://source.test', token: 'tok' },
+  api: {},
+  migration: { includeImages: true, createMissingAttributes: false, overwriteExisting: false },
+  errorHandling: { continueOnError: true },
+  magentoStores: { ejuices: {}, misthub: {} }
+}));
+
+jest.mock('../../../src/services/magento/source.service');
+jest.mock('../../../src/services/magento/target.service');
+jest.mock('../../../src/services/migration/extraction.service');
+jest.mock('../../../src/services/migration/standalone-extraction.service');
+jest.mock('../../../src/services/migration/standalone-magento-creation.service');
+jest.mock('../../../src/services/category-mapping.service');
+jest.mock('../../../src/services/notification/notification.service');
+jest.mock('../../../src/services/ai/content-generation.service');
+jest.mock('../../../src/database/repositories/ai-prompt.repository');
+jest.mock('../../../src/database/repositories/migration-run.repository');
+
+const OrchestratorService = require('../../../src/services/migration/orchestrator.service');
+const aiPromptRepo = require('../../../src/database/repositories/ai-prompt.repository');
+const migrationRunRepo = require('../../../src/database/repositories/migration-run.repository');
+
+describe('OrchestratorService — resuming a previous attempt', () => {
+  let orchestrator;
+
+  const extractedData = {
+    parent: { sku: 'CONFIG-001', type_id: 'configurable', name: 'Original', custom_attributes: [] },
+    children: [{ sku: 'CHILD-001' }]
+  };
+
+  beforeEach(() => {
+    orchestrator = new OrchestratorService();
+    orchestrator.sourceService.getProductBySku = jest.fn().mockResolvedValue({ sku: 'CONFIG-001', type_id: 'configurable' });
+    orchestrator.executeExtractionPhase = jest.fn().mockImplementation(async (sku, context) => {
+      context.phases.extraction.success = true;
+      return extractedData;
+    });
+    orchestrator.migrateToInstance = jest.fn().mockResolvedValue({ success: true, mode: 'full-creation', childrenCreated: 1 });
+    orchestrator.contentGenerationService.generateForStores = jest.fn().mockResolvedValue({
+      ejuices: { title: 'AI Title', description: '<p>AI</p>' }
+    });
+    aiPromptRepo.findActiveByStore.mockResolvedValue(null);
+    migrationRunRepo.create.mockResolvedValue({ id: 'run-1', target_platform: 'magento' });
+  });
+
+  it('records generated content and successful instances in resumeState', async () => {
+    orchestrator.migrateToInstance
+      .mockResolvedValueOnce({ success: true, mode: 'full-creation', childrenCreated: 1 })
+      .mockRejectedValueOnce(new Error('misthub down'));
+
+    const result = await orchestrator.migrateProduct('CONFIG-001', {
+      targetMagentoStores: ['ejuices', 'misthub'],
+      storePrompts: { ejuices: { prompt: 'Premium' } }
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.resumeState.generatedContent).toEqual({ ejuices: { title: 'AI Title', description: '<p>AI</p>' } });
+    expect(Object.keys(result.resumeState.completedInstances)).toEqual(['ejuices']);
+  });
+
+  it('checkpoints after AI generation and after each successful instance', async () => {
+    const checkpoints = [];
+    const onCheckpoint = jest.fn(async state => checkpoints.push(JSON.parse(JSON.stringify(state))));
+    orchestrator.migrateToInstance
+      .mockResolvedValueOnce({ success: true, mode: 'full-creation', childrenCreated: 1 })
+      .mockResolvedValueOnce({ success: false, error: 'misthub rejected the product', storeResults: {} });
+
+    await orchestrator.migrateProduct('CONFIG-001', {
+      targetMagentoStores: ['ejuices', 'misthub'],
+      storePrompts: { ejuices: { prompt: 'Premium' } },
+      onCheckpoint
+    });
+
+    expect(checkpoints).toHaveLength(2);
+    expect(checkpoints[0]).toEqual({ generatedContent: { ejuices: { title: 'AI Title', description: '<p>AI</p>' } }, completedInstances: {} });
+    expect(Object.keys(checkpoints[1].completedInstances)).toEqual(['ejuices']);
+  });
+
+  it('keeps instances completed before an instance error stops the run', async () => {
+    const config = require('../../../src/config');
+    config.errorHandling.continueOnError = false;
+    orchestrator.migrateToInstance
+      .mockResolvedValueOnce({ success: true, mode: 'full-creation', childrenCreated: 1 })
+      .mockRejectedValueOnce(new Error('misthub down'));
+
+    try {
+      const result = await orchestrator.migrateProduct('CONFIG-001', { targetMagentoStores: ['ejuices', 'misthub'] });
+
+      expect(result.success).toBe(false);
+      expect(Object.keys(result.resumeState.completedInstances)).toEqual(['ejuices']);
+    } finally {
+      config.errorHandling.continueOnError = true;
+    }
+  });
+
+  it('skips instances that succeeded previously and reuses generated content', async () => {
+    const resumeState = {
+      generatedContent: { ejuices: { title: 'Saved Title', description: '<p>Saved</p>' } },
+      completedInstances: { ejuices: { success: true, mode: 'full-creation', childrenCreated: 1 } }
+    };
+
+    const result = await orchestrator.migrateProduct('CONFIG-001', {
+      targetMagentoStores: ['ejuices', 'misthub'],
+      storePrompts: { ejuices: { prompt: 'Premium' } }
+    }, resumeState);
+
+    expect(orchestrator.contentGenerationService.generateForStores).not.toHaveBeenCalled();
+    expect(orchestrator.migrateToInstance).toHaveBeenCalledTimes(1);
+    expect(orchestrator.migrateToInstance.mock.calls[0][0]).toBe('misthub');
+    expect(result.instanceResults.ejuices.resumed).toBe(true);
+    expect(result.phases.aiGeneration.resumed).toBe(true);
+    expect(result.success).toBe(true);
+    expect(Object.keys(result.resumeState.completedInstances).sort()).toEqual(['ejuices', 'misthub']);
+  });
+
+  it('re-runs instances whose previous attempt failed', async () => {
+    const resumeState = {
+      generatedContent: null,
+      completedInstances: {}
+    };
+
+    await orchestrator.migrateProduct('CONFIG-001', { targetMagentoStores: ['ejuices'] }, resumeState);
+
+    expect(orchestrator.migrateToInstance).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,144 @@
+// tests/services/migration/orchestrator-rollback.test.js
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  source: { baseUrl: 'http://source.test', token: 'tok' },
+  api: {},
+  migration: { includeImages: false, createMissingAttributes: false, overwriteExisting: false, rollbackOnFailure: true },
+  concurrency: { maxImageSizeMB: 5 },
+  errorHandling: { continueOnError: true },
+  magentoStores: { ejuices: {}, misthub: {} }
+}));
+
+jest.mock('../../../src/services/magento/source.service');
+jest.mock('../../../src/services/magento/target.service');
+jest.mock('../../../src/services/migration/extraction.service');
+jest.mock('../../../src/services/migration/standalone-extraction.service');
+jest.mock('../../../src/services/category-mapping.service');
+jest.mock('../../../src/services/notification/notification.service');
+jest.mock('../../../src/services/ai/content-generation.service');
+jest.mock('../../../src/database/repositories/ai-prompt.repository');
+jest.mock('../../../src/database/repositories/migration-run.repository');
+
+const OrchestratorService = require('../../../src/services/migration/orchestrator.service');
+const TargetService = require('../../../src/services/magento/target.service');
+const aiPromptRepo = require('../../../src/database/repositories/ai-prompt.repository');
+const migrationRunRepo = require('../../../src/database/repositories/migration-run.repository');
+const rollbackService = require('../../../src/services/migration/rollback.service');
+
+describe('OrchestratorService — compensation log and rollback', () => {
+  let orchestrator;
+  let targetService;
+  let recorded;
+
+  const extractedData = {
+    parent: {
+      sku: 'CONFIG-001',
+      type_id: 'configurable',
+      name: 'Config Product',
+      price: 19.99,
+      custom_attributes: [],
+      extension_attributes: {
+        configurable_product_options: [
+          { attribute_id: '93', label: 'Flavor', position: 0, values: [{ value_index: 11 }] }
+        ]
+      }
+    },
+    children: [
+      { sku: 'CHILD-MINT', name: 'Mint', price: 19.99, custom_attributes: [{ attribute_code: 'flavor', value: '11' }] }
+    ],
+    childLinks: [],
+    images: { parent: [], children: {} },
+    categories: [],
+    translations: {
+      attributeSet: { name: 'E-Liquid' },
+      attributes: { 93: 'flavor' },
+      attributeValues: { '93_11': { attributeCode: 'flavor', label: 'Mint', value: 11 } },
+      customAttributes: {}
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    recorded = [];
+
+    orchestrator = new OrchestratorService();
+    orchestrator.sourceService.getProductBySku = jest.fn().mockResolvedValue({ sku: 'CONFIG-001', type_id: 'configurable' });
+    orchestrator.executeExtractionPhase = jest.fn().mockImplementation(async (sku, context) => {
+      context.phases.extraction.success = true;
+      return extractedData;
+    });
+    orchestrator.categoryMappingService.getTargetMagentoCategories = jest.fn(names => names);
+    aiPromptRepo.findActiveByStore.mockResolvedValue(null);
+
+    migrationRunRepo.create.mockResolvedValue({ id: 'run-1', sku: 'CONFIG-001', target_platform: 'magento' });
+    migrationRunRepo.addEntity.mockImplementation(async (runId, entity) => recorded.push(entity));
+    migrationRunRepo.finish.mockResolvedValue({});
+    migrationRunRepo.markEntity.mockResolvedValue({});
+    migrationRunRepo.findEntitiesToRollback.mockImplementation(async (runId, storeName) =>
+      recorded
+        .map((e, i) => ({ id: i + 1, store_name: e.storeName, entity_type: e.entityType, entity_key: e.entityKey, data: e.data }))
+        .filter(e => !storeName || e.store_name === storeName)
+        .reverse()
+    );
+
+    // Stands in for the recording a real TargetService does on createProduct
+    targetService = {
+      withCompensationLog: jest.fn(function (recorder) { this.recorder = recorder; return this; }),
+      createScopedInstance: jest.fn(function () { return this; }),
+      getAttributeSetByName: jest.fn().mockResolvedValue({ attribute_set_id: 9 }),
+      getAttributeByCode: jest.fn().mockResolvedValue({ attribute_id: 193 }),
+      ensureAttributeOptionExists: jest.fn().mockResolvedValue('501'),
+      getCategoryIdByName: jest.fn().mockResolvedValue(null),
+      getStoreWebsiteMapping: jest.fn().mockResolvedValue({ default: 1 }),
+      getProductBySku: jest.fn().mockResolvedValue(null),
+      createProduct: jest.fn(async function (data) {
+        if (data.sku === 'CONFIG-001' && this.failParent) throw new Error('parent failed');
+        await this.recorder.record('product', data.sku, { sku: data.sku });
+        return { id: 1, sku: data.sku };
+      }),
+      updateProductWeight: jest.fn().mockResolvedValue(true),
+      createConfigurableOptions: jest.fn().mockResolvedValue(true),
+      linkChildProduct: jest.fn().mockResolvedValue(true),
+      deleteProduct: jest.fn().mockResolvedValue(true)
+    };
+    orchestrator.getTargetService = jest.fn().mockReturnValue(targetService);
+    TargetService.getInstanceForStore.mockReturnValue(targetService);
+  });
+
+  it('deletes the children created before the parent failed', async () => {
+    targetService.failParent = true;
+
+    const result = await orchestrator.migrateProduct('CONFIG-001', { targetMagentoStores: ['ejuices'] });
+
+    expect(result.migrationId).toBe('run-1');
+    expect(result.success).toBe(false);
+    expect(recorded.map(e => e.entityKey)).toEqual(['CHILD-MINT']);
+    expect(targetService.deleteProduct.mock.calls.map(c => c[0])).toEqual(['CHILD-MINT']);
+    expect(result.instanceResults.ejuices.rollback).toMatchObject({ rolledBack: 1, failed: 0 });
+    expect(migrationRunRepo.finish).toHaveBeenCalledWith('run-1', { status: 'failed', error: null });
+  });
+
+  it('keeps partial results when rollbackOnFailure is false', async () => {
+    targetService.failParent = true;
+    const spy = jest.spyOn(rollbackService, 'rollbackRun');
+
+    const result = await orchestrator.migrateProduct('CONFIG-001', {
+      targetMagentoStores: ['ejuices'],
+      rollbackOnFailure: false
+    });
+
+    expect(spy).not.toHaveBeenCalled();
+    expect(targetService.deleteProduct).not.toHaveBeenCalled();
+    expect(result.instanceResults.ejuices.rollback).toBeUndefined();
+    spy.mockRestore();
+  });
+
+  it('completes the run and rolls nothing back on success', async () => {
+    const result = await orchestrator.migrateProduct('CONFIG-001', { targetMagentoStores: ['ejuices'] });
+
+    expect(result.success).toBe(true);
+    expect(targetService.deleteProduct).not.toHaveBeenCalled();
+    expect(migrationRunRepo.finish).toHaveBeenCalledWith('run-1', { status: 'completed', error: null });
+  });
+});
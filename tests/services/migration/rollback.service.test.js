@@ -0,0 +1,177 @@
+// tests/services/migration/rollback.service.test.js
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  magentoStores: { ejuices: {} },
+  api: {}
+}));
+jest.mock('../../../src/services/magento/target.service');
+jest.mock('../../../src/database/repositories/migration-run.repository');
+jest.mock('../../../src/services/shopify/shopify-store-registry.service', () => ({
+  getTargetService: jest.fn()
+}));
+
+const TargetService = require('../../../src/services/magento/target.service');
+const migrationRunRepo = require('../../../src/database/repositories/migration-run.repository');
+const shopifyRegistry = require('../../../src/services/shopify/shopify-store-registry.service');
+const rollbackService = require('../../../src/services/migration/rollback.service');
+
+describe('RollbackService', () => {
+  const run = { id: 'run-1', sku: 'CONFIG-001', target_platform: 'magento' };
+  let targetService;
+
+  const entity = (id, entityType, entityKey, data, storeName = 'ejuices') => ({
+    id, store_name: storeName, entity_type: entityType, entity_key: entityKey, data
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    targetService = {
+      deleteProduct: jest.fn().mockResolvedValue(true),
+      deleteProductMedia: jest.fn().mockResolvedValue(true),
+      deleteAttributeOption: jest.fn().mockResolvedValue(true),
+      findAttributeOptionByLabel: jest.fn(),
+      countProductsUsingAttributeOption: jest.fn().mockResolvedValue(0)
+    };
+    TargetService.getInstanceForStore.mockReturnValue(targetService);
+    migrationRunRepo.markEntity.mockResolvedValue({});
+    migrationRunRepo.updateStatus.mockResolvedValue({});
+  });
+
+  it('deletes entities in the order returned (newest first) and marks them rolled back', async () => {
+    migrationRunRepo.findEntitiesToRollback.mockResolvedValue([
+      entity(4, 'product', 'CONFIG-001', { sku: 'CONFIG-001' }),
+      entity(3, 'media', 'CHILD-001:55', { sku: 'CHILD-001', entryId: 55 }),
+      entity(2, 'product', 'CHILD-001', { sku: 'CHILD-001' }),
+      entity(1, 'attribute_option', 'flavor:Mango', { attributeCode: 'flavor', label: 'Mango', optionId: '501' })
+    ]);
+
+    const calls = [];
+    targetService.deleteProduct.mockImplementation(async sku => calls.push(`product:${sku}`));
+    targetService.deleteProductMedia.mockImplementation(async (sku, id) => calls.push(`media:${sku}:${id}`));
+    targetService.deleteAttributeOption.mockImplementation(async (code, id) => calls.push(`option:${code}:${id}`));
+
+    const result = await rollbackService.rollbackRun(run, { storeName: 'ejuices' });
+
+    expect(migrationRunRepo.findEntitiesToRollback).toHaveBeenCalledWith('run-1', 'ejuices');
+    expect(calls).toEqual([
+      'product:CONFIG-001',
+      'media:CHILD-001:55',
+      'product:CHILD-001',
+      'option:flavor:501'
+    ]);
+    expect(result).toMatchObject({ runId: 'run-1', rolledBack: 4, failed: 0 });
+    expect(migrationRunRepo.markEntity).toHaveBeenCalledTimes(4);
+    expect(migrationRunRepo.markEntity).toHaveBeenCalledWith(1, { status: 'rolled_back' });
+  });
+
+  it('treats a 404 as already removed and records other failures', async () => {
+    migrationRunRepo.findEntitiesToRollback.mockResolvedValue([
+      entity(2, 'media', 'CHILD-001:55', { sku: 'CHILD-001', entryId: 55 }),
+      entity(1, 'product', 'CHILD-001', { sku: 'CHILD-001' })
+    ]);
+    targetService.deleteProductMedia.mockRejectedValue(Object.assign(new Error('Not found'), { statusCode: 404 }));
+    targetService.deleteProduct.mockRejectedValue(Object.assign(new Error('Server error'), { statusCode: 500 }));
+
+    const result = await rollbackService.rollbackRun(run);
+
+    expect(result.rolledBack).toBe(1);
+    expect(result.failed).toBe(1);
+    expect(result.entities[0]).toMatchObject({ entityType: 'media', status: 'rolled_back', alreadyRemoved: true });
+    expect(result.entities[1]).toMatchObject({ entityType: 'product', status: 'rollback_failed', error: 'Server error' });
+    expect(migrationRunRepo.markEntity).toHaveBeenCalledWith(1, { status: 'rollback_failed', error: 'Server error' });
+  });
+
+  it('looks up the option ID by label when it was not recorded', async () => {
+    migrationRunRepo.findEntitiesToRollback.mockResolvedValue([
+      entity(1, 'attribute_option', 'flavor:Mango', { attributeCode: 'flavor', label: 'Mango', optionId: null })
+    ]);
+    targetService.findAttributeOptionByLabel.mockResolvedValue({ label: 'Mango', value: '777' });
+
+    await rollbackService.rollbackRun(run);
+
+    expect(targetService.deleteAttributeOption).toHaveBeenCalledWith('flavor', '777');
+  });
+
+  it('keeps an attribute option that products still use and reports it as skipped', async () => {
+    migrationRunRepo.findEntitiesToRollback.mockResolvedValue([
+      entity(1, 'attribute_option', 'flavor:Mango', { attributeCode: 'flavor', label: 'Mango', optionId: '501' })
+    ]);
+    targetService.countProductsUsingAttributeOption.mockResolvedValue(3);
+
+    const result = await rollbackService.rollbackMigration(run);
+
+    expect(targetService.countProductsUsingAttributeOption).toHaveBeenCalledWith('flavor', '501');
+    expect(targetService.deleteAttributeOption).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ rolledBack: 0, skipped: 1, failed: 0, status: 'rolled_back' });
+    expect(result.entities[0]).toMatchObject({ status: 'skipped', reason: 'Option is used by 3 product(s)' });
+    expect(migrationRunRepo.markEntity).toHaveBeenCalledWith(1, { status: 'skipped', error: 'Option is used by 3 product(s)' });
+  });
+
+  it('marks the run rolled_back or rollback_failed from the outcome', async () => {
+    migrationRunRepo.findEntitiesToRollback.mockResolvedValue([
+      entity(1, 'product', 'CHILD-001', { sku: 'CHILD-001' })
+    ]);
+
+    const ok = await rollbackService.rollbackMigration(run);
+    expect(ok.status).toBe('rolled_back');
+    expect(migrationRunRepo.updateStatus).toHaveBeenCalledWith('run-1', 'rolled_back', { rolled_back_at: expect.any(Date) });
+
+    targetService.deleteProduct.mockRejectedValue(new Error('Server error'));
+    const failed = await rollbackService.rollbackMigration(run);
+    expect(failed.status).toBe('rollback_failed');
+    expect(migrationRunRepo.updateStatus).toHaveBeenLastCalledWith('run-1', 'rollback_failed', {});
+  });
+
+  describe('Shopify runs', () => {
+    const shopifyRun = { id: 'run-2', sku: 'CONFIG-001', target_platform: 'shopify' };
+    let shopifyTarget;
+
+    beforeEach(() => {
+      shopifyTarget = {
+        deleteProduct: jest.fn().mockResolvedValue('gid://shopify/Product/9'),
+        deleteProductVariants: jest.fn().mockResolvedValue(undefined),
+        deleteAllProductMedia: jest.fn().mockResolvedValue(undefined),
+        deleteFiles: jest.fn().mockResolvedValue([])
+      };
+      shopifyRegistry.getTargetService.mockResolvedValue(shopifyTarget);
+    });
+
+    it('removes only the appended variants and their media from an existing product', async () => {
+      migrationRunRepo.findEntitiesToRollback.mockResolvedValue([
+        entity(3, 'media', 'gid://shopify/MediaImage/5', { productId: 'gid://shopify/Product/9', mediaId: 'gid://shopify/MediaImage/5' }, 'wholesale'),
+        entity(2, 'variant', 'gid://shopify/ProductVariant/22', { productId: 'gid://shopify/Product/9', variantId: 'gid://shopify/ProductVariant/22' }, 'wholesale'),
+        entity(1, 'variant', 'gid://shopify/ProductVariant/21', { productId: 'gid://shopify/Product/9', variantId: 'gid://shopify/ProductVariant/21' }, 'wholesale')
+      ]);
+
+      const result = await rollbackService.rollbackRun(shopifyRun);
+
+      expect(shopifyRegistry.getTargetService).toHaveBeenCalledTimes(1);
+      expect(shopifyRegistry.getTargetService).toHaveBeenCalledWith('wholesale');
+      expect(shopifyTarget.deleteAllProductMedia).toHaveBeenCalledWith('gid://shopify/Product/9', ['gid://shopify/MediaImage/5']);
+      expect(shopifyTarget.deleteProductVariants.mock.calls).toEqual([
+        ['gid://shopify/Product/9', ['gid://shopify/ProductVariant/22']],
+        ['gid://shopify/Product/9', ['gid://shopify/ProductVariant/21']]
+      ]);
+      expect(shopifyTarget.deleteProduct).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ rolledBack: 3, failed: 0 });
+    });
+
+    it('deletes a created product and counts files removed with it as rolled back', async () => {
+      migrationRunRepo.findEntitiesToRollback.mockResolvedValue([
+        entity(2, 'product', 'gid://shopify/Product/9', { productId: 'gid://shopify/Product/9' }, 'wholesale'),
+        entity(1, 'file', 'gid://shopify/MediaImage/5', { fileId: 'gid://shopify/MediaImage/5' }, 'wholesale')
+      ]);
+      shopifyTarget.deleteFiles.mockRejectedValue(
+        Object.assign(new Error('fileIds: File id gid://shopify/MediaImage/5 does not exist.'), { statusCode: 400 })
+      );
+
+      const result = await rollbackService.rollbackRun(shopifyRun);
+
+      expect(shopifyTarget.deleteProduct).toHaveBeenCalledWith('gid://shopify/Product/9');
+      expect(shopifyTarget.deleteFiles).toHaveBeenCalledWith(['gid://shopify/MediaImage/5']);
+      expect(result).toMatchObject({ rolledBack: 2, failed: 0 });
+      expect(result.entities[1]).toMatchObject({ entityType: 'file', alreadyRemoved: true });
+    });
+  });
+});
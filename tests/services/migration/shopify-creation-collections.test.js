@@ -0,0 +1,60 @@
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  source: { baseUrl: 'https://source.test/' },
+  shopify: { stores: {} }
+}));
+
+const ShopifyCreationService = require('../../../src/services/migration/shopify-creation.service');
+
+describe('ShopifyCreationService.assignCollections', () => {
+  const categories = [{ id: 5, name: 'Disposables' }, { id: 6, name: 'New Arrivals' }];
+  let service;
+  let shopifyTargetService;
+  let categoryMappingService;
+
+  beforeEach(() => {
+    shopifyTargetService = {
+      assignProductToCollections: jest.fn().mockResolvedValue({
+        added: ['disposable-vapes'],
+        alreadyMember: [],
+        created: [],
+        skipped: [{ collection: 'Fresh Drops', reason: 'Collection not found' }]
+      })
+    };
+    categoryMappingService = {
+      getShopifyCollections: jest.fn().mockReturnValue(['disposable-vapes', 'Fresh Drops'])
+    };
+    service = new ShopifyCreationService({}, shopifyTargetService, categoryMappingService, 'vapordna');
+  });
+
+  it('adds the product to the collections mapped for the store', async () => {
+    const outcome = await service.assignCollections('gid://shopify/Product/1', categories, { createMissingCollections: true });
+
+    expect(categoryMappingService.getShopifyCollections).toHaveBeenCalledWith(['Disposables', 'New Arrivals'], 'vapordna');
+    expect(shopifyTargetService.assignProductToCollections).toHaveBeenCalledWith(
+      'gid://shopify/Product/1', ['disposable-vapes', 'Fresh Drops'], { createMissing: true }
+    );
+    expect(outcome).toEqual({
+      collections: ['disposable-vapes'],
+      warnings: [{ phase: 'collections', collection: 'Fresh Drops', message: 'Collection not found' }]
+    });
+  });
+
+  it('does nothing when no collections are mapped', async () => {
+    categoryMappingService.getShopifyCollections.mockReturnValue([]);
+
+    await expect(service.assignCollections('gid://shopify/Product/1', categories)).resolves.toEqual({ collections: [], warnings: [] });
+    expect(shopifyTargetService.assignProductToCollections).not.toHaveBeenCalled();
+  });
+
+  it('turns a failed assignment into a warning', async () => {
+    shopifyTargetService.assignProductToCollections.mockRejectedValue(new Error('Access denied for collectionAddProducts'));
+
+    const outcome = await service.assignCollections('gid://shopify/Product/1', categories);
+
+    expect(outcome.warnings).toEqual([
+      { phase: 'collections', message: 'Collection assignment failed: Access denied for collectionAddProducts' }
+    ]);
+  });
+});
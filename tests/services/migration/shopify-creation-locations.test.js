@@ -0,0 +1,106 @@
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  source: { baseUrl: 'https://source.test/' },
+  shopify: { stores: {} }
+}));
+
+const ShopifyCreationService = require('../../../src/services/migration/shopify-creation.service');
+const ShopifyTargetService = require('../../../src/services/shopify/shopify-target.service');
+
+describe('ShopifyCreationService inventory locations', () => {
+  const extractedData = () => ({
+    parent: {
+      sku: 'POD-KIT',
+      name: 'Pod Kit',
+      type_id: 'configurable',
+      custom_attributes: [],
+      extension_attributes: {
+        configurable_product_options: [
+          { attribute_id: '93', label: 'Color', values: [{ value_index: 10 }, { value_index: 11 }] }
+        ]
+      }
+    },
+    children: [
+      { sku: 'POD-KIT-RED', price: 20, custom_attributes: [{ attribute_code: 'color', value: '10' }] },
+      { sku: 'POD-KIT-BLUE', price: 20, custom_attributes: [{ attribute_code: 'color', value: '11' }] }
+    ],
+    translations: {
+      attributes: { 93: 'color' },
+      attributeValues: {
+        '93_10': { attributeCode: 'color', label: 'Red' },
+        '93_11': { attributeCode: 'color', label: 'Blue' }
+      }
+    },
+    categories: []
+  });
+
+  let service;
+  let shopifyTargetService;
+
+  beforeEach(() => {
+    shopifyTargetService = new ShopifyTargetService('test.myshopify.com', 'tok', {});
+    service = new ShopifyCreationService({}, shopifyTargetService, null, 'wholesale');
+    service.metafieldMappingService = { buildMetafields: jest.fn().mockResolvedValue([]) };
+    service.tagBuilderService = { buildTags: jest.fn().mockResolvedValue([]) };
+    service.locationMappingService = {
+      buildInventoryQuantities: jest.fn().mockResolvedValue(new Map([
+        ['POD-KIT-RED', [
+          { locationId: 'gid://shopify/Location/1', quantity: 5 },
+          { locationId: 'gid://shopify/Location/2', quantity: 0 }
+        ]]
+      ]))
+    };
+  });
+
+  it('sets productSet inventory quantities at the mapped locations', async () => {
+    const preview = await service.previewProducts(extractedData());
+
+    const red = preview.input.variants.find(v => v.inventoryItem.sku === 'POD-KIT-RED');
+    const blue = preview.input.variants.find(v => v.inventoryItem.sku === 'POD-KIT-BLUE');
+    expect(red.inventoryQuantities).toEqual([
+      { locationId: 'gid://shopify/Location/1', name: 'available', quantity: 5 },
+      { locationId: 'gid://shopify/Location/2', name: 'available', quantity: 0 }
+    ]);
+    expect(blue.inventoryQuantities).toBeUndefined();
+    expect(service.locationMappingService.buildInventoryQuantities).toHaveBeenCalledWith(
+      'wholesale', expect.arrayContaining([expect.objectContaining({ sku: 'POD-KIT-RED' })])
+    );
+  });
+
+  it('uses the productVariantsBulkCreate shape when appending variants', async () => {
+    jest.spyOn(shopifyTargetService, 'getProductById').mockResolvedValue({
+      options: [{ name: 'Color', values: ['Blue'] }]
+    });
+    const createSpy = jest.spyOn(shopifyTargetService, 'createProductVariants').mockResolvedValue([
+      { id: 'gid://shopify/ProductVariant/2', sku: 'POD-KIT-RED' }
+    ]);
+
+    await service.syncMissingVariants(extractedData(), 'gid://shopify/Product/1', ['POD-KIT-BLUE']);
+
+    expect(createSpy.mock.calls[0][1][0].inventoryQuantities).toEqual([
+      { locationId: 'gid://shopify/Location/1', availableQuantity: 5 },
+      { locationId: 'gid://shopify/Location/2', availableQuantity: 0 }
+    ]);
+  });
+
+  it('creates variants without quantities when locations cannot be resolved', async () => {
+    service.locationMappingService.buildInventoryQuantities.mockRejectedValue(new Error('Access denied for locations'));
+
+    const preview = await service.previewProducts(extractedData());
+
+    expect(preview.input.variants.every(v => v.inventoryQuantities === undefined)).toBe(true);
+  });
+
+  it('stocks a standalone product as its own variant', async () => {
+    service.locationMappingService.buildInventoryQuantities.mockResolvedValue(new Map([
+      ['SIMPLE-1', [{ locationId: 'gid://shopify/Location/1', quantity: 3 }]]
+    ]));
+    const data = { parent: { sku: 'SIMPLE-1', name: 'Simple', price: 9.99, custom_attributes: [] }, categories: [] };
+
+    const { variants } = await service.buildStandaloneProductInput(data, 'retail');
+
+    expect(variants[0].inventoryQuantities).toEqual([{ locationId: 'gid://shopify/Location/1', name: 'available', quantity: 3 }]);
+    expect(service.locationMappingService.buildInventoryQuantities).toHaveBeenCalledWith('retail', [data.parent]);
+  });
+});
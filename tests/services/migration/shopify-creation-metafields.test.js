@@ -0,0 +1,96 @@
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  source: { baseUrl: 'https://source.test/' },
+  shopify: { stores: {} }
+}));
+
+const ShopifyCreationService = require('../../../src/services/migration/shopify-creation.service');
+const ShopifyTargetService = require('../../../src/services/shopify/shopify-target.service');
+
+describe('ShopifyCreationService metafield mapping', () => {
+  const extractedData = () => ({
+    parent: {
+      sku: 'POD-KIT',
+      name: 'Pod Kit',
+      type_id: 'configurable',
+      custom_attributes: [{ attribute_code: 'battery_capacity', value: '1000mAh' }],
+      extension_attributes: {
+        configurable_product_options: [
+          { attribute_id: '93', label: 'Color', values: [{ value_index: 10 }, { value_index: 11 }] }
+        ]
+      }
+    },
+    children: [
+      { sku: 'POD-KIT-RED', price: 20, custom_attributes: [{ attribute_code: 'color', value: '10' }, { attribute_code: 'nicotine_strength', value: '5' }] },
+      { sku: 'POD-KIT-BLUE', price: 20, custom_attributes: [{ attribute_code: 'color', value: '11' }] }
+    ],
+    translations: {
+      attributes: { 93: 'color' },
+      attributeValues: {
+        '93_10': { attributeCode: 'color', label: 'Red' },
+        '93_11': { attributeCode: 'color', label: 'Blue' }
+      }
+    },
+    categories: []
+  });
+
+  let service;
+  let shopifyTargetService;
+
+  beforeEach(() => {
+    shopifyTargetService = new ShopifyTargetService('test.myshopify.com', 'tok', {});
+    service = new ShopifyCreationService({}, shopifyTargetService, null, 'partnerb');
+    service.metafieldMappingService = {
+      buildMetafields: jest.fn(async (product, attributeService, storeName, owner) => {
+        const attr = product.custom_attributes.find(a => a.attribute_code === (owner === 'product' ? 'battery_capacity' : 'nicotine_strength'));
+        return attr ? [{ namespace: 'specs', key: attr.attribute_code, type: 'single_line_text_field', value: attr.value }] : [];
+      })
+    };
+  });
+
+  it('adds mapped product and variant metafields to the productSet input', async () => {
+    const preview = await service.previewProducts(extractedData());
+
+    expect(preview.input.metafields).toEqual([
+      { namespace: 'specs', key: 'battery_capacity', type: 'single_line_text_field', value: '1000mAh' }
+    ]);
+    expect(preview.input.variants[0].metafields).toEqual([
+      { namespace: 'specs', key: 'nicotine_strength', type: 'single_line_text_field', value: '5' }
+    ]);
+    expect(preview.input.variants[1].metafields).toBeUndefined();
+    expect(service.metafieldMappingService.buildMetafields).toHaveBeenCalledWith(
+      expect.objectContaining({ sku: 'POD-KIT' }), expect.any(Object), 'partnerb', 'product'
+    );
+  });
+
+  it('lets mapped metafields replace those copied from a Shopify source', async () => {
+    const data = extractedData();
+    data.metafields = [
+      { namespace: 'specs', key: 'battery_capacity', type: 'single_line_text_field', value: '900mAh' },
+      { namespace: 'custom', key: 'origin', type: 'single_line_text_field', value: 'US' }
+    ];
+
+    const { productData } = await service.buildProductInput(data);
+
+    expect(productData.metafields.map(m => `${m.key}=${m.value}`)).toEqual(['origin=US', 'battery_capacity=1000mAh']);
+  });
+
+  it('sends variant metafields when appending missing variants', async () => {
+    jest.spyOn(shopifyTargetService, 'getProductById').mockResolvedValue({
+      options: [{ name: 'Color', values: ['Blue'] }]
+    });
+    const createSpy = jest.spyOn(shopifyTargetService, 'createProductVariants').mockResolvedValue([
+      { id: 'gid://shopify/ProductVariant/2', sku: 'POD-KIT-RED' }
+    ]);
+
+    await service.syncMissingVariants(extractedData(), 'gid://shopify/Product/1', ['POD-KIT-BLUE']);
+
+    expect(createSpy.mock.calls[0][1]).toEqual([
+      expect.objectContaining({
+        inventoryItem: expect.objectContaining({ sku: 'POD-KIT-RED' }),
+        metafields: [{ namespace: 'specs', key: 'nicotine_strength', type: 'single_line_text_field', value: '5' }]
+      })
+    ]);
+  });
+});
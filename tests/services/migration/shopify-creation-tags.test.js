@@ -0,0 +1,110 @@
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  source: { baseUrl: 'https://source.test/' },
+  shopify: { stores: {} }
+}));
+
+const ShopifyCreationService = require('../../../src/services/migration/shopify-creation.service');
+const ShopifyTargetService = require('../../../src/services/shopify/shopify-target.service');
+
+describe('ShopifyCreationService tags', () => {
+  const extractedData = () => ({
+    parent: {
+      sku: 'BAR-5K',
+      name: 'Geek Bar 5K',
+      type_id: 'configurable',
+      custom_attributes: [{ attribute_code: 'meta_keyword', value: 'vape, disposable' }],
+      extension_attributes: {
+        configurable_product_options: [
+          { attribute_id: '93', label: 'Flavor', values: [{ value_index: 21 }, { value_index: 22 }] }
+        ]
+      }
+    },
+    children: [
+      { sku: 'BAR-5K-MINT', price: 20, custom_attributes: [{ attribute_code: 'flavor', value: '21' }] },
+      { sku: 'BAR-5K-BERRY', price: 20, custom_attributes: [{ attribute_code: 'flavor', value: '22' }] }
+    ],
+    translations: {
+      brandLabel: 'Geek Bar',
+      attributes: { 93: 'flavor' },
+      attributeValues: {
+        '93_21': { attributeCode: 'flavor', label: 'Mint' },
+        '93_22': { attributeCode: 'flavor', label: 'Berry' }
+      }
+    },
+    categories: [{ id: '5', name: 'Disposables' }]
+  });
+
+  let service;
+  let shopifyTargetService;
+
+  beforeEach(() => {
+    shopifyTargetService = new ShopifyTargetService('test.myshopify.com', 'tok', {});
+    service = new ShopifyCreationService({}, shopifyTargetService, null, 'partnerb');
+    service.metafieldMappingService = { buildMetafields: jest.fn().mockResolvedValue([]) };
+    service.tagBuilderService = { buildTags: jest.fn().mockResolvedValue(['Geek Bar', 'Mint', 'Berry']) };
+  });
+
+  it('sets rule-built tags on the productSet input', async () => {
+    const preview = await service.previewProducts(extractedData());
+
+    expect(preview.input.tags).toEqual(['Geek Bar', 'Mint', 'Berry']);
+    expect(service.tagBuilderService.buildTags).toHaveBeenCalledWith(
+      expect.objectContaining({
+        parent: expect.objectContaining({ sku: 'BAR-5K' }),
+        brandLabel: 'Geek Bar',
+        productType: 'Default',
+        categoryNames: ['Disposables']
+      }),
+      expect.objectContaining({ storeName: 'partnerb' })
+    );
+  });
+
+  it('tags standalone products for the store they are created in', async () => {
+    const data = { ...extractedData(), children: undefined };
+
+    const { productData } = await service.buildStandaloneProductInput(data, 'partnerc');
+
+    expect(productData.tags).toEqual(['Geek Bar', 'Mint', 'Berry']);
+    expect(service.tagBuilderService.buildTags.mock.calls[0][0].children).toEqual([]);
+    expect(service.tagBuilderService.buildTags.mock.calls[0][1].storeName).toBe('partnerc');
+  });
+
+  describe('syncMissingVariants', () => {
+    beforeEach(() => {
+      jest.spyOn(shopifyTargetService, 'getProductById').mockResolvedValue({
+        productType: 'Disposable Vape',
+        options: [{ name: 'Flavor', values: ['Berry'] }]
+      });
+      jest.spyOn(shopifyTargetService, 'createProductVariants').mockResolvedValue([
+        { id: 'gid://shopify/ProductVariant/2', sku: 'BAR-5K-MINT' }
+      ]);
+    });
+
+    it('adds tags to the existing product', async () => {
+      const addSpy = jest.spyOn(shopifyTargetService, 'addTags').mockResolvedValue();
+
+      const result = await service.syncMissingVariants(extractedData(), 'gid://shopify/Product/1', ['BAR-5K-BERRY']);
+
+      expect(addSpy).toHaveBeenCalledWith('gid://shopify/Product/1', ['Geek Bar', 'Mint', 'Berry']);
+      expect(service.tagBuilderService.buildTags.mock.calls[0][0].productType).toBe('Disposable Vape');
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('records a warning when tagging fails', async () => {
+      jest.spyOn(shopifyTargetService, 'addTags').mockRejectedValue(new Error('Access denied'));
+
+      const result = await service.syncMissingVariants(extractedData(), 'gid://shopify/Product/1', ['BAR-5K-BERRY']);
+
+      expect(result.success).toBe(true);
+      expect(result.warnings).toEqual([{ phase: 'tags', message: 'Tag update failed: Access denied' }]);
+    });
+
+    it('lists the tags in the preview', async () => {
+      const preview = await service.previewMissingVariants(extractedData(), 'gid://shopify/Product/1', ['BAR-5K-BERRY']);
+
+      expect(preview.tagsToAdd).toEqual(['Geek Bar', 'Mint', 'Berry']);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+// tests/services/migration/shopify-orchestrator-preview.test.js
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  source: { baseUrl: 'http://source.test', token: 'tok' },
+  api: {},
+  migration: { includeImages: true },
+  errorHandling: { continueOnError: false },
+  shopify: {
+    apiVersion: '2024-01',
+    defaultStore: 'wholesale',
+    stores: {
+      wholesale: { url: 'https://wholesale.myshopify.com', token: 'tok' },
+      vapordna: { url: 'https://vapordna.myshopify.com', token: 'tok' }
+    }
+  }
+}));
+
+jest.mock('../../../src/services/magento/source.service');
+jest.mock('../../../src/services/migration/extraction.service');
+jest.mock('../../../src/services/migration/standalone-extraction.service');
+jest.mock('../../../src/services/migration/store-description.service');
+jest.mock('../../../src/services/shopify/shopify-store-registry.service');
+jest.mock('../../../src/services/category-mapping.service');
+jest.mock('../../../src/services/notification/notification.service');
+jest.mock('../../../src/services/ai/content-generation.service');
+jest.mock('../../../src/database/repositories/ai-prompt.repository');
+
+const ShopifyOrchestratorService = require('../../../src/services/migration/shopify-orchestrator.service');
+const ShopifyTargetService = require('../../../src/services/shopify/shopify-target.service');
+const StoreDescriptionService = require('../../../src/services/migration/store-description.service');
+const aiPromptRepo = require('../../../src/database/repositories/ai-prompt.repository');
+
+describe('ShopifyOrchestratorService — dry-run preview', () => {
+  let orchestrator;
+  let shopifyTarget;
+
+  const buildExtractedData = () => ({
+    parent: {
+      sku: 'CONFIG-001',
+      type_id: 'configurable',
+      name: 'Brand X Disposable',
+      price: 19.99,
+      custom_attributes: [
+        { attribute_code: 'description', value: '<p>Original</p>' },
+        { attribute_code: 'meta_keyword', value: 'vape, disposable' }
+      ],
+      extension_attributes: {
+        configurable_product_options: [
+          { attribute_id: '93', values: [{ value_index: 11 }, { value_index: 12 }] }
+        ]
+      }
+    },
+    children: [
+      { sku: 'CHILD-MINT', price: 19.99, custom_attributes: [{ attribute_code: 'flavor', value: '11' }] },
+      { sku: 'CHILD-MANGO', price: 19.99, custom_attributes: [{ attribute_code: 'flavor', value: '12' }] }
+    ],
+    images: { parent: [], children: { 'CHILD-MANGO': [{ file: '/m/a/mango.jpg', label: 'Mango' }] } },
+    categories: [{ name: 'Disposables' }],
+    translations: {
+      brandLabel: 'Brand X',
+      attributes: { 93: 'flavor' },
+      attributeValues: {
+        '93_11': { attributeCode: 'flavor', label: 'Mint', value: 11 },
+        '93_12': { attributeCode: 'flavor', label: 'Mango', value: 12 }
+      }
+    }
+  });
+
+  beforeEach(() => {
+    orchestrator = new ShopifyOrchestratorService();
+    orchestrator.sourceService.getProductBySku = jest.fn().mockResolvedValue({ sku: 'CONFIG-001', type_id: 'configurable' });
+    orchestrator.executeExtractionPhase = jest.fn().mockImplementation(async (sku, context) => {
+      context.phases.extraction.success = true;
+      return buildExtractedData();
+    });
+    orchestrator.categoryMappingService.getShopifyProductType = jest.fn().mockReturnValue('Disposable Vape');
+    aiPromptRepo.findActiveByStore.mockResolvedValue(null);
+
+    shopifyTarget = {
+      buildProductSetInput: ShopifyTargetService.prototype.buildProductSetInput,
+      getVariantsBySkus: jest.fn().mockResolvedValue([]),
+      getProductById: jest.fn(),
+      searchCollections: jest.fn().mockResolvedValue([{ handle: 'brand-x' }]),
+      searchProductsByTitle: jest.fn().mockResolvedValue([]),
+      uploadAndWaitForFiles: jest.fn(),
+      createProductWithVariants: jest.fn(),
+      createProductVariants: jest.fn(),
+      createProductMedia: jest.fn(),
+      publishProduct: jest.fn()
+    };
+    orchestrator.getShopifyTargetService = jest.fn().mockResolvedValue(shopifyTarget);
+  });
+
+  const expectNoWrites = () => {
+    expect(shopifyTarget.uploadAndWaitForFiles).not.toHaveBeenCalled();
+    expect(shopifyTarget.createProductWithVariants).not.toHaveBeenCalled();
+    expect(shopifyTarget.createProductVariants).not.toHaveBeenCalled();
+    expect(shopifyTarget.createProductMedia).not.toHaveBeenCalled();
+    expect(shopifyTarget.publishProduct).not.toHaveBeenCalled();
+    expect(orchestrator.notificationService.notifyMigrationStart).not.toHaveBeenCalled();
+  };
+
+  it('returns the productSet input with AI content applied for a new product', async () => {
+    aiPromptRepo.findActiveByStore.mockResolvedValue({ prompt_text: 'Premium tone' });
+    orchestrator.contentGenerationService.generateForStores = jest.fn().mockResolvedValue({
+      wholesale: { title: 'AI Title', description: '<p>AI</p>' }
+    });
+
+    const result = await orchestrator.migrateProduct('CONFIG-001', { shopifyStore: 'wholesale', dryRun: true });
+
+    expectNoWrites();
+    expect(result.dryRun).toBe(true);
+    expect(result.success).toBe(true);
+    expect(result.aiContentApplied).toBe(true);
+
+    const { preview } = result;
+    expect(preview.mode).toBe('full-creation');
+    expect(preview.mutation).toBe('productSet');
+    expect(preview.productType).toBe('Disposable Vape');
+    expect(preview.vapordnaEnrichment).toBeNull();
+    expect(preview.input).toMatchObject({
+      title: 'AI Title',
+      handle: 'config-001',
+      descriptionHtml: '<p>AI</p>',
+      productType: 'Disposable Vape',
+      status: 'DRAFT',
+      vendor: 'Brand X',
+      tags: ['vape', 'disposable'],
+      productOptions: [{ name: 'Flavor', values: [{ name: 'Mint' }, { name: 'Mango' }] }]
+    });
+    expect(preview.input.variants.map(v => v.inventoryItem.sku)).toEqual(['CHILD-MINT', 'CHILD-MANGO']);
+    expect(preview.input.files).toBeUndefined();
+    expect(preview.images).toEqual([
+      { url: 'http://source.test/media/catalog/product/m/a/mango.jpg', alt: 'Mango', sku: 'CHILD-MANGO' }
+    ]);
+  });
+
+  it('includes the VaporDNA enrichment output and alphabetical variant order', async () => {
+    StoreDescriptionService.mockImplementation(() => ({
+      generate: jest.fn().mockResolvedValue({ descriptionHtml: '<p>VaporDNA copy</p>' })
+    }));
+
+    const result = await orchestrator.migrateProduct('CONFIG-001', { shopifyStore: 'vapordna', dryRun: true });
+
+    expectNoWrites();
+    const { preview } = result;
+    expect(preview.vapordnaEnrichment.descriptionHtml).toBe('<p>VaporDNA copy</p>');
+    expect(preview.vapordnaEnrichment.tags).toEqual([]);
+    expect(preview.vapordnaEnrichment.seo.title).toEqual(expect.any(String));
+    expect(preview.input.seo).toEqual(preview.vapordnaEnrichment.seo);
+    expect(preview.input.variants.map(v => v.optionValues[0].name)).toEqual(['Mango', 'Mint']);
+  });
+
+  it('lists the variants that would be appended to an existing product', async () => {
+    shopifyTarget.getVariantsBySkus.mockResolvedValue([
+      { id: 'gid://shopify/ProductVariant/1', sku: 'CHILD-MINT', product: { id: 'gid://shopify/Product/9' } }
+    ]);
+    shopifyTarget.getProductById.mockResolvedValue({ options: [{ name: 'Flavor', values: ['Mint'] }] });
+
+    const result = await orchestrator.migrateProduct('CONFIG-001', { shopifyStore: 'wholesale', dryRun: true });
+
+    expectNoWrites();
+    expect(result.existingProductId).toBe('gid://shopify/Product/9');
+
+    const { preview } = result;
+    expect(preview.mode).toBe('variant-sync');
+    expect(preview.mutation).toBe('productVariantsBulkCreate');
+    expect(preview.variantsToAppend).toHaveLength(1);
+    expect(preview.variantsToAppend[0].inventoryItem.sku).toBe('CHILD-MANGO');
+    expect(preview.variantsToAppend[0].optionValues).toEqual([{ optionName: 'Flavor', name: 'Mango' }]);
+    expect(preview.skippedVariants).toEqual([{ sku: 'CHILD-MINT', reason: 'already_exists' }]);
+  });
+});
@@ -0,0 +1,152 @@
+// tests/services/migration/shopify-orchestrator-rollback.test.js
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  source: { baseUrl: 'http://source.test', token: 'tok' },
+  api: {},
+  migration: { includeImages: true, rollbackOnFailure: true },
+  errorHandling: { continueOnError: false },
+  shopify: {
+    apiVersion: '2024-01',
+    defaultStore: 'wholesale',
+    stores: { wholesale: { url: 'https://wholesale.myshopify.com', token: 'tok' } }
+  }
+}));
+
+jest.mock('../../../src/services/magento/source.service');
+jest.mock('../../../src/services/migration/extraction.service');
+jest.mock('../../../src/services/migration/standalone-extraction.service');
+jest.mock('../../../src/services/shopify/shopify-store-registry.service');
+jest.mock('../../../src/services/category-mapping.service');
+jest.mock('../../../src/services/notification/notification.service');
+jest.mock('../../../src/services/ai/content-generation.service');
+jest.mock('../../../src/database/repositories/ai-prompt.repository');
+jest.mock('../../../src/database/repositories/migration-run.repository');
+
+const ShopifyOrchestratorService = require('../../../src/services/migration/shopify-orchestrator.service');
+const shopifyRegistry = require('../../../src/services/shopify/shopify-store-registry.service');
+const aiPromptRepo = require('../../../src/database/repositories/ai-prompt.repository');
+const migrationRunRepo = require('../../../src/database/repositories/migration-run.repository');
+
+describe('ShopifyOrchestratorService — compensation log and rollback', () => {
+  let orchestrator;
+  let shopifyTarget;
+  let recorded;
+
+  const buildExtractedData = () => ({
+    parent: {
+      sku: 'CONFIG-001',
+      type_id: 'configurable',
+      name: 'Brand X Disposable',
+      price: 19.99,
+      custom_attributes: [],
+      extension_attributes: {
+        configurable_product_options: [
+          { attribute_id: '93', values: [{ value_index: 11 }, { value_index: 12 }] }
+        ]
+      }
+    },
+    children: [
+      { sku: 'CHILD-MINT', price: 19.99, custom_attributes: [{ attribute_code: 'flavor', value: '11' }] },
+      { sku: 'CHILD-MANGO', price: 19.99, custom_attributes: [{ attribute_code: 'flavor', value: '12' }] }
+    ],
+    images: { parent: [], children: { 'CHILD-MANGO': [{ file: '/m/a/mango.jpg', label: 'Mango' }] } },
+    categories: [],
+    translations: {
+      brandLabel: 'Brand X',
+      attributes: { 93: 'flavor' },
+      attributeValues: {
+        '93_11': { attributeCode: 'flavor', label: 'Mint', value: 11 },
+        '93_12': { attributeCode: 'flavor', label: 'Mango', value: 12 }
+      }
+    }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    recorded = [];
+
+    orchestrator = new ShopifyOrchestratorService();
+    orchestrator.sourceService.getProductBySku = jest.fn().mockResolvedValue({ sku: 'CONFIG-001', type_id: 'configurable' });
+    orchestrator.executeExtractionPhase = jest.fn().mockImplementation(async (sku, context) => {
+      context.phases.extraction.success = true;
+      return buildExtractedData();
+    });
+    aiPromptRepo.findActiveByStore.mockResolvedValue(null);
+
+    migrationRunRepo.create.mockResolvedValue({ id: 'run-1', sku: 'CONFIG-001', target_platform: 'shopify' });
+    migrationRunRepo.addEntity.mockImplementation(async (runId, entity) => recorded.push(entity));
+    migrationRunRepo.finish.mockResolvedValue({});
+    migrationRunRepo.markEntity.mockResolvedValue({});
+    migrationRunRepo.findEntitiesToRollback.mockImplementation(async () =>
+      recorded
+        .map((e, i) => ({ id: i + 1, store_name: e.storeName, entity_type: e.entityType, entity_key: e.entityKey, data: e.data }))
+        .reverse()
+    );
+
+    // Stands in for the recording a real ShopifyTargetService does on productVariantsBulkCreate
+    shopifyTarget = {
+      withCompensationLog: jest.fn(function (recorder) { this.recorder = recorder; return this; }),
+      getVariantsBySkus: jest.fn().mockResolvedValue([
+        { id: 'gid://shopify/ProductVariant/1', sku: 'CHILD-MINT', product: { id: 'gid://shopify/Product/9' } }
+      ]),
+      getProductById: jest.fn().mockResolvedValue({ options: [{ name: 'Flavor', values: ['Mint'] }] }),
+      createProductVariants: jest.fn(async function (productId, variants) {
+        const created = variants.map((v, i) => ({ id: `gid://shopify/ProductVariant/2${i}`, inventoryItem: v.inventoryItem }));
+        for (const variant of created) {
+          await this.recorder.record('variant', variant.id, { productId, variantId: variant.id });
+        }
+        return created;
+      }),
+      createProductMedia: jest.fn().mockRejectedValue(new Error('Media creation failed: invalid image')),
+      appendMediaToVariants: jest.fn(),
+      deleteProductVariants: jest.fn().mockResolvedValue(undefined),
+      buildAdminUrl: jest.fn(id => `https://admin.test/${id}`)
+    };
+    orchestrator.getShopifyTargetService = jest.fn().mockResolvedValue(shopifyTarget);
+    shopifyRegistry.getTargetService.mockResolvedValue(shopifyTarget);
+  });
+
+  it('removes the appended variants when the variant sync fails, leaving existing ones', async () => {
+    const result = await orchestrator.migrateProduct('CONFIG-001', { shopifyStore: 'wholesale' });
+
+    expect(result.success).toBe(false);
+    expect(result.migrationId).toBe('run-1');
+    expect(migrationRunRepo.create).toHaveBeenCalledWith({
+      sku: 'CONFIG-001', targetPlatform: 'shopify', targetStores: ['wholesale']
+    });
+    expect(recorded).toEqual([{
+      storeName: 'wholesale',
+      entityType: 'variant',
+      entityKey: 'gid://shopify/ProductVariant/20',
+      data: { productId: 'gid://shopify/Product/9', variantId: 'gid://shopify/ProductVariant/20' }
+    }]);
+    expect(shopifyTarget.deleteProductVariants).toHaveBeenCalledTimes(1);
+    expect(shopifyTarget.deleteProductVariants).toHaveBeenCalledWith(
+      'gid://shopify/Product/9', ['gid://shopify/ProductVariant/20']
+    );
+    expect(result.rollback).toMatchObject({ rolledBack: 1, failed: 0 });
+    expect(migrationRunRepo.finish).toHaveBeenCalledWith('run-1', {
+      status: 'failed',
+      error: expect.stringContaining('invalid image')
+    });
+  });
+
+  it('keeps the appended variants when rollbackOnFailure is false', async () => {
+    const result = await orchestrator.migrateProduct('CONFIG-001', { shopifyStore: 'wholesale', rollbackOnFailure: false });
+
+    expect(result.success).toBe(false);
+    expect(shopifyTarget.deleteProductVariants).not.toHaveBeenCalled();
+    expect(result.rollback).toBeUndefined();
+  });
+
+  it('completes the run without rolling back when the sync succeeds', async () => {
+    shopifyTarget.createProductMedia.mockResolvedValue([]);
+
+    const result = await orchestrator.migrateProduct('CONFIG-001', { shopifyStore: 'wholesale' });
+
+    expect(result.success).toBe(true);
+    expect(shopifyTarget.deleteProductVariants).not.toHaveBeenCalled();
+    expect(migrationRunRepo.finish).toHaveBeenCalledWith('run-1', { status: 'completed', error: null });
+  });
+});
@@ -0,0 +1,195 @@
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  source: { baseUrl: 'https://source.test/' },
+  api: { timeout: 2000, retryDelay: 1 },
+  woocommerce: { stores: { partnera: { url: null, consumerKey: 'ck_test', consumerSecret: 'cs_test' } } }
+}));
+
+const config = require('../../../src/config');
+const WooCommerceCreationService = require('../../../src/services/migration/woocommerce-creation.service');
+const WooCommerceTargetService = require('../../../src/services/woocommerce/woocommerce-target.service');
+const { CreationError } = require('../../../src/utils/error-handler');
+const { createWooCommerceServer } = require('../../mocks/woocommerce-server');
+
+const extractedData = () => ({
+  parent: {
+    sku: 'POD-KIT',
+    name: 'Pod Kit',
+    type_id: 'configurable',
+    custom_attributes: [{ attribute_code: 'description', value: '<p>A kit</p>' }],
+    extension_attributes: {
+      configurable_product_options: [
+        { attribute_id: '93', label: 'Color', values: [{ value_index: 10 }, { value_index: 11 }] }
+      ]
+    }
+  },
+  children: [
+    {
+      sku: 'POD-KIT-RED',
+      name: 'Pod Kit-Red',
+      price: 20,
+      weight: 0.2,
+      custom_attributes: [
+        { attribute_code: 'color', value: '10' },
+        { attribute_code: 'special_price', value: '15' }
+      ],
+      extension_attributes: { stock_item: { qty: 7 } }
+    },
+    {
+      sku: 'POD-KIT-BLUE',
+      name: 'Pod Kit-Blue',
+      price: 20,
+      custom_attributes: [{ attribute_code: 'color', value: '11' }]
+    }
+  ],
+  translations: {
+    attributes: { 93: 'color' },
+    attributeValues: {
+      '93_10': { attributeCode: 'color', label: 'Red' },
+      '93_11': { attributeCode: 'color', label: 'Blue' }
+    }
+  },
+  images: {
+    parent: [
+      { file: '/b/back.jpg', label: '', position: 2 },
+      { file: '/f/front.jpg', label: 'Front', position: 1 }
+    ],
+    children: { 'POD-KIT-RED': [{ file: '/r/red.jpg', label: 'Red' }] }
+  },
+  categories: [{ id: 5, name: 'Pod System Kits' }, { id: 6, name: 'New Arrivals' }]
+});
+
+describe('WooCommerceCreationService', () => {
+  const server = createWooCommerceServer();
+  const categoryMappingService = {
+    getWooCommerceCategories: jest.fn(names => names.map(name => (name === 'Pod System Kits' ? 'Vape Kits' : name)))
+  };
+  let service;
+
+  beforeAll(async () => {
+    config.woocommerce.stores.partnera.url = await server.start();
+  });
+
+  afterAll(() => server.stop());
+
+  afterEach(() => jest.restoreAllMocks());
+
+  beforeEach(() => {
+    server.reset();
+    const targetService = WooCommerceTargetService.getInstanceForStore('partnera');
+    service = new WooCommerceCreationService(null, targetService, categoryMappingService, 'partnera');
+  });
+
+  it('creates a variable product with attributes, images and mapped categories', async () => {
+    const existingCategory = server.addCategory('Vape Kits');
+
+    const result = await service.createProducts(extractedData());
+
+    expect(result.success).toBe(true);
+    const product = server.products.find(p => p.id === result.productId);
+    expect(product).toMatchObject({
+      sku: 'POD-KIT',
+      name: 'Pod Kit',
+      type: 'variable',
+      status: 'draft',
+      description: '<p>A kit</p>',
+      attributes: [{ name: 'Color', position: 0, visible: true, variation: true, options: ['Red', 'Blue'] }]
+    });
+    expect(product.images).toEqual([
+      { id: 900, src: 'https://source.test/media/catalog/product/f/front.jpg', alt: 'Front' },
+      { id: 901, src: 'https://source.test/media/catalog/product/b/back.jpg', alt: 'Pod Kit' }
+    ]);
+    expect(categoryMappingService.getWooCommerceCategories).toHaveBeenCalledWith(['Pod System Kits', 'New Arrivals']);
+    const newCategory = server.categories.find(c => c.name === 'New Arrivals');
+    expect(product.categories).toEqual([{ id: existingCategory.id }, { id: newCategory.id }]);
+    expect(result.imagesQueued).toBe(2);
+  });
+
+  it('creates one variation per child', async () => {
+    const result = await service.createProducts(extractedData());
+
+    expect(result.createdVariations.map(v => v.sku)).toEqual(['POD-KIT-RED', 'POD-KIT-BLUE']);
+    const [red, blue] = server.variations[result.productId];
+    expect(red).toMatchObject({
+      sku: 'POD-KIT-RED',
+      regular_price: '20',
+      sale_price: '15',
+      manage_stock: true,
+      stock_quantity: 7,
+      weight: '0.2',
+      attributes: [{ name: 'Color', option: 'Red' }],
+      image: { src: 'https://source.test/media/catalog/product/r/red.jpg', alt: 'Red' }
+    });
+    expect(blue).toMatchObject({ sale_price: '', stock_quantity: 0, attributes: [{ name: 'Color', option: 'Blue' }] });
+    expect(blue.image).toBeUndefined();
+  });
+
+  it('skips images when includeImages is false', async () => {
+    const result = await service.createProducts(extractedData(), { includeImages: false, productStatus: 'publish' });
+
+    const product = server.products.find(p => p.id === result.productId);
+    expect(product.images).toEqual([]);
+    expect(product.status).toBe('publish');
+  });
+
+  it('reports variations WooCommerce rejects', async () => {
+    const data = extractedData();
+    data.children[1].sku = 'POD-KIT-RED';
+
+    const result = await service.createProducts(data);
+
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual([{ sku: 'POD-KIT-RED', message: 'Invalid or duplicated SKU.' }]);
+  });
+
+  it('removes the product when some variations are rejected, so a rerun can create it', async () => {
+    const data = extractedData();
+    data.children[1].sku = 'POD-KIT-RED';
+
+    const result = await service.createProducts(data);
+
+    expect(result).toMatchObject({ productId: null, createdVariations: [] });
+    expect(server.products).toHaveLength(0);
+
+    const rerun = await service.createProducts(extractedData());
+    expect(rerun.success).toBe(true);
+  });
+
+  it('removes the product when the variations batch fails', async () => {
+    jest.spyOn(service.woocommerceTargetService, 'batchVariations').mockRejectedValueOnce(new Error('Gateway timeout'));
+
+    await expect(service.createProducts(extractedData())).rejects.toMatchObject({
+      name: 'CreationError',
+      message: 'Failed to create variations for POD-KIT: Gateway timeout',
+      details: { productRemoved: true }
+    });
+    expect(server.products).toHaveLength(0);
+  });
+
+  it('warns when an incomplete product cannot be removed', async () => {
+    jest.spyOn(service.woocommerceTargetService, 'deleteProduct').mockRejectedValueOnce(new Error('Forbidden'));
+    const data = extractedData();
+    data.children[1].sku = 'POD-KIT-RED';
+
+    const result = await service.createProducts(data);
+
+    expect(result.productId).not.toBeNull();
+    expect(result.createdVariations).toHaveLength(1);
+    expect(result.warnings).toEqual([{ message: expect.stringContaining('Forbidden') }]);
+  });
+
+  it('refuses to overwrite an existing product', async () => {
+    server.addProduct({ sku: 'POD-KIT', type: 'variable' });
+
+    await expect(service.createProducts(extractedData())).rejects.toThrow(CreationError);
+    expect(server.products).toHaveLength(1);
+  });
+
+  it('only creates configurable products', async () => {
+    const data = extractedData();
+    data.parent.type_id = 'simple';
+
+    await expect(service.createProducts(data)).rejects.toThrow('is not a configurable product');
+  });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  shopify: {
+    stores: {},
+    inventoryLocations: {
+      wholesale: 'gid://shopify/Location/1',
+      retail: 'gid://shopify/Location/1'
+    },
+    sourceLocations: {
+      wholesale: { east_wh: 'gid://shopify/Location/2', west_wh: 'gid://shopify/Location/3', outlet: 'gid://shopify/Location/3' }
+    }
+  }
+}));
+
+const LocationMappingService = require('../../../src/services/shopify/location-mapping.service');
+
+describe('LocationMappingService', () => {
+  let sourceService;
+  let shopifyTargetService;
+  let service;
+
+  const product = (sku, qty, isInStock = true) => ({
+    sku,
+    extension_attributes: { stock_item: { qty, is_in_stock: isInStock } }
+  });
+
+  beforeEach(() => {
+    sourceService = {
+      getSourceItems: jest.fn().mockResolvedValue([
+        { sku: 'A', source_code: 'east_wh', quantity: 5, status: 1 },
+        { sku: 'A', source_code: 'west_wh', quantity: 2.5, status: 1 },
+        { sku: 'A', source_code: 'outlet', quantity: 4, status: 1 },
+        { sku: 'A', source_code: 'default', quantity: 99, status: 1 },
+        { sku: 'B', source_code: 'east_wh', quantity: 8, status: 0 }
+      ])
+    };
+    shopifyTargetService = {
+      getLocations: jest.fn().mockResolvedValue([
+        { id: 'gid://shopify/Location/1', name: 'Main', isActive: true },
+        { id: 'gid://shopify/Location/2', name: 'East', isActive: true },
+        { id: 'gid://shopify/Location/3', name: 'West', isActive: true }
+      ])
+    };
+    service = new LocationMappingService(sourceService, shopifyTargetService);
+  });
+
+  it('exposes the configured mapping for a store', () => {
+    expect(LocationMappingService.getMapping('Wholesale')).toEqual({
+      defaultLocationId: 'gid://shopify/Location/1',
+      sources: { east_wh: 'gid://shopify/Location/2', west_wh: 'gid://shopify/Location/3', outlet: 'gid://shopify/Location/3' }
+    });
+    expect(LocationMappingService.getMapping('unknown')).toEqual({ defaultLocationId: null, sources: {} });
+  });
+
+  it('sums mapped MSI source quantities per location and ignores unmapped sources', async () => {
+    const quantities = await service.buildInventoryQuantities('wholesale', [product('A', 50), product('B', 8)]);
+
+    expect(sourceService.getSourceItems).toHaveBeenCalledWith(['A', 'B']);
+    expect(quantities.get('A')).toEqual([
+      { locationId: 'gid://shopify/Location/2', quantity: 5 },
+      { locationId: 'gid://shopify/Location/3', quantity: 6 }
+    ]);
+    expect(quantities.get('B')).toEqual([{ locationId: 'gid://shopify/Location/2', quantity: 0 }]);
+  });
+
+  it('falls back to the default location with the stock item quantity', async () => {
+    const quantities = await service.buildInventoryQuantities('wholesale', [product('C', 7), product('D', 3, false)]);
+
+    expect(quantities.get('C')).toEqual([{ locationId: 'gid://shopify/Location/1', quantity: 7 }]);
+    expect(quantities.get('D')).toEqual([{ locationId: 'gid://shopify/Location/1', quantity: 0 }]);
+  });
+
+  it('does not look up source items for stores without source mappings', async () => {
+    const quantities = await service.buildInventoryQuantities('retail', [product('A', 4)]);
+
+    expect(sourceService.getSourceItems).not.toHaveBeenCalled();
+    expect(quantities.get('A')).toEqual([{ locationId: 'gid://shopify/Location/1', quantity: 4 }]);
+  });
+
+  it('returns nothing for stores without a mapping', async () => {
+    const quantities = await service.buildInventoryQuantities('vapordna', [product('A', 4)]);
+
+    expect(quantities.size).toBe(0);
+    expect(shopifyTargetService.getLocations).not.toHaveBeenCalled();
+  });
+
+  it('drops locations that are inactive in the store', async () => {
+    shopifyTargetService.getLocations.mockResolvedValue([
+      { id: 'gid://shopify/Location/1', name: 'Main', isActive: true },
+      { id: 'gid://shopify/Location/2', name: 'East', isActive: false }
+    ]);
+
+    const quantities = await service.buildInventoryQuantities('wholesale', [product('A', 50), product('B', 8)]);
+
+    expect(quantities.has('A')).toBe(false);
+    expect(quantities.has('B')).toBe(false);
+  });
+});
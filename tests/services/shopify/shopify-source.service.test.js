@@ -0,0 +1,229 @@
+'use strict';
+
+jest.mock('../../../src/config', () => ({ api: { timeout: 1000 } }));
+jest.mock('../../../src/services/shopify/shopify-store-registry.service', () => ({
+  getTargetService: jest.fn()
+}));
+
+const shopifyRegistry = require('../../../src/services/shopify/shopify-store-registry.service');
+const ShopifySourceService = require('../../../src/services/shopify/shopify-source.service');
+const { ExtractionError } = require('../../../src/utils/error-handler');
+
+const edges = items => ({ edges: items.map(node => ({ node })) });
+const nodesOf = connection => connection.edges.map(edge => edge.node);
+
+const variant = (fields = {}) => ({
+  legacyResourceId: '11',
+  sku: 'KIT-RED-50',
+  title: 'Red / 50mg',
+  price: '19.99',
+  inventoryQuantity: 4,
+  inventoryPolicy: 'DENY',
+  selectedOptions: [{ name: 'Color', value: 'Red' }, { name: 'Nicotine Strength', value: '50mg' }],
+  inventoryItem: { tracked: true, measurement: { weight: { value: 200, unit: 'GRAMS' } } },
+  media: edges([]),
+  ...fields
+});
+
+const shopifyProduct = (fields = {}) => ({
+  handle: 'pod-kit',
+  title: 'Pod Kit',
+  descriptionHtml: '<p>A kit</p>',
+  vendor: 'SMOK',
+  productType: 'Pod Systems',
+  tags: ['new', 'kits'],
+  status: 'ACTIVE',
+  hasOnlyDefaultVariant: false,
+  seo: { title: null, description: null },
+  options: [
+    { name: 'Color', position: 1, optionValues: [{ name: 'Red' }, { name: 'Blue' }] },
+    { name: 'Nicotine Strength', position: 2, optionValues: [{ name: '50mg' }] }
+  ],
+  media: edges([
+    { alt: 'Front', image: { url: 'https://cdn.shopify.com/s/files/front.jpg?v=123' } },
+    { alt: '', image: { url: 'https://cdn.shopify.com/s/files/back.jpg' } }
+  ]),
+  metafields: edges([
+    { namespace: 'custom', key: 'puffs', type: 'number_integer', value: '6000' },
+    { namespace: 'app--123', key: 'reviews', type: 'json', value: '{}' }
+  ]),
+  variants: edges([
+    variant({ media: edges([{ alt: 'Red', image: { url: 'https://cdn.shopify.com/s/files/red.jpg?v=9' } }]) }),
+    variant({
+      legacyResourceId: '12',
+      sku: 'KIT-BLUE-50',
+      title: 'Blue / 50mg',
+      price: '17.99',
+      inventoryQuantity: 0,
+      selectedOptions: [{ name: 'Color', value: 'Blue' }, { name: 'Nicotine Strength', value: '50mg' }]
+    }),
+    variant({ sku: '', title: 'Untracked' })
+  ]),
+  ...fields
+});
+
+describe('ShopifySourceService', () => {
+  let service;
+  let client;
+
+  beforeEach(() => {
+    client = { query: jest.fn(), testConnection: jest.fn() };
+    shopifyRegistry.getTargetService.mockResolvedValue(client);
+    service = new ShopifySourceService('wholesale');
+  });
+
+  describe('fetchProduct', () => {
+    it('finds the product through a variant SKU', async () => {
+      const product = shopifyProduct();
+      client.query.mockResolvedValueOnce({ data: { productVariants: edges([{ product }]) } });
+
+      await expect(service.fetchProduct('KIT-RED-50')).resolves.toBe(product);
+      expect(shopifyRegistry.getTargetService).toHaveBeenCalledWith('wholesale');
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(client.query.mock.calls[0][1]).toEqual({ query: 'sku:"KIT-RED-50"' });
+    });
+
+    it('falls back to the product handle', async () => {
+      const product = shopifyProduct();
+      client.query
+        .mockResolvedValueOnce({ data: { productVariants: edges([]) } })
+        .mockResolvedValueOnce({ data: { productByIdentifier: product } });
+
+      await expect(service.fetchProduct('pod-kit')).resolves.toBe(product);
+      expect(client.query.mock.calls[1][0]).toContain('productByIdentifier(identifier: { handle: $handle })');
+      expect(client.query.mock.calls[1][1]).toEqual({ handle: 'pod-kit' });
+    });
+
+    it('escapes quotes in the SKU search', async () => {
+      const product = shopifyProduct();
+      client.query.mockResolvedValueOnce({ data: { productVariants: edges([{ product }]) } });
+
+      await service.fetchProduct('KIT "RED" 50');
+
+      expect(client.query.mock.calls[0][1]).toEqual({ query: 'sku:"KIT \\"RED\\" 50"' });
+    });
+
+    it('pages through variants past the first page', async () => {
+      const product = shopifyProduct({
+        id: 'gid://shopify/Product/1',
+        variants: { ...edges([variant()]), pageInfo: { hasNextPage: true, endCursor: 'cursor-1' } }
+      });
+      client.query
+        .mockResolvedValueOnce({ data: { productVariants: edges([{ product }]) } })
+        .mockResolvedValueOnce({
+          data: { product: { variants: { ...edges([variant({ sku: 'KIT-BLUE-50' })]), pageInfo: { hasNextPage: false } } } }
+        });
+
+      const fetched = await service.fetchProduct('KIT-RED-50');
+
+      expect(client.query.mock.calls[1][1]).toEqual({ id: 'gid://shopify/Product/1', after: 'cursor-1' });
+      expect(nodesOf(fetched.variants).map(v => v.sku)).toEqual(['KIT-RED-50', 'KIT-BLUE-50']);
+    });
+
+    it('throws an ExtractionError when nothing matches', async () => {
+      client.query
+        .mockResolvedValueOnce({ data: { productVariants: edges([]) } })
+        .mockResolvedValueOnce({ data: { productByIdentifier: null } });
+
+      await expect(service.fetchProduct('missing')).rejects.toThrow(ExtractionError);
+    });
+  });
+
+  describe('normalizeProduct', () => {
+    it('maps options to configurable attributes and variants to simple children', () => {
+      const data = service.normalizeProduct(shopifyProduct());
+
+      expect(data.parent).toMatchObject({
+        sku: 'pod-kit',
+        name: 'Pod Kit',
+        type_id: 'configurable',
+        visibility: 4,
+        status: 1,
+        price: 17.99,
+        extension_attributes: {
+          configurable_product_options: [
+            { attribute_id: 'color', label: 'Color', position: 0, values: [{ value_index: 1 }, { value_index: 2 }] },
+            { attribute_id: 'nicotine_strength', label: 'Nicotine Strength', position: 1, values: [{ value_index: 1 }] }
+          ]
+        }
+      });
+      expect(data.translations.attributes).toEqual({ color: 'color', nicotine_strength: 'nicotine_strength' });
+      expect(data.translations.attributeValues).toEqual({
+        color_1: { attributeCode: 'color', label: 'Red', value: 1 },
+        color_2: { attributeCode: 'color', label: 'Blue', value: 2 },
+        nicotine_strength_1: { attributeCode: 'nicotine_strength', label: '50mg', value: 1 }
+      });
+
+      expect(data.children.map(child => child.sku)).toEqual(['KIT-RED-50', 'KIT-BLUE-50']);
+      expect(data.children[1]).toMatchObject({
+        id: 12,
+        name: 'Pod Kit-Blue / 50mg',
+        type_id: 'simple',
+        visibility: 1,
+        price: 17.99,
+        weight: '0.2',
+        custom_attributes: [
+          { attribute_code: 'color', value: 2 },
+          { attribute_code: 'nicotine_strength', value: 1 }
+        ],
+        extension_attributes: { stock_item: { qty: 0, is_in_stock: false, manage_stock: true } }
+      });
+      expect(data.childLinks[0]).toEqual({
+        sku: 'KIT-RED-50',
+        id: 11,
+        name: 'Pod Kit-Red / 50mg',
+        attributes: [{ label: 'color', value: 'Red' }, { label: 'nicotine_strength', value: '50mg' }]
+      });
+    });
+
+    it('keeps product content, images, category and writable metafields', () => {
+      const data = service.normalizeProduct(shopifyProduct());
+
+      expect(data.parent.custom_attributes).toEqual([
+        { attribute_code: 'description', value: '<p>A kit</p>' },
+        { attribute_code: 'url_key', value: 'pod-kit' },
+        { attribute_code: 'meta_keyword', value: 'new, kits' },
+        { attribute_code: 'product_type', value: 'Pod Systems' }
+      ]);
+      expect(data.translations.brandLabel).toBe('SMOK');
+      expect(data.categories).toEqual([{ id: null, name: 'Pod Systems' }]);
+      expect(data.images.parent).toEqual([
+        { file: 'https://cdn.shopify.com/s/files/front.jpg', label: 'Front', position: 1, types: ['image', 'small_image', 'thumbnail'], disabled: false },
+        { file: 'https://cdn.shopify.com/s/files/back.jpg', label: '', position: 2, types: [], disabled: false }
+      ]);
+      expect(Object.keys(data.images.children)).toEqual(['KIT-RED-50']);
+      expect(data.metafields).toEqual([{ namespace: 'custom', key: 'puffs', type: 'number_integer', value: '6000' }]);
+    });
+
+    it('turns a product with only the default variant into a standalone simple product', () => {
+      const data = service.normalizeProduct(shopifyProduct({
+        hasOnlyDefaultVariant: true,
+        options: [{ name: 'Title', position: 1, optionValues: [{ name: 'Default Title' }] }],
+        variants: edges([variant({ sku: 'SOLO-1', title: 'Default Title', inventoryPolicy: 'CONTINUE', inventoryQuantity: 0 })])
+      }));
+
+      expect(data.children).toEqual([]);
+      expect(data.childLinks).toEqual([]);
+      expect(data.translations.attributes).toEqual({});
+      expect(data.parent).toMatchObject({
+        sku: 'SOLO-1',
+        type_id: 'simple',
+        visibility: 4,
+        price: 19.99,
+        extension_attributes: { stock_item: { qty: 0, is_in_stock: true, manage_stock: true } }
+      });
+    });
+  });
+
+  it('returns the normalized parent from the type probe', async () => {
+    client.query.mockResolvedValueOnce({ data: { productVariants: edges([{ product: shopifyProduct() }]) } });
+
+    await expect(service.getProductBySku('KIT-RED-50')).resolves.toMatchObject({ sku: 'pod-kit', type_id: 'configurable' });
+  });
+
+  it('reports a failed connection when the store cannot be resolved', async () => {
+    shopifyRegistry.getTargetService.mockRejectedValueOnce(new Error('not configured'));
+
+    await expect(service.testConnection()).resolves.toEqual({ connected: false, storeName: 'wholesale', error: 'not configured' });
+  });
+});
@@ -105,6 +105,86 @@ describe('ShopifyTargetService', () => {
     });
   });
 
+  describe('bulkUpdateVariantPrices', () => {
+    const runWith = (lines) => jest.spyOn(service, 'runBulkMutation').mockImplementation(async function* () {
+      yield* lines;
+    });
+
+    it('sends one mutation per product and counts updated variants', async () => {
+      const runSpy = runWith([
+        { data: { productVariantsBulkUpdate: { productVariants: [{ id: 'v1' }, { id: 'v2' }], userErrors: [] } }, __lineNumber: 0 },
+        { data: { productVariantsBulkUpdate: { productVariants: [{ id: 'v3' }], userErrors: [] } }, __lineNumber: 1 }
+      ]);
+
+      const result = await service.bulkUpdateVariantPrices([
+        { productId: 'gid://shopify/Product/1', variantPrices: [{ id: 'v1', price: 10, compareAtPrice: 12 }, { id: 'v2', price: 10 }] },
+        { productId: 'gid://shopify/Product/2', variantPrices: [{ id: 'v3', price: 5, updateCompareAt: true }] }
+      ]);
+
+      expect(result).toEqual({ updatedCount: 3, failures: [] });
+      expect(runSpy.mock.calls[0][0]).toContain('productVariantsBulkUpdate');
+      expect(runSpy.mock.calls[0][1]).toEqual([
+        { productId: 'gid://shopify/Product/1', variants: [{ id: 'v1', price: '10', compareAtPrice: '12' }, { id: 'v2', price: '10' }] },
+        { productId: 'gid://shopify/Product/2', variants: [{ id: 'v3', compareAtPrice: '5' }] }
+      ]);
+    });
+
+    it('reports user errors and products without a result as failures', async () => {
+      runWith([
+        { data: { productVariantsBulkUpdate: { productVariants: null, userErrors: [{ field: ['price'], message: 'Price must be positive' }] } }, __lineNumber: 0 }
+      ]);
+
+      const result = await service.bulkUpdateVariantPrices([
+        { productId: 'gid://shopify/Product/1', variantPrices: [{ id: 'v1', price: -1 }] },
+        { productId: 'gid://shopify/Product/2', variantPrices: [{ id: 'v2', price: 5 }] }
+      ]);
+
+      expect(result).toEqual({
+        updatedCount: 0,
+        failures: [
+          { index: 0, productId: 'gid://shopify/Product/1', message: 'Price must be positive' },
+          { index: 1, productId: 'gid://shopify/Product/2', message: 'Bulk operation returned no result' }
+        ]
+      });
+    });
+
+    it('does nothing without updates', async () => {
+      const runSpy = jest.spyOn(service, 'runBulkMutation');
+      await expect(service.bulkUpdateVariantPrices([])).resolves.toEqual({ updatedCount: 0, failures: [] });
+      expect(runSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setInventoryQuantity', () => {
+    it('overwrites the available quantity with an idempotency key', async () => {
+      querySpy.mockResolvedValue({
+        data: {
+          inventorySetQuantities: {
+            inventoryAdjustmentGroup: { changes: [{ name: 'available', delta: -6 }] },
+            userErrors: []
+          }
+        }
+      });
+
+      const result = await service.setInventoryQuantity('gid://shopify/InventoryItem/1', 'gid://shopify/Location/1', 14);
+
+      const [mutation, variables] = querySpy.mock.calls[0];
+      expect(mutation).toContain('@idempotent(key: $idempotencyKey)');
+      expect(variables.idempotencyKey).toEqual(expect.any(String));
+      expect(variables.input).toEqual({
+        name: 'available',
+        reason: 'correction',
+        quantities: [{
+          inventoryItemId: 'gid://shopify/InventoryItem/1',
+          locationId: 'gid://shopify/Location/1',
+          quantity: 14,
+          changeFromQuantity: null
+        }]
+      });
+      expect(result.delta).toBe(-6);
+    });
+  });
+
   describe('updateProductFields', () => {
     it('calls productUpdate mutation with all provided fields', async () => {
       service.query = jest.fn().mockResolvedValue({
@@ -208,6 +288,188 @@ describe('ShopifyTargetService', () => {
     });
   });
 
+  describe('setMetafields', () => {
+    it('sends metafields in chunks of 25', async () => {
+      service.query = jest.fn().mockImplementation(async (mutation, { metafields }) => ({
+        data: { metafieldsSet: { metafields: metafields.map(m => ({ namespace: m.namespace, key: m.key })), userErrors: [] } }
+      }));
+      const metafields = Array.from({ length: 30 }, (_, i) => ({
+        ownerId: 'gid://shopify/Product/1', namespace: 'specs', key: `k${i}`, type: 'single_line_text_field', value: 'v'
+      }));
+
+      const saved = await service.setMetafields(metafields);
+
+      expect(service.query).toHaveBeenCalledTimes(2);
+      expect(service.query.mock.calls[0][0]).toContain('metafieldsSet');
+      expect(service.query.mock.calls[1][1].metafields).toHaveLength(5);
+      expect(saved).toHaveLength(30);
+    });
+
+    it('does nothing without metafields', async () => {
+      await expect(service.setMetafields([])).resolves.toEqual([]);
+      expect(querySpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('addTags', () => {
+    it('adds tags with tagsAdd', async () => {
+      querySpy.mockResolvedValue({ data: { tagsAdd: { node: { id: 'gid://shopify/Product/1' }, userErrors: [] } } });
+
+      await service.addTags('gid://shopify/Product/1', ['Mint', 'Geek Bar']);
+
+      expect(querySpy.mock.calls[0][0]).toContain('tagsAdd');
+      expect(querySpy.mock.calls[0][1]).toEqual({ id: 'gid://shopify/Product/1', tags: ['Mint', 'Geek Bar'] });
+    });
+
+    it('does nothing without tags', async () => {
+      await service.addTags('gid://shopify/Product/1', []);
+      expect(querySpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getLocations', () => {
+    it('follows pagination and includes inactive locations', async () => {
+      querySpy
+        .mockResolvedValueOnce({ data: { locations: {
+          edges: [{ node: { id: 'gid://shopify/Location/1', name: 'Main', isActive: true } }],
+          pageInfo: { hasNextPage: true, endCursor: 'c1' }
+        } } })
+        .mockResolvedValueOnce({ data: { locations: {
+          edges: [{ node: { id: 'gid://shopify/Location/2', name: 'Old', isActive: false } }],
+          pageInfo: { hasNextPage: false, endCursor: null }
+        } } });
+
+      const locations = await service.getLocations();
+
+      expect(locations.map(l => l.id)).toEqual(['gid://shopify/Location/1', 'gid://shopify/Location/2']);
+      expect(querySpy.mock.calls[0][0]).toContain('includeInactive: true');
+      expect(querySpy.mock.calls[1][1]).toEqual({ first: 250, after: 'c1' });
+    });
+  });
+
+  describe('getProductById', () => {
+    it('pages through every variant of the product', async () => {
+      querySpy
+        .mockResolvedValueOnce({ data: { product: {
+          id: 'gid://shopify/Product/9',
+          title: 'Brand X Disposable',
+          variants: {
+            edges: [{ node: { id: 'gid://shopify/ProductVariant/1', sku: 'SKU-1' } }],
+            pageInfo: { hasNextPage: true, endCursor: 'v1' }
+          }
+        } } })
+        .mockResolvedValueOnce({ data: { product: { variants: {
+          edges: [{ node: { id: 'gid://shopify/ProductVariant/2', sku: 'SKU-2' } }],
+          pageInfo: { hasNextPage: false, endCursor: null }
+        } } } });
+
+      const product = await service.getProductById('gid://shopify/Product/9');
+
+      expect(product.title).toBe('Brand X Disposable');
+      expect(product.variants.edges.map(edge => edge.node.sku)).toEqual(['SKU-1', 'SKU-2']);
+      expect(querySpy.mock.calls[1][1]).toEqual({ id: 'gid://shopify/Product/9', after: 'v1' });
+    });
+  });
+
+  describe('assignProductToCollections', () => {
+    const collections = {
+      'disposable-vapes': { id: 'gid://shopify/Collection/1', title: 'Disposable Vapes', handle: 'disposable-vapes', ruleSet: null },
+      'Best Sellers': { id: 'gid://shopify/Collection/2', title: 'Best Sellers', handle: 'best-sellers', ruleSet: { appliedDisjunctively: false } },
+      'Pod Kits': { id: 'gid://shopify/Collection/3', title: 'Pod Kits', handle: 'pod-kits', ruleSet: null }
+    };
+
+    beforeEach(() => {
+      jest.spyOn(service, 'getProductCollectionIds').mockResolvedValue(['gid://shopify/Collection/3']);
+      jest.spyOn(service, 'findCollection').mockImplementation(async name => collections[name] || null);
+      jest.spyOn(service, 'createCollection').mockResolvedValue({ id: 'gid://shopify/Collection/9', title: 'New Arrivals' });
+      querySpy.mockResolvedValue({ data: { collectionAddProducts: { collection: {}, userErrors: [] } } });
+    });
+
+    it('adds the product to custom collections it is not yet in', async () => {
+      const result = await service.assignProductToCollections(
+        'gid://shopify/Product/1', ['disposable-vapes', 'Best Sellers', 'Pod Kits', 'New Arrivals']
+      );
+
+      expect(querySpy).toHaveBeenCalledTimes(1);
+      expect(querySpy.mock.calls[0][1]).toEqual({ id: 'gid://shopify/Collection/1', productIds: ['gid://shopify/Product/1'] });
+      expect(result).toEqual({
+        added: ['disposable-vapes'],
+        alreadyMember: ['Pod Kits'],
+        created: [],
+        skipped: [
+          { collection: 'Best Sellers', reason: 'Smart collection; membership is rule-based' },
+          { collection: 'New Arrivals', reason: 'Collection not found' }
+        ]
+      });
+      expect(service.createCollection).not.toHaveBeenCalled();
+    });
+
+    it('creates missing collections when asked to', async () => {
+      const result = await service.assignProductToCollections('gid://shopify/Product/1', ['New Arrivals'], { createMissing: true });
+
+      expect(service.createCollection).toHaveBeenCalledWith('New Arrivals');
+      expect(querySpy.mock.calls[0][1].id).toBe('gid://shopify/Collection/9');
+      expect(result.created).toEqual(['New Arrivals']);
+      expect(result.added).toEqual(['New Arrivals']);
+    });
+  });
+
+  describe('createCollection', () => {
+    it('publishes the new collection to the same channel as products', async () => {
+      querySpy
+        .mockResolvedValueOnce({ data: { collectionCreate: { collection: { id: 'gid://shopify/Collection/9', title: 'New Arrivals', handle: 'new-arrivals' } } } })
+        .mockResolvedValueOnce({ data: { publications: { edges: [
+          { node: { id: 'gid://shopify/Publication/2', name: 'Point of Sale' } },
+          { node: { id: 'gid://shopify/Publication/1', name: 'Online Store' } }
+        ] } } })
+        .mockResolvedValueOnce({ data: { publishablePublish: { publishable: { id: 'gid://shopify/Collection/9' } } } });
+
+      const collection = await service.createCollection('New Arrivals');
+
+      expect(collection).toEqual({ ruleSet: null, id: 'gid://shopify/Collection/9', title: 'New Arrivals', handle: 'new-arrivals' });
+      expect(querySpy.mock.calls[2][1]).toEqual({
+        id: 'gid://shopify/Collection/9',
+        input: [{ publicationId: 'gid://shopify/Publication/1' }]
+      });
+    });
+  });
+
+  describe('findCollection', () => {
+    it('reads handle-like values by handle without searching', async () => {
+      querySpy.mockResolvedValueOnce({ data: { collectionByIdentifier: { id: 'gid://shopify/Collection/1', title: 'Disposables', handle: 'disposable-vapes' } } });
+      const search = jest.spyOn(service, 'queryCollections');
+
+      await expect(service.findCollection('disposable-vapes')).resolves.toMatchObject({ id: 'gid://shopify/Collection/1' });
+      expect(querySpy.mock.calls[0][1]).toEqual({ identifier: { handle: 'disposable-vapes' } });
+      expect(search).not.toHaveBeenCalled();
+    });
+
+    it('finds a title through its handle before the search index has it', async () => {
+      querySpy.mockResolvedValueOnce({ data: { collectionByIdentifier: { id: 'gid://shopify/Collection/7', title: 'New Arrivals', handle: 'new-arrivals' } } });
+      const search = jest.spyOn(service, 'queryCollections').mockResolvedValue([]);
+
+      await expect(service.findCollection('New Arrivals')).resolves.toMatchObject({ id: 'gid://shopify/Collection/7' });
+      expect(search).not.toHaveBeenCalled();
+    });
+
+    it('requires an exact title match and quotes multi-word titles', async () => {
+      const search = jest.spyOn(service, 'queryCollections').mockResolvedValue([
+        { id: 'gid://shopify/Collection/1', title: 'Disposable Vapes Sale', handle: 'disposable-vapes-sale' },
+        { id: 'gid://shopify/Collection/2', title: 'Disposable Vapes', handle: 'disposables' }
+      ]);
+
+      await expect(service.findCollection('disposable vapes')).resolves.toMatchObject({ id: 'gid://shopify/Collection/2' });
+      expect(search).toHaveBeenCalledWith('title:"disposable vapes"', 25);
+      await expect(service.findCollection('Vapes')).resolves.toBeNull();
+    });
+
+    it('propagates search errors instead of reporting the collection as missing', async () => {
+      querySpy.mockRejectedValue(new Error('Throttled'));
+
+      await expect(service.findCollection('Pod Kits')).rejects.toThrow('Throttled');
+    });
+  });
+
   describe('deleteAllProductMedia', () => {
     it('calls productDeleteMedia mutation with all media IDs', async () => {
       service.query = jest.fn().mockResolvedValue({
@@ -372,4 +634,68 @@ describe('ShopifyTargetService', () => {
       expect(result).toEqual([{ id: 'media-1', sku: 'SKU-1' }, { id: 'media-3', sku: 'SKU-3' }]);
     });
   });
+
+  describe('compensation log', () => {
+    let recorder;
+
+    beforeEach(() => {
+      recorder = { record: jest.fn().mockResolvedValue(undefined) };
+      service.withCompensationLog(recorder);
+    });
+
+    it('records each appended variant with its product', async () => {
+      querySpy.mockResolvedValue({
+        data: {
+          productVariantsBulkCreate: {
+            productVariants: [
+              { id: 'gid://shopify/ProductVariant/21', sku: 'CHILD-MANGO', inventoryItem: { sku: 'CHILD-MANGO' } }
+            ],
+            userErrors: []
+          }
+        }
+      });
+
+      await service.createProductVariants('gid://shopify/Product/9', [{ price: '19.99' }]);
+
+      expect(recorder.record).toHaveBeenCalledWith('variant', 'gid://shopify/ProductVariant/21', {
+        productId: 'gid://shopify/Product/9',
+        variantId: 'gid://shopify/ProductVariant/21',
+        sku: 'CHILD-MANGO'
+      });
+    });
+
+    it('records the product created by productSet', async () => {
+      querySpy.mockResolvedValue({
+        data: { productSet: { product: { id: 'gid://shopify/Product/9', handle: 'config-001' }, userErrors: [] } }
+      });
+
+      await service.createProductWithVariants({ title: 'Config' }, [], []);
+
+      expect(recorder.record).toHaveBeenCalledWith('product', 'gid://shopify/Product/9', {
+        productId: 'gid://shopify/Product/9',
+        handle: 'config-001'
+      });
+    });
+
+    it('records created files', async () => {
+      querySpy.mockResolvedValue({
+        data: { fileCreate: { files: [{ id: 'gid://shopify/MediaImage/5', fileStatus: 'UPLOADED' }], userErrors: [] } }
+      });
+
+      await service.createFile('https://staged.test/a.jpg', 'Mango');
+
+      expect(recorder.record).toHaveBeenCalledWith('file', 'gid://shopify/MediaImage/5', { fileId: 'gid://shopify/MediaImage/5' });
+    });
+
+    it('deletes only the given variants', async () => {
+      querySpy.mockResolvedValue({ data: { productVariantsBulkDelete: { product: { id: 'gid://shopify/Product/9' }, userErrors: [] } } });
+
+      await service.deleteProductVariants('gid://shopify/Product/9', ['gid://shopify/ProductVariant/21']);
+
+      expect(querySpy.mock.calls[0][1]).toEqual({
+        productId: 'gid://shopify/Product/9',
+        variantsIds: ['gid://shopify/ProductVariant/21']
+      });
+    });
+  });
 });
@@ -0,0 +1,94 @@
+'use strict';
+
+const { Readable } = require('stream');
+const axios = require('axios');
+const ShopifyClient = require('../../../src/services/shopify/shopify.client');
+
+describe('ShopifyClient bulk operations', () => {
+  let client;
+  let querySpy;
+
+  const jsonl = (...objects) => Readable.from([objects.map(o => JSON.stringify(o)).join('\n') + '\n']);
+
+  beforeEach(() => {
+    client = new ShopifyClient('test.myshopify.com', 'tok', { bulkPollInterval: 1, bulkTimeout: 1000 });
+    querySpy = jest.spyOn(client, 'query');
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('runs a bulk query, polls until it completes and streams the JSONL result', async () => {
+    querySpy
+      .mockResolvedValueOnce({ data: { bulkOperationRunQuery: { bulkOperation: { id: 'gid://shopify/BulkOperation/1', status: 'CREATED' }, userErrors: [] } } })
+      .mockResolvedValueOnce({ data: { node: { id: 'gid://shopify/BulkOperation/1', status: 'RUNNING' } } })
+      .mockResolvedValueOnce({ data: { node: { id: 'gid://shopify/BulkOperation/1', status: 'COMPLETED', objectCount: '2', url: 'https://storage.test/result.jsonl' } } });
+    const getSpy = jest.spyOn(axios, 'get').mockResolvedValue({ data: jsonl({ id: 'a', sku: 'SKU-1' }, { id: 'b', sku: 'SKU-2' }) });
+
+    const lines = [];
+    for await (const line of client.runBulkQuery('{ productVariants { edges { node { id sku } } } }')) {
+      lines.push(line);
+    }
+
+    expect(lines).toEqual([{ id: 'a', sku: 'SKU-1' }, { id: 'b', sku: 'SKU-2' }]);
+    expect(querySpy.mock.calls[0][1]).toEqual({ query: '{ productVariants { edges { node { id sku } } } }' });
+    expect(querySpy.mock.calls[2][1]).toEqual({ id: 'gid://shopify/BulkOperation/1' });
+    expect(getSpy).toHaveBeenCalledWith('https://storage.test/result.jsonl', expect.objectContaining({ responseType: 'stream' }));
+  });
+
+  it('yields nothing when the operation produced no objects', async () => {
+    querySpy
+      .mockResolvedValueOnce({ data: { bulkOperationRunQuery: { bulkOperation: { id: 'gid://shopify/BulkOperation/1' }, userErrors: [] } } })
+      .mockResolvedValueOnce({ data: { node: { status: 'COMPLETED', objectCount: '0', url: null } } });
+    const getSpy = jest.spyOn(axios, 'get');
+
+    const lines = [];
+    for await (const line of client.runBulkQuery('{ products { edges { node { id } } } }')) {
+      lines.push(line);
+    }
+
+    expect(lines).toEqual([]);
+    expect(getSpy).not.toHaveBeenCalled();
+  });
+
+  it('stages the variables as JSONL before running a bulk mutation', async () => {
+    querySpy
+      .mockResolvedValueOnce({ data: { stagedUploadsCreate: { stagedTargets: [{
+        url: 'https://upload.test/',
+        parameters: [{ name: 'key', value: 'tmp/bulk_variables.jsonl' }, { name: 'policy', value: 'signed' }]
+      }], userErrors: [] } } })
+      .mockResolvedValueOnce({ data: { bulkOperationRunMutation: { bulkOperation: { id: 'gid://shopify/BulkOperation/2' }, userErrors: [] } } })
+      .mockResolvedValueOnce({ data: { node: { status: 'COMPLETED', url: 'https://storage.test/result.jsonl' } } });
+    const postSpy = jest.spyOn(axios, 'post').mockResolvedValue({ status: 201 });
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: jsonl({ data: { ok: true }, __lineNumber: 0 }) });
+
+    const lines = [];
+    for await (const line of client.runBulkMutation('mutation m($id: ID!) { m(id: $id) { ok } }', [{ id: '1' }, { id: '2' }])) {
+      lines.push(line);
+    }
+
+    expect(querySpy.mock.calls[0][1].input[0]).toMatchObject({ resource: 'BULK_MUTATION_VARIABLES', httpMethod: 'POST' });
+    const body = postSpy.mock.calls[0][1].getBuffer().toString();
+    expect(body).toContain('signed');
+    expect(body).toContain('{"id":"1"}\n{"id":"2"}');
+    expect(querySpy.mock.calls[1][1]).toEqual({
+      mutation: 'mutation m($id: ID!) { m(id: $id) { ok } }',
+      stagedUploadPath: 'tmp/bulk_variables.jsonl'
+    });
+    expect(lines).toEqual([{ data: { ok: true }, __lineNumber: 0 }]);
+  });
+
+  it('throws when the operation fails', async () => {
+    querySpy.mockResolvedValueOnce({ data: { node: { status: 'FAILED', errorCode: 'INTERNAL_SERVER_ERROR' } } });
+
+    await expect(client.waitForBulkOperation('gid://shopify/BulkOperation/1'))
+      .rejects.toMatchObject({ message: 'Bulk operation failed: INTERNAL_SERVER_ERROR', statusCode: 502 });
+  });
+
+  it('gives up after the bulk timeout', async () => {
+    client.bulkTimeout = 0;
+    querySpy.mockResolvedValue({ data: { node: { status: 'RUNNING' } } });
+
+    await expect(client.waitForBulkOperation('gid://shopify/BulkOperation/1'))
+      .rejects.toMatchObject({ statusCode: 504 });
+  });
+});
@@ -18,6 +18,13 @@ describe('TokenCryptoService', () => {
     expect(() => service.decrypt({ ...envelope, tag: Buffer.alloc(16).toString('base64') }, 'store-1', 'refresh')).toThrow();
   });
 
+  it('does not decrypt an envelope written for another namespace', () => {
+    const magento = new TokenCryptoService({ current: key }, 'current', 'magento-token');
+    const envelope = magento.encrypt('secret', 'store-1', 'access');
+    expect(magento.decrypt(envelope, 'store-1', 'access')).toBe('secret');
+    expect(() => service.decrypt(envelope, 'store-1', 'access')).toThrow();
+  });
+
   it('rewraps an old key under the active key', () => {
     const old = new TokenCryptoService({ old: key }, 'old').encrypt('secret', 'store-1', 'access');
     const next = new TokenCryptoService({ old: key, next: crypto.randomBytes(32).toString('base64') }, 'next');
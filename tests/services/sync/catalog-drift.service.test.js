@@ -0,0 +1,193 @@
+'use strict';
+
+jest.mock('../../../src/services/magento/source.service');
+jest.mock('../../../src/services/magento/target.service');
+jest.mock('../../../src/services/shopify/shopify-target.service');
+jest.mock('../../../src/services/notification/google-chat.service');
+jest.mock('../../../src/services/attribute.service');
+jest.mock('../../../src/services/category-mapping.service');
+jest.mock('../../../src/database/repositories/ai-prompt.repository');
+jest.mock('../../../src/services/shopify/shopify-store-registry.service', () => ({
+  getTargetService: jest.fn(),
+  list: jest.fn()
+}));
+jest.mock('../../../src/config', () => ({
+  source: { baseUrl: 'http://source.test', token: 'tok' },
+  api: {},
+  shopify: { stores: { wholesale: {} }, apiVersion: '2024-01' },
+  priceSync: { storeGroupMapping: {} },
+  magentoStores: { ejuices: {} },
+  errorHandling: { continueOnError: true }
+}));
+
+const TargetService = require('../../../src/services/magento/target.service');
+const shopifyRegistry = require('../../../src/services/shopify/shopify-store-registry.service');
+const aiPromptRepo = require('../../../src/database/repositories/ai-prompt.repository');
+const { extractCustomAttributeValue } = jest.requireActual('../../../src/services/magento/source.service').prototype;
+const CatalogDriftService = require('../../../src/services/sync/catalog-drift.service');
+
+describe('CatalogDriftService', () => {
+  let service;
+  let targetService;
+  let shopifyService;
+
+  const sourceProduct = {
+    sku: 'CONFIG-001',
+    type_id: 'configurable',
+    name: 'Brand X Disposable',
+    status: 1,
+    custom_attributes: [{ attribute_code: 'description', value: '<p>Original</p>' }],
+    extension_attributes: { category_links: [{ category_id: '5' }] },
+    media_gallery_entries: [{ file: '/a.jpg' }, { file: '/b.jpg' }]
+  };
+  const children = [
+    { sku: 'CHILD-MINT', price: 19.99, specialPrice: null, tierPrices: [] },
+    { sku: 'CHILD-ICE', price: 19.99, specialPrice: 15.99, tierPrices: [] }
+  ];
+
+  const magentoProducts = {
+    'CONFIG-001': { ...sourceProduct, extension_attributes: { category_links: [{ category_id: 41 }] } },
+    'CHILD-MINT': { sku: 'CHILD-MINT', price: 19.99 },
+    'CHILD-ICE': { sku: 'CHILD-ICE', price: 19.99, custom_attributes: [{ attribute_code: 'special_price', value: '15.99' }] }
+  };
+
+  beforeEach(() => {
+    service = new CatalogDriftService();
+    service.sourceService.getProductBySku = jest.fn().mockImplementation(async sku => (sku === 'CONFIG-001' ? sourceProduct : null));
+    service.sourceService.extractCustomAttributeValue = extractCustomAttributeValue;
+    service.priceSyncService.extractPrices = jest.fn().mockResolvedValue({ parentSku: 'CONFIG-001', children });
+    service.attributeService.translateCategories = jest.fn().mockResolvedValue({ 5: 'Disposables' });
+    service.categoryMappingService.getTargetMagentoCategories = jest.fn().mockReturnValue(['Disposable Vapes']);
+    service.categoryMappingService.getShopifyProductType = jest.fn().mockReturnValue('Disposable');
+
+    targetService = {
+      getProductBySku: jest.fn().mockImplementation(async sku => magentoProducts[sku] || null),
+      getConfigurableChildren: jest.fn().mockResolvedValue([{ sku: 'CHILD-MINT' }, { sku: 'CHILD-ICE' }]),
+      getCategoryIdByName: jest.fn().mockResolvedValue(41)
+    };
+    TargetService.getInstanceForStore.mockReturnValue(targetService);
+
+    shopifyService = {
+      getVariantsBySkus: jest.fn().mockResolvedValue([
+        { sku: 'CHILD-MINT', price: '19.99', compareAtPrice: null, product: { id: 'gid://shopify/Product/1' } },
+        { sku: 'CHILD-ICE', price: '15.99', compareAtPrice: '19.99', product: { id: 'gid://shopify/Product/1' } }
+      ]),
+      getProductById: jest.fn().mockResolvedValue({
+        title: 'Brand X Disposable',
+        descriptionHtml: '<p>Original</p>',
+        status: 'ACTIVE',
+        productType: 'Disposable',
+        mediaCount: { count: 2 },
+        variants: { edges: [{ node: { sku: 'CHILD-ICE' } }, { node: { sku: 'CHILD-MINT' } }] }
+      })
+    };
+    shopifyRegistry.getTargetService.mockResolvedValue(shopifyService);
+  });
+
+  it('reports every store in sync when targets match the source', async () => {
+    const result = await service.detectDrift('CONFIG-001');
+
+    expect(result).toMatchObject({ success: true, inSync: true, errors: [] });
+    expect(result.stores.magento.ejuices).toEqual({ found: true, inSync: true, diffs: [] });
+    expect(result.stores.shopify.wholesale).toEqual({ found: true, inSync: true, productId: 'gid://shopify/Product/1', diffs: [] });
+  });
+
+  it('lists Magento differences field by field', async () => {
+    targetService.getProductBySku.mockImplementation(async sku => ({
+      'CONFIG-001': { ...magentoProducts['CONFIG-001'], name: 'Old Name', media_gallery_entries: [] },
+      'CHILD-MINT': { sku: 'CHILD-MINT', price: 17.99 },
+      'CHILD-ICE': { sku: 'CHILD-ICE', price: 19.99 }
+    })[sku]);
+    targetService.getConfigurableChildren.mockResolvedValue([{ sku: 'CHILD-MINT' }]);
+
+    const { stores } = await service.detectDrift('CONFIG-001', { includeShopify: false });
+
+    expect(stores.shopify).toEqual({});
+    expect(stores.magento.ejuices.diffs).toEqual([
+      { field: 'name', source: 'Brand X Disposable', target: 'Old Name' },
+      { field: 'imageCount', source: 2, target: 0 },
+      { field: 'childSkus', source: ['CHILD-ICE', 'CHILD-MINT'], target: ['CHILD-MINT'] },
+      { field: 'price', sku: 'CHILD-MINT', source: 19.99, target: 17.99 },
+      { field: 'specialPrice', sku: 'CHILD-ICE', source: 15.99, target: null }
+    ]);
+  });
+
+  it('compares Shopify prices the way price sync writes them', async () => {
+    shopifyService.getVariantsBySkus.mockResolvedValue([
+      { sku: 'CHILD-MINT', price: '19.99', compareAtPrice: null, product: { id: 'gid://shopify/Product/1' } },
+      { sku: 'CHILD-ICE', price: '19.99', compareAtPrice: null, product: { id: 'gid://shopify/Product/1' } }
+    ]);
+    shopifyService.getProductById.mockResolvedValue({
+      title: 'Brand X Disposable',
+      descriptionHtml: '<p>Original</p>',
+      status: 'DRAFT',
+      productType: 'Disposable',
+      mediaCount: { count: 2 },
+      variants: { edges: [{ node: { sku: 'CHILD-ICE' } }, { node: { sku: 'CHILD-MINT' } }] }
+    });
+
+    const { stores } = await service.detectDrift('CONFIG-001', { includeMagento: false });
+
+    expect(stores.shopify.wholesale.diffs).toEqual([
+      { field: 'status', source: 'ACTIVE', target: 'NOT_ACTIVE' },
+      { field: 'price', sku: 'CHILD-ICE', source: 15.99, target: 19.99 },
+      { field: 'specialPrice', sku: 'CHILD-ICE', source: 19.99, target: null }
+    ]);
+  });
+
+  it('leaves out the name and description a store fills with generated content', async () => {
+    aiPromptRepo.findActiveByStore.mockImplementation(async storeName => (storeName === 'ejuices' ? { prompt_text: 'Rewrite' } : null));
+    targetService.getProductBySku.mockImplementation(async sku => (sku === 'CONFIG-001'
+      ? { ...magentoProducts['CONFIG-001'], name: 'Generated Title', custom_attributes: [{ attribute_code: 'description', value: '<p>Generated</p>' }] }
+      : magentoProducts[sku]));
+
+    const { stores } = await service.detectDrift('CONFIG-001', { includeShopify: false });
+
+    expect(stores.magento.ejuices).toEqual({ found: true, inSync: true, diffs: [], skippedFields: ['name', 'description'] });
+  });
+
+  it('leaves out the description of Shopify stores with a store-specific description', async () => {
+    shopifyService.getProductById.mockResolvedValue({
+      title: 'Brand X Disposable',
+      descriptionHtml: '<p>Written for this store</p>',
+      status: 'ACTIVE',
+      productType: 'Disposable',
+      mediaCount: { count: 2 },
+      variants: { edges: [{ node: { sku: 'CHILD-ICE' } }, { node: { sku: 'CHILD-MINT' } }] }
+    });
+    service.storeDescriptionService.hasPromptForStore = jest.fn().mockImplementation(storeName => storeName === 'wholesale');
+
+    const { stores } = await service.detectDrift('CONFIG-001', { includeMagento: false });
+
+    expect(stores.shopify.wholesale).toMatchObject({ inSync: true, diffs: [], skippedFields: ['description'] });
+  });
+
+  it('marks products missing from a store as not found', async () => {
+    targetService.getProductBySku.mockResolvedValue(null);
+    shopifyService.getVariantsBySkus.mockResolvedValue([]);
+
+    const result = await service.detectDrift('CONFIG-001');
+
+    expect(result).toMatchObject({ success: true, inSync: false });
+    expect(result.stores.magento.ejuices).toEqual({ found: false, inSync: false, diffs: [] });
+    expect(result.stores.shopify.wholesale).toEqual({ found: false, inSync: false, diffs: [] });
+  });
+
+  it('records a store that cannot be read as an error without stopping the others', async () => {
+    shopifyRegistry.getTargetService.mockRejectedValue(new Error('Store not connected'));
+
+    const result = await service.detectDrift('CONFIG-001');
+
+    expect(result.success).toBe(false);
+    expect(result.stores.magento.ejuices.inSync).toBe(true);
+    expect(result.stores.shopify.wholesale).toEqual({ found: false, inSync: false, error: 'Store not connected' });
+    expect(result.errors).toEqual([{ store: 'wholesale', message: 'Store not connected' }]);
+  });
+
+  it('fails when the product is missing from the source', async () => {
+    const result = await service.detectDrift('MISSING');
+
+    expect(result).toMatchObject({ success: false, inSync: false });
+    expect(result.errors[0].message).toBe('Product not found in source: MISSING');
+  });
+});
@@ -0,0 +1,286 @@
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  source: { baseUrl: 'http://source.test', token: 'tok' },
+  api: {},
+  magentoStores: { ejuices: {}, misthub: {} },
+  jobs: { leaseTimeoutMs: 120000 }
+}));
+
+jest.mock('../../../src/database/repositories/delta-sync.repository');
+jest.mock('../../../src/database/repositories/job.repository');
+jest.mock('../../../src/services/sync/price-sync.service', () => jest.fn().mockImplementation(() => ({ extractPrices: jest.fn() })));
+
+const deltaSyncRepo = require('../../../src/database/repositories/delta-sync.repository');
+const jobRepo = require('../../../src/database/repositories/job.repository');
+const { ValidationError } = require('../../../src/utils/error-handler');
+const { processOwnerId } = require('../../../src/utils/lease');
+const deltaSync = require('../../../src/services/sync/delta-sync.service');
+
+describe('DeltaSyncService', () => {
+  const configurable = {
+    sku: 'CONFIG-001',
+    type_id: 'configurable',
+    name: 'Brand X Disposable',
+    updated_at: '2026-10-18 10:00:00',
+    custom_attributes: [{ attribute_code: 'description', value: '<p>Original</p>' }]
+  };
+  const standalone = { sku: 'SIMPLE-001', type_id: 'simple', visibility: 4, name: 'Coil', updated_at: '2026-10-18 11:00:00' };
+  const variant = { sku: 'CHILD-MINT', type_id: 'simple', visibility: 1, name: 'Brand X Disposable - Mint', updated_at: '2026-10-18 12:00:00' };
+
+  const priceDataFor = (sku, price = 19.99) => ({
+    parentSku: sku,
+    children: sku === 'CONFIG-001'
+      ? [{ sku: 'CHILD-MINT', price, specialPrice: null, tierPrices: [] }]
+      : [{ sku, price, specialPrice: null, tierPrices: [] }]
+  });
+
+  beforeEach(() => {
+    deltaSync.sourceService.get = jest.fn();
+    deltaSync.sourceService.getProductBySku = jest.fn();
+    deltaSync.sourceService.findParentProduct = jest.fn();
+    deltaSync.priceSyncService.extractPrices = jest.fn().mockImplementation(async sku => priceDataFor(sku));
+    deltaSyncRepo.findFingerprints.mockResolvedValue([]);
+    const runs = {};
+    deltaSyncRepo.updateRun.mockImplementation(async (id, fields) => {
+      runs[id] = { ...runs[id], id, ...fields };
+      return runs[id];
+    });
+    jobRepo.create.mockImplementation(async ({ type }) => ({ id: `${type}-job` }));
+  });
+
+  describe('run', () => {
+    it('requires since when no watermark is stored', async () => {
+      deltaSyncRepo.getWatermark.mockResolvedValue(null);
+
+      await expect(deltaSync.run({})).rejects.toThrow(ValidationError);
+      expect(deltaSyncRepo.createRun).not.toHaveBeenCalled();
+    });
+
+    it('converts since to the Magento timestamp format', async () => {
+      deltaSyncRepo.createRun.mockResolvedValue({ id: 'run-1', since: '2026-10-01 00:00:00' });
+      deltaSync.scan = jest.fn().mockResolvedValue();
+
+      await deltaSync.run({ since: '2026-10-01T00:00:00Z', options: { includeShopify: false } });
+
+      expect(deltaSyncRepo.createRun).toHaveBeenCalledWith({
+        since: '2026-10-01 00:00:00',
+        options: { includeShopify: false },
+        apiKeyId: undefined,
+        workerId: processOwnerId
+      });
+      delete deltaSync.scan;
+    });
+  });
+
+  describe('recoverInterruptedScans', () => {
+    it('only fails scans whose heartbeat is older than the lease', async () => {
+      deltaSyncRepo.failInterruptedScans.mockResolvedValue(1);
+
+      await expect(deltaSync.recoverInterruptedScans()).resolves.toBe(1);
+
+      expect(deltaSyncRepo.failInterruptedScans).toHaveBeenCalledWith(120000);
+    });
+  });
+
+  describe('fetchChangedProducts', () => {
+    it('pages through products updated at or after the watermark', async () => {
+      const firstPage = Array.from({ length: 100 }, (_, i) => ({ sku: `SKU-${i}` }));
+      deltaSync.sourceService.get
+        .mockResolvedValueOnce({ items: firstPage, total_count: 101 })
+        .mockResolvedValueOnce({ items: [{ sku: 'SKU-100' }], total_count: 101 });
+
+      const products = await deltaSync.fetchChangedProducts('2026-10-18 00:00:00');
+
+      expect(products).toHaveLength(101);
+      const [, params] = deltaSync.sourceService.get.mock.calls[1];
+      expect(params).toMatchObject({
+        'searchCriteria[filterGroups][0][filters][0][field]': 'updated_at',
+        'searchCriteria[filterGroups][0][filters][0][value]': '2026-10-18 00:00:00',
+        'searchCriteria[filterGroups][0][filters][0][conditionType]': 'gteq',
+        'searchCriteria[currentPage]': 2
+      });
+    });
+  });
+
+  describe('fingerprintParents', () => {
+    it('fingerprints parents and standalone simples and maps variants to their parent', async () => {
+      deltaSync.sourceService.findParentProduct.mockResolvedValue({ parentFound: true, parent: { sku: 'CONFIG-002' } });
+      deltaSync.sourceService.getProductBySku.mockResolvedValue({ sku: 'CONFIG-002', type_id: 'configurable', name: 'Other' });
+      const orphan = { ...variant, sku: 'CHILD-OTHER' };
+
+      const { fingerprints, skipped } = await deltaSync.fingerprintParents([configurable, standalone, variant, orphan]);
+
+      expect([...fingerprints.keys()]).toEqual(['CONFIG-001', 'SIMPLE-001', 'CONFIG-002']);
+      expect(skipped).toEqual([]);
+      // CHILD-MINT is a known child of CONFIG-001, so only CHILD-OTHER needs a parent lookup
+      expect(deltaSync.sourceService.findParentProduct).toHaveBeenCalledTimes(1);
+      expect(deltaSync.sourceService.findParentProduct).toHaveBeenCalledWith('CHILD-OTHER');
+    });
+
+    it('changes only the price fingerprint when a price changes', async () => {
+      const before = (await deltaSync.fingerprintParents([configurable])).fingerprints.get('CONFIG-001');
+      deltaSync.priceSyncService.extractPrices.mockResolvedValue(priceDataFor('CONFIG-001', 17.99));
+      const after = (await deltaSync.fingerprintParents([configurable])).fingerprints.get('CONFIG-001');
+
+      expect(after.price).not.toBe(before.price);
+      expect(after.content).toBe(before.content);
+    });
+
+    it('changes only the content fingerprint when content changes', async () => {
+      const before = (await deltaSync.fingerprintParents([configurable])).fingerprints.get('CONFIG-001');
+      const edited = { ...configurable, custom_attributes: [{ attribute_code: 'description', value: '<p>New</p>' }] };
+      const after = (await deltaSync.fingerprintParents([edited])).fingerprints.get('CONFIG-001');
+
+      expect(after.content).not.toBe(before.content);
+      expect(after.price).toBe(before.price);
+    });
+
+    it('skips a SKU whose source lookups fail and fingerprints the rest', async () => {
+      deltaSync.priceSyncService.extractPrices.mockImplementation(async (sku) => {
+        if (sku === 'CONFIG-001') throw new Error('Source timeout');
+        return priceDataFor(sku);
+      });
+      deltaSync.sourceService.findParentProduct.mockRejectedValue(new Error('Search failed'));
+
+      const { fingerprints, skipped } = await deltaSync.fingerprintParents([configurable, standalone, variant]);
+
+      expect([...fingerprints.keys()]).toEqual(['SIMPLE-001']);
+      expect(skipped).toEqual([
+        { sku: 'CONFIG-001', error: 'Source timeout' },
+        { sku: 'CHILD-MINT', error: 'Search failed' }
+      ]);
+    });
+  });
+
+  describe('scan', () => {
+    const run = { id: 'run-1', since: '2026-10-18 00:00:00', options: {}, api_key_id: 'key-1' };
+
+    it('queues price and content jobs only for SKUs whose fingerprints changed', async () => {
+      deltaSync.sourceService.get.mockResolvedValue({ items: [configurable, standalone], total_count: 2 });
+      const { fingerprints: current } = await deltaSync.fingerprintParents([configurable, standalone]);
+      deltaSyncRepo.findFingerprints.mockResolvedValue([
+        { sku: 'CONFIG-001', price_hash: 'stale', content_hash: current.get('CONFIG-001').content },
+        { sku: 'SIMPLE-001', price_hash: current.get('SIMPLE-001').price, content_hash: current.get('SIMPLE-001').content }
+      ]);
+      jobRepo.findById.mockResolvedValue({ status: 'queued' });
+
+      const result = await deltaSync.scan(run);
+
+      expect(deltaSyncRepo.updateRun).toHaveBeenCalledWith('run-1', {
+        until: '2026-10-18 11:00:00',
+        changes: { 'CONFIG-001': { price: current.get('CONFIG-001').price, content: null } },
+        skipped: [],
+        scanned: 2
+      });
+      expect(jobRepo.create).toHaveBeenCalledTimes(1);
+      expect(jobRepo.create).toHaveBeenCalledWith({
+        type: 'sync:prices',
+        options: { targetMagentoStores: ['ejuices', 'misthub'], notify: false, deltaRunId: 'run-1' },
+        apiKeyId: 'key-1',
+        skus: ['CONFIG-001']
+      });
+      expect(result).toMatchObject({ status: 'queued', price_job_id: 'sync:prices-job', content_job_id: null });
+      expect(deltaSyncRepo.advanceWatermark).not.toHaveBeenCalled();
+    });
+
+    it('completes immediately and advances the watermark when nothing changed', async () => {
+      deltaSync.sourceService.get.mockResolvedValue({ items: [standalone], total_count: 1 });
+      const current = (await deltaSync.fingerprintParents([standalone])).fingerprints.get('SIMPLE-001');
+      deltaSyncRepo.findFingerprints.mockResolvedValue([{ sku: 'SIMPLE-001', price_hash: current.price, content_hash: current.content }]);
+
+      const result = await deltaSync.scan(run);
+
+      expect(jobRepo.create).not.toHaveBeenCalled();
+      expect(deltaSyncRepo.advanceWatermark).toHaveBeenCalledWith('source:products', '2026-10-18 11:00:00');
+      expect(result.status).toBe('completed');
+    });
+
+    it('records skipped SKUs and keeps the watermark so the next run retries them', async () => {
+      deltaSync.sourceService.get.mockResolvedValue({ items: [configurable, standalone], total_count: 2 });
+      const current = (await deltaSync.fingerprintParents([standalone])).fingerprints.get('SIMPLE-001');
+      deltaSyncRepo.findFingerprints.mockResolvedValue([{ sku: 'SIMPLE-001', price_hash: current.price, content_hash: current.content }]);
+      deltaSync.priceSyncService.extractPrices.mockImplementation(async (sku) => {
+        if (sku === 'CONFIG-001') throw new Error('Source timeout');
+        return priceDataFor(sku);
+      });
+
+      const result = await deltaSync.scan(run);
+
+      expect(jobRepo.create).not.toHaveBeenCalled();
+      expect(deltaSyncRepo.advanceWatermark).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ status: 'partial', skipped: [{ sku: 'CONFIG-001', error: 'Source timeout' }] });
+    });
+
+    it('fails the run without touching the watermark when the source cannot be read', async () => {
+      deltaSync.sourceService.get.mockRejectedValue(new Error('Source unavailable'));
+
+      const result = await deltaSync.scan(run);
+
+      expect(result).toMatchObject({ status: 'failed', error: 'Source unavailable' });
+      expect(jobRepo.create).not.toHaveBeenCalled();
+      expect(deltaSyncRepo.advanceWatermark).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('onJobFinished', () => {
+    const run = {
+      id: 'run-1',
+      status: 'queued',
+      until: '2026-10-18 11:00:00',
+      price_job_id: 'price-job',
+      content_job_id: 'content-job',
+      changes: {
+        'CONFIG-001': { price: 'p1', content: 'c1' },
+        'SIMPLE-001': { price: 'p2', content: null }
+      }
+    };
+    const priceJob = { id: 'price-job', type: 'sync:prices', options: { deltaRunId: 'run-1' } };
+
+    beforeEach(() => {
+      deltaSyncRepo.findRunById.mockResolvedValue(run);
+      jobRepo.findItems.mockResolvedValue([
+        { sku: 'CONFIG-001', status: 'succeeded' },
+        { sku: 'SIMPLE-001', status: 'failed' }
+      ]);
+    });
+
+    it('saves fingerprints of succeeded items only', async () => {
+      jobRepo.findById.mockResolvedValue({ status: 'running' });
+
+      await deltaSync.onJobFinished({ ...priceJob, status: 'partial' });
+
+      expect(deltaSyncRepo.saveFingerprint).toHaveBeenCalledTimes(1);
+      expect(deltaSyncRepo.saveFingerprint).toHaveBeenCalledWith('CONFIG-001', 'price_hash', 'p1');
+      expect(deltaSyncRepo.updateRun).not.toHaveBeenCalled();
+    });
+
+    it('keeps the watermark when a job had failures', async () => {
+      jobRepo.findById.mockImplementation(async id => ({ id, status: id === 'price-job' ? 'partial' : 'completed' }));
+
+      const result = await deltaSync.onJobFinished({ ...priceJob, status: 'partial' });
+
+      expect(deltaSyncRepo.advanceWatermark).not.toHaveBeenCalled();
+      expect(result.status).toBe('partial');
+    });
+
+    it('advances the watermark once every job completed', async () => {
+      jobRepo.findItems.mockResolvedValue([{ sku: 'CONFIG-001', status: 'succeeded' }, { sku: 'SIMPLE-001', status: 'succeeded' }]);
+      jobRepo.findById.mockImplementation(async id => ({ id, status: 'completed' }));
+
+      const result = await deltaSync.onJobFinished({ ...priceJob, status: 'completed' });
+
+      expect(deltaSyncRepo.advanceWatermark).toHaveBeenCalledWith('source:products', '2026-10-18 11:00:00');
+      expect(result.status).toBe('completed');
+    });
+
+    it('leaves finalizing to the scan while the run is still scanning', async () => {
+      deltaSyncRepo.findRunById.mockResolvedValue({ ...run, status: 'scanning' });
+
+      await deltaSync.onJobFinished({ ...priceJob, status: 'completed' });
+
+      expect(deltaSyncRepo.saveFingerprint).toHaveBeenCalledWith('CONFIG-001', 'price_hash', 'p1');
+      expect(jobRepo.findById).not.toHaveBeenCalled();
+    });
+  });
+});
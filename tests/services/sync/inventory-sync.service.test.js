@@ -0,0 +1,147 @@
+'use strict';
+
+jest.mock('../../../src/services/magento/source.service');
+jest.mock('../../../src/services/magento/target.service');
+jest.mock('../../../src/services/shopify/shopify-target.service');
+jest.mock('../../../src/services/notification/google-chat.service');
+jest.mock('../../../src/services/shopify/shopify-store-registry.service', () => ({
+  getTargetService: jest.fn(),
+  list: jest.fn()
+}));
+jest.mock('../../../src/config', () => ({
+  source: { baseUrl: 'http://source.test', token: 'tok' },
+  api: {},
+  shopify: {
+    stores: { wholesale: {}, retail: {} },
+    apiVersion: '2024-01',
+    inventoryLocations: { wholesale: 'gid://shopify/Location/1' }
+  },
+  priceSync: { storeGroupMapping: {} },
+  magentoStores: { ejuices: {} },
+  errorHandling: { continueOnError: true }
+}));
+
+const TargetService = require('../../../src/services/magento/target.service');
+const shopifyRegistry = require('../../../src/services/shopify/shopify-store-registry.service');
+const InventorySyncService = require('../../../src/services/sync/inventory-sync.service');
+
+describe('InventorySyncService', () => {
+  let service;
+
+  const parent = {
+    sku: 'CONFIG-001',
+    type_id: 'configurable',
+    extension_attributes: { configurable_product_links: [{ sku: 'CHILD-MINT' }, { sku: 'CHILD-ICE' }] }
+  };
+  const products = {
+    'CONFIG-001': parent,
+    'CHILD-MINT': { sku: 'CHILD-MINT', type_id: 'simple', extension_attributes: { stock_item: { qty: 14, is_in_stock: true } } },
+    'CHILD-ICE': { sku: 'CHILD-ICE', type_id: 'simple', extension_attributes: { stock_item: { qty: 5, is_in_stock: false } } }
+  };
+
+  beforeEach(() => {
+    service = new InventorySyncService();
+    service.sourceService.getProductBySku = jest.fn().mockImplementation(async sku => products[sku] || null);
+  });
+
+  describe('extractInventory', () => {
+    it('reads stock for every child of a configurable', async () => {
+      const inventory = await service.extractInventory('CONFIG-001');
+
+      expect(inventory.children).toEqual([
+        { sku: 'CHILD-MINT', qty: 14, isInStock: true },
+        { sku: 'CHILD-ICE', qty: 5, isInStock: false }
+      ]);
+    });
+
+    it('treats a standalone simple as its only variant', async () => {
+      const inventory = await service.extractInventory('CHILD-MINT');
+
+      expect(inventory.children).toEqual([{ sku: 'CHILD-MINT', qty: 14, isInStock: true }]);
+    });
+  });
+
+  describe('updateMagentoInventory', () => {
+    it('updates each stock item once per instance and reports per-variant results', async () => {
+      const targetService = {
+        getStockItem: jest.fn().mockResolvedValue({ item_id: 7, qty: 20 }),
+        updateStockItem: jest.fn()
+          .mockResolvedValueOnce(7)
+          .mockRejectedValueOnce(new Error('Stock item not found'))
+      };
+      TargetService.getInstanceForStore.mockReturnValue(targetService);
+
+      const { storeResults } = await service.updateMagentoInventory(await service.extractInventory('CONFIG-001'));
+
+      expect(targetService.updateStockItem).toHaveBeenCalledWith('CHILD-MINT', 7, { qty: 14, is_in_stock: true });
+      expect(storeResults.ejuices).toEqual({
+        success: false,
+        variantsUpdated: 1,
+        variants: [
+          { sku: 'CHILD-MINT', qty: 14, isInStock: true, previousQty: 20, success: true },
+          { sku: 'CHILD-ICE', qty: 5, isInStock: false, success: false, error: 'Stock item not found' }
+        ]
+      });
+    });
+  });
+
+  describe('updateShopifyInventory', () => {
+    let shopifyService;
+
+    beforeEach(() => {
+      shopifyService = {
+        getVariantsBySkus: jest.fn().mockResolvedValue([
+          { sku: 'CHILD-MINT', inventoryItem: { id: 'gid://shopify/InventoryItem/1', tracked: true } },
+          { sku: 'CHILD-ICE', inventoryItem: { id: 'gid://shopify/InventoryItem/2', tracked: true } }
+        ]),
+        setInventoryQuantity: jest.fn().mockResolvedValue({ delta: 0 })
+      };
+      shopifyRegistry.getTargetService.mockResolvedValue(shopifyService);
+    });
+
+    it('sets out-of-stock variants to zero at the configured location', async () => {
+      const inventory = await service.extractInventory('CONFIG-001');
+
+      const { storeResults } = await service.updateShopifyInventory(inventory, { targetShopifyStores: ['wholesale'] });
+
+      expect(shopifyService.setInventoryQuantity).toHaveBeenCalledWith('gid://shopify/InventoryItem/1', 'gid://shopify/Location/1', 14);
+      expect(shopifyService.setInventoryQuantity).toHaveBeenCalledWith('gid://shopify/InventoryItem/2', 'gid://shopify/Location/1', 0);
+      expect(storeResults.wholesale).toMatchObject({ success: true, locationId: 'gid://shopify/Location/1', variantsUpdated: 2 });
+    });
+
+    it('fails a store with no configured location unless one is given', async () => {
+      const inventory = await service.extractInventory('CONFIG-001');
+
+      const missing = await service.updateShopifyInventory(inventory, { targetShopifyStores: ['retail'] });
+      expect(missing.storeResults.retail).toEqual({
+        success: false,
+        error: 'No inventory location configured for Shopify store "retail"'
+      });
+
+      const given = await service.updateShopifyInventory(inventory, { targetShopifyStores: ['retail'], shopifyLocationId: '42' });
+      expect(given.storeResults.retail.locationId).toBe('gid://shopify/Location/42');
+    });
+
+    it('reports variants missing from Shopify without failing the others', async () => {
+      shopifyService.getVariantsBySkus.mockResolvedValue([
+        { sku: 'CHILD-MINT', inventoryItem: { id: 'gid://shopify/InventoryItem/1', tracked: true } }
+      ]);
+      const inventory = await service.extractInventory('CONFIG-001');
+
+      const { storeResults, warnings } = await service.updateShopifyInventory(inventory, { targetShopifyStores: ['wholesale'] });
+
+      expect(storeResults.wholesale.variantsUpdated).toBe(1);
+      expect(storeResults.wholesale.variants[1]).toEqual({ sku: 'CHILD-ICE', qty: 0, isInStock: false, success: false, error: 'Variant not found' });
+      expect(warnings).toEqual([{ store: 'wholesale', sku: 'CHILD-ICE', message: 'Variant not found in Shopify' }]);
+    });
+  });
+
+  describe('syncInventory', () => {
+    it('returns an unsuccessful result when the product is missing from the source', async () => {
+      const result = await service.syncInventory('MISSING');
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toMatchObject({ phase: 'inventory-sync', message: 'Product not found in source: MISSING' });
+    });
+  });
+});
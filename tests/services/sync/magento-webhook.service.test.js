@@ -0,0 +1,96 @@
+'use strict';
+
+const crypto = require('crypto');
+
+jest.mock('../../../src/config', () => ({
+  source: { webhookSecret: 'whsec' },
+  magentoStores: { ejuices: {}, misthub: {} },
+  shopify: { oauth: {} }
+}));
+jest.mock('../../../src/database/repositories/magento-webhook.repository');
+
+const magentoWebhookRepo = require('../../../src/database/repositories/magento-webhook.repository');
+const { ValidationError } = require('../../../src/utils/error-handler');
+const webhookService = require('../../../src/services/sync/magento-webhook.service');
+
+const body = payload => Buffer.from(JSON.stringify(payload));
+const sign = raw => crypto.createHmac('sha256', 'whsec').update(raw).digest('base64');
+
+describe('MagentoWebhookService', () => {
+  describe('verifySignature', () => {
+    it('accepts the HMAC of the exact body and rejects anything else', () => {
+      const raw = body({ id: 'evt-1', event: 'product.saved', sku: 'SKU-001' });
+
+      expect(webhookService.verifySignature(raw, sign(raw))).toBe(true);
+      expect(webhookService.verifySignature(body({ id: 'evt-1', event: 'product.deleted', sku: 'SKU-001' }), sign(raw))).toBe(false);
+      expect(webhookService.verifySignature(raw, undefined)).toBe(false);
+    });
+  });
+
+  describe('parsePayload', () => {
+    it('reads the event and the optional parent SKU', () => {
+      expect(webhookService.parsePayload(body({ id: 'evt-1', event: 'product.price_changed', sku: 'CHILD-MINT', parent_sku: 'CONFIG-001' })))
+        .toEqual({ id: 'evt-1', event: 'product.price_changed', sku: 'CHILD-MINT', parentSku: 'CONFIG-001' });
+    });
+
+    it('rejects invalid JSON and unsupported events', () => {
+      expect(() => webhookService.parsePayload(Buffer.from('{'))).toThrow(ValidationError);
+      expect(() => webhookService.parsePayload(body({ id: 'evt-1', event: 'order.placed', sku: 'SKU-001' }))).toThrow(ValidationError);
+      expect(() => webhookService.parsePayload(body({ event: 'product.saved', sku: 'SKU-001' }))).toThrow(ValidationError);
+    });
+
+    it('rejects IDs and SKUs longer than their columns', () => {
+      const tooLong = 'x'.repeat(256);
+
+      for (const fields of [{ id: tooLong }, { sku: tooLong }, { parent_sku: tooLong }]) {
+        expect(() => webhookService.parsePayload(body({ id: 'evt-1', event: 'product.saved', sku: 'SKU-001', ...fields })))
+          .toThrow(expect.objectContaining({ fields: [expect.objectContaining({ field: Object.keys(fields)[0] })] }));
+      }
+      expect(webhookService.parsePayload(body({ id: 'x'.repeat(255), event: 'product.saved', sku: 'SKU-001' })).id).toHaveLength(255);
+    });
+  });
+
+  describe('buildJob', () => {
+    it.each([
+      ['product.saved', 'sync:product-fields'],
+      ['product.price_changed', 'sync:prices'],
+      ['product.stock_changed', 'sync:inventory']
+    ])('maps %s to a %s job for the parent SKU', (event, type) => {
+      expect(webhookService.buildJob({ event, sku: 'CHILD-MINT', parentSku: 'CONFIG-001' })).toEqual({
+        type,
+        options: { targetMagentoStores: ['ejuices', 'misthub'], notify: false },
+        skus: ['CONFIG-001']
+      });
+    });
+
+    it('deletes a product from every target, and a variant from Magento targets only', () => {
+      expect(webhookService.buildJob({ event: 'product.deleted', sku: 'SIMPLE-001', parentSku: null }))
+        .toEqual({ type: 'product:delete', options: {}, skus: ['SIMPLE-001'] });
+      expect(webhookService.buildJob({ event: 'product.deleted', sku: 'CHILD-MINT', parentSku: 'CONFIG-001' }))
+        .toEqual({ type: 'product:delete', options: { includeShopify: false }, skus: ['CHILD-MINT'] });
+    });
+  });
+
+  describe('receive', () => {
+    it('records the event with its job', async () => {
+      magentoWebhookRepo.recordEvent.mockResolvedValue({ duplicate: false, job: { id: 'job-1' } });
+
+      const result = await webhookService.receive({ id: 'evt-1', event: 'product.saved', sku: 'SKU-001', parentSku: null });
+
+      expect(result).toEqual({ duplicate: false, job: { id: 'job-1' } });
+      expect(magentoWebhookRepo.recordEvent).toHaveBeenCalledWith({
+        eventId: 'evt-1',
+        event: 'product.saved',
+        sku: 'SKU-001',
+        job: { type: 'sync:product-fields', options: { targetMagentoStores: ['ejuices', 'misthub'], notify: false }, skus: ['SKU-001'] }
+      });
+    });
+
+    it('passes duplicates through without a job', async () => {
+      magentoWebhookRepo.recordEvent.mockResolvedValue({ duplicate: true });
+
+      await expect(webhookService.receive({ id: 'evt-1', event: 'product.saved', sku: 'SKU-001', parentSku: null }))
+        .resolves.toEqual({ duplicate: true });
+    });
+  });
+});
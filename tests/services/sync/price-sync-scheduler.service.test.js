@@ -0,0 +1,231 @@
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  source: { baseUrl: 'http://source.test', token: 'tok' },
+  api: {},
+  priceSync: { storeGroupMapping: {}, schedulerEnabled: true, schedulerPollIntervalMs: 60000 },
+  shopify: { bulkOperations: { priceSyncThreshold: 3 } },
+  magentoStores: { ejuices: {}, misthub: {} }
+}));
+
+jest.mock('../../../src/database/repositories/price-sync-schedule.repository');
+jest.mock('../../../src/database/repositories/migration-run.repository');
+jest.mock('../../../src/services/sync/price-sync.service', () => jest.fn().mockImplementation(() => ({ syncPrices: jest.fn() })));
+jest.mock('../../../src/services/notification/notification.service');
+
+const scheduleRepo = require('../../../src/database/repositories/price-sync-schedule.repository');
+const migrationRunRepo = require('../../../src/database/repositories/migration-run.repository');
+const scheduler = require('../../../src/services/sync/price-sync-scheduler.service');
+
+describe('PriceSyncSchedulerService', () => {
+  const schedule = {
+    id: 'schedule-1',
+    name: 'nightly',
+    cron: '0 3 * * *',
+    sku_source: 'skus',
+    skus: ['SKU-001', 'SKU-002'],
+    options: { includeShopify: false },
+    next_run_at: new Date('2026-10-19T03:00:00Z')
+  };
+  const run = { id: 'run-1', schedule_id: 'schedule-1', trigger: 'schedule' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scheduler.active.clear();
+    scheduler.priceSyncService.syncPrices = jest.fn().mockResolvedValue({ success: true, errors: [] });
+    scheduler.notificationService.notifyScheduledPriceSyncFailed = jest.fn();
+    scheduleRepo.createRun.mockResolvedValue(run);
+    scheduleRepo.finishRun.mockImplementation(async (id, fields) => ({ id, ...fields }));
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  describe('resolveTargets', () => {
+    it('uses the saved SKUs and defaults to every configured Magento store', async () => {
+      const targets = await scheduler.resolveTargets(schedule);
+
+      expect(targets).toEqual([
+        { sku: 'SKU-001', options: { includeShopify: false, targetMagentoStores: ['ejuices', 'misthub'] } },
+        { sku: 'SKU-002', options: { includeShopify: false, targetMagentoStores: ['ejuices', 'misthub'] } }
+      ]);
+    });
+
+    it('syncs migrated SKUs only to the stores they were migrated to', async () => {
+      migrationRunRepo.findCompletedTargets.mockResolvedValue([
+        { sku: 'SKU-001', target_platform: 'magento', target_stores: ['ejuices'] },
+        { sku: 'SKU-001', target_platform: 'shopify', target_stores: ['wholesale'] },
+        { sku: 'SKU-002', target_platform: 'magento', target_stores: ['misthub', 'retired'] },
+        { sku: 'SKU-003', target_platform: 'magento', target_stores: ['retired'] }
+      ]);
+
+      const targets = await scheduler.resolveTargets({ ...schedule, sku_source: 'migrated', options: {} });
+
+      expect(targets).toEqual([
+        {
+          sku: 'SKU-001',
+          options: { includeMagento: true, includeShopify: true, targetMagentoStores: ['ejuices'], targetShopifyStores: ['wholesale'] }
+        },
+        {
+          sku: 'SKU-002',
+          options: { includeMagento: true, includeShopify: false, targetMagentoStores: ['misthub'], targetShopifyStores: [] }
+        }
+      ]);
+    });
+
+    it('narrows migrated stores with the schedule options', async () => {
+      migrationRunRepo.findCompletedTargets.mockResolvedValue([
+        { sku: 'SKU-001', target_platform: 'magento', target_stores: ['ejuices', 'misthub'] },
+        { sku: 'SKU-001', target_platform: 'shopify', target_stores: ['wholesale'] },
+        { sku: 'SKU-002', target_platform: 'shopify', target_stores: ['wholesale'] }
+      ]);
+
+      const targets = await scheduler.resolveTargets({
+        ...schedule,
+        sku_source: 'migrated',
+        options: { targetMagentoStores: ['misthub'], includeShopify: false }
+      });
+
+      expect(targets).toEqual([{
+        sku: 'SKU-001',
+        options: { includeMagento: true, includeShopify: false, targetMagentoStores: ['misthub'], targetShopifyStores: [] }
+      }]);
+    });
+  });
+
+  describe('executeRun', () => {
+    it('syncs every SKU without per-SKU notifications and completes the run', async () => {
+      const finished = await scheduler.executeRun(schedule, run);
+
+      expect(scheduler.priceSyncService.syncPrices).toHaveBeenCalledTimes(2);
+      expect(scheduler.priceSyncService.syncPrices).toHaveBeenCalledWith('SKU-001', expect.objectContaining({ notify: false }));
+      expect(scheduleRepo.updateRun).toHaveBeenCalledWith('run-1', { totalSkus: 2 });
+      expect(finished).toEqual({ id: 'run-1', status: 'completed', succeeded: 2, failed: 0, failures: [], error: null });
+      expect(scheduler.notificationService.notifyScheduledPriceSyncFailed).not.toHaveBeenCalled();
+    });
+
+    it('records failed SKUs as a partial run and sends one summary', async () => {
+      scheduler.priceSyncService.syncPrices
+        .mockResolvedValueOnce({ success: false, errors: [{ message: 'misthub: timeout' }] })
+        .mockRejectedValueOnce(new Error('boom'));
+      const threeSkus = { ...schedule, skus: ['SKU-001', 'SKU-002', 'SKU-003'] };
+
+      const finished = await scheduler.executeRun(threeSkus, run);
+
+      expect(finished.status).toBe('partial');
+      expect(finished.succeeded).toBe(1);
+      expect(finished.failures).toEqual([
+        { sku: 'SKU-001', errors: ['misthub: timeout'] },
+        { sku: 'SKU-002', errors: ['boom'] }
+      ]);
+      expect(scheduler.notificationService.notifyScheduledPriceSyncFailed).toHaveBeenCalledTimes(1);
+      expect(scheduler.notificationService.notifyScheduledPriceSyncFailed).toHaveBeenCalledWith(expect.objectContaining({
+        scheduleName: 'nightly',
+        runId: 'run-1',
+        status: 'partial',
+        totalSkus: 3,
+        succeeded: 1
+      }));
+    });
+
+    it('sends Shopify updates of large runs as one bulk batch', async () => {
+      const batch = { stores: new Map() };
+      scheduler.priceSyncService.createShopifyBulkBatch = jest.fn().mockReturnValue(batch);
+      scheduler.priceSyncService.flushShopifyBulkBatch = jest.fn().mockResolvedValue({
+        stores: {},
+        failures: [
+          { sku: 'SKU-002', store: 'wholesale', message: 'Price must be positive' },
+          { sku: 'SKU-004', store: 'wholesale', message: 'Price must be positive' }
+        ]
+      });
+      scheduler.priceSyncService.syncPrices
+        .mockResolvedValueOnce({ success: true, errors: [] })
+        .mockResolvedValueOnce({ success: true, errors: [] })
+        .mockResolvedValueOnce({ success: true, errors: [] })
+        .mockResolvedValueOnce({ success: false, errors: [{ message: 'misthub: timeout' }] });
+      const fourSkus = { ...schedule, skus: ['SKU-001', 'SKU-002', 'SKU-003', 'SKU-004'] };
+
+      const finished = await scheduler.executeRun(fourSkus, run);
+
+      expect(scheduler.priceSyncService.syncPrices).toHaveBeenCalledWith('SKU-001', expect.objectContaining({ shopifyBulkBatch: batch }));
+      expect(scheduler.priceSyncService.flushShopifyBulkBatch).toHaveBeenCalledWith(batch);
+      expect(finished.status).toBe('partial');
+      expect(finished.succeeded).toBe(2);
+      expect(finished.failures).toEqual([
+        { sku: 'SKU-004', errors: ['misthub: timeout', 'shopify:wholesale: Price must be positive'] },
+        { sku: 'SKU-002', errors: ['shopify:wholesale: Price must be positive'] }
+      ]);
+    });
+
+    it('fails the run when the SKUs cannot be resolved', async () => {
+      migrationRunRepo.findCompletedTargets.mockRejectedValue(new Error('db down'));
+
+      const finished = await scheduler.executeRun({ ...schedule, sku_source: 'migrated' }, run);
+
+      expect(finished).toMatchObject({ status: 'failed', error: 'db down' });
+      expect(scheduler.notificationService.notifyScheduledPriceSyncFailed).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'failed', error: 'db down' })
+      );
+    });
+  });
+
+  describe('tick', () => {
+    it('claims due schedules with their next cron time and starts a run', async () => {
+      const now = new Date('2026-10-19T03:00:30Z');
+      scheduleRepo.findDue.mockResolvedValue([schedule]);
+      scheduleRepo.claimDue.mockResolvedValue(schedule);
+
+      const started = await scheduler.tick(now);
+
+      expect(scheduleRepo.claimDue).toHaveBeenCalledWith('schedule-1', schedule.next_run_at, new Date('2026-10-20T03:00:00Z'));
+      expect(scheduleRepo.createRun).toHaveBeenCalledWith('schedule-1', 'schedule');
+      expect(started).toEqual([run]);
+    });
+
+    it('skips schedules claimed by another process or already running here', async () => {
+      scheduleRepo.findDue.mockResolvedValue([schedule, { ...schedule, id: 'schedule-2' }]);
+      scheduleRepo.claimDue.mockResolvedValue(null);
+      scheduler.active.add('schedule-1');
+
+      const started = await scheduler.tick(new Date('2026-10-19T03:00:30Z'));
+
+      expect(scheduleRepo.claimDue).toHaveBeenCalledTimes(1);
+      expect(scheduleRepo.claimDue).toHaveBeenCalledWith('schedule-2', expect.any(Date), expect.any(Date));
+      expect(scheduleRepo.createRun).not.toHaveBeenCalled();
+      expect(started).toEqual([]);
+    });
+  });
+
+  describe('runNow', () => {
+    it('starts a manual run and reports the schedule as running until it finishes', async () => {
+      let finishSync;
+      scheduler.priceSyncService.syncPrices.mockReturnValue(new Promise(resolve => { finishSync = resolve; }));
+      scheduleRepo.findRunningRun.mockResolvedValue(null);
+
+      await scheduler.runNow({ ...schedule, skus: ['SKU-001'] });
+
+      expect(scheduleRepo.touchLastRun).toHaveBeenCalledWith('schedule-1');
+      expect(scheduleRepo.createRun).toHaveBeenCalledWith('schedule-1', 'manual');
+      expect(await scheduler.isRunning('schedule-1')).toBe(true);
+
+      finishSync({ success: true, errors: [] });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(scheduleRepo.finishRun).toHaveBeenCalled();
+      expect(await scheduler.isRunning('schedule-1')).toBe(false);
+    });
+  });
+
+  describe('start', () => {
+    it('closes runs interrupted by a restart before polling', async () => {
+      scheduleRepo.failInterruptedRuns.mockResolvedValue(2);
+      scheduleRepo.findDue.mockResolvedValue([]);
+
+      await scheduler.start();
+
+      expect(scheduleRepo.failInterruptedRuns).toHaveBeenCalled();
+      expect(scheduler.running).toBe(true);
+    });
+  });
+});
@@ -6,10 +6,12 @@ jest.mock('../../../src/services/shopify/shopify-target.service');
 jest.mock('../../../src/services/notification/google-chat.service');
 jest.mock('../../../src/config', () => ({
   source: { baseUrl: 'http://source.test', token: 'tok' },
+  sources: { supplierb: { baseUrl: 'http://supplier-b.test', token: 'tok-b', adminUrl: null, categoryMappingPath: null } },
   api: {},
   shopify: { stores: {}, apiVersion: '2024-01' },
   priceSync: { storeGroupMapping: {} },
   magentoStores: {},
+  woocommerce: { stores: { partnera: { url: 'https://partner-a.test', consumerKey: 'ck', consumerSecret: 'cs' } } },
   errorHandling: { continueOnError: true }
 }));
 
@@ -371,4 +373,166 @@ describe('PriceSyncService', () => {
       expect(variantPrices[0]).not.toHaveProperty('compareAtPrice');
     });
   });
+
+  describe('Shopify bulk batch', () => {
+    const shopifyRegistry = require('../../../src/services/shopify/shopify-store-registry.service');
+    const config = require('../../../src/config');
+
+    let shopifyService;
+
+    beforeEach(() => {
+      config.priceSync.storeGroupMapping = {};
+      shopifyService = {
+        getVariantsBySkus: jest.fn(),
+        updateVariantPrices: jest.fn(),
+        bulkListVariants: jest.fn(async function* () {
+          yield { id: 'gid://shopify/ProductVariant/1', sku: 'CHILD-001', price: '95.00', compareAtPrice: null, product: { id: 'gid://shopify/Product/1' } };
+          yield { id: 'gid://shopify/ProductVariant/2', sku: 'CHILD-002', price: '95.00', compareAtPrice: null, product: { id: 'gid://shopify/Product/2' } };
+        }),
+        bulkUpdateVariantPrices: jest.fn().mockResolvedValue({
+          updatedCount: 1,
+          failures: [{ index: 1, productId: 'gid://shopify/Product/2', message: 'Price must be positive' }]
+        })
+      };
+      jest.spyOn(shopifyRegistry, 'getTargetService').mockResolvedValue(shopifyService);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('queues updates against a catalog read once per store and flushes them in one bulk mutation', async () => {
+      const batch = service.createShopifyBulkBatch();
+
+      const first = await service.updateShopifyPricesForStore(
+        { parentSku: 'PARENT-001', children: [{ sku: 'CHILD-001', price: 99.99, specialPrice: 79.99 }] }, 'wholesale', null, batch
+      );
+      await service.updateShopifyPricesForStore(
+        { parentSku: 'PARENT-002', children: [{ sku: 'CHILD-002', price: -1 }] }, 'wholesale', null, batch
+      );
+      const flushed = await service.flushShopifyBulkBatch(batch);
+
+      expect(first).toEqual({ success: true, variantsQueued: 1 });
+      expect(shopifyService.bulkListVariants).toHaveBeenCalledTimes(1);
+      expect(shopifyService.getVariantsBySkus).not.toHaveBeenCalled();
+      expect(shopifyService.updateVariantPrices).not.toHaveBeenCalled();
+      expect(shopifyService.bulkUpdateVariantPrices).toHaveBeenCalledWith([
+        { sku: 'PARENT-001', productId: 'gid://shopify/Product/1', variantPrices: [{ id: 'gid://shopify/ProductVariant/1', price: 79.99, compareAtPrice: 99.99 }] },
+        { sku: 'PARENT-002', productId: 'gid://shopify/Product/2', variantPrices: [{ id: 'gid://shopify/ProductVariant/2', price: -1, compareAtPrice: null }] }
+      ]);
+      expect(flushed).toEqual({
+        stores: { wholesale: { success: false, variantsUpdated: 1 } },
+        failures: [{ sku: 'PARENT-002', store: 'wholesale', message: 'Price must be positive' }]
+      });
+    });
+
+    it('fails every queued SKU of a store whose bulk mutation fails', async () => {
+      shopifyService.bulkUpdateVariantPrices.mockRejectedValue(new Error('Bulk operation FAILED'));
+      const batch = service.createShopifyBulkBatch();
+      await service.updateShopifyPricesForStore(
+        { parentSku: 'PARENT-001', children: [{ sku: 'CHILD-001', price: 99.99 }] }, 'wholesale', null, batch
+      );
+
+      const flushed = await service.flushShopifyBulkBatch(batch);
+
+      expect(flushed).toEqual({
+        stores: { wholesale: { success: false, error: 'Bulk operation FAILED' } },
+        failures: [{ sku: 'PARENT-001', store: 'wholesale', message: 'Bulk operation FAILED' }]
+      });
+    });
+  });
+
+  describe('updateWooCommercePricesForStore', () => {
+    const priceData = {
+      parentSku: 'PARENT-001',
+      children: [
+        { sku: 'CHILD-001', price: 20, specialPrice: 15, tierPrices: [] },
+        { sku: 'CHILD-002', price: 20, specialPrice: 25, tierPrices: [] },
+        { sku: 'CHILD-003', price: 20, specialPrice: null, tierPrices: [] }
+      ]
+    };
+    let wooService;
+
+    beforeEach(() => {
+      wooService = {
+        getProductBySku: jest.fn().mockResolvedValue({ id: 40, sku: 'PARENT-001', type: 'variable' }),
+        getVariations: jest.fn().mockResolvedValue([{ id: 41, sku: 'CHILD-001' }, { id: 42, sku: 'CHILD-002' }]),
+        updateVariationPrices: jest.fn().mockResolvedValue({ updatedCount: 2, errors: [] }),
+        updateProductPrice: jest.fn().mockResolvedValue({})
+      };
+    });
+
+    it('updates matching variations, using special_price below the price as the sale price', async () => {
+      const result = await service.updateWooCommercePricesForStore(priceData, wooService, 'partnera');
+
+      expect(wooService.updateVariationPrices).toHaveBeenCalledWith(40, [
+        { id: 41, regularPrice: 20, salePrice: 15 },
+        { id: 42, regularPrice: 20, salePrice: null }
+      ]);
+      expect(result).toEqual({ success: true, variantsUpdated: 2 });
+    });
+
+    it('updates a simple product directly', async () => {
+      wooService.getProductBySku.mockResolvedValue({ id: 50, sku: 'CHILD-003', type: 'simple' });
+
+      await service.updateWooCommercePricesForStore({ ...priceData, parentSku: 'CHILD-003' }, wooService, 'partnera');
+
+      expect(wooService.updateProductPrice).toHaveBeenCalledWith(50, 20, null);
+    });
+
+    it('fails when the store does not have the product', async () => {
+      wooService.getProductBySku.mockResolvedValue(null);
+
+      await expect(service.updateWooCommercePricesForStore(priceData, wooService, 'partnera'))
+        .rejects.toThrow('Product not found in WooCommerce store "partnera": PARENT-001');
+    });
+
+    it('only targets configured stores that were asked for', () => {
+      expect(service.resolveWooCommerceTargetStores()).toEqual([]);
+      expect(service.resolveWooCommerceTargetStores(['PartnerA', 'unknown'])).toEqual(['partnera']);
+    });
+  });
+
+  describe('syncPrices notifications', () => {
+    beforeEach(() => {
+      service.extractPrices = jest.fn().mockResolvedValue({ parentSku: 'PARENT-001', children: [{ sku: 'CHILD-001', price: 10 }] });
+      service.updateMagentoPrices = jest.fn().mockResolvedValue({ storeResults: {}, errors: [], warnings: [] });
+      service.notificationService.notifyPriceSyncStart = jest.fn();
+      service.notificationService.notifyPriceSyncEnd = jest.fn();
+    });
+
+    it('sends start and end notifications by default', async () => {
+      await service.syncPrices('PARENT-001', { includeShopify: false });
+
+      expect(service.notificationService.notifyPriceSyncStart).toHaveBeenCalled();
+      expect(service.notificationService.notifyPriceSyncEnd).toHaveBeenCalled();
+    });
+
+    it('skips notifications when notify is false', async () => {
+      service.extractPrices.mockRejectedValueOnce(new Error('Source down'));
+
+      const failed = await service.syncPrices('PARENT-001', { includeShopify: false, notify: false });
+      await service.syncPrices('PARENT-001', { includeShopify: false, notify: false });
+
+      expect(failed.success).toBe(false);
+      expect(service.notificationService.notifyPriceSyncStart).not.toHaveBeenCalled();
+      expect(service.notificationService.notifyPriceSyncEnd).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('syncPrices source selection', () => {
+    it('syncs through a service for options.source and reuses it', async () => {
+      const options = { source: 'supplierb', includeMagento: false, includeShopify: false, notify: false };
+
+      await service.syncPrices('PARENT-001', options);
+      await service.syncPrices('PARENT-001', options);
+
+      const scoped = service.sourceScopes.get('supplierb');
+      expect(scoped).toBeInstanceOf(PriceSyncService);
+      expect(scoped.sourceName).toBe('supplierb');
+      expect(service.sourceScopes.size).toBe(1);
+    });
+
+    it('rejects an unknown source', async () => {
+      await expect(service.syncPrices('PARENT-001', { source: 'unknown' })).rejects.toThrow('Unknown source: unknown');
+    });
+  });
 });
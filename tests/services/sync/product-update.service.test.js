@@ -75,26 +75,6 @@ describe('ProductUpdateService', () => {
     });
   });
 
-  // ── parseMetaKeywordsToTags ────────────────────────────────────────────────
-
-  describe('parseMetaKeywordsToTags', () => {
-    it('splits comma-separated keywords into trimmed array', () => {
-      expect(service.parseMetaKeywordsToTags('a, b,  c ')).toEqual(['a', 'b', 'c']);
-    });
-
-    it('returns empty array for null input', () => {
-      expect(service.parseMetaKeywordsToTags(null)).toEqual([]);
-    });
-
-    it('returns empty array for empty string', () => {
-      expect(service.parseMetaKeywordsToTags('')).toEqual([]);
-    });
-
-    it('returns single-element array for no commas', () => {
-      expect(service.parseMetaKeywordsToTags('keyword')).toEqual(['keyword']);
-    });
-  });
-
   // ── resolveMagentoTargetStores ────────────────────────────────────────────
 
   describe('resolveMagentoTargetStores', () => {
@@ -320,6 +300,7 @@ describe('ProductUpdateService', () => {
       ShopifyTargetService.mockImplementation(() => mockShopify);
 
       service.categoryMappingService.getShopifyProductType = jest.fn().mockReturnValue('Accessories');
+      service.categoryMappingService.getShopifyCollections = jest.fn().mockReturnValue([]);
     });
 
     it('returns success: false when product not found', async () => {
@@ -362,6 +343,22 @@ describe('ProductUpdateService', () => {
       );
     });
 
+    it('replaces tags with those built from the store tag rules', async () => {
+      service.tagBuilderService.buildTags = jest.fn().mockResolvedValue(['BrandCo', 'Mint']);
+      const data = { ...extractedData, children: [{ sku: 'CHILD-001' }] };
+
+      await service.updateShopifyStore('myshopify', data);
+
+      expect(service.tagBuilderService.buildTags).toHaveBeenCalledWith(
+        expect.objectContaining({ brandLabel: 'BrandCo', productType: 'Accessories', children: [{ sku: 'CHILD-001' }] }),
+        expect.objectContaining({ storeName: 'myshopify' })
+      );
+      expect(mockShopify.updateProductFields).toHaveBeenCalledWith(
+        'gid://shopify/Product/123',
+        expect.objectContaining({ tags: ['BrandCo', 'Mint'] })
+      );
+    });
+
     it('passes the Magento image downloader to Shopify media creation', async () => {
       await service.updateShopifyStore('myshopify', extractedData);
 
@@ -388,6 +385,64 @@ describe('ProductUpdateService', () => {
       expect(result.success).toBe(true);
     });
 
+    it('sets mapped product and variant metafields on the Shopify product', async () => {
+      const children = [{ sku: 'CHILD-001', custom_attributes: [] }, { sku: 'CHILD-002', custom_attributes: [] }];
+      mockShopify.getVariantsBySkus
+        .mockResolvedValueOnce([{ id: 'gid://shopify/ProductVariant/1', sku: 'CHILD-001', product: { id: 'gid://shopify/Product/123' } }])
+        .mockResolvedValueOnce([
+          { id: 'gid://shopify/ProductVariant/1', sku: 'CHILD-001', product: { id: 'gid://shopify/Product/123' } },
+          { id: 'gid://shopify/ProductVariant/9', sku: 'CHILD-002', product: { id: 'gid://shopify/Product/999' } }
+        ]);
+      mockShopify.setMetafields = jest.fn().mockResolvedValue([]);
+      service.metafieldMappingService = {
+        hasMappings: jest.fn().mockReturnValue(true),
+        buildMetafields: jest.fn(async (product, attributeService, storeName, owner) => [
+          { namespace: 'specs', key: owner, type: 'single_line_text_field', value: product.sku }
+        ])
+      };
+
+      const result = await service.updateShopifyStore('myshopify', { ...extractedData, children });
+
+      expect(result.warnings).toEqual([]);
+      expect(mockShopify.getVariantsBySkus).toHaveBeenLastCalledWith(['CHILD-001', 'CHILD-002']);
+      expect(mockShopify.setMetafields).toHaveBeenCalledWith([
+        { ownerId: 'gid://shopify/Product/123', namespace: 'specs', key: 'product', type: 'single_line_text_field', value: 'PARENT-001' },
+        { ownerId: 'gid://shopify/ProductVariant/1', namespace: 'specs', key: 'variant', type: 'single_line_text_field', value: 'CHILD-001' }
+      ]);
+    });
+
+    it('records warning when metafields are rejected', async () => {
+      mockShopify.setMetafields = jest.fn().mockRejectedValue(new Error('type mismatch'));
+      service.metafieldMappingService = {
+        hasMappings: jest.fn().mockReturnValue(false),
+        buildMetafields: jest.fn().mockResolvedValue([
+          { namespace: 'specs', key: 'puffs', type: 'number_integer', value: '5000' }
+        ])
+      };
+
+      const result = await service.updateShopifyStore('myshopify', extractedData);
+
+      expect(result.success).toBe(true);
+      expect(result.warnings).toEqual([{ field: 'metafields', message: 'Metafield update failed: type mismatch' }]);
+    });
+
+    it('adds the product to the mapped collections', async () => {
+      service.categoryMappingService.getShopifyCollections.mockReturnValue(['disposable-vapes', 'Best Sellers']);
+      mockShopify.assignProductToCollections = jest.fn().mockResolvedValue({
+        added: ['disposable-vapes'], alreadyMember: [], created: [],
+        skipped: [{ collection: 'Best Sellers', reason: 'Collection not found' }]
+      });
+
+      const result = await service.updateShopifyStore('myshopify', extractedData, { createMissingCollections: false });
+
+      expect(service.categoryMappingService.getShopifyCollections).toHaveBeenCalledWith(['Vapes'], 'myshopify');
+      expect(mockShopify.assignProductToCollections).toHaveBeenCalledWith(
+        'gid://shopify/Product/123', ['disposable-vapes', 'Best Sellers'], { createMissing: false }
+      );
+      expect(result.success).toBe(true);
+      expect(result.warnings).toEqual([{ field: 'collections', collection: 'Best Sellers', message: 'Collection not found' }]);
+    });
+
     it('records warning when media ID fetch fails', async () => {
       mockShopify.query.mockRejectedValue(new Error('GraphQL error'));
 
@@ -465,7 +520,7 @@ describe('ProductUpdateService', () => {
         targetShopifyStores: ['myshopify'],
         includeMagento: false
       });
-      expect(service.updateShopifyStore).toHaveBeenCalledWith('myshopify', expect.any(Object));
+      expect(service.updateShopifyStore).toHaveBeenCalledWith('myshopify', expect.any(Object), expect.any(Object));
     });
 
     it('sends end notification on success', async () => {
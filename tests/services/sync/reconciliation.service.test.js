@@ -0,0 +1,202 @@
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  source: { baseUrl: 'http://source.test', token: 'tok' },
+  api: {},
+  shopify: { stores: { wholesale: {} }, bulkOperations: { readThreshold: 2500 } },
+  magentoStores: { ejuices: {} },
+  jobs: { leaseTimeoutMs: 120000 }
+}));
+
+jest.mock('../../../src/services/magento/target.service');
+jest.mock('../../../src/services/shopify/shopify-store-registry.service', () => ({
+  getTargetService: jest.fn(),
+  list: jest.fn()
+}));
+jest.mock('../../../src/database/repositories/reconciliation.repository');
+jest.mock('../../../src/database/repositories/job.repository');
+
+const TargetService = require('../../../src/services/magento/target.service');
+const shopifyRegistry = require('../../../src/services/shopify/shopify-store-registry.service');
+const reconciliationRepo = require('../../../src/database/repositories/reconciliation.repository');
+const jobRepo = require('../../../src/database/repositories/job.repository');
+const { ValidationError } = require('../../../src/utils/error-handler');
+const reconciliation = require('../../../src/services/sync/reconciliation.service');
+
+const magentoClient = (items) => ({
+  buildSearchCriteria: jest.fn().mockReturnValue({}),
+  get: jest.fn().mockResolvedValue({ items, total_count: items.length })
+});
+
+describe('ReconciliationService', () => {
+  const sourceItems = [
+    { id: 1, sku: 'CONFIG-001', type_id: 'configurable', visibility: 4, extension_attributes: { configurable_product_links: [2, 3] } },
+    { id: 2, sku: 'CHILD-MINT', type_id: 'simple', visibility: 1 },
+    { id: 3, sku: 'CHILD-ICE', type_id: 'simple', visibility: 1 },
+    { id: 4, sku: 'SIMPLE-001', type_id: 'simple', visibility: 4 }
+  ];
+
+  beforeEach(() => {
+    reconciliation.sourceService.buildSearchCriteria = jest.fn().mockReturnValue({});
+    reconciliation.sourceService.get = jest.fn().mockResolvedValue({ items: sourceItems, total_count: sourceItems.length });
+    reconciliationRepo.updateRun.mockImplementation(async (id, fields) => ({ id, ...fields }));
+  });
+
+  describe('fetchMagentoCatalog', () => {
+    it('pages through products and resolves configurable children to SKUs', async () => {
+      const firstPage = Array.from({ length: 300 }, (_, i) => ({ id: i + 10, sku: `SKU-${i}`, type_id: 'simple', visibility: 1 }));
+      const client = {
+        buildSearchCriteria: jest.fn().mockReturnValue({}),
+        get: jest.fn()
+          .mockResolvedValueOnce({ items: firstPage, total_count: 301 })
+          .mockResolvedValueOnce({
+            items: [{ id: 1, sku: 'CONFIG', type_id: 'configurable', extension_attributes: { configurable_product_links: [10, 11] } }],
+            total_count: 301
+          })
+      };
+
+      const catalog = await reconciliation.fetchMagentoCatalog(client);
+
+      expect(catalog.size).toBe(301);
+      expect(catalog.get('CONFIG').childSkus).toEqual(['SKU-0', 'SKU-1']);
+      expect(client.buildSearchCriteria).toHaveBeenCalledWith([
+        { field: 'type_id', value: 'configurable,simple', conditionType: 'in' }
+      ]);
+      expect(client.get.mock.calls[1][1]).toMatchObject({ 'searchCriteria[currentPage]': 2 });
+    });
+  });
+
+  describe('fetchShopifyVariants', () => {
+    it('reads large stores with a bulk query instead of paging', async () => {
+      const shopifyService = {
+        countVariants: jest.fn().mockResolvedValue(10000),
+        listVariantsPage: jest.fn(),
+        bulkListVariants: async function* () {
+          yield { sku: 'CHILD-MINT', product: { id: 'gid://shopify/Product/1' } };
+          yield { sku: null, product: { id: 'gid://shopify/Product/2' } };
+        }
+      };
+
+      const variants = await reconciliation.fetchShopifyVariants(shopifyService);
+
+      expect(variants).toEqual(new Map([['CHILD-MINT', 'gid://shopify/Product/1']]));
+      expect(shopifyService.listVariantsPage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reconcile', () => {
+    it('records missing products, missing variants and orphans for each store', async () => {
+      TargetService.getInstanceForStore.mockReturnValue(magentoClient([
+        { id: 7, sku: 'CONFIG-001', type_id: 'configurable', extension_attributes: { configurable_product_links: [8] } },
+        { id: 8, sku: 'CHILD-MINT', type_id: 'simple', visibility: 1 },
+        { id: 9, sku: 'RETIRED-001', type_id: 'simple', visibility: 4 }
+      ]));
+      shopifyRegistry.getTargetService.mockResolvedValue({
+        countVariants: jest.fn().mockResolvedValue(3),
+        listVariantsPage: jest.fn()
+          .mockResolvedValueOnce({
+            variants: [{ sku: 'CHILD-MINT', product: { id: 'gid://shopify/Product/1' } }],
+            pageInfo: { hasNextPage: true, endCursor: 'c1' }
+          })
+          .mockResolvedValueOnce({
+            variants: [
+              { sku: 'CHILD-ICE', product: { id: 'gid://shopify/Product/1' } },
+              { sku: 'GONE-001', product: { id: 'gid://shopify/Product/2' } },
+              { sku: '', product: { id: 'gid://shopify/Product/3' } }
+            ],
+            pageInfo: { hasNextPage: false, endCursor: 'c2' }
+          })
+      });
+
+      const result = await reconciliation.reconcile({ id: 'run-1', options: {} });
+
+      expect(reconciliationRepo.addItems).toHaveBeenCalledWith('run-1', [
+        { platform: 'magento', storeName: 'ejuices', sku: 'CONFIG-001', issue: 'missing_variants', productType: 'configurable', missingVariants: ['CHILD-ICE'] },
+        { platform: 'magento', storeName: 'ejuices', sku: 'SIMPLE-001', issue: 'missing', productType: 'simple' },
+        { platform: 'magento', storeName: 'ejuices', sku: 'RETIRED-001', issue: 'orphan', productType: 'simple' }
+      ]);
+      expect(reconciliationRepo.addItems).toHaveBeenCalledWith('run-1', [
+        { platform: 'shopify', storeName: 'wholesale', sku: 'SIMPLE-001', issue: 'missing', productType: 'simple' },
+        { platform: 'shopify', storeName: 'wholesale', sku: 'GONE-001', issue: 'orphan', targetRef: 'gid://shopify/Product/2' }
+      ]);
+      expect(result).toMatchObject({
+        status: 'completed',
+        scanned: 2,
+        summary: {
+          'magento:ejuices': { missing: 1, missing_variants: 1, orphan: 1 },
+          'shopify:wholesale': { missing: 1, missing_variants: 0, orphan: 1 }
+        }
+      });
+    });
+
+    it('records a store that cannot be read without failing the run', async () => {
+      TargetService.getInstanceForStore.mockReturnValue({
+        buildSearchCriteria: jest.fn().mockReturnValue({}),
+        get: jest.fn().mockRejectedValue(new Error('Target unavailable'))
+      });
+
+      const result = await reconciliation.reconcile({ id: 'run-1', options: { includeShopify: false } });
+
+      expect(result).toMatchObject({ status: 'completed', summary: { 'magento:ejuices': { error: 'Target unavailable' } } });
+    });
+
+    it('fails the run when the source cannot be read', async () => {
+      reconciliation.sourceService.get.mockRejectedValue(new Error('Source unavailable'));
+
+      const result = await reconciliation.reconcile({ id: 'run-1', options: {} });
+
+      expect(result).toMatchObject({ status: 'failed', error: 'Source unavailable' });
+      expect(reconciliationRepo.addItems).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recoverInterruptedRuns', () => {
+    it('only fails runs whose heartbeat is older than the lease', async () => {
+      reconciliationRepo.failInterruptedRuns.mockResolvedValue(1);
+
+      await expect(reconciliation.recoverInterruptedRuns()).resolves.toBe(1);
+
+      expect(reconciliationRepo.failInterruptedRuns).toHaveBeenCalledWith(120000);
+    });
+  });
+
+  describe('enqueueAction', () => {
+    beforeEach(() => {
+      jobRepo.create.mockResolvedValue({ id: 'job-1', status: 'queued' });
+    });
+
+    it('queues a single-store Magento migration for a missing product', async () => {
+      const item = { id: 'item-1', platform: 'magento', store_name: 'ejuices', sku: 'SIMPLE-001', issue: 'missing' };
+
+      await reconciliation.enqueueAction(item, 'migration', 'key-1');
+
+      expect(jobRepo.create).toHaveBeenCalledWith({
+        type: 'migration:batch',
+        options: { targetMagentoStores: ['ejuices'] },
+        apiKeyId: 'key-1',
+        skus: ['SIMPLE-001']
+      });
+      expect(reconciliationRepo.setItemJob).toHaveBeenCalledWith('item-1', 'job-1');
+    });
+
+    it('queues a Shopify migration for missing variants', async () => {
+      const item = { id: 'item-2', platform: 'shopify', store_name: 'wholesale', sku: 'CONFIG-001', issue: 'missing_variants' };
+
+      await reconciliation.enqueueAction(item, 'variant-sync');
+
+      expect(jobRepo.create).toHaveBeenCalledWith({
+        type: 'migration:shopify',
+        options: { shopifyStore: 'wholesale' },
+        apiKeyId: undefined,
+        skus: ['CONFIG-001']
+      });
+    });
+
+    it('rejects actions that do not fit the issue', async () => {
+      const orphan = { id: 'item-3', platform: 'magento', store_name: 'ejuices', sku: 'RETIRED-001', issue: 'orphan' };
+
+      await expect(reconciliation.enqueueAction(orphan, 'migration')).rejects.toThrow(ValidationError);
+      expect(jobRepo.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,154 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TagBuilderService = require('../../src/services/tag-builder.service');
+const AttributeService = require('../../src/services/attribute.service');
+
+describe('TagBuilderService', () => {
+  let dir;
+  let attributeService;
+  let categoryMappingService;
+
+  const writeRules = data => {
+    const file = path.join(dir, 'tag-rules.json');
+    fs.writeFileSync(file, JSON.stringify(data));
+    return new TagBuilderService(file);
+  };
+
+  const product = () => ({
+    parent: {
+      sku: 'BAR-5K',
+      custom_attributes: [
+        { attribute_code: 'meta_keyword', value: 'vape, disposable,  ' },
+        { attribute_code: 'puff_count', value: '5000' }
+      ]
+    },
+    children: [
+      { sku: 'BAR-5K-MINT', custom_attributes: [{ attribute_code: 'flavor', value: '21' }, { attribute_code: 'nicotine_strength', value: '5' }] },
+      { sku: 'BAR-5K-BERRY', custom_attributes: [{ attribute_code: 'flavor', value: '22' }, { attribute_code: 'nicotine_strength', value: '5' }] }
+    ],
+    brandLabel: 'Geek Bar',
+    productType: 'Disposable Vape',
+    categoryNames: ['Disposables', 'New Arrivals']
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tag-rules-'));
+    attributeService = new AttributeService({
+      getAttributeOptions: jest.fn(async code => ({
+        flavor: [{ label: 'Mint', value: '21' }, { label: 'Berry', value: '22' }],
+        nicotine_strength: [{ label: '5%', value: '5' }]
+      })[code] || [])
+    });
+    categoryMappingService = {
+      getShopifyProductType: jest.fn(([name]) => (name === 'Disposables' ? 'Disposable Vape' : null))
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('without a rules file', () => {
+    const service = () => new TagBuilderService(path.join(dir, 'missing.json'));
+
+    it('tags products with their meta keywords', async () => {
+      const tags = await service().buildTags(product(), { attributeService, storeName: 'partnerb' });
+      expect(tags).toEqual(['vape', 'disposable']);
+    });
+
+    it('keeps VaporDNA products untagged', async () => {
+      const tags = await service().buildTags(product(), { attributeService, storeName: 'vapordna' });
+      expect(tags).toEqual([]);
+    });
+
+    it('does not need children', () => {
+      expect(service().usesOptions()).toBe(false);
+    });
+  });
+
+  it('derives tags from every configured source', async () => {
+    const service = writeRules({
+      default: {
+        sources: ['brand', 'productType', 'categories', 'options', 'attributes', 'metaKeywords'],
+        options: ['flavor', 'nicotine_strength'],
+        attributes: ['puff_count'],
+        static: ['Imported'],
+        prefixes: { brand: 'Brand_', nicotine_strength: 'Nic_' }
+      }
+    });
+
+    const tags = await service.buildTags(product(), { attributeService, categoryMappingService, storeName: 'partnerb' });
+
+    expect(tags).toEqual([
+      'Brand_Geek Bar', 'Disposable Vape', 'New Arrivals', 'Mint', 'Berry', 'Nic_5%', '5000', 'vape', 'disposable', 'Imported'
+    ]);
+    expect(categoryMappingService.getShopifyProductType).toHaveBeenCalledWith(['Disposables'], 'partnerb');
+    expect(service.usesOptions()).toBe(true);
+  });
+
+  it('reads option values from a standalone product itself', async () => {
+    const service = writeRules({ default: { sources: ['options'], options: ['flavor'] } });
+    const data = { ...product(), children: [], parent: product().children[0] };
+
+    await expect(service.buildTags(data, { attributeService })).resolves.toEqual(['Mint']);
+  });
+
+  it('applies include and exclude lists to derived tags but not static ones', async () => {
+    const service = writeRules({
+      default: { sources: ['options', 'metaKeywords'], options: ['flavor'], static: ['Sale'] },
+      stores: {
+        PartnerB: { include: ['mint', 'berry', 'vape'], exclude: ['BERRY'] }
+      }
+    });
+
+    await expect(service.buildTags(product(), { attributeService, storeName: 'partnerb' }))
+      .resolves.toEqual(['Mint', 'vape', 'Sale']);
+    await expect(service.buildTags(product(), { attributeService, storeName: 'other' }))
+      .resolves.toEqual(['Mint', 'Berry', 'vape', 'disposable', 'Sale']);
+  });
+
+  it('lets a configured VaporDNA store replace the built-in rules', async () => {
+    const service = writeRules({ stores: { vapordna: { sources: ['brand'] } } });
+
+    await expect(service.buildTags(product(), { attributeService, storeName: 'vapordna' }))
+      .resolves.toEqual(['Geek Bar']);
+  });
+
+  it('drops duplicate, blank and over-long tags', async () => {
+    const service = writeRules({ default: { sources: ['brand', 'metaKeywords'], static: ['VAPE', '  ', 'x'.repeat(256)] } });
+
+    await expect(service.buildTags(product(), { attributeService }))
+      .resolves.toEqual(['Geek Bar', 'vape', 'disposable']);
+  });
+
+  it('falls back to the defaults when the rules file is invalid', async () => {
+    const file = path.join(dir, 'tag-rules.json');
+    fs.writeFileSync(file, '{ not json');
+    const service = new TagBuilderService(file);
+
+    await expect(service.buildTags(product(), { attributeService })).resolves.toEqual(['vape', 'disposable']);
+  });
+
+  describe('parseMetaKeywords', () => {
+    const service = new TagBuilderService();
+
+    it('splits comma-separated keywords into trimmed array', () => {
+      expect(service.parseMetaKeywords('a, b,  c ')).toEqual(['a', 'b', 'c']);
+    });
+
+    it('returns empty array for null input', () => {
+      expect(service.parseMetaKeywords(null)).toEqual([]);
+    });
+
+    it('returns empty array for empty string', () => {
+      expect(service.parseMetaKeywords('')).toEqual([]);
+    });
+
+    it('returns single-element array for no commas', () => {
+      expect(service.parseMetaKeywords('keyword')).toEqual(['keyword']);
+    });
+  });
+});
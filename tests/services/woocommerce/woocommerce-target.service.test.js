@@ -0,0 +1,117 @@
+'use strict';
+
+jest.mock('../../../src/config', () => ({
+  api: { timeout: 2000, retryDelay: 1 },
+  woocommerce: { stores: { partnera: { url: null, consumerKey: 'ck_test', consumerSecret: 'cs_test' } } }
+}));
+
+const config = require('../../../src/config');
+const WooCommerceTargetService = require('../../../src/services/woocommerce/woocommerce-target.service');
+const { WooCommerceAPIError } = require('../../../src/utils/error-handler');
+const { createWooCommerceServer } = require('../../mocks/woocommerce-server');
+
+describe('WooCommerceTargetService', () => {
+  const server = createWooCommerceServer();
+  let service;
+
+  beforeAll(async () => {
+    config.woocommerce.stores.partnera.url = await server.start();
+  });
+
+  afterAll(() => server.stop());
+
+  beforeEach(() => {
+    server.reset();
+    service = WooCommerceTargetService.getInstanceForStore('partnera');
+  });
+
+  it('rejects stores that are not configured', () => {
+    expect(() => WooCommerceTargetService.getInstanceForStore('unknown'))
+      .toThrow("WooCommerce store 'unknown' not configured. Available stores: partnera");
+  });
+
+  it('finds a product by exact SKU', async () => {
+    const product = server.addProduct({ sku: 'KIT-1', name: 'Kit', type: 'variable' });
+
+    await expect(service.getProductBySku('KIT-1')).resolves.toMatchObject({ id: product.id, sku: 'KIT-1' });
+    await expect(service.getProductBySku('MISSING')).resolves.toBeNull();
+  });
+
+  it('raises WooCommerceAPIError with the API status on failures', async () => {
+    const unauthorized = new WooCommerceTargetService(server.url, 'ck_wrong', 'cs_wrong', config.api);
+
+    await expect(unauthorized.getProductBySku('KIT-1')).rejects.toMatchObject({
+      name: 'WooCommerceAPIError',
+      statusCode: 401,
+      message: 'Sorry, you cannot list resources.'
+    });
+    await expect(service.deleteProduct(999)).rejects.toBeInstanceOf(WooCommerceAPIError);
+  });
+
+  it('lists every variation across pages', async () => {
+    const variations = Array.from({ length: 150 }, (_, i) => ({ sku: `KIT-1-${i}` }));
+    const product = server.addProduct({ sku: 'KIT-1', type: 'variable' }, variations);
+
+    const result = await service.getVariations(product.id);
+
+    expect(result).toHaveLength(150);
+    expect(result[149]).toMatchObject({ sku: 'KIT-1-149', parent_id: product.id });
+  });
+
+  it('splits variation batches into chunks of 100 and reports rejected items', async () => {
+    const product = server.addProduct({ sku: 'KIT-1', type: 'variable' }, [{ sku: 'TAKEN' }]);
+    const create = [{ sku: 'TAKEN' }, ...Array.from({ length: 100 }, (_, i) => ({ sku: `NEW-${i}` }))];
+
+    const result = await service.batchVariations(product.id, { create });
+
+    expect(server.requests.filter(r => r.path.endsWith('/variations/batch'))).toHaveLength(2);
+    expect(result.create).toHaveLength(101);
+    expect(result.create[0].error.code).toBe('product_invalid_sku');
+  });
+
+  it('updates variation prices, clearing the sale price when there is none', async () => {
+    const product = server.addProduct({ sku: 'KIT-1', type: 'variable' }, [
+      { sku: 'KIT-RED', regular_price: '10', sale_price: '8' },
+      { sku: 'KIT-BLUE', regular_price: '10', sale_price: '' }
+    ]);
+    const [red, blue] = server.variations[product.id];
+
+    const result = await service.updateVariationPrices(product.id, [
+      { id: red.id, regularPrice: 12.5, salePrice: null },
+      { id: blue.id, regularPrice: 12.5, salePrice: 9.99 },
+      { id: 999, regularPrice: 1, salePrice: null }
+    ]);
+
+    expect(result.updatedCount).toBe(2);
+    expect(result.errors).toHaveLength(1);
+    expect(red).toMatchObject({ regular_price: '12.5', sale_price: '' });
+    expect(blue).toMatchObject({ regular_price: '12.5', sale_price: '9.99' });
+  });
+
+  it('deletes products permanently', async () => {
+    const product = server.addProduct({ sku: 'KIT-1', type: 'variable' }, [{ sku: 'KIT-RED' }]);
+
+    await service.deleteProduct(product.id);
+
+    expect(server.products).toHaveLength(0);
+    expect(server.requests.at(-1).query).toEqual({ force: 'true' });
+  });
+
+  describe('getCategoryIdByName', () => {
+    it('reuses an existing category, matching its escaped name case-insensitively', async () => {
+      const category = server.addCategory('Pods & Coils');
+
+      await expect(service.getCategoryIdByName('pods & coils')).resolves.toBe(category.id);
+      await expect(service.getCategoryIdByName('Pods & Coils')).resolves.toBe(category.id);
+      expect(server.requests.filter(r => r.path === '/products/categories')).toHaveLength(1);
+    });
+
+    it('creates a missing category', async () => {
+      server.addCategory('Pod Systems');
+
+      const id = await service.getCategoryIdByName('Pods');
+
+      expect(server.categories.find(c => c.id === id).name).toBe('Pods');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const { parseCron, nextRun } = require('../../src/utils/cron');
+
+describe('cron', () => {
+  describe('parseCron', () => {
+    it('expands wildcards, ranges, steps and lists', () => {
+      const schedule = parseCron('*/15 9-11 1,15 * 1-5');
+
+      expect([...schedule.minutes]).toEqual([0, 15, 30, 45]);
+      expect([...schedule.hours]).toEqual([9, 10, 11]);
+      expect([...schedule.daysOfMonth]).toEqual([1, 15]);
+      expect(schedule.months.size).toBe(12);
+      expect([...schedule.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('treats day-of-week 7 as Sunday', () => {
+      expect(parseCron('0 0 * * 7').daysOfWeek.has(0)).toBe(true);
+    });
+
+    it.each([
+      ['0 3 * *', /5 fields/],
+      ['60 * * * *', /minute value 60/],
+      ['0 24 * * *', /hour value 24/],
+      ['0 0 0 * *', /day of month value 0/],
+      ['0 0 * 13 *', /month value 13/],
+      ['a * * * *', /Invalid minute value/],
+      ['0 5-1 * * *', /Invalid hour range/],
+      ['*/0 * * * *', /minute value 0/]
+    ])('rejects "%s"', (expression, message) => {
+      expect(() => parseCron(expression)).toThrow(message);
+    });
+  });
+
+  describe('nextRun', () => {
+    const at = iso => new Date(iso);
+
+    it('returns the next matching minute strictly after the given time', () => {
+      expect(nextRun('0 3 * * *', at('2026-10-19T02:59:30Z')).toISOString()).toBe('2026-10-19T03:00:00.000Z');
+      expect(nextRun('0 3 * * *', at('2026-10-19T03:00:00Z')).toISOString()).toBe('2026-10-20T03:00:00.000Z');
+    });
+
+    it('steps across hours, months and years', () => {
+      expect(nextRun('*/20 * * * *', at('2026-10-19T10:45:00Z')).toISOString()).toBe('2026-10-19T11:00:00.000Z');
+      expect(nextRun('30 6 1 * *', at('2026-12-15T00:00:00Z')).toISOString()).toBe('2027-01-01T06:30:00.000Z');
+    });
+
+    it('matches either day field when both are restricted', () => {
+      // 2026-10-19 is a Monday; the 25th comes after the next Friday
+      expect(nextRun('0 0 25 * 5', at('2026-10-19T12:00:00Z')).toISOString()).toBe('2026-10-23T00:00:00.000Z');
+    });
+
+    it('only uses day-of-week when day-of-month is a wildcard', () => {
+      expect(nextRun('0 8 * * 0', at('2026-10-19T12:00:00Z')).toISOString()).toBe('2026-10-25T08:00:00.000Z');
+    });
+
+    it('finds the next leap day', () => {
+      expect(nextRun('0 0 29 2 *', at('2026-10-19T00:00:00Z')).toISOString()).toBe('2028-02-29T00:00:00.000Z');
+    });
+
+    it('throws for expressions that never fire', () => {
+      expect(() => nextRun('0 0 31 2 *', at('2026-10-19T00:00:00Z'))).toThrow(/never fires/);
+    });
+  });
+});